@@ -0,0 +1,28 @@
+"use strict";
+
+/**
+ * Re-encrypt stored secrets with the current SECRETS_KEY.
+ * Usage: npm run secrets:rotate [-- --dry-run]
+ * See src/modules/security/services/SecretRotation.js for the rotation steps.
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import { connectMongo } from "../src/config/db.js";
+import { rotateStoredSecrets } from "../src/modules/security/services/SecretRotation.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+try {
+  await connectMongo();
+  const report = await rotateStoredSecrets({ dryRun });
+  for (const r of report) {
+    console.log(`${r.model}.${r.field}: checked ${r.checked}, ${dryRun ? "would rotate" : "rotated"} ${r.rotated}, failed ${r.failed}`);
+  }
+  process.exitCode = report.some(r => r.failed) ? 1 : 0;
+} catch (e) {
+  console.error("[Secrets] rotation failed:", e?.message || e);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -5,10 +5,10 @@
  * What this file does:
  *   1) Load .env first
  *   2) Create Express app + security middlewares
- *   3) Global rate-limit + logging + static /uploads
+ *   3) Global rate-limit (Mongo-backed, see config/rateLimits.js) + logging + static /uploads
  *   4) Mount all module routes
  *   5) Health, 404 and error handling
- *   6) Start server after Mongo connects (single ✅ banner)
+ *   6) Start server after Mongo connects (single ✅ banner) + background jobs
  */
 
 /* 1) Load env BEFORE any other imports */
@@ -26,18 +26,30 @@ import morgan from "morgan";
 import cors from "cors";
 import compression from "compression";
 import cookieParser from "cookie-parser";
-import rateLimit from "express-rate-limit";
 
 /* Local modules */
 import { connectMongo } from "./src/config/db.js";
+import { startHotRanker } from "./src/modules/vote/services/HotRanker.js";
+import { ensureOwnerAdmin } from "./src/modules/auth/services/AdminBootstrap.js";
+import { startAuditRetention } from "./src/modules/audit/services/AuditTrail.js";
+import { startMailWorker } from "./src/modules/mail/services/MailQueue.js";
+import { ensureSmtpProfileDefaults } from "./src/modules/auth/services/SmtpProfiles.js";
+import { encryptLegacySecrets } from "./src/modules/security/services/SecretRotation.js";
+import { assertSecretsKey } from "./src/utils/secrets.js";
+import { rateLimiter } from "./src/middlewares/rateLimit.js";
 
 /* Auth module routes */
 import adminAuthRoutes from "./src/modules/auth/routes/admin.auth.routes.js";
 import adminProfileRoutes from "./src/modules/auth/routes/admin.profile.routes.js";
 import adminSmtpRoutes from "./src/modules/auth/routes/admin.smtp.routes.js";
 import adminUsersRoutes from "./src/modules/auth/routes/admin.users.routes.js";
+import adminAccountsRoutes from "./src/modules/auth/routes/admin.accounts.routes.js";
 import userAuthRoutes from "./src/modules/auth/routes/user.auth.routes.js";
 import userProfileRoutes from "./src/modules/auth/routes/user.profile.routes.js";
+import userSessionsRoutes from "./src/modules/auth/routes/user.sessions.routes.js";
+import userOidcRoutes from "./src/modules/auth/routes/user.oidc.routes.js";
+import userPasskeysRoutes from "./src/modules/auth/routes/user.passkeys.routes.js";
+import adminOidcRoutes from "./src/modules/auth/routes/admin.oidc.routes.js";
 
 /* Blog module routes */
 import adminBlogRoutes from "./src/modules/blog/routes/admin.blog.routes.js";
@@ -48,18 +60,60 @@ import publicBlogRoutes from "./src/modules/blog/routes/public.blog.routes.js";
 import adminBrandRoutes from "./src/modules/brand/routes/admin.brand.routes.js";
 import publicBrandRoutes from "./src/modules/brand/routes/public.brand.routes.js";
 
+/* Product module routes */
+import adminProductRoutes from "./src/modules/product/routes/admin.product.routes.js";
+import publicProductRoutes from "./src/modules/product/routes/public.product.routes.js";
+import userPriceAlertRoutes from "./src/modules/product/routes/user.priceAlert.routes.js";
+
+/* Deal module routes */
+import adminDealRoutes from "./src/modules/deal/routes/admin.deal.routes.js";
+import publicDealRoutes from "./src/modules/deal/routes/public.deal.routes.js";
+
+/* Coupon module routes */
+import adminCouponRoutes from "./src/modules/coupon/routes/admin.coupon.routes.js";
+import publicCouponRoutes from "./src/modules/coupon/routes/public.coupon.routes.js";
+import userCouponRoutes from "./src/modules/coupon/routes/user.coupon.routes.js";
+
+/* Click module routes */
+import goRoutes from "./src/modules/click/routes/go.routes.js";
+import adminClickRoutes from "./src/modules/click/routes/admin.click.routes.js";
+
+/* Saved items module routes */
+import userSavedRoutes from "./src/modules/saved/routes/user.saved.routes.js";
+
+/* Vote module routes */
+import userVoteRoutes from "./src/modules/vote/routes/user.vote.routes.js";
+
+/* Comment module routes */
+import adminCommentRoutes from "./src/modules/comment/routes/admin.comment.routes.js";
+import publicCommentRoutes from "./src/modules/comment/routes/public.comment.routes.js";
+import userCommentRoutes from "./src/modules/comment/routes/user.comment.routes.js";
+
+/* Review module routes */
+import publicReviewRoutes from "./src/modules/review/routes/public.review.routes.js";
+import userReviewRoutes from "./src/modules/review/routes/user.review.routes.js";
+
+/* Audit module routes */
+import adminAuditRoutes from "./src/modules/audit/routes/admin.audit.routes.js";
+
+/* Mail module routes */
+import adminMailTemplateRoutes from "./src/modules/mail/routes/admin.mailTemplate.routes.js";
+import adminMailLogRoutes from "./src/modules/mail/routes/admin.mailLog.routes.js";
+
+/* Security module routes */
+import adminLockoutRoutes from "./src/modules/security/routes/admin.lockout.routes.js";
+
 /* ----------------------------- basics ----------------------------- */
 const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
 const app = express();
 const isProd = process.env.NODE_ENV === "production";
 
-/* 2) Fail fast on critical env (prod), warn in dev */
+/* 2) Fail fast on critical env (prod), warn in dev
+      ADMIN_EMAIL / ADMIN_PASSWORD are optional: they only seed the first owner account */
 const requiredEnv = [
   "JWT_ACCESS_SECRET",
   "JWT_REFRESH_SECRET",
-  "MONGODB_URI",
-  "ADMIN_EMAIL",
-  "ADMIN_PASSWORD"
+  "MONGODB_URI"
 ];
 const missing = requiredEnv.filter(k => !process.env[k] || String(process.env[k]).trim() === "");
 if (missing.length) {
@@ -73,7 +127,7 @@ if (missing.length) {
 }
 
 /* Ensure /uploads structure exists once on boot */
-["uploads", "uploads/admin", "uploads/user", "uploads/blogs", "uploads/brands"].forEach(p => {
+["uploads", "uploads/admin", "uploads/user", "uploads/blogs", "uploads/brands", "uploads/products"].forEach(p => {
   const abs = path.join(__dirname, p);
   if (!fs.existsSync(abs)) fs.mkdirSync(abs, { recursive: true });
 });
@@ -104,14 +158,9 @@ app.use(
   })
 );
 
-/* Global rate-limit (soft) */
-app.use(rateLimit({
-  windowMs: 5 * 60 * 1000,
-  max: 600,
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: { ok: false, code: 429, message: "Too many requests" }
-}));
+/* Global rate-limit (soft) + tighter limit for the public read APIs */
+app.use(rateLimiter("global"));
+app.use(["/public", "/go"], rateLimiter("public"));
 
 /* 4) CSRF seed for double-submit cookie */
 app.get("/csrf", (req, res) => {
@@ -131,15 +180,20 @@ app.get("/csrf", (req, res) => {
 });
 
 /* 5) Mount routes (grouped by module) */
-// Admin (auth/profile/smtp/users)
+// Admin (auth/profile/smtp/users/accounts/oidc providers)
 app.use("/admin/auth", adminAuthRoutes);
 app.use("/admin/profile", adminProfileRoutes);
 app.use("/admin/smtp", adminSmtpRoutes);
 app.use("/admin/users", adminUsersRoutes);
+app.use("/admin/accounts", adminAccountsRoutes);
+app.use("/admin/oidc-providers", adminOidcRoutes);
 
-// User (auth/profile)
+// User (auth/oidc/profile/sessions/passkeys)
+app.use("/auth/oidc", userOidcRoutes);
 app.use("/auth", userAuthRoutes);
 app.use("/user/profile", userProfileRoutes);
+app.use("/user/sessions", userSessionsRoutes);
+app.use("/user/passkeys", userPasskeysRoutes);
 
 // Blog (admin + public)
 app.use("/admin/blogs", adminBlogRoutes);
@@ -150,6 +204,49 @@ app.use("/public", publicBlogRoutes);
 app.use("/admin/brands", adminBrandRoutes);
 app.use("/public", publicBrandRoutes);
 
+// Product (admin + public + user price alerts; brand listing lives under /public/brands/:slug/products)
+app.use("/admin/products", adminProductRoutes);
+app.use("/public", publicProductRoutes);
+app.use("/user/price-alerts", userPriceAlertRoutes);
+
+// Deal (admin + public)
+app.use("/admin/deals", adminDealRoutes);
+app.use("/public", publicDealRoutes);
+
+// Coupon (admin + public + user votes)
+app.use("/admin/coupons", adminCouponRoutes);
+app.use("/public", publicCouponRoutes);
+app.use("/user/coupons", userCouponRoutes);
+
+// Click (outbound redirect + admin reports)
+app.use("/go", goRoutes);
+app.use("/admin/clicks", adminClickRoutes);
+
+// Saved items (user bookmarks)
+app.use("/user/saved", userSavedRoutes);
+
+// Votes (user up/down votes; feeds sort=hot)
+app.use("/user/votes", userVoteRoutes);
+
+// Comments (admin moderation + public read + user post)
+app.use("/admin/comments", adminCommentRoutes);
+app.use("/public", publicCommentRoutes);
+app.use("/user/blogs", userCommentRoutes);
+
+// Reviews (public read + user write)
+app.use("/public", publicReviewRoutes);
+app.use("/user/brands", userReviewRoutes);
+
+// Audit log (admin)
+app.use("/admin/audit", adminAuditRoutes);
+
+// Mail (admin templates + delivery log)
+app.use("/admin/mail-templates", adminMailTemplateRoutes);
+app.use("/admin/mail-log", adminMailLogRoutes);
+
+// Security (admin lockout view)
+app.use("/admin/security/lockouts", adminLockoutRoutes);
+
 /* Health check */
 app.get("/health", (_req, res) => res.json({ ok: true, ts: Date.now() }));
 
@@ -178,7 +275,14 @@ start();
 
 async function start() {
   try {
+    assertSecretsKey(); // SECRETS_KEY encrypts stored credentials: refuse to start without it
     await connectMongo();
+    await ensureOwnerAdmin(); // first owner from ADMIN_EMAIL/ADMIN_PASSWORD
+    await ensureSmtpProfileDefaults(); // legacy single SMTP config → profile fields
+    await encryptLegacySecrets(); // plaintext SMTP passwords etc. → encrypted with SECRETS_KEY
+    startHotRanker(); // periodic hotScore decay (sort=hot)
+    startAuditRetention(); // hourly purge of audit entries past retention
+    startMailWorker(); // deliver queued mail, retry failures with backoff
     server.listen(port, () => {
       const base = process.env.BASE_URL || `http://localhost:${port}`;
       console.log("\n=========================================");
@@ -0,0 +1,48 @@
+"use strict";
+
+/**
+ * Admin roles & permissions
+ * -------------------------
+ * Every admin account has one role; a role grants a fixed set of permissions.
+ * Routes ask for a permission (requireAdmin(PERMISSIONS.X)), never for a role,
+ * so adding a role only means adding a line here.
+ *
+ *   owner     -> everything (incl. SMTP, admin accounts, audit log, login security)
+ *   editor    -> catalog (brands/products/deals/coupons), blog, click analytics
+ *   moderator -> comment moderation, user insights
+ *   support   -> user insights
+ */
+
+export const ADMIN_ROLES = ["owner", "editor", "moderator", "support"];
+
+export const PERMISSIONS = Object.freeze({
+  CATALOG: "catalog",     // brands, products, deals, coupons, brand import
+  BLOG: "blog",           // blogs + blog categories
+  COMMENTS: "comments",   // comment queue + settings
+  USERS: "users",         // user insights
+  ANALYTICS: "analytics", // outbound click stats
+  SMTP: "smtp",           // mail server config, mail templates + delivery log
+  ADMINS: "admins",       // admin accounts
+  AUDIT: "audit",         // audit log + retention
+  SECURITY: "security"    // login lockouts + user sign-in (OIDC) providers
+});
+
+const ROLE_PERMISSIONS = {
+  owner: Object.values(PERMISSIONS),
+  editor: [PERMISSIONS.CATALOG, PERMISSIONS.BLOG, PERMISSIONS.ANALYTICS],
+  moderator: [PERMISSIONS.COMMENTS, PERMISSIONS.USERS],
+  support: [PERMISSIONS.USERS]
+};
+
+export function isAdminRole(role) {
+  return ADMIN_ROLES.includes(role);
+}
+
+// Permissions granted to a role (empty for unknown roles)
+export function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] ? [...ROLE_PERMISSIONS[role]] : [];
+}
+
+export function can(role, permission) {
+  return Boolean(ROLE_PERMISSIONS[role]?.includes(permission));
+}
@@ -37,6 +37,18 @@ export const upload = multer({
   }
 });
 
+/**
+ * Multer middleware for bulk imports (CSV + optional logo zip)
+ * - Same memory storage, but a bigger per-file limit
+ * - Controllers check the real content (CSV parse / zip entries)
+ */
+const MAX_IMPORT_BYTES = 20 * 1024 * 1024;
+
+export const importUpload = multer({
+  storage,
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 2 }
+});
+
 /**
  * Validate an image buffer strongly using magic bytes
  * ---------------------------------------------------
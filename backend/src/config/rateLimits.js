@@ -0,0 +1,28 @@
+"use strict";
+
+/**
+ * Rate-limit & lockout policies
+ * -----------------------------
+ * Counters live in Mongo (modules/security), so limits hold across app
+ * instances and restarts.
+ *
+ * Rate limits (per IP, fixed window) – used as rateLimiter("<name>"):
+ *   global     -> every request (soft cap)
+ *   public     -> /public/* and /go/* read APIs
+ *   otp        -> /auth/otp/request + /auth/otp/verify
+ *   adminLogin -> /admin/auth/login + /admin/auth/login/2fa
+ *
+ * Lockouts (after repeated failures) – used via services/Lockouts.js:
+ *   admin_login -> 5 bad passwords/codes from one IP within 15 min → locked 15 min
+ */
+
+export const RATE_LIMITS = Object.freeze({
+  global: { windowMs: 5 * 60 * 1000, max: 600 },
+  public: { windowMs: 60 * 1000, max: 120 },
+  otp: { windowMs: 15 * 60 * 1000, max: 20 },
+  adminLogin: { windowMs: 15 * 60 * 1000, max: 30 }
+});
+
+export const LOCKOUTS = Object.freeze({
+  admin_login: { maxFails: 5, windowMs: 15 * 60 * 1000, lockMs: 15 * 60 * 1000 }
+});
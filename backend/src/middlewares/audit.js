@@ -0,0 +1,57 @@
+"use strict";
+
+import mongoose from "mongoose";
+import { recordAudit } from "../modules/audit/services/AuditTrail.js";
+
+/**
+ * audit(targetType, action, options)
+ * Route middleware (after authAdmin) that records a successful admin write.
+ *   1) snapshot the target before the handler runs
+ *   2) let the handler respond (its JSON body is kept, e.g. for a created _id)
+ *   3) on a 2xx response, snapshot again and store the field diff (services/AuditTrail.js)
+ *
+ * options:
+ *   model  -> mongoose model; target id = req.params.id (or data._id of the response on create)
+ *   find   -> (req) => query, for single-record targets (SMTP config, settings, own profile)
+ *   meta   -> (req, body) => extra context to store
+ * Logging is best-effort: it never changes or delays the response.
+ */
+export function audit(targetType, action, { model = null, find = null, meta = null } = {}) {
+  return async function auditTrail(req, res, next) {
+    const snapshot = async (id) => {
+      if (find) return find(req).lean();
+      if (model && id && mongoose.isValidObjectId(id)) return model.findById(id).lean();
+      return null;
+    };
+
+    let before = null;
+    try {
+      before = await snapshot(req.params.id);
+    } catch { /* snapshot is best-effort */ }
+
+    let body = null;
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      body = payload;
+      return json(payload);
+    };
+
+    res.on("finish", () => {
+      if (res.statusCode < 200 || res.statusCode >= 300) return;
+      (async () => {
+        const targetId = req.params.id || body?.data?._id || before?._id || null;
+        const after = action === "delete" ? null : await snapshot(targetId);
+        await recordAudit(req, {
+          action,
+          targetType,
+          targetId: targetId || after?._id || null,
+          before,
+          after,
+          meta: meta ? meta(req, body) : null
+        });
+      })().catch((e) => console.error("[Audit] failed:", e && e.message));
+    });
+
+    next();
+  };
+}
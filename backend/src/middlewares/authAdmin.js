@@ -1,17 +1,46 @@
 "use strict";
 
 import { verifyAccessToken } from "../utils/jwt.js";
+import Admin from "../modules/auth/models/Admin.js";
+import { can } from "../config/adminRoles.js";
 
-export function authAdmin(req, res, next) {
-  try {
-    const hdr = req.headers.authorization || "";
-    const token = hdr.startsWith("Bearer ") ? hdr.slice(7) : null;
-    if (!token) return res.status(401).json({ ok: false, code: 401, message: "Unauthorized" });
-    const payload = verifyAccessToken(token);
+/**
+ * requireAdmin(permission?)
+ * - Bearer access token with role "admin"
+ * - Admin account must still exist and be active (checked on every request,
+ *   so a role change or deactivation applies immediately)
+ * - If a permission is given, the admin's role must grant it (see config/adminRoles.js)
+ * Sets req.auth (token payload + adminRole) and req.admin (lean account row).
+ */
+export function requireAdmin(permission = null) {
+  return async function adminGuard(req, res, next) {
+    let payload;
+    try {
+      const hdr = req.headers.authorization || "";
+      const token = hdr.startsWith("Bearer ") ? hdr.slice(7) : null;
+      if (!token) return res.status(401).json({ ok: false, code: 401, message: "Unauthorized" });
+      payload = verifyAccessToken(token);
+    } catch (e) {
+      return res.status(401).json({ ok: false, code: 401, message: "Unauthorized" });
+    }
     if (payload.role !== "admin") return res.status(403).json({ ok: false, code: 403, message: "Forbidden" });
-    req.auth = payload;
-    next();
-  } catch (e) {
-    return res.status(401).json({ ok: false, code: 401, message: "Unauthorized" });
-  }
+
+    try {
+      const admin = await Admin.findById(payload.sub).lean();
+      if (!admin || !admin.isActive) {
+        return res.status(401).json({ ok: false, code: 401, message: "Unauthorized" });
+      }
+      if (permission && !can(admin.role, permission)) {
+        return res.status(403).json({ ok: false, code: 403, message: "Forbidden" });
+      }
+      req.auth = { ...payload, adminRole: admin.role };
+      req.admin = admin;
+      next();
+    } catch (e) {
+      return res.status(401).json({ ok: false, code: 401, message: "Unauthorized" });
+    }
+  };
 }
+
+// Any active admin (no specific permission), e.g. own profile
+export const authAdmin = requireAdmin();
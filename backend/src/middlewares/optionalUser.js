@@ -0,0 +1,18 @@
+"use strict";
+
+import { verifyAccessToken } from "../utils/jwt.js";
+
+// Like authUser, but never rejects: attaches req.auth only for a valid user token
+export function optionalUser(req, res, next) {
+  try {
+    const hdr = req.headers.authorization || "";
+    const token = hdr.startsWith("Bearer ") ? hdr.slice(7) : null;
+    if (token) {
+      const payload = verifyAccessToken(token);
+      if (payload.role === "user") req.auth = payload;
+    }
+  } catch (e) {
+    // invalid/expired token → treat as anonymous
+  }
+  next();
+}
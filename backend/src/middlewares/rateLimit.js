@@ -0,0 +1,25 @@
+"use strict";
+
+import rateLimit from "express-rate-limit";
+import { RATE_LIMITS } from "../config/rateLimits.js";
+import { MongoRateLimitStore } from "../modules/security/services/MongoRateLimitStore.js";
+
+/**
+ * rateLimiter("otp") → express-rate-limit middleware for a named policy
+ * (config/rateLimits.js), counted in Mongo so all instances share the limit.
+ * If Mongo is unreachable the request is let through rather than failing.
+ */
+export function rateLimiter(name) {
+  const policy = RATE_LIMITS[name];
+  if (!policy) throw new Error(`Unknown rate-limit policy: ${name}`);
+
+  return rateLimit({
+    windowMs: policy.windowMs,
+    max: policy.max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    passOnStoreError: true,
+    store: new MongoRateLimitStore(name),
+    message: { ok: false, code: 429, message: "Too many requests" }
+  });
+}
@@ -0,0 +1,124 @@
+"use strict";
+
+/**
+ * Admin Audit Controller (beginner-friendly)
+ * Features:
+ *   - Browse the audit log (newest first, paginated, filterable)
+ *   - Read / change the retention setting (changing it purges right away)
+ */
+
+import mongoose from "mongoose";
+import AuditLog from "../models/AuditLog.js";
+import AuditSettings from "../models/AuditSettings.js";
+import { getRetentionDays, purgeExpiredAudit } from "../services/AuditTrail.js";
+
+/* -------------------------------- utilities -------------------------------- */
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+function toInt(v, fallback) {
+  const n = Number.parseInt(v, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+// Optional date filter (null if absent, undefined if invalid)
+function readDate(raw) {
+  if (raw === undefined || raw === "") return null;
+  const d = new Date(String(raw));
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+/* ================================ controller ================================ */
+export default {
+  /**
+   * GET /admin/audit
+   * Query: ?page=&pageSize=&adminId=&action=&targetType=&targetId=&from=&to=
+   * Steps: (1) read filters -> (2) query + count (newest first) -> (3) respond
+   */
+  async list(req, res) {
+    try {
+      const page = clamp(toInt(req.query.page, 1), 1, 1_000_000_000);
+      const pageSize = clamp(toInt(req.query.pageSize, 20), 1, 100);
+
+      const cond = {};
+      for (const key of ["adminId", "action", "targetType", "targetId"]) {
+        if (req.query[key]) cond[key] = String(req.query[key]);
+      }
+
+      const from = readDate(req.query.from);
+      const to = readDate(req.query.to);
+      if (from === undefined || to === undefined) {
+        return res.status(400).json({ ok: false, code: 400, message: "Invalid from/to date" });
+      }
+      if (from || to) {
+        cond.createdAt = {};
+        if (from) cond.createdAt.$gte = from;
+        if (to) cond.createdAt.$lte = to;
+      }
+
+      const skip = (page - 1) * pageSize;
+      const [items, total] = await Promise.all([
+        AuditLog.find(cond).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(pageSize).lean(),
+        AuditLog.countDocuments(cond)
+      ]);
+
+      return res.json({ ok: true, data: items, meta: { page, pageSize, total } });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to list audit log" });
+    }
+  },
+
+  /**
+   * GET /admin/audit/:id
+   * Steps: (1) find -> (2) 404 if missing -> (3) respond
+   */
+  async read(req, res) {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+      }
+      const entry = await AuditLog.findById(req.params.id).lean();
+      if (!entry) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+      return res.json({ ok: true, data: entry });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to read audit entry" });
+    }
+  },
+
+  /**
+   * GET /admin/audit/settings
+   * Steps: (1) read single record (defaults if none) -> (2) respond
+   */
+  async getSettings(_req, res) {
+    try {
+      return res.json({ ok: true, settings: { retentionDays: await getRetentionDays() } });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to read settings" });
+    }
+  },
+
+  /**
+   * PUT /admin/audit/settings  { retentionDays: 1-3650 }
+   * Steps: (1) validate -> (2) upsert single record -> (3) purge now -> (4) respond
+   */
+  async updateSettings(req, res) {
+    try {
+      const days = Number((req.body || {}).retentionDays);
+      if (!Number.isInteger(days) || days < 1 || days > 3650) {
+        return res.status(400).json({ ok: false, code: 400, message: "retentionDays must be 1-3650" });
+      }
+
+      const current = await AuditSettings.findOne().sort({ createdAt: -1 });
+      if (current) {
+        current.retentionDays = days;
+        await current.save();
+      } else {
+        await AuditSettings.create({ retentionDays: days });
+      }
+
+      const purged = await purgeExpiredAudit();
+      return res.json({ ok: true, settings: { retentionDays: days }, purged });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to update settings" });
+    }
+  }
+};
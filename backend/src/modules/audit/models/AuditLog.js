@@ -0,0 +1,30 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+// One changed field: values are snapshots (secrets redacted, long values clipped)
+const AuditChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+// One successful mutating admin request
+const AuditLogSchema = new mongoose.Schema({
+  adminId: { type: String, default: null, index: true },
+  adminEmail: { type: String, default: null }, // kept readable after the account is deleted
+  action: { type: String, required: true },     // create | update | delete | status | ...
+  targetType: { type: String, required: true }, // brand | blog | smtp | admin | ...
+  targetId: { type: String, default: null },
+  changes: { type: [AuditChangeSchema], default: [] },
+  meta: { type: mongoose.Schema.Types.Mixed, default: null }, // extra context (e.g. import totals)
+  method: { type: String, default: "" },
+  path: { type: String, default: "" },
+  ip: { type: String, default: "" },
+  ua: { type: String, default: "" },
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+AuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+export default mongoose.model("AuditLog", AuditLogSchema);
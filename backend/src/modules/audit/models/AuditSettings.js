@@ -0,0 +1,17 @@
+"use strict";
+
+/**
+ * Audit log settings (single record only)
+ * Fields: retentionDays (entries older than this are purged)
+ */
+
+import mongoose from "mongoose";
+
+const AuditSettingsSchema = new mongoose.Schema(
+  {
+    retentionDays: { type: Number, default: 180, min: 1, max: 3650 }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("AuditSettings", AuditSettingsSchema);
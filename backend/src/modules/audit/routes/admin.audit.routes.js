@@ -0,0 +1,44 @@
+"use strict";
+
+/**
+ * Admin Audit Routes (beginner-friendly)
+ * Summary:
+ *   Read-only view of who changed what, plus the retention setting.
+ *   Requires an admin whose role grants the "audit" permission.
+ *
+ *   Endpoints:
+ *     GET /admin/audit            -> Paginated log (?adminId=&action=&targetType=&targetId=&from=&to=)
+ *     GET /admin/audit/settings   -> Retention setting
+ *     PUT /admin/audit/settings   -> Change retention (purges older entries)
+ *     GET /admin/audit/:id        -> Single entry
+ */
+
+import { Router } from "express";
+import { requireAdmin } from "../../../middlewares/authAdmin.js";
+import { PERMISSIONS } from "../../../config/adminRoles.js";
+import { audit } from "../../../middlewares/audit.js";
+import AuditSettings from "../models/AuditSettings.js";
+import AdminAuditController from "../controllers/AdminAuditController.js";
+
+const r = Router();
+
+// Admin + "audit" permission (see config/adminRoles.js)
+const authAdmin = requireAdmin(PERMISSIONS.AUDIT);
+
+/* ------------------------------- AUDIT ROUTES ------------------------------ */
+// Browse the log
+r.get("/", authAdmin, AdminAuditController.list);
+
+// Retention setting (changes to it are audited too)
+r.get("/settings", authAdmin, AdminAuditController.getSettings);
+r.put(
+  "/settings",
+  authAdmin,
+  audit("audit_settings", "update", { find: () => AuditSettings.findOne().sort({ createdAt: -1 }) }),
+  AdminAuditController.updateSettings
+);
+
+// Single entry
+r.get("/:id", authAdmin, AdminAuditController.read);
+
+export default r;
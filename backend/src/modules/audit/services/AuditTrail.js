@@ -0,0 +1,112 @@
+"use strict";
+
+/**
+ * Audit trail
+ * -----------
+ * Writes AuditLog entries and keeps the collection inside its retention window.
+ *   - diffSnapshots(before, after): changed top-level fields only
+ *   - recordAudit(req, entry): best-effort insert (never breaks the admin request)
+ *   - purgeExpiredAudit(): delete entries older than AuditSettings.retentionDays
+ *   - startAuditRetention(): hourly purge timer (called once from server start)
+ *
+ * Secrets are never stored: fields like passwords/hashes/TOTP secrets only
+ * show up as "[redacted]" so the log still says *that* they changed.
+ */
+
+import AuditLog from "../models/AuditLog.js";
+import AuditSettings from "../models/AuditSettings.js";
+
+const DEFAULT_RETENTION_DAYS = 180;
+const PURGE_EVERY_MS = 60 * 60 * 1000; // hourly
+const MAX_VALUE_CHARS = 1000;
+
+const IGNORED_FIELDS = new Set(["_id", "__v", "createdAt", "updatedAt"]);
+const SECRET_FIELDS = new Set([
+  "password",
+  "passwordHash",
+  "totpSecret",
+  "totpPendingSecret",
+  "totpLastStep",
+  "recoveryCodeHashes",
+  "tokenHash",
+  "clientSecret"
+]);
+
+/* -------------------------------- helpers -------------------------------- */
+// Keep long values (e.g. blog HTML) from bloating the log
+function clip(value) {
+  if (value === undefined) return null;
+  if (typeof value === "string") {
+    return value.length > MAX_VALUE_CHARS ? `${value.slice(0, MAX_VALUE_CHARS)}…` : value;
+  }
+  const json = JSON.stringify(value);
+  if (json && json.length > MAX_VALUE_CHARS) return `[${json.length} chars]`;
+  return json === undefined ? null : JSON.parse(json); // ObjectId/Date → plain JSON values
+}
+
+/* ------------------------------- public API ------------------------------- */
+
+// Changed top-level fields between two plain snapshots (null = missing doc)
+export function diffSnapshots(before, after) {
+  const a = before || {};
+  const b = after || {};
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    if (JSON.stringify(a[field]) === JSON.stringify(b[field])) continue;
+    if (SECRET_FIELDS.has(field)) {
+      changes.push({ field, before: "[redacted]", after: "[redacted]" });
+    } else {
+      changes.push({ field, before: clip(a[field]), after: clip(b[field]) });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Insert one entry for the current admin request.
+ * entry = { action, targetType, targetId?, before?, after?, meta? }
+ */
+export async function recordAudit(req, { action, targetType, targetId = null, before = null, after = null, meta = null }) {
+  try {
+    await AuditLog.create({
+      adminId: req.auth?.sub ? String(req.auth.sub) : null,
+      adminEmail: req.admin?.email || null,
+      action,
+      targetType,
+      targetId: targetId ? String(targetId) : null,
+      changes: diffSnapshots(before, after),
+      meta,
+      method: req.method,
+      path: (req.originalUrl || "").split("?")[0].slice(0, 300),
+      ip: req.ip || "",
+      ua: String(req.headers["user-agent"] || "").slice(0, 200)
+    });
+  } catch (e) {
+    console.error("[Audit] record failed:", e && e.message);
+  }
+}
+
+// Current retention (days)
+export async function getRetentionDays() {
+  const s = await AuditSettings.findOne().sort({ createdAt: -1 }).lean();
+  return s ? s.retentionDays : DEFAULT_RETENTION_DAYS;
+}
+
+// Delete entries older than the retention window; returns deleted count
+export async function purgeExpiredAudit() {
+  const days = await getRetentionDays();
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const del = await AuditLog.deleteMany({ createdAt: { $lt: cutoff } });
+  return del.deletedCount || 0;
+}
+
+// Hourly purge (unref'd so it never keeps the process alive)
+export function startAuditRetention() {
+  const run = () => purgeExpiredAudit().catch((e) => console.error("[Audit] purge failed:", e && e.message));
+  run();
+  const timer = setInterval(run, PURGE_EVERY_MS);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,287 @@
+"use strict";
+
+/**
+ * Admin Account Controller
+ * ---------------------------------------------------------
+ * Owners manage who can sign in to the admin panel.
+ *
+ * Routes (permission: admins):
+ *   GET    /admin/accounts                -> list accounts
+ *   POST   /admin/accounts                -> { email, password, role, name? } create
+ *   PATCH  /admin/accounts/:id            -> { role?, isActive?, name? } update
+ *   PUT    /admin/accounts/:id/password   -> { password } reset password
+ *   DELETE /admin/accounts/:id            -> delete account
+ *   DELETE /admin/accounts/:id/2fa        -> turn off 2FA (lost authenticator)
+ *
+ * Rules:
+ *   - Email unique (case-insensitive); password 10–72 chars (bcrypt limit)
+ *   - There is always at least one active owner
+ *   - You cannot deactivate, demote, reset 2FA for or delete your own account here
+ *   - Role change / deactivation / password reset / 2FA reset ends the account's sessions
+ * ---------------------------------------------------------
+ */
+
+import path from "node:path";
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+import validator from "validator";
+import Admin from "../models/Admin.js";
+import { ADMIN_ROLES, isAdminRole, permissionsFor } from "../../../config/adminRoles.js";
+import { BCRYPT_ROUNDS } from "../services/AdminBootstrap.js";
+import { TWO_FACTOR_OFF } from "../services/AdminTwoFactor.js";
+import { revokeAllSessionsForSubject } from "../../../utils/jwt.js";
+import { deleteLocal } from "../../../utils/image.js";
+
+/* ---------------- Small utilities ---------------- */
+
+// Convert absolute file path → browser-friendly URL
+function toPublicUrl(absolutePath) {
+  const idx = absolutePath.lastIndexOf(path.sep + "uploads" + path.sep);
+  if (idx === -1) return absolutePath;
+  return absolutePath.slice(idx).replaceAll(path.sep, "/");
+}
+
+function readPassword(raw) {
+  if (typeof raw !== "string") return { error: "Password required" };
+  if (raw.length < 10 || raw.length > 72) return { error: "Password: 10-72 characters" };
+  return { value: raw };
+}
+
+function toClient(a) {
+  return {
+    _id: a._id,
+    email: a.email,
+    name: a.name ?? null,
+    picture: a.picture ? toPublicUrl(a.picture) : null,
+    role: a.role,
+    permissions: permissionsFor(a.role),
+    isActive: a.isActive,
+    lastLoginAt: a.lastLoginAt ?? null,
+    twoFactorEnabled: Boolean(a.totpEnabledAt),
+    createdAt: a.createdAt,
+    updatedAt: a.updatedAt
+  };
+}
+
+// Would this change leave no active owner behind?
+async function isLastActiveOwner(admin) {
+  if (admin.role !== "owner" || !admin.isActive) return false;
+  const others = await Admin.countDocuments({ _id: { $ne: admin._id }, role: "owner", isActive: true });
+  return others === 0;
+}
+
+/* ============================ Named Exports ============================ */
+
+/**
+ * GET /admin/accounts
+ * Step 1: Load all accounts (small collection) sorted by email
+ * Step 2: Respond
+ */
+export async function listAdmins(req, res) {
+  try {
+    const items = await Admin.find({}).sort({ email: 1 }).lean();
+    return res.json({ ok: true, data: items.map(toClient), roles: ADMIN_ROLES });
+  } catch (e) {
+    console.error("Error in listAdmins():", e);
+    return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to list admins" });
+  }
+}
+
+/**
+ * POST /admin/accounts
+ * Step 1: Validate email/password/role/name
+ * Step 2: 409 if email taken
+ * Step 3: Hash password + create
+ */
+export async function createAdmin(req, res) {
+  try {
+    const body = req.body || {};
+
+    const email = typeof body.email === "string" ? body.email.trim().toLowerCase() : "";
+    if (!validator.isEmail(email)) {
+      return res.status(400).json({ ok: false, code: 400, message: "Valid email required" });
+    }
+
+    const password = readPassword(body.password);
+    if (password.error) return res.status(400).json({ ok: false, code: 400, message: password.error });
+
+    if (!isAdminRole(body.role)) {
+      return res.status(400).json({ ok: false, code: 400, message: `role must be one of ${ADMIN_ROLES.join("|")}` });
+    }
+
+    let name = null;
+    if (body.name !== undefined && body.name !== null) {
+      name = typeof body.name === "string" ? body.name.trim() : "";
+      if (!name || name.length > 50) {
+        return res.status(400).json({ ok: false, code: 400, message: "Name: 1-50 characters" });
+      }
+    }
+
+    if (await Admin.exists({ email })) {
+      return res.status(409).json({ ok: false, code: 409, message: "Email already in use" });
+    }
+
+    const admin = await Admin.create({
+      email,
+      name,
+      role: body.role,
+      isActive: true,
+      passwordHash: await bcrypt.hash(password.value, BCRYPT_ROUNDS)
+    });
+
+    return res.status(201).json({ ok: true, data: toClient(admin) });
+  } catch (e) {
+    console.error("Error in createAdmin():", e);
+    if (e?.code === 11000) return res.status(409).json({ ok: false, code: 409, message: "Email already in use" });
+    return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to create admin" });
+  }
+}
+
+/**
+ * PATCH /admin/accounts/:id
+ * Step 1: Load target (404)
+ * Step 2: Validate role/isActive/name; protect self + last owner
+ * Step 3: Save; end sessions when access shrank
+ */
+export async function updateAdmin(req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+    const body = req.body || {};
+    const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+    const isSelf = String(admin._id) === String(req.auth.sub);
+
+    const nextRole = has("role") ? body.role : admin.role;
+    if (!isAdminRole(nextRole)) {
+      return res.status(400).json({ ok: false, code: 400, message: `role must be one of ${ADMIN_ROLES.join("|")}` });
+    }
+    const nextActive = has("isActive") ? body.isActive : admin.isActive;
+    if (typeof nextActive !== "boolean") {
+      return res.status(400).json({ ok: false, code: 400, message: "isActive boolean required" });
+    }
+
+    const roleChanged = nextRole !== admin.role;
+    const deactivated = admin.isActive && !nextActive;
+
+    if (isSelf && (roleChanged || deactivated)) {
+      return res.status(409).json({ ok: false, code: 409, message: "You cannot change your own role or status" });
+    }
+    if ((roleChanged || deactivated) && await isLastActiveOwner(admin)) {
+      return res.status(409).json({ ok: false, code: 409, message: "At least one active owner is required" });
+    }
+
+    if (has("name")) {
+      if (body.name === null) {
+        admin.name = null;
+      } else {
+        const name = typeof body.name === "string" ? body.name.trim() : "";
+        if (!name || name.length > 50) {
+          return res.status(400).json({ ok: false, code: 400, message: "Name: 1-50 characters" });
+        }
+        admin.name = name;
+      }
+    }
+
+    admin.role = nextRole;
+    admin.isActive = nextActive;
+    await admin.save();
+
+    if (roleChanged || deactivated) await revokeAllSessionsForSubject(admin._id, "admin");
+
+    return res.json({ ok: true, data: toClient(admin) });
+  } catch (e) {
+    console.error("Error in updateAdmin():", e);
+    return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to update admin" });
+  }
+}
+
+/**
+ * PUT /admin/accounts/:id/password
+ * Step 1: Validate password
+ * Step 2: Hash + save
+ * Step 3: End the account's sessions
+ */
+export async function resetPassword(req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+    const password = readPassword((req.body || {}).password);
+    if (password.error) return res.status(400).json({ ok: false, code: 400, message: password.error });
+
+    const admin = await Admin.findByIdAndUpdate(
+      req.params.id,
+      { $set: { passwordHash: await bcrypt.hash(password.value, BCRYPT_ROUNDS) } },
+      { new: true }
+    ).lean();
+    if (!admin) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+    await revokeAllSessionsForSubject(admin._id, "admin");
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("Error in resetPassword():", e);
+    return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to reset password" });
+  }
+}
+
+/**
+ * DELETE /admin/accounts/:id/2fa
+ * Step 1: Refuse own account (use /admin/profile/2fa/disable: password + code)
+ * Step 2: Clear TOTP secret + recovery codes
+ * Step 3: End the account's sessions (they sign in with password only, then re-enrol)
+ */
+export async function resetTwoFactor(req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+    if (String(req.params.id) === String(req.auth.sub)) {
+      return res.status(409).json({ ok: false, code: 409, message: "You cannot reset your own 2FA here" });
+    }
+    const admin = await Admin.findByIdAndUpdate(req.params.id, { $set: TWO_FACTOR_OFF }, { new: true }).lean();
+    if (!admin) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+    await revokeAllSessionsForSubject(admin._id, "admin");
+    return res.json({ ok: true, data: toClient(admin) });
+  } catch (e) {
+    console.error("Error in resetTwoFactor():", e);
+    return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to reset 2FA" });
+  }
+}
+
+/**
+ * DELETE /admin/accounts/:id
+ * Step 1: Load target (404); protect self + last owner
+ * Step 2: Delete row + sessions + picture (best-effort)
+ */
+export async function removeAdmin(req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+    const admin = await Admin.findById(req.params.id).lean();
+    if (!admin) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+    if (String(admin._id) === String(req.auth.sub)) {
+      return res.status(409).json({ ok: false, code: 409, message: "You cannot delete your own account" });
+    }
+    if (await isLastActiveOwner(admin)) {
+      return res.status(409).json({ ok: false, code: 409, message: "At least one active owner is required" });
+    }
+
+    await Admin.deleteOne({ _id: admin._id });
+    await revokeAllSessionsForSubject(admin._id, "admin");
+    if (admin.picture) {
+      try { await deleteLocal(admin.picture); } catch { /* ignore */ }
+    }
+
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("Error in removeAdmin():", e);
+    return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to delete admin" });
+  }
+}
@@ -2,21 +2,29 @@
 
 /* ----------------------------------------------------------
   Admin login / refresh / logout
-  - credentials live in .env  (ADMIN_EMAIL, ADMIN_PASSWORD)
+  - credentials live in the Admin collection (bcrypt hash + role)
+  - the first owner is seeded from .env (services/AdminBootstrap.js)
+  - with 2FA on, login is two steps: password -> mfaToken -> code
   - refresh token stored in http-only cookie  (name = rt)
   - CSRF double-submit cookie vs header
 ---------------------------------------------------------- */
 
 import bcrypt from "bcryptjs";
 import Admin from "../models/Admin.js";
-import RefreshToken from "../models/RefreshToken.js";
 import {
   signAccessToken,
   createSession,
   rotateSession,
+  revokeSessionBySid,
+  revokeSessionByToken,
   setRefreshCookie,
-  clearRefreshCookie
+  clearRefreshCookie,
+  signMfaTicket,
+  verifyMfaTicket
 } from "../../../utils/jwt.js";
+import { permissionsFor } from "../../../config/adminRoles.js";
+import { checkSecondFactor } from "../services/AdminTwoFactor.js";
+import { isLocked, registerFailure, clearFailures } from "../../security/services/Lockouts.js";
 
 /* ---------- tiny helpers -------------------------------- */
 const CSRF_COOKIE = process.env.CSRF_COOKIE_NAME || "csrf";
@@ -40,37 +48,43 @@ function guardCsrf(req) {
   }
 }
 
-/* ---------- simple in-memory rate limiter -------------- */
-const loginAttempts = new Map(); // ip → { fails, lockedUntil }
+/* ---------- failed-login lockout (Mongo, shared by all instances) ---------- */
+const LOCK_SCOPE = "admin_login"; // policy in config/rateLimits.js
 
-function isIpLocked(ip) {
-  const record = loginAttempts.get(ip);
-  if (!record) return false;
-  if (Date.now() < record.lockedUntil) return true;
-  loginAttempts.delete(ip); // lock expired
-  return false;
-}
-
-function registerFail(ip) {
-  const record = loginAttempts.get(ip) || { fails: 0, lockedUntil: 0 };
-  record.fails += 1;
-  if (record.fails >= 5) {
-    record.fails = 0;
-    record.lockedUntil = Date.now() + 15 * 60 * 1000; // 15 min
-  }
-  loginAttempts.set(ip, record);
-}
+const isIpLocked = (ip) => isLocked(LOCK_SCOPE, ip);
+const registerFail = (req, email) =>
+  registerFailure(LOCK_SCOPE, req.ip, { ip: req.ip, ua: req.headers["user-agent"], email });
+const registerSuccess = (ip) => clearFailures(LOCK_SCOPE, ip);
 
-function registerSuccess(ip) {
-  loginAttempts.delete(ip);
+/* ---- dummy hash: unknown emails cost the same bcrypt time -- */
+let dummyHash = null;
+async function getDummyHash() {
+  if (!dummyHash) dummyHash = await bcrypt.hash("not-a-real-password", 12);
+  return dummyHash;
 }
 
-/* ---- tiny hash for lookup ------------------------------ */
-function quickHash(str) {
-  let h = 0;
-  for (let i = 0; i < str.length; i++)
-    h = (Math.imul(h, 31) + str.charCodeAt(i)) | 0;
-  return String(h);
+/* ---- final login step: session + tokens ---------------- */
+async function issueAdminSession(req, res, admin) {
+  await Admin.updateOne({ _id: admin._id }, { $set: { lastLoginAt: new Date() } });
+
+  const accessToken = signAccessToken(admin._id, "admin");
+  const { sid, token: refreshToken } = await createSession({
+    subjectId: admin._id,
+    role: "admin",
+    userAgent: req.headers["user-agent"],
+    ip: req.ip
+  });
+
+  // 🍪 Set refresh token cookie
+  setRefreshCookie(res, refreshToken);
+
+  return res.json({
+    ok: true,
+    accessToken,
+    sid,
+    role: admin.role,
+    permissions: permissionsFor(admin.role)
+  });
 }
 
 /* ========================================================= */
@@ -92,57 +106,93 @@ export async function login(req, res) {
     }
 
     // Rate limit check
-    if (isIpLocked(req.ip)) {
+    if (await isIpLocked(req.ip)) {
       return res.status(429).json({
         ok: false,
         message: "Too many attempts – try later"
       });
     }
 
-    // 1️⃣ Compare email
-    const envEmail = process.env.ADMIN_EMAIL?.trim().toLowerCase();
-    if (email !== envEmail) {
-      registerFail(req.ip);
-      return res.status(401).json({ ok: false, message: "Bad credentials" });
-    }
+    // 1️⃣ Find account (inactive / password-less accounts cannot log in)
+    const admin = await Admin.findOne({ email }).select("+passwordHash");
 
-    // 2️⃣ Compare password
-    const envPassword = process.env.ADMIN_PASSWORD;
-    let passwordOK = false;
+    // 2️⃣ Compare password (always run bcrypt so unknown emails are not faster)
+    const hash = admin?.passwordHash || await getDummyHash();
+    const passwordOK = await bcrypt.compare(String(password), hash);
 
-    if (envPassword?.startsWith("$2a$") || envPassword?.startsWith("$2b$")) {
-      passwordOK = await bcrypt.compare(password, envPassword);
-    } else {
-      passwordOK = password === envPassword;
+    if (!admin || !admin.isActive || !admin.passwordHash || !passwordOK) {
+      await registerFail(req, email);
+      return res.status(401).json({ ok: false, message: "Bad credentials" });
     }
 
-    if (!passwordOK) {
-      registerFail(req.ip);
-      return res.status(401).json({ ok: false, message: "Bad credentials" });
+    // 3️⃣ 2FA on → no session yet, hand out a 5-minute ticket for step two
+    //    (rate limiter is NOT reset until the code is accepted)
+    if (admin.totpEnabledAt) {
+      return res.json({ ok: true, mfaRequired: true, mfaToken: signMfaTicket(admin._id) });
     }
 
     // Reset rate limiter
-    registerSuccess(req.ip);
-
-    // 3️⃣ Ensure admin record exists
-    let admin = await Admin.findOne({ email: envEmail });
-    if (!admin) admin = await Admin.create({ email: envEmail });
+    await registerSuccess(req.ip);
 
     // 4️⃣ Create session + tokens
-    const accessToken = signAccessToken(admin._id, "admin");
-    const { sid, token: refreshToken } = await createSession({
-      subjectId: admin._id,
-      role: "admin",
-      userAgent: req.headers["user-agent"],
-      ip: req.ip
+    return issueAdminSession(req, res, admin);
+  } catch (err) {
+    console.error("Error in login():", err);
+    return res.status(err?.status || 500).json({
+      ok: false,
+      code: err?.status || 500,
+      message: err?.message || "Failed to login"
     });
+  }
+}
+
+// 🔹 POST /admin/auth/login/2fa  { mfaToken, code | recoveryCode }
+export async function loginSecondFactor(req, res) {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body || {};
+    if (typeof mfaToken !== "string" || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        ok: false,
+        message: "mfaToken and code (or recoveryCode) required"
+      });
+    }
+
+    // Rate limit check (shared with the password step)
+    if (await isIpLocked(req.ip)) {
+      return res.status(429).json({
+        ok: false,
+        message: "Too many attempts – try later"
+      });
+    }
+
+    // 1️⃣ Ticket from the password step
+    let ticket;
+    try {
+      ticket = verifyMfaTicket(mfaToken);
+    } catch {
+      return res.status(401).json({ ok: false, message: "Login expired – start again" });
+    }
 
-    // 🍪 Set refresh token cookie
-    setRefreshCookie(res, refreshToken);
+    // 2️⃣ Account still usable?
+    const admin = await Admin.findById(ticket.sub).lean();
+    if (!admin || !admin.isActive || !admin.totpEnabledAt) {
+      return res.status(401).json({ ok: false, message: "Login expired – start again" });
+    }
+
+    // 3️⃣ Code (single use)
+    const method = await checkSecondFactor(admin._id, { code, recoveryCode });
+    if (!method) {
+      await registerFail(req, admin.email);
+      return res.status(401).json({ ok: false, message: "Invalid code" });
+    }
 
-    return res.json({ ok: true, accessToken, sid });
+    // Reset rate limiter
+    await registerSuccess(req.ip);
+
+    // 4️⃣ Create session + tokens
+    return issueAdminSession(req, res, admin);
   } catch (err) {
-    console.error("Error in login():", err);
+    console.error("Error in loginSecondFactor():", err);
     return res.status(err?.status || 500).json({
       ok: false,
       code: err?.status || 500,
@@ -168,11 +218,25 @@ export async function refresh(req, res) {
       ip: req.ip
     });
 
+    // Account removed or deactivated since login → end the session
+    const admin = await Admin.findById(payload.sub).lean();
+    if (!admin || !admin.isActive) {
+      await revokeSessionBySid(newSid);
+      clearRefreshCookie(res);
+      return res.status(401).json({ ok: false, code: 401, message: "Account disabled" });
+    }
+
     setRefreshCookie(res, newToken);
 
     const accessToken = signAccessToken(payload.sub, "admin");
 
-    return res.json({ ok: true, accessToken, sid: newSid });
+    return res.json({
+      ok: true,
+      accessToken,
+      sid: newSid,
+      role: admin.role,
+      permissions: permissionsFor(admin.role)
+    });
   } catch (err) {
     console.error("Error in refresh():", err);
     return res.status(err?.status || 500).json({
@@ -189,17 +253,7 @@ export async function logout(req, res) {
     guardCsrf(req);
 
     const refreshToken = req.cookies.rt;
-    if (refreshToken) {
-      const hashed = quickHash(refreshToken);
-      const row = await RefreshToken.findOne({ tokenHash: hashed });
-
-      if (row?.sid) {
-        await RefreshToken.updateMany(
-          { sid: row.sid },
-          { $set: { revokedAt: new Date() } }
-        );
-      }
-    }
+    if (refreshToken) await revokeSessionByToken(refreshToken);
 
     clearRefreshCookie(res);
     return res.json({ ok: true });
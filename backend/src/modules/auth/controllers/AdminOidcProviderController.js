@@ -0,0 +1,254 @@
+"use strict";
+
+/**
+ * Admin OIDC Provider Controller
+ * ---------------------------------------------------------
+ * Admins manage the OpenID Connect providers users can sign in with.
+ *
+ * Routes (permission: security):
+ *   GET    /admin/oidc-providers       -> list providers (+ callback URL to register)
+ *   POST   /admin/oidc-providers       -> { name, issuer, clientId, clientSecret?, scopes?, slug?, isEnabled? }
+ *   PATCH  /admin/oidc-providers/:id   -> partial update (clientSecret: string = replace, null = remove)
+ *   DELETE /admin/oidc-providers/:id   -> delete provider
+ *
+ * Rules:
+ *   - slug: a-z 0-9 -, unique, fixed after create (it is part of the callback URL)
+ *   - issuer: https URL (http allowed outside production, e.g. a local mock issuer)
+ *   - scopes always include "openid"
+ *   - Enabling runs discovery first; an unreachable/invalid issuer is rejected (422)
+ *   - clientSecret is stored encrypted and never returned (hasClientSecret instead)
+ * ---------------------------------------------------------
+ */
+
+import mongoose from "mongoose";
+import validator from "validator";
+import OidcProvider, { OIDC_CLIENT_SECRET_CONTEXT } from "../models/OidcProvider.js";
+import OidcLoginState from "../models/OidcLoginState.js";
+import { discover, forgetIssuer } from "../services/Oidc.js";
+import { API_BASE_URL } from "../services/UserLogin.js";
+import { encryptSecret } from "../../../utils/secrets.js";
+
+const isProd = process.env.NODE_ENV === "production";
+
+/* ---------------- Small utilities ---------------- */
+
+function kebab(s) {
+  return String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40);
+}
+
+function callbackUrl(slug) {
+  return `${API_BASE_URL}/auth/oidc/${slug}/callback`;
+}
+
+function toClient(p) {
+  return {
+    _id: p._id,
+    slug: p.slug,
+    name: p.name,
+    issuer: p.issuer,
+    clientId: p.clientId,
+    hasClientSecret: Boolean(p.clientSecret),
+    scopes: p.scopes,
+    isEnabled: p.isEnabled,
+    redirectUri: callbackUrl(p.slug),
+    createdAt: p.createdAt,
+    updatedAt: p.updatedAt
+  };
+}
+
+// Each reader → { value } | { error }
+function readName(raw) {
+  const name = typeof raw === "string" ? raw.trim() : "";
+  if (!name || name.length > 50) return { error: "Name: 1-50 characters" };
+  return { value: name };
+}
+
+function readIssuer(raw) {
+  const issuer = typeof raw === "string" ? raw.trim().replace(/\/+$/, "") : "";
+  const protocols = isProd ? ["https"] : ["https", "http"];
+  if (!validator.isURL(issuer, { protocols, require_protocol: true, require_tld: isProd })) {
+    return { error: isProd ? "issuer must be an https URL" : "issuer must be an http(s) URL" };
+  }
+  return { value: issuer };
+}
+
+function readClientId(raw) {
+  const id = typeof raw === "string" ? raw.trim() : "";
+  if (!id || id.length > 200) return { error: "clientId: 1-200 characters" };
+  return { value: id };
+}
+
+// "openid email" or ["openid","email"] → unique list, "openid" first
+function readScopes(raw) {
+  const list = Array.isArray(raw) ? raw : typeof raw === "string" ? raw.split(/\s+/) : null;
+  if (!list || list.some(s => typeof s !== "string")) return { error: "scopes must be a list of strings" };
+  const scopes = [...new Set(["openid", ...list.map(s => s.trim()).filter(Boolean)])];
+  if (scopes.length > 20 || scopes.some(s => !/^[\x21-\x7e]{1,100}$/.test(s))) return { error: "Invalid scopes" };
+  return { value: scopes };
+}
+
+// Enabling must not break the login button: check discovery now
+async function checkIssuer(issuer) {
+  try {
+    forgetIssuer(issuer);
+    await discover(issuer, { fresh: true });
+    return null;
+  } catch (e) {
+    return e?.message || "Discovery failed";
+  }
+}
+
+/* ============================ Named Exports ============================ */
+
+/**
+ * GET /admin/oidc-providers
+ * Step 1: Load all providers (small collection), sorted by name
+ */
+export async function listProviders(req, res) {
+  try {
+    const items = await OidcProvider.find({}).select("+clientSecret").sort({ name: 1 }).lean();
+    return res.json({ ok: true, data: items.map(toClient) });
+  } catch (e) {
+    console.error("Error in listProviders():", e);
+    return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to list providers" });
+  }
+}
+
+/**
+ * POST /admin/oidc-providers
+ * Step 1: Validate fields
+ * Step 2: 409 if slug taken; 422 if enabling and discovery fails
+ * Step 3: Create
+ */
+export async function createProvider(req, res) {
+  try {
+    const body = req.body || {};
+
+    const name = readName(body.name);
+    if (name.error) return res.status(400).json({ ok: false, code: 400, message: name.error });
+    const issuer = readIssuer(body.issuer);
+    if (issuer.error) return res.status(400).json({ ok: false, code: 400, message: issuer.error });
+    const clientId = readClientId(body.clientId);
+    if (clientId.error) return res.status(400).json({ ok: false, code: 400, message: clientId.error });
+    const scopes = readScopes(body.scopes ?? "openid email profile");
+    if (scopes.error) return res.status(400).json({ ok: false, code: 400, message: scopes.error });
+
+    let clientSecret = null;
+    if (body.clientSecret !== undefined && body.clientSecret !== null) {
+      if (typeof body.clientSecret !== "string" || !body.clientSecret || body.clientSecret.length > 500) {
+        return res.status(400).json({ ok: false, code: 400, message: "clientSecret: 1-500 characters" });
+      }
+      clientSecret = encryptSecret(body.clientSecret, OIDC_CLIENT_SECRET_CONTEXT);
+    }
+
+    const isEnabled = body.isEnabled ?? false;
+    if (typeof isEnabled !== "boolean") {
+      return res.status(400).json({ ok: false, code: 400, message: "isEnabled boolean required" });
+    }
+
+    const slug = kebab(body.slug ?? name.value);
+    if (!slug) return res.status(400).json({ ok: false, code: 400, message: "slug: a-z, 0-9 and -" });
+    if (await OidcProvider.exists({ slug })) {
+      return res.status(409).json({ ok: false, code: 409, message: "Slug already in use" });
+    }
+
+    if (isEnabled) {
+      const problem = await checkIssuer(issuer.value);
+      if (problem) return res.status(422).json({ ok: false, code: 422, message: problem });
+    }
+
+    const provider = await OidcProvider.create({
+      slug,
+      name: name.value,
+      issuer: issuer.value,
+      clientId: clientId.value,
+      clientSecret,
+      scopes: scopes.value,
+      isEnabled
+    });
+
+    return res.status(201).json({ ok: true, data: toClient(provider) });
+  } catch (e) {
+    console.error("Error in createProvider():", e);
+    if (e?.code === 11000) return res.status(409).json({ ok: false, code: 409, message: "Slug already in use" });
+    return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to create provider" });
+  }
+}
+
+/**
+ * PATCH /admin/oidc-providers/:id
+ * Step 1: Load provider (404)
+ * Step 2: Validate present fields
+ * Step 3: Enabled after the change → discovery must pass (422)
+ * Step 4: Save
+ */
+export async function updateProvider(req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+    const provider = await OidcProvider.findById(req.params.id).select("+clientSecret");
+    if (!provider) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+    const body = req.body || {};
+    const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+    const readers = { name: readName, issuer: readIssuer, clientId: readClientId, scopes: readScopes };
+
+    for (const [field, read] of Object.entries(readers)) {
+      if (!has(field)) continue;
+      const r = read(body[field]);
+      if (r.error) return res.status(400).json({ ok: false, code: 400, message: r.error });
+      provider[field] = r.value;
+    }
+
+    if (has("clientSecret")) {
+      if (body.clientSecret === null) {
+        provider.clientSecret = null;
+      } else if (typeof body.clientSecret !== "string" || !body.clientSecret || body.clientSecret.length > 500) {
+        return res.status(400).json({ ok: false, code: 400, message: "clientSecret: 1-500 characters" });
+      } else {
+        provider.clientSecret = encryptSecret(body.clientSecret, OIDC_CLIENT_SECRET_CONTEXT);
+      }
+    }
+
+    if (has("isEnabled")) {
+      if (typeof body.isEnabled !== "boolean") {
+        return res.status(400).json({ ok: false, code: 400, message: "isEnabled boolean required" });
+      }
+      provider.isEnabled = body.isEnabled;
+    }
+
+    if (provider.isEnabled && (provider.isModified("issuer") || provider.isModified("isEnabled"))) {
+      const problem = await checkIssuer(provider.issuer);
+      if (problem) return res.status(422).json({ ok: false, code: 422, message: problem });
+    }
+
+    await provider.save();
+    return res.json({ ok: true, data: toClient(provider) });
+  } catch (e) {
+    console.error("Error in updateProvider():", e);
+    return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to update provider" });
+  }
+}
+
+/**
+ * DELETE /admin/oidc-providers/:id
+ * Step 1: Delete provider (404)
+ * Step 2: Drop its pending logins
+ */
+export async function removeProvider(req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+    const provider = await OidcProvider.findByIdAndDelete(req.params.id).lean();
+    if (!provider) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+    await OidcLoginState.deleteMany({ providerId: provider._id });
+    forgetIssuer(provider.issuer);
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("Error in removeProvider():", e);
+    return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to delete provider" });
+  }
+}
@@ -9,11 +9,22 @@
   GET    /admin/profile/picture
   PATCH  /admin/profile/picture
   DELETE /admin/profile/picture
+  GET    /admin/profile/me
+  PATCH  /admin/profile/password
 ------------------------------------------------------------------ */
 
 import path from "node:path";
+import bcrypt from "bcryptjs";
 import { assertImageBuffer } from "../../../config/multer.js";
 import { saveWebpCover512, deleteLocal } from "../../../utils/image.js";
+import {
+  signAccessToken,
+  createSession,
+  revokeAllSessionsForSubject,
+  setRefreshCookie
+} from "../../../utils/jwt.js";
+import { permissionsFor } from "../../../config/adminRoles.js";
+import { BCRYPT_ROUNDS } from "../services/AdminBootstrap.js";
 import Admin from "../models/Admin.js";
 
 // 1 MB size limit for uploaded pictures
@@ -26,11 +37,14 @@ function getAdminUploadFolder() {
   return path.resolve(process.cwd(), "uploads", "admin");
 }
 
-// Make sure we have an admin document in the database
-async function findOrCreateAdmin() {
-  const email = String(process.env.ADMIN_EMAIL || "").toLowerCase().trim();
-  let admin = await Admin.findOne({ email });
-  if (!admin) admin = await Admin.create({ email });
+// Load the signed-in admin's document (authAdmin already checked it exists)
+async function findCurrentAdmin(req) {
+  const admin = await Admin.findById(req.auth.sub);
+  if (!admin) {
+    const err = new Error("Not found");
+    err.status = 404;
+    throw err;
+  }
   return admin;
 }
 
@@ -46,7 +60,7 @@ function toPublicUrl(absolutePath) {
 /* -------- Name -------- */
 export async function getName(req, res) {
   try {
-    const admin = await findOrCreateAdmin();
+    const admin = await findCurrentAdmin(req);
     const name = admin?.name ?? null;
     return res.json({ ok: true, name });
   } catch (err) {
@@ -73,7 +87,7 @@ export async function setName(req, res) {
         .json({ ok: false, message: "Name: 1-50 characters" });
     }
 
-    const admin = await findOrCreateAdmin();
+    const admin = await findCurrentAdmin(req);
     admin.name = name;
     await admin.save();
 
@@ -88,7 +102,7 @@ export async function setName(req, res) {
 
 export async function clearName(req, res) {
   try {
-    const admin = await findOrCreateAdmin();
+    const admin = await findCurrentAdmin(req);
     admin.name = null;
     await admin.save();
     return res.json({ ok: true });
@@ -103,7 +117,7 @@ export async function clearName(req, res) {
 /* -------- Picture -------- */
 export async function getPicture(req, res) {
   try {
-    const admin = await findOrCreateAdmin();
+    const admin = await findCurrentAdmin(req);
     const picture = admin?.picture ? toPublicUrl(admin.picture) : null;
     return res.json({ ok: true, picture });
   } catch (err) {
@@ -126,7 +140,7 @@ export async function setPicture(req, res) {
 
     await assertImageBuffer(fileBuffer, MAX_IMG_SIZE);
 
-    const admin = await findOrCreateAdmin();
+    const admin = await findCurrentAdmin(req);
 
     const folder = path.join(getAdminUploadFolder(), String(admin._id));
     const newPath = await saveWebpCover512(fileBuffer, folder);
@@ -151,7 +165,7 @@ export async function setPicture(req, res) {
 
 export async function clearPicture(req, res) {
   try {
-    const admin = await findOrCreateAdmin();
+    const admin = await findCurrentAdmin(req);
 
     if (admin.picture) {
       await deleteLocal(admin.picture);
@@ -168,3 +182,71 @@ export async function clearPicture(req, res) {
       .json({ ok: false, message: err?.message || "Failed to clear picture" });
   }
 }
+
+/* -------- Account -------- */
+
+// GET /admin/profile/me -> email, role, permissions (for the admin UI)
+export async function getMe(req, res) {
+  try {
+    const admin = req.admin;
+    return res.json({
+      ok: true,
+      data: {
+        _id: admin._id,
+        email: admin.email,
+        name: admin.name ?? null,
+        picture: admin.picture ? toPublicUrl(admin.picture) : null,
+        role: admin.role,
+        permissions: permissionsFor(admin.role),
+        lastLoginAt: admin.lastLoginAt ?? null,
+        twoFactorEnabled: Boolean(admin.totpEnabledAt)
+      }
+    });
+  } catch (err) {
+    console.error("Error in getMe():", err);
+    return res
+      .status(500)
+      .json({ ok: false, message: err?.message || "Failed to get account" });
+  }
+}
+
+// PATCH /admin/profile/password { currentPassword, newPassword }
+// Ends every other session and hands this browser a fresh one.
+export async function changePassword(req, res) {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    if (typeof currentPassword !== "string" || typeof newPassword !== "string") {
+      return res.status(400).json({ ok: false, message: "currentPassword and newPassword required" });
+    }
+    if (newPassword.length < 10 || newPassword.length > 72) {
+      return res.status(400).json({ ok: false, message: "Password: 10-72 characters" });
+    }
+
+    const admin = await Admin.findById(req.auth.sub).select("+passwordHash");
+    const ok = admin?.passwordHash && await bcrypt.compare(currentPassword, admin.passwordHash);
+    if (!ok) {
+      return res.status(401).json({ ok: false, message: "Current password is wrong" });
+    }
+
+    admin.passwordHash = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+    await admin.save();
+
+    await revokeAllSessionsForSubject(admin._id, "admin");
+    const accessToken = signAccessToken(admin._id, "admin");
+    const { sid, token } = await createSession({
+      subjectId: admin._id,
+      role: "admin",
+      userAgent: req.headers["user-agent"],
+      ip: req.ip
+    });
+    setRefreshCookie(res, token);
+
+    return res.json({ ok: true, accessToken, sid });
+  } catch (err) {
+    console.error("Error in changePassword():", err);
+    return res
+      .status(500)
+      .json({ ok: false, message: err?.message || "Failed to change password" });
+  }
+}
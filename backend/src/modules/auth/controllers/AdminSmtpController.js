@@ -1,20 +1,51 @@
 "use strict";
 
 /**
- * Admin SMTP Controller (Single Record, Partial Update)
- * -----------------------------------------------------
- * Handles SMTP configuration CRUD for admin users.
+ * Admin SMTP Controller (several profiles, priority failover)
+ * -----------------------------------------------------------
+ * Handles SMTP profile CRUD for admin users.
  * Verifies SMTP credentials using nodemailer before saving.
  *
  * Routes:
- *   POST   /admin/smtp   -> create/replace config (verify first)
- *   GET    /admin/smtp   -> read latest config
- *   PUT    /admin/smtp   -> partial update (verify merged config)
- *   DELETE /admin/smtp   -> delete current config
+ *   GET    /admin/smtp       -> list profiles (priority order) + mail categories + today's usage
+ *   POST   /admin/smtp       -> create profile (verify first)
+ *   GET    /admin/smtp/:id   -> read one profile
+ *   PUT    /admin/smtp/:id   -> partial update (verify again if connection fields change)
+ *   DELETE /admin/smtp/:id   -> delete profile
+ *   POST   /admin/smtp/test  -> { to, profileId?, config? } send a test mail + stage diagnostics
+ *
+ * Compatibility with the single-config API (before profiles):
+ *   PUT    /admin/smtp       -> updates the primary profile (first in priority order)
+ *   DELETE /admin/smtp       -> deletes the primary profile
+ *   GET    /admin/smtp       -> also returns `smtp` = primary profile (null if none)
+ *   POST   /admin/smtp       -> now ADDS a profile (name defaults to "default")
+ *                               instead of replacing the config; a second unnamed
+ *                               create gets 409. Responses carry `data`
+ *                               (plus `smtp` on GET), never the password.
+ *
+ * Profile fields:
+ *   name (unique), priority (0-1000, lowest tried first), isActive,
+ *   host, port, tlsMode (tls|starttls|none), username, password,
+ *   fromAddress (default: username), fromName, dailyCap (0 = unlimited),
+ *   categories (mail categories this profile handles; [] = all)
+ *
+ * The password is stored encrypted (utils/secrets.js) and never returned:
+ * responses carry hasPassword instead. It is only ever sent to the server it
+ * was saved for: changing host, port, username or tlsMode (update, or a test
+ * with proposed changes) requires the password again.
  */
 
-import SmtpConfig from "../models/SmtpConfig.js";
-import nodemailer from "nodemailer";
+import mongoose from "mongoose";
+import validator from "validator";
+import SmtpConfig, { SMTP_TLS_MODES, SMTP_PASSWORD_CONTEXT } from "../models/SmtpConfig.js";
+import { MAIL_CATEGORIES } from "../../mail/services/MailTemplates.js";
+import { createSmtpTransport, sentTodayByProfile, tlsModeOf } from "../../../utils/mailer.js";
+import { encryptSecret } from "../../../utils/secrets.js";
+import { primarySmtpProfile } from "../services/SmtpProfiles.js";
+import { diagnoseSmtp } from "../services/SmtpDiagnostics.js";
+
+const CONNECTION_FIELDS = ["host", "port", "tlsMode", "username", "password"];
+const DESTINATION_FIELDS = ["host", "port", "username", "tlsMode"];
 
 /* ---------------------- small utility helpers ---------------------- */
 function toNumber(value, fallback = undefined) {
@@ -22,188 +53,330 @@ function toNumber(value, fallback = undefined) {
   return Number.isFinite(n) ? n : fallback;
 }
 
+function isInt(n, min, max) {
+  return Number.isInteger(n) && n >= min && n <= max;
+}
+
+// Trimmed non-empty string up to max chars (no line breaks), else null
+function readText(raw, max) {
+  if (typeof raw !== "string") return null;
+  const s = raw.trim();
+  return s && s.length <= max && !/[\r\n]/.test(s) ? s : null;
+}
+
+/**
+ * Validate profile fields from the request body.
+ * creating=true → connection fields and name are required.
+ * Returns { value: fields to set } or { error }.
+ */
+function readProfile(body, creating) {
+  const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+  const out = {};
+
+  if (creating || has("name")) {
+    out.name = readText(creating ? body.name ?? "default" : body.name, 50);
+    if (!out.name) return { error: "name: 1-50 characters" };
+  }
+  if (creating || has("host")) {
+    out.host = readText(body.host, 255);
+    if (!out.host) return { error: "host required" };
+  }
+  if (creating || has("port")) {
+    out.port = toNumber(body.port);
+    if (!isInt(out.port, 1, 65535)) return { error: "port: 1-65535" };
+  }
+  if (creating || has("username")) {
+    out.username = readText(body.username, 255);
+    if (!out.username) return { error: "username required" };
+  }
+  if (creating || has("password")) {
+    if (typeof body.password !== "string" || !body.password.trim() || body.password.length > 500) {
+      return { error: "password: 1-500 characters" };
+    }
+    out.password = encryptSecret(body.password, SMTP_PASSWORD_CONTEXT);
+  }
+
+  if (has("priority")) {
+    out.priority = toNumber(body.priority);
+    if (!isInt(out.priority, 0, 1000)) return { error: "priority: integer 0-1000" };
+  }
+  if (has("isActive")) {
+    if (typeof body.isActive !== "boolean") return { error: "isActive boolean required" };
+    out.isActive = body.isActive;
+  }
+  if (has("tlsMode")) {
+    if (body.tlsMode !== null && !SMTP_TLS_MODES.includes(body.tlsMode)) {
+      return { error: `tlsMode must be one of ${SMTP_TLS_MODES.join("|")}` };
+    }
+    out.tlsMode = body.tlsMode;
+  }
+  if (has("fromAddress")) {
+    if (body.fromAddress === null || body.fromAddress === "") {
+      out.fromAddress = null;
+    } else {
+      const addr = typeof body.fromAddress === "string" ? body.fromAddress.trim().toLowerCase() : "";
+      if (!validator.isEmail(addr)) return { error: "fromAddress must be an email" };
+      out.fromAddress = addr;
+    }
+  }
+  if (has("fromName")) {
+    if (body.fromName === null || body.fromName === "") {
+      out.fromName = null;
+    } else {
+      out.fromName = readText(body.fromName, 100);
+      if (!out.fromName) return { error: "fromName: 1-100 characters" };
+    }
+  }
+  if (has("dailyCap")) {
+    out.dailyCap = toNumber(body.dailyCap);
+    if (!isInt(out.dailyCap, 0, 10_000_000)) return { error: "dailyCap: integer ≥ 0 (0 = unlimited)" };
+  }
+  if (has("categories")) {
+    if (!Array.isArray(body.categories) || body.categories.some(c => !MAIL_CATEGORIES.includes(c))) {
+      return { error: `categories: array of ${MAIL_CATEGORIES.join("|")}` };
+    }
+    out.categories = [...new Set(body.categories)];
+  }
+
+  return { value: out };
+}
+
 /**
  * Verify SMTP credentials by connecting to the server.
  * Throws if verification fails.
  */
-async function verifySmtp(params) {
-  const host = params && params.host;
-  const port = params && params.port;
-  const username = params && params.username;
-  const password = params && params.password;
-
-  const numericPort = toNumber(port);
-  const transporter = nodemailer.createTransport({
-    host: host,
-    port: numericPort,
-    secure: numericPort === 465, // SMTPS on 465 uses TLS
-    auth: { user: username, pass: password },
-    connectionTimeout: 8000
+async function verifySmtp(cfg) {
+  await createSmtpTransport(cfg).verify();
+}
+
+// Profile → response shape (password never leaves the server)
+function toClient(p, sentToday = undefined) {
+  const { password, ...rest } = typeof p.toObject === "function" ? p.toObject() : p;
+  const out = { ...rest, hasPassword: Boolean(password) };
+  if (sentToday !== undefined) out.sentToday = sentToday;
+  return out;
+}
+
+function badRequest(res, message) {
+  return res.status(400).json({ ok: false, code: 400, message });
+}
+
+/**
+ * Would these changes send the stored password somewhere else?
+ * (destination changed and no new password given)
+ */
+function needsFreshPassword(cfg, fields) {
+  if (fields.password !== undefined) return false;
+  const next = { ...(typeof cfg.toObject === "function" ? cfg.toObject() : cfg), ...fields };
+  return DESTINATION_FIELDS.some(k => {
+    if (fields[k] === undefined) return false;
+    if (k === "tlsMode") return tlsModeOf(next) !== tlsModeOf(cfg);
+    return String(fields[k]).toLowerCase() !== String(cfg[k] ?? "").toLowerCase();
   });
-  await transporter.verify();
+}
+
+function freshPasswordRequired(res) {
+  return badRequest(res, "password required when host, port, username or tlsMode change");
+}
+
+// :id → that profile; no id (legacy single-config routes) → the primary profile
+function findTarget(req) {
+  if (!req.params.id) return primarySmtpProfile().select("+password");
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return SmtpConfig.findById(req.params.id).select("+password");
+}
+
+function notFound(res) {
+  return res.status(404).json({ ok: false, code: 404, message: "SMTP profile not found" });
+}
+
+function nameTaken(res) {
+  return res.status(409).json({ ok: false, code: 409, message: "SMTP profile name already in use" });
 }
 
 /* ============================ Named Exports ============================ */
 
+/**
+ * GET /admin/smtp
+ * List profiles in the order sending tries them.
+ */
+export async function list(req, res) {
+  try {
+    const [profiles, sent] = await Promise.all([
+      SmtpConfig.find({}).select("+password").sort({ priority: 1, createdAt: 1 }).lean(),
+      sentTodayByProfile()
+    ]);
+    const data = profiles.map(p => toClient(p, sent.get(String(p._id)) || 0));
+    const primary = data.find(p => p.isActive !== false) || null;
+    return res.json({ ok: true, data, smtp: primary, categories: MAIL_CATEGORIES, tlsModes: SMTP_TLS_MODES });
+  } catch (e) {
+    return res
+      .status(500)
+      .json({
+        ok: false,
+        code: 500,
+        message: (e && e.message) || "Failed to list SMTP profiles"
+      });
+  }
+}
+
 /**
  * POST /admin/smtp
- * Create or replace the single SMTP configuration.
+ * Create a profile (credentials verified first).
  */
 export async function create(req, res) {
   try {
     const body = req && req.body ? req.body : {};
-    const host = body.host;
-    const port = body.port;
-    const username = body.username;
-    const password = body.password;
-
-    if (!host || !port || !username || !password) {
-      return res
-        .status(400)
-        .json({
-          ok: false,
-          code: 400,
-          message: "host, port, username, and password are required"
-        });
-    }
+    const fields = readProfile(body, true);
+    if (fields.error) return badRequest(res, fields.error);
 
-    await verifySmtp({ host, port, username, password });
-    await SmtpConfig.deleteMany({});
-
-    const cfg = await SmtpConfig.create({
-      host: host,
-      port: toNumber(port),
-      username: username,
-      password: password
-    });
+    const cfg = new SmtpConfig(fields.value);
+    await verifySmtp(cfg);
+    await cfg.save();
 
-    return res.status(201).json({ ok: true, smtp: cfg });
+    return res.status(201).json({ ok: true, data: toClient(cfg) });
   } catch (e) {
+    if (e && e.code === 11000) return nameTaken(res);
     return res
       .status(500)
       .json({
         ok: false,
         code: 500,
-        message: (e && e.message) || "Failed to create SMTP configuration"
+        message: (e && e.message) || "Failed to create SMTP profile"
       });
   }
 }
 
 /**
- * GET /admin/smtp
- * Fetch the latest (single) SMTP configuration.
+ * GET /admin/smtp/:id
+ * Fetch one profile.
  */
 export async function read(req, res) {
   try {
-    const cfg = await SmtpConfig.findOne().sort({ createdAt: -1 });
+    if (!mongoose.isValidObjectId(req.params.id)) return notFound(res);
+    const cfg = await SmtpConfig.findById(req.params.id).select("+password").lean();
+    if (!cfg) return notFound(res);
 
-    if (!cfg) {
-      return res
-        .status(404)
-        .json({ ok: false, code: 404, message: "SMTP not configured" });
-    }
-
-    return res.json({ ok: true, smtp: cfg });
+    return res.json({ ok: true, data: toClient(cfg) });
   } catch (e) {
     return res
       .status(500)
       .json({
         ok: false,
         code: 500,
-        message: (e && e.message) || "Failed to read SMTP configuration"
+        message: (e && e.message) || "Failed to read SMTP profile"
       });
   }
 }
 
 /**
- * PUT /admin/smtp
- * Partially update SMTP config (verify merged values first).
+ * PUT /admin/smtp/:id   (PUT /admin/smtp → primary profile)
+ * Partially update a profile (verify merged values when connection fields change).
  */
 export async function update(req, res) {
   try {
-    const body = req && req.body ? req.body : {};
-    const host = body.host;
-    const port = body.port;
-    const username = body.username;
-    const password = body.password;
-
-    const cfg = await SmtpConfig.findOne().sort({ createdAt: -1 });
-
-    if (!cfg) {
-      return res
-        .status(404)
-        .json({ ok: false, code: 404, message: "SMTP not configured" });
-    }
+    const cfg = await findTarget(req);
+    if (!cfg) return notFound(res);
 
-    const hasAny =
-      host !== undefined ||
-      port !== undefined ||
-      username !== undefined ||
-      password !== undefined;
-
-    if (!hasAny) {
-      return res
-        .status(400)
-        .json({
-          ok: false,
-          code: 400,
-          message:
-            "Provide at least one field to update (host/port/username/password)"
-        });
+    const body = req && req.body ? req.body : {};
+    const fields = readProfile(body, false);
+    if (fields.error) return badRequest(res, fields.error);
+    if (!Object.keys(fields.value).length) {
+      return badRequest(res, "Provide at least one field to update");
     }
+    if (needsFreshPassword(cfg, fields.value)) return freshPasswordRequired(res);
 
-    const merged = {
-      host: host !== undefined ? host : cfg.host,
-      port: port !== undefined ? toNumber(port, cfg.port) : cfg.port,
-      username: username !== undefined ? username : cfg.username,
-      password: password !== undefined ? password : cfg.password
-    };
-
-    await verifySmtp(merged);
-
-    if (host !== undefined) cfg.host = host;
-    if (port !== undefined) cfg.port = toNumber(port, cfg.port);
-    if (username !== undefined) cfg.username = username;
-    if (password !== undefined) cfg.password = password;
-
+    cfg.set(fields.value);
+    if (CONNECTION_FIELDS.some(k => cfg.isModified(k))) await verifySmtp(cfg);
     await cfg.save();
 
-    return res.json({ ok: true, smtp: cfg });
+    return res.json({ ok: true, data: toClient(cfg) });
   } catch (e) {
+    if (e && e.code === 11000) return nameTaken(res);
     return res
       .status(500)
       .json({
         ok: false,
         code: 500,
-        message: (e && e.message) || "Failed to update SMTP configuration"
+        message: (e && e.message) || "Failed to update SMTP profile"
       });
   }
 }
 
 /**
- * DELETE /admin/smtp
- * Delete the current SMTP configuration.
+ * DELETE /admin/smtp/:id   (DELETE /admin/smtp → primary profile)
+ * Delete a profile.
  */
 export async function remove(req, res) {
   try {
-    const cfg = await SmtpConfig.findOne();
-
-    if (!cfg) {
-      return res
-        .status(404)
-        .json({ ok: false, code: 404, message: "SMTP not configured" });
-    }
-
+    const cfg = await findTarget(req);
+    if (!cfg) return notFound(res);
     await SmtpConfig.deleteOne({ _id: cfg._id });
 
-    return res.json({ ok: true, message: "SMTP configuration deleted" });
+    return res.json({ ok: true, message: "SMTP profile deleted", data: { _id: cfg._id } });
   } catch (e) {
     return res
       .status(500)
       .json({
         ok: false,
         code: 500,
-        message: (e && e.message) || "Failed to delete SMTP configuration"
+        message: (e && e.message) || "Failed to delete SMTP profile"
+      });
+  }
+}
+
+/**
+ * POST /admin/smtp/test
+ * Body: { to, profileId?, config? }
+ *   profileId          -> stored profile
+ *   profileId + config -> stored profile with proposed changes (not saved)
+ *   config             -> proposed profile (host, port, username, password, ...)
+ *   neither            -> the first active profile
+ * Responds 200 with the diagnostic either way; data.ok tells whether the mail went out.
+ */
+export async function test(req, res) {
+  try {
+    const body = req && req.body ? req.body : {};
+    const to = typeof body.to === "string" ? body.to.trim().toLowerCase() : "";
+    if (!validator.isEmail(to)) return badRequest(res, "Valid to address required");
+
+    const config = body.config ?? null;
+    if (config !== null && (typeof config !== "object" || Array.isArray(config))) {
+      return badRequest(res, "config must be an object");
+    }
+
+    let cfg;
+    if (body.profileId !== undefined && body.profileId !== null) {
+      if (!mongoose.isValidObjectId(body.profileId)) return notFound(res);
+      cfg = await SmtpConfig.findById(body.profileId).select("+password");
+      if (!cfg) return notFound(res);
+      if (config) {
+        const fields = readProfile(config, false);
+        if (fields.error) return badRequest(res, fields.error);
+        if (needsFreshPassword(cfg, fields.value)) return freshPasswordRequired(res);
+        cfg.set(fields.value); // never saved
+      }
+    } else if (config) {
+      const fields = readProfile({ name: "proposed", ...config }, true);
+      if (fields.error) return badRequest(res, fields.error);
+      cfg = new SmtpConfig(fields.value);
+    } else {
+      cfg = await primarySmtpProfile().select("+password");
+      if (!cfg) {
+        return res.status(422).json({ ok: false, code: 422, message: "SMTP not configured" });
+      }
+    }
+
+    const result = await diagnoseSmtp(cfg, { to });
+    return res.json({ ok: true, data: { profile: cfg.isNew ? null : cfg.name, ...result } });
+  } catch (e) {
+    const status = (e && e.status) || 500;
+    return res
+      .status(status)
+      .json({
+        ok: false,
+        code: status,
+        message: (e && (e.publicMessage || e.message)) || "Failed to test SMTP"
       });
   }
 }
@@ -0,0 +1,164 @@
+"use strict";
+
+/* ------------------------------------------------------------------
+  Admin 2FA (TOTP) controller – the signed-in admin's own settings
+  Routes:
+  GET    /admin/profile/2fa                  -> status
+  POST   /admin/profile/2fa/setup            -> new secret + otpauth:// URI (QR)
+  POST   /admin/profile/2fa/enable           -> { code } confirm + get recovery codes
+  POST   /admin/profile/2fa/disable          -> { password, code | recoveryCode }
+  POST   /admin/profile/2fa/recovery-codes   -> { code | recoveryCode } new set
+
+  Recovery codes are shown once; only their hashes are stored.
+  TOTP secrets are stored encrypted (utils/secrets.js, TOTP_SECRET_CONTEXT).
+------------------------------------------------------------------ */
+
+import bcrypt from "bcryptjs";
+import Admin, { TOTP_SECRET_CONTEXT } from "../models/Admin.js";
+import {
+  generateTotpSecret,
+  totpProvisioningUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from "../../../utils/totp.js";
+import { checkSecondFactor, TOTP_ISSUER, TWO_FACTOR_OFF } from "../services/AdminTwoFactor.js";
+import { encryptSecret, decryptSecret } from "../../../utils/secrets.js";
+
+const RECOVERY_CODE_COUNT = 10;
+
+/* ---------- helpers (private) ---------- */
+
+// Fresh recovery codes → { codes (plain, shown once), hashes (stored) }
+function newRecoveryCodes() {
+  const codes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/* ---------- controllers (named exports) ---------- */
+
+export async function getStatus(req, res) {
+  try {
+    const admin = await Admin.findById(req.auth.sub).select("+recoveryCodeHashes").lean();
+    return res.json({
+      ok: true,
+      enabled: Boolean(admin?.totpEnabledAt),
+      enabledAt: admin?.totpEnabledAt ?? null,
+      recoveryCodesLeft: admin?.totpEnabledAt ? (admin.recoveryCodeHashes || []).length : 0
+    });
+  } catch (err) {
+    console.error("Error in getStatus():", err);
+    return res
+      .status(500)
+      .json({ ok: false, message: err?.message || "Failed to get 2FA status" });
+  }
+}
+
+export async function setup(req, res) {
+  try {
+    const admin = await Admin.findById(req.auth.sub);
+    if (!admin) return res.status(404).json({ ok: false, message: "Not found" });
+    if (admin.totpEnabledAt) {
+      return res.status(409).json({ ok: false, message: "2FA already enabled" });
+    }
+
+    const secret = generateTotpSecret();
+    admin.totpPendingSecret = encryptSecret(secret, TOTP_SECRET_CONTEXT);
+    await admin.save();
+
+    return res.json({
+      ok: true,
+      secret, // for manual entry
+      otpauthUrl: totpProvisioningUri({ secret, label: admin.email, issuer: TOTP_ISSUER })
+    });
+  } catch (err) {
+    console.error("Error in setup():", err);
+    return res
+      .status(500)
+      .json({ ok: false, message: err?.message || "Failed to start 2FA setup" });
+  }
+}
+
+export async function enable(req, res) {
+  try {
+    const admin = await Admin.findById(req.auth.sub).select("+totpPendingSecret");
+    if (!admin) return res.status(404).json({ ok: false, message: "Not found" });
+    if (admin.totpEnabledAt) {
+      return res.status(409).json({ ok: false, message: "2FA already enabled" });
+    }
+    if (!admin.totpPendingSecret) {
+      return res.status(400).json({ ok: false, message: "Run setup first" });
+    }
+
+    const step = verifyTotp(decryptSecret(admin.totpPendingSecret, TOTP_SECRET_CONTEXT), req.body?.code);
+    if (step === null) {
+      return res.status(400).json({ ok: false, message: "Invalid code" });
+    }
+
+    const { codes, hashes } = newRecoveryCodes();
+    admin.totpSecret = admin.totpPendingSecret; // same context: moves as-is
+    admin.totpPendingSecret = null;
+    admin.totpEnabledAt = new Date();
+    admin.totpLastStep = step;
+    admin.recoveryCodeHashes = hashes;
+    await admin.save();
+
+    return res.json({ ok: true, enabled: true, recoveryCodes: codes });
+  } catch (err) {
+    console.error("Error in enable():", err);
+    return res
+      .status(500)
+      .json({ ok: false, message: err?.message || "Failed to enable 2FA" });
+  }
+}
+
+export async function disable(req, res) {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+    if (typeof password !== "string") {
+      return res.status(400).json({ ok: false, message: "Password required" });
+    }
+
+    const admin = await Admin.findById(req.auth.sub).select("+passwordHash");
+    if (!admin) return res.status(404).json({ ok: false, message: "Not found" });
+    if (!admin.totpEnabledAt) {
+      return res.status(409).json({ ok: false, message: "2FA is not enabled" });
+    }
+
+    const passwordOK = admin.passwordHash && await bcrypt.compare(password, admin.passwordHash);
+    if (!passwordOK || !(await checkSecondFactor(admin._id, { code, recoveryCode }))) {
+      return res.status(401).json({ ok: false, message: "Bad credentials" });
+    }
+
+    await Admin.updateOne({ _id: admin._id }, { $set: TWO_FACTOR_OFF });
+    return res.json({ ok: true, enabled: false });
+  } catch (err) {
+    console.error("Error in disable():", err);
+    return res
+      .status(500)
+      .json({ ok: false, message: err?.message || "Failed to disable 2FA" });
+  }
+}
+
+export async function regenerateRecoveryCodes(req, res) {
+  try {
+    const admin = await Admin.findById(req.auth.sub).lean();
+    if (!admin?.totpEnabledAt) {
+      return res.status(409).json({ ok: false, message: "2FA is not enabled" });
+    }
+
+    const { code, recoveryCode } = req.body || {};
+    if (!(await checkSecondFactor(admin._id, { code, recoveryCode }))) {
+      return res.status(401).json({ ok: false, message: "Invalid code" });
+    }
+
+    const { codes, hashes } = newRecoveryCodes();
+    await Admin.updateOne({ _id: admin._id }, { $set: { recoveryCodeHashes: hashes } });
+    return res.json({ ok: true, recoveryCodes: codes });
+  } catch (err) {
+    console.error("Error in regenerateRecoveryCodes():", err);
+    return res
+      .status(500)
+      .json({ ok: false, message: err?.message || "Failed to create recovery codes" });
+  }
+}
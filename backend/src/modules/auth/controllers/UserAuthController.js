@@ -3,38 +3,65 @@
 /**
  * User OTP Auth Controller
  * Routes:
- *   POST   /auth/otp/request
+ *   POST   /auth/otp/request      ({ email, magicLink?: true } → mail also carries a login link)
  *   POST   /auth/otp/verify
+ *   GET    /auth/magic/:token           (link from the mail; signs in only the requesting browser)
+ *   GET    /auth/magic/:token/details   (confirmation page: which device/IP asked)
+ *   POST   /auth/magic/:token/approve   (confirmation page: user confirms on another device)
+ *   POST   /auth/magic/complete         (requesting browser, after the link was confirmed elsewhere)
+ *   (passkey login: UserPasskeyController)
  *   POST   /auth/refresh
  *   POST   /auth/logout
  *   DELETE /auth/account
  */
 
+import crypto from "node:crypto";
 import validator from "validator";
-import nodemailer from "nodemailer";
 import SmtpConfig from "../models/SmtpConfig.js";
+import { ACTIVE_SMTP_PROFILE } from "../services/SmtpProfiles.js";
 import User from "../models/User.js";
-import RefreshToken from "../models/RefreshToken.js";
+import PriceAlert from "../../product/models/PriceAlert.js";
+import SavedItem from "../../saved/models/SavedItem.js";
+import { forgetUserVotes } from "../../vote/services/HotRanker.js";
+import Comment from "../../comment/models/Comment.js";
+import Passkey from "../models/Passkey.js";
+import { forgetUserReviews } from "../../review/services/BrandRating.js";
+import { forgetUserCouponVotes } from "../../coupon/services/CouponStats.js";
 import {
   signAccessToken,
-  createSession,
   rotateSession,
   setRefreshCookie,
   clearRefreshCookie,
+  revokeSessionByToken,
   revokeAllSessionsForSubject
 } from "../../../utils/jwt.js";
+import { sendMailNow, notifyByMail } from "../../mail/services/MailQueue.js";
+import {
+  claimResendCooldown,
+  releaseResendCooldown,
+  countIpRequest,
+  saveOtp,
+  deleteOtp,
+  checkOtp,
+  OTP_TTL_MS
+} from "../services/OtpStore.js";
+import {
+  MAGIC_LINK_TTL_MS,
+  createMagicLink,
+  openMagicLink,
+  describeMagicLink,
+  approveMagicLink,
+  completeMagicLink,
+  forgetMagicLinks
+} from "../services/MagicLinks.js";
+import { API_BASE_URL, signInUser, loginRedirect } from "../services/UserLogin.js";
 
 /* --------------------------- constants & config --------------------------- */
-const OTP_TTL_MS = 180 * 1000;           // 3 minutes
+// Codes, cooldowns and per-IP counters live in Mongo (services/OtpStore.js)
 const OTP_LEN = 6;
-const RESEND_COOLDOWN_MS = 60 * 1000;    // 60 seconds
 const CSRF_COOKIE = process.env.CSRF_COOKIE_NAME || "csrf";
 const CSRF_HEADER = process.env.CSRF_HEADER_NAME || "X-CSRF-Token";
-
-/* ------------------------------- in-memory ------------------------------- */
-if (!global.__otpStore) global.__otpStore = new Map();      // email -> { code, exp, attempts }
-if (!global.__otpCooldown) global.__otpCooldown = new Map(); // email -> cooldownUntil
-if (!global.__otpIpCount) global.__otpIpCount = new Map();   // ip -> { hourStart, count }
+const MAGIC_COOKIE = "ml"; // binds a magic link to the browser that asked for it
 
 /* --------------------------------- utils --------------------------------- */
 function assertCsrf(req) {
@@ -50,13 +77,29 @@ function assertCsrf(req) {
 }
 
 function randomOtp() {
-  return String(Math.floor(Math.random() * Math.pow(10, OTP_LEN))).padStart(OTP_LEN, "0");
+  return String(crypto.randomInt(0, Math.pow(10, OTP_LEN))).padStart(OTP_LEN, "0");
 }
 
 function normalizeEmail(email) {
   return String(email || "").trim().toLowerCase();
 }
 
+function magicCookieOptions() {
+  const secure = process.env.COOKIE_SECURE === "true" || process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    secure,
+    sameSite: "lax", // must be sent when the link is opened from a mail client
+    domain: process.env.COOKIE_DOMAIN || undefined,
+    path: "/auth/magic"
+  };
+}
+
+// Frontend lands with ?magicLink=signed-in|expired, or ?magicLink=confirm&magicToken=...
+function magicRedirect(res, status, extra = {}) {
+  return loginRedirect(res, { magicLink: status, ...extra });
+}
+
 function normalizeMobile(m) {
   if (!m) return null;
   let s = String(m).trim();
@@ -71,29 +114,6 @@ function normalizeMobile(m) {
   return s;
 }
 
-/**
- * Resolve latest SMTP config and return a nodemailer transporter.
- * Throws 422 if SMTP is not configured.
- */
-async function getActiveSmtpTransport(existingCfg) {
-  const cfg = existingCfg || (await SmtpConfig.findOne().sort({ createdAt: -1 }));
-  if (!cfg) {
-    const err = new Error("SMTP not configured");
-    err.status = 422;
-    err.publicMessage = "SMTP not configured";
-    throw err;
-  }
-  const port = Number(cfg.port);
-  const transporter = nodemailer.createTransport({
-    host: cfg.host,
-    port,
-    secure: port === 465, // SMTPS on 465
-    auth: { user: cfg.username, pass: cfg.password },
-    connectionTimeout: 8000
-  });
-  return transporter;
-}
-
 /* ============================ Main controller functions ============================ */
 
 // POST /auth/otp/request
@@ -107,44 +127,50 @@ export async function otpRequest(req, res) {
       return res.json({ ok: true });
     }
 
-    // SMTP must be configured
-    const cfg = await SmtpConfig.findOne().sort({ createdAt: -1 });
-    if (!cfg) {
+    // SMTP must be configured (at least one active profile)
+    if (!(await SmtpConfig.exists(ACTIVE_SMTP_PROFILE))) {
       return res.status(422).json({ ok: false, code: 422, message: "SMTP not configured" });
     }
 
     // Rate limits
     const ip = (req && req.ip) || "";
-    const now = Date.now();
 
-    // Per-email cooldown
-    const until = global.__otpCooldown.get(email) || 0;
-    if (until > now) return res.json({ ok: true });
+    // Per-email cooldown (claimed now, released again if nothing is sent)
+    if (!(await claimResendCooldown(email))) return res.json({ ok: true });
 
     // Per-IP hourly cap (10 requests/hour)
-    const st = global.__otpIpCount.get(ip) || { hourStart: now, count: 0 };
-    if (now - st.hourStart >= 60 * 60 * 1000) { st.hourStart = now; st.count = 0; }
-    if (st.count >= 10) return res.json({ ok: true });
-    st.count += 1;
-    global.__otpIpCount.set(ip, st);
+    if (!(await countIpRequest(ip))) {
+      await releaseResendCooldown(email);
+      return res.json({ ok: true });
+    }
 
     // Create & store OTP (single-use)
     const code = randomOtp();
-    global.__otpStore.set(email, { code, exp: now + OTP_TTL_MS, attempts: 0 });
+    await saveOtp(email, code);
 
-    // Send email
+    // Optional single-use login link, bound to this browser
+    const link = body.magicLink === true
+      ? await createMagicLink(email, { ip, ua: req.headers["user-agent"] })
+      : null;
+    const linkUrl = link ? API_BASE_URL + "/auth/magic/" + encodeURIComponent(link.token) : null;
+
+    // Send email now ("otp" template; fast path, still recorded in the mail log)
     try {
-      const transporter = await getActiveSmtpTransport(cfg);
-      const from = cfg.username;
-      await transporter.sendMail({
-        from,
+      await sendMailNow("otp", {
         to: email,
-        subject: "Your F Deals OTP Code",
-        text: "Your OTP is " + code + ". It expires in 3 minutes.",
-        html: "<p>Your OTP is <b>" + code + "</b>. It expires in 3 minutes.</p>"
+        vars: {
+          code,
+          minutes: Math.round(OTP_TTL_MS / 60000),
+          magicLinkUrl: linkUrl,
+          magicLinkMinutes: Math.round(MAGIC_LINK_TTL_MS / 60000)
+        }
       });
     } catch (e) {
-      try { global.__otpStore.delete(email); } catch (ignore) {}
+      try {
+        await deleteOtp(email);
+        await releaseResendCooldown(email);
+        if (link) await forgetMagicLinks(email);
+      } catch (ignore) {}
       console.error("[SMTP sendMail error]", {
         name: e && e.name, code: e && e.code, responseCode: e && e.responseCode,
         command: e && e.command, message: e && e.message
@@ -152,8 +178,7 @@ export async function otpRequest(req, res) {
       return res.status(503).json({ ok: false, code: 503, message: "SMTP temporarily unavailable" });
     }
 
-    // Set per-email cooldown
-    global.__otpCooldown.set(email, now + RESEND_COOLDOWN_MS);
+    if (link) res.cookie(MAGIC_COOKIE, link.bind, { ...magicCookieOptions(), maxAge: MAGIC_LINK_TTL_MS });
 
     return res.json({ ok: true });
   } catch (e) {
@@ -177,55 +202,106 @@ export async function otpVerify(req, res) {
       return res.status(400).json({ ok: false, code: 400, message: "Invalid input" });
     }
 
-    const rec = global.__otpStore.get(email);
-    const now = Date.now();
-
-    if (!rec) {
+    // Counts one attempt; consumes the code when it matches
+    const result = await checkOtp(email, code);
+    if (result === "expired") {
       return res.status(410).json({ ok: false, code: 410, message: "OTP expired/used" });
     }
-    if (now > rec.exp) {
-      global.__otpStore.delete(email);
-      return res.status(410).json({ ok: false, code: 410, message: "OTP expired/used" });
+    if (result === "invalid") {
+      return res.status(400).json({ ok: false, code: 400, message: "Invalid OTP" });
     }
-    if (rec.attempts >= 5) {
-      global.__otpStore.delete(email);
-      return res.status(410).json({ ok: false, code: 410, message: "OTP expired/used" });
+
+    // The mailed link (if any) dies with the code
+    await forgetMagicLinks(email);
+
+    // Ensure user + issue tokens
+    const { accessToken, sid } = await signInUser(req, res, email);
+    return res.json({ ok: true, accessToken, sid });
+  } catch (e) {
+    const status = (e && e.status) || 500;
+    return res.status(status).json({
+      ok: false,
+      code: status,
+      message: (e && (e.publicMessage || e.message)) || "Failed to verify OTP"
+    });
+  }
+}
+
+// GET /auth/magic/:token  (opened from the mail → redirect to the frontend; never approves)
+export async function magicLinkOpen(req, res) {
+  try {
+    const cookies = req && req.cookies ? req.cookies : {};
+    const token = String(req.params.token || "");
+    const result = await openMagicLink(token, cookies[MAGIC_COOKIE]);
+
+    if (result.status === "login") {
+      await deleteOtp(result.email); // the code dies with the link
+      await signInUser(req, res, result.email);
+      res.clearCookie(MAGIC_COOKIE, magicCookieOptions());
+      return magicRedirect(res, "signed-in");
+    }
+    if (result.status === "confirm") {
+      return magicRedirect(res, "confirm", { magicToken: token }); // frontend shows the confirm page
     }
+    return magicRedirect(res, "expired");
+  } catch (e) {
+    console.error("Error in magicLinkOpen():", e && e.message);
+    return magicRedirect(res, "expired");
+  }
+}
 
-    rec.attempts += 1;
-    if (code !== rec.code) {
-      return res.status(400).json({ ok: false, code: 400, message: "Invalid OTP" });
+// GET /auth/magic/:token/details  (confirmation page: who asked for this link)
+export async function magicLinkDetails(req, res) {
+  try {
+    const result = await describeMagicLink(String(req.params.token || ""));
+    if (result.status !== "confirm") {
+      return res.status(410).json({ ok: false, code: 410, message: "Link expired/used" });
     }
+    const { requestedAt, expiresAt, ip, device } = result;
+    return res.json({ ok: true, data: { requestedAt, expiresAt, ip, device } });
+  } catch (e) {
+    return res.status(500).json({ ok: false, code: 500, message: (e && e.message) || "Failed to read link" });
+  }
+}
 
-    // Consume OTP
-    global.__otpStore.delete(email);
+// POST /auth/magic/:token/approve  (user confirmed on another device; the requesting browser signs in)
+export async function magicLinkApprove(req, res) {
+  try {
+    const result = await approveMagicLink(String(req.params.token || ""));
+    if (result.status !== "approved") {
+      return res.status(410).json({ ok: false, code: 410, message: "Link expired/used" });
+    }
+    return res.json({ ok: true, approved: true });
+  } catch (e) {
+    return res.status(500).json({ ok: false, code: 500, message: (e && e.message) || "Failed to approve link" });
+  }
+}
 
-    // Ensure user
-    let user = await User.findOne({ email });
-    if (!user) user = await User.create({ email });
+// POST /auth/magic/complete  (requesting browser polls after the link was confirmed on another device)
+export async function magicLinkComplete(req, res) {
+  try {
+    assertCsrf(req);
 
-    // Issue tokens
-    const accessToken = signAccessToken(user._id, "user");
-    const userAgent = req && req.headers ? req.headers["user-agent"] : undefined;
-    const ip = (req && req.ip) || "";
-    const session = await createSession({
-      subjectId: user._id,
-      role: "user",
-      userAgent: userAgent,
-      ip: ip
-    });
-    const sid = session.sid;
-    const refresh = session.token;
+    const cookies = req && req.cookies ? req.cookies : {};
+    const result = await completeMagicLink(cookies[MAGIC_COOKIE]);
 
-    setRefreshCookie(res, refresh);
+    if (result.status === "pending") {
+      return res.status(202).json({ ok: true, pending: true });
+    }
+    if (result.status !== "login") {
+      return res.status(410).json({ ok: false, code: 410, message: "Link expired/used" });
+    }
 
+    await deleteOtp(result.email);
+    const { accessToken, sid } = await signInUser(req, res, result.email);
+    res.clearCookie(MAGIC_COOKIE, magicCookieOptions());
     return res.json({ ok: true, accessToken, sid });
   } catch (e) {
     const status = (e && e.status) || 500;
     return res.status(status).json({
       ok: false,
       code: status,
-      message: (e && (e.publicMessage || e.message)) || "Failed to verify OTP"
+      message: (e && (e.publicMessage || e.message)) || "Failed to complete login"
     });
   }
 }
@@ -251,7 +327,7 @@ export async function refresh(req, res) {
 
     setRefreshCookie(res, newToken);
 
-    const accessToken = signAccessToken(payload.sub, "user");
+    const accessToken = signAccessToken(payload.sub, "user", { sid: newSid });
     return res.json({ ok: true, accessToken, sid: newSid });
   } catch (e) {
     const status = (e && e.status) || 401;
@@ -272,12 +348,7 @@ export async function logout(req, res) {
     try {
       const cookies = req && req.cookies ? req.cookies : {};
       const rt = cookies.rt;
-      if (rt) {
-        await RefreshToken.updateMany(
-          { tokenHash: String(hash(rt)), revokedAt: null },
-          { $set: { revokedAt: new Date() } }
-        );
-      }
+      if (rt) await revokeSessionByToken(rt);
     } catch (ignore) { /* ignore revoke errors */ }
 
     clearRefreshCookie(res);
@@ -310,7 +381,16 @@ export async function deleteAccount(req, res) {
     }
 
     await revokeAllSessionsForSubject(user._id, "user");
+    await PriceAlert.deleteMany({ userId: user._id });
+    await SavedItem.deleteMany({ userId: user._id });
+    await forgetUserVotes(user._id);
+    await forgetUserCouponVotes(user._id);
+    const commentIds = await Comment.find({ userId: user._id }).distinct("_id");
+    await Comment.deleteMany({ $or: [{ _id: { $in: commentIds } }, { ancestors: { $in: commentIds } }] });
+    await forgetUserReviews(user._id);
+    await Passkey.deleteMany({ userId: user._id });
     await User.deleteOne({ _id: user._id });
+    notifyByMail("account_deleted", { to: user.email, vars: { email: user.email } });
 
     clearRefreshCookie(res);
     return res.json({ ok: true });
@@ -323,10 +403,3 @@ export async function deleteAccount(req, res) {
     });
   }
 }
-
-/* ------------------------------ local helpers ----------------------------- */
-function hash(t) {
-  let h = 0;
-  for (let i = 0; i < t.length; i++) h = (h * 31 + t.charCodeAt(i)) | 0;
-  return h;
-}
@@ -0,0 +1,116 @@
+"use strict";
+
+/**
+ * User OIDC Login Controller
+ * Routes:
+ *   GET /auth/oidc/providers         -> enabled providers (login buttons)
+ *   GET /auth/oidc/:slug/start       -> redirect to the provider
+ *   GET /auth/oidc/:slug/callback    -> provider comes back here → session → redirect to the frontend
+ *
+ * The frontend lands with ?oidc=signed-in | denied | failed | unavailable
+ * and then calls /auth/refresh for an access token.
+ * state is kept both in Mongo (single-use, 10 min) and in a cookie on the
+ * browser that started, so a callback cannot be replayed in another browser.
+ */
+
+import OidcProvider from "../models/OidcProvider.js";
+import OidcLoginState from "../models/OidcLoginState.js";
+import { newLoginSecrets, authorizationUrl, finishLogin } from "../services/Oidc.js";
+import { API_BASE_URL, signInUser, loginRedirect } from "../services/UserLogin.js";
+
+/* --------------------------- constants & config --------------------------- */
+const STATE_COOKIE = "oidc_state";
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+/* --------------------------------- utils --------------------------------- */
+function stateCookieOptions() {
+  const secure = process.env.COOKIE_SECURE === "true" || process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    secure,
+    sameSite: "lax", // the provider redirects back with a top-level GET
+    domain: process.env.COOKIE_DOMAIN || undefined,
+    path: "/auth/oidc"
+  };
+}
+
+function callbackUrl(slug) {
+  return `${API_BASE_URL}/auth/oidc/${slug}/callback`;
+}
+
+/* ============================ Main controller functions ============================ */
+
+// GET /auth/oidc/providers
+export async function listProviders(req, res) {
+  try {
+    const items = await OidcProvider.find({ isEnabled: true }).sort({ name: 1 }).lean();
+    return res.json({
+      ok: true,
+      data: items.map(p => ({ slug: p.slug, name: p.name, startUrl: `/auth/oidc/${p.slug}/start` }))
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, code: 500, message: (e && e.message) || "Failed to list providers" });
+  }
+}
+
+// GET /auth/oidc/:slug/start
+export async function start(req, res) {
+  try {
+    const provider = await OidcProvider.findOne({ slug: String(req.params.slug), isEnabled: true }).lean();
+    if (!provider) return loginRedirect(res, { oidc: "unavailable" });
+
+    const secrets = newLoginSecrets();
+    const url = await authorizationUrl(provider, { ...secrets, redirectUri: callbackUrl(provider.slug) });
+
+    await OidcLoginState.create({
+      state: secrets.state,
+      providerId: provider._id,
+      codeVerifier: secrets.codeVerifier,
+      nonce: secrets.nonce,
+      expiresAt: new Date(Date.now() + STATE_TTL_MS)
+    });
+
+    res.cookie(STATE_COOKIE, secrets.state, { ...stateCookieOptions(), maxAge: STATE_TTL_MS });
+    return res.redirect(302, url);
+  } catch (e) {
+    console.error("Error in oidc start():", e && e.message);
+    return loginRedirect(res, { oidc: "unavailable" });
+  }
+}
+
+// GET /auth/oidc/:slug/callback?code=&state=  (or ?error= when the user declined)
+export async function callback(req, res) {
+  const cookies = req && req.cookies ? req.cookies : {};
+  res.clearCookie(STATE_COOKIE, stateCookieOptions());
+
+  try {
+    const state = typeof req.query.state === "string" ? req.query.state : "";
+    const code = typeof req.query.code === "string" ? req.query.code : "";
+    if (req.query.error) return loginRedirect(res, { oidc: "denied" });
+    if (!state || !code || cookies[STATE_COOKIE] !== state) return loginRedirect(res, { oidc: "failed" });
+
+    // Single use: the first callback with this state wins
+    const pending = await OidcLoginState.findOneAndDelete({ state, expiresAt: { $gt: new Date() } }).lean();
+    if (!pending) return loginRedirect(res, { oidc: "failed" });
+
+    const provider = await OidcProvider.findOne({
+      _id: pending.providerId,
+      slug: String(req.params.slug),
+      isEnabled: true
+    }).select("+clientSecret").lean();
+    if (!provider) return loginRedirect(res, { oidc: "unavailable" });
+
+    const identity = await finishLogin(provider, {
+      code,
+      codeVerifier: pending.codeVerifier,
+      nonce: pending.nonce,
+      redirectUri: callbackUrl(provider.slug)
+    });
+
+    await signInUser(req, res, identity.email);
+    return loginRedirect(res, { oidc: "signed-in" });
+  } catch (e) {
+    console.error("Error in oidc callback():", e && e.message);
+    return loginRedirect(res, { oidc: "failed" });
+  }
+}
@@ -0,0 +1,202 @@
+"use strict";
+
+/**
+ * User Passkey Controller (WebAuthn)
+ * Routes (signed in):
+ *   GET    /user/passkeys                    -> my passkeys
+ *   POST   /user/passkeys/register/options   -> options for navigator.credentials.create()
+ *   POST   /user/passkeys/register/verify    -> { response, name? } store the new passkey
+ *   DELETE /user/passkeys/:id                -> remove one passkey
+ * Routes (public):
+ *   POST   /auth/passkey/options             -> options for navigator.credentials.get()
+ *   POST   /auth/passkey/verify              -> { response } → same result as /auth/otp/verify
+ *
+ * Binary fields travel as base64url (PublicKeyCredential.toJSON() format).
+ * Challenges are stored in Mongo, single-use, 5 minutes.
+ */
+
+import mongoose from "mongoose";
+import Passkey from "../models/Passkey.js";
+import WebAuthnChallenge from "../models/WebAuthnChallenge.js";
+import User from "../models/User.js";
+import {
+  newChallenge,
+  challengeOf,
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  verifyAuthentication
+} from "../services/WebAuthn.js";
+import { signInUser } from "../services/UserLogin.js";
+
+/* --------------------------- constants & config --------------------------- */
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_PASSKEYS = 20;
+
+/* --------------------------------- utils --------------------------------- */
+function toClient(p) {
+  return {
+    _id: p._id,
+    name: p.name,
+    transports: p.transports,
+    createdAt: p.createdAt,
+    lastUsedAt: p.lastUsedAt
+  };
+}
+
+async function storeChallenge(kind, userId = null) {
+  const challenge = newChallenge();
+  await WebAuthnChallenge.create({ challenge, kind, userId, expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS) });
+  return challenge;
+}
+
+// Take (delete) the stored challenge the browser answered; null if unknown/expired
+async function takeChallenge(response, kind, userId = null) {
+  const challenge = challengeOf(response);
+  const cond = { challenge, kind, expiresAt: { $gt: new Date() } };
+  if (userId) cond.userId = userId;
+  const row = await WebAuthnChallenge.findOneAndDelete(cond).lean();
+  return row ? challenge : null;
+}
+
+function fail(res, e, fallback) {
+  const status = (e && e.status) || 500;
+  return res.status(status).json({
+    ok: false,
+    code: status,
+    message: (e && (e.publicMessage || e.message)) || fallback
+  });
+}
+
+/* ============================ Main controller functions ============================ */
+
+// GET /user/passkeys
+export async function listPasskeys(req, res) {
+  try {
+    const items = await Passkey.find({ userId: req.auth.sub }).sort({ createdAt: -1 }).lean();
+    return res.json({ ok: true, data: items.map(toClient) });
+  } catch (e) {
+    return fail(res, e, "Failed to list passkeys");
+  }
+}
+
+// POST /user/passkeys/register/options
+export async function registerOptions(req, res) {
+  try {
+    const user = await User.findById(req.auth.sub).lean();
+    if (!user) return res.status(404).json({ ok: false, code: 404, message: "User not found" });
+
+    const existing = await Passkey.find({ userId: user._id }).select("credentialId").lean();
+    if (existing.length >= MAX_PASSKEYS) {
+      return res.status(409).json({ ok: false, code: 409, message: `At most ${MAX_PASSKEYS} passkeys` });
+    }
+
+    const challenge = await storeChallenge("register", user._id);
+    const options = registrationOptions({
+      user,
+      challenge,
+      excludeCredentialIds: existing.map(p => p.credentialId)
+    });
+    return res.json({ ok: true, options });
+  } catch (e) {
+    return fail(res, e, "Failed to start passkey registration");
+  }
+}
+
+// POST /user/passkeys/register/verify  { response, name? }
+export async function registerVerify(req, res) {
+  try {
+    const body = req && req.body ? req.body : {};
+    const name = body.name === undefined || body.name === null ? null : String(body.name).trim();
+    if (name !== null && (!name || name.length > 50)) {
+      return res.status(400).json({ ok: false, code: 400, message: "Name: 1-50 characters" });
+    }
+
+    const challenge = await takeChallenge(body.response, "register", req.auth.sub);
+    if (!challenge) {
+      return res.status(410).json({ ok: false, code: 410, message: "Challenge expired/used" });
+    }
+
+    const cred = verifyRegistration(body.response, challenge);
+    const passkey = await Passkey.create({ userId: req.auth.sub, name, ...cred });
+
+    return res.status(201).json({ ok: true, data: toClient(passkey) });
+  } catch (e) {
+    if (e && e.code === 11000) {
+      return res.status(409).json({ ok: false, code: 409, message: "Passkey already registered" });
+    }
+    return fail(res, e, "Failed to register passkey");
+  }
+}
+
+// DELETE /user/passkeys/:id
+export async function removePasskey(req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ ok: false, code: 404, message: "Passkey not found" });
+    }
+    const del = await Passkey.deleteOne({ _id: req.params.id, userId: req.auth.sub });
+    if (!del.deletedCount) {
+      return res.status(404).json({ ok: false, code: 404, message: "Passkey not found" });
+    }
+    return res.json({ ok: true });
+  } catch (e) {
+    return fail(res, e, "Failed to delete passkey");
+  }
+}
+
+// POST /auth/passkey/options
+export async function loginOptions(req, res) {
+  try {
+    const challenge = await storeChallenge("login");
+    return res.json({ ok: true, options: authenticationOptions({ challenge }) });
+  } catch (e) {
+    return fail(res, e, "Failed to start passkey login");
+  }
+}
+
+// POST /auth/passkey/verify  { response }
+export async function loginVerify(req, res) {
+  try {
+    const body = req && req.body ? req.body : {};
+    const response = body.response;
+    const credentialId = response && typeof response.id === "string" ? response.id : "";
+    if (!credentialId) {
+      return res.status(400).json({ ok: false, code: 400, message: "Invalid input" });
+    }
+
+    const challenge = await takeChallenge(response, "login");
+    if (!challenge) {
+      return res.status(410).json({ ok: false, code: 410, message: "Challenge expired/used" });
+    }
+
+    const passkey = await Passkey.findOne({ credentialId }).lean();
+    if (!passkey) {
+      return res.status(401).json({ ok: false, code: 401, message: "Unknown passkey" });
+    }
+
+    const { signCount } = verifyAuthentication(response, challenge, passkey);
+
+    // Counter moves forward only (guards against a replayed/cloned assertion racing this one)
+    const updated = await Passkey.updateOne(
+      { _id: passkey._id, signCount: passkey.signCount },
+      { $set: { signCount, lastUsedAt: new Date() } }
+    );
+    if (!updated.modifiedCount && signCount) {
+      return res.status(401).json({ ok: false, code: 401, message: "Passkey counter went backwards" });
+    }
+
+    const user = await User.findById(passkey.userId).lean();
+    if (!user) {
+      return res.status(401).json({ ok: false, code: 401, message: "Unknown passkey" });
+    }
+
+    const { accessToken, sid } = await signInUser(req, res, user.email);
+    return res.json({ ok: true, accessToken, sid });
+  } catch (e) {
+    if (e && e.status === 400) {
+      return res.status(401).json({ ok: false, code: 401, message: e.message });
+    }
+    return fail(res, e, "Failed to verify passkey");
+  }
+}
@@ -0,0 +1,84 @@
+"use strict";
+
+/**
+ * User Session Controller
+ * Routes:
+ *   GET    /user/sessions        -> my active sessions (newest activity first, current marked)
+ *   DELETE /user/sessions/:sid   -> sign out one session
+ *   DELETE /user/sessions        -> sign out every session except this one
+ *
+ * A session = one non-revoked RefreshToken row (it gets a new sid on every refresh).
+ * Revoking stops refreshes; an already issued access token lives until it expires.
+ */
+
+import RefreshToken from "../models/RefreshToken.js";
+import {
+  revokeSessionBySid,
+  revokeAllSessionsForSubject,
+  SESSION_MAX_AGE_MS
+} from "../../../utils/jwt.js";
+import { parseUserAgent } from "../../../utils/userAgent.js";
+
+/* ------------------------------- helpers ------------------------------- */
+// Active = not revoked and not past the refresh cookie lifetime
+function activeCond(userId) {
+  return {
+    subjectId: String(userId),
+    role: "user",
+    revokedAt: null,
+    createdAt: { $gt: new Date(Date.now() - SESSION_MAX_AGE_MS) }
+  };
+}
+
+/* ============================ Controller functions ============================ */
+export async function listSessions(req, res) {
+  try {
+    const rows = await RefreshToken.find(activeCond(req.auth.sub)).sort({ createdAt: -1 }).lean();
+    const currentSid = req.auth.sid || null;
+
+    const data = rows.map(s => ({
+      sid: s.sid,
+      current: Boolean(currentSid && s.sid === currentSid),
+      ...parseUserAgent(s.ua),
+      ip: s.ip || null,
+      signedInAt: s.startedAt || s.createdAt, // first row of the login (family)
+      lastActiveAt: s.createdAt // rows are re-created on every refresh
+    }));
+
+    return res.json({ ok: true, data });
+  } catch (e) {
+    const msg = (e && e.message) || "Failed to list sessions";
+    return res.status(500).json({ ok: false, code: 500, message: msg });
+  }
+}
+
+export async function revokeSession(req, res) {
+  try {
+    const sid = String(req.params.sid || "");
+    const own = await RefreshToken.exists({ ...activeCond(req.auth.sub), sid });
+    if (!own) {
+      return res.status(404).json({ ok: false, code: 404, message: "Session not found" });
+    }
+
+    await revokeSessionBySid(sid);
+    return res.json({ ok: true, current: sid === req.auth.sid });
+  } catch (e) {
+    const msg = (e && e.message) || "Failed to revoke session";
+    return res.status(500).json({ ok: false, code: 500, message: msg });
+  }
+}
+
+export async function revokeOtherSessions(req, res) {
+  try {
+    if (!req.auth.sid) {
+      // Token issued before sessions were tracked → cannot tell which one to keep
+      return res.status(409).json({ ok: false, code: 409, message: "Refresh your session first" });
+    }
+
+    const revoked = await revokeAllSessionsForSubject(req.auth.sub, "user", { exceptSid: req.auth.sid });
+    return res.json({ ok: true, revoked });
+  } catch (e) {
+    const msg = (e && e.message) || "Failed to revoke sessions";
+    return res.status(500).json({ ok: false, code: 500, message: msg });
+  }
+}
@@ -1,12 +1,26 @@
 "use strict";
 
 import mongoose from "mongoose";
+import { ADMIN_ROLES } from "../../../config/adminRoles.js";
+
+export const TOTP_SECRET_CONTEXT = "admin.totpSecret"; // encryption context (utils/secrets.js), both TOTP fields
 
 const AdminSchema = new mongoose.Schema({
-  // Only 1 admin row kept for profile (name, picture). Credentials come from ENV.
-  email: { type: String, index: true, unique: true },
+  // One row per admin account. The first owner is seeded from ADMIN_EMAIL/ADMIN_PASSWORD.
+  email: { type: String, index: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, default: null, select: false }, // bcrypt
+  role: { type: String, enum: ADMIN_ROLES, default: "support" },
+  isActive: { type: Boolean, default: true },
   name: { type: String, default: null, maxlength: 50 },
-  picture: { type: String, default: null } // file path
+  picture: { type: String, default: null }, // file path
+  lastLoginAt: { type: Date, default: null },
+
+  // Optional TOTP two-factor (utils/totp.js); secrets are stored encrypted and never leave the server after enrolment
+  totpSecret: { type: String, default: null, select: false },
+  totpPendingSecret: { type: String, default: null, select: false }, // enrolment not confirmed yet
+  totpEnabledAt: { type: Date, default: null },
+  totpLastStep: { type: Number, default: 0, select: false },         // last accepted step (no code reuse)
+  recoveryCodeHashes: { type: [String], default: [], select: false }  // sha256 of unused codes
 }, { timestamps: true });
 
 export default mongoose.model("Admin", AdminSchema);
@@ -0,0 +1,25 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+/**
+ * Single-use email login link.
+ * bindHash = SHA-256 of the secret cookie given to the browser that asked
+ * for the link; only that browser can end up signed in.
+ * requestIp/requestUa = that browser, shown when the link is confirmed on another device.
+ */
+const MagicLinkSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  email: { type: String, required: true, index: true },
+  bindHash: { type: String, required: true, index: true },
+  requestIp: { type: String, default: "" },
+  requestUa: { type: String, default: "" },
+  approvedAt: { type: Date, default: null }, // confirmed (POST) on another device
+  usedAt: { type: Date, default: null },     // login completed
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+MagicLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("MagicLink", MagicLinkSchema);
@@ -0,0 +1,16 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+// One pending OIDC login (between /start and /callback); single-use, 10 minutes
+const OidcLoginStateSchema = new mongoose.Schema({
+  state: { type: String, required: true, unique: true },
+  providerId: { type: mongoose.Schema.Types.ObjectId, ref: "OidcProvider", required: true },
+  codeVerifier: { type: String, required: true }, // PKCE
+  nonce: { type: String, required: true },
+  expiresAt: { type: Date, required: true }
+});
+
+OidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("OidcLoginState", OidcLoginStateSchema);
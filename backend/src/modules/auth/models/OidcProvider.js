@@ -0,0 +1,25 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+/**
+ * OpenID Connect provider users can sign in with (managed by admins).
+ * slug is used in the login URLs: /auth/oidc/:slug/start
+ * clientSecret is stored encrypted (utils/secrets.js) and never selected by default.
+ */
+export const OIDC_CLIENT_SECRET_CONTEXT = "oidc.clientSecret"; // encryption context
+
+const OidcProviderSchema = new mongoose.Schema(
+  {
+    slug: { type: String, required: true, unique: true },
+    name: { type: String, required: true, trim: true },   // button label, e.g. "Google"
+    issuer: { type: String, required: true, trim: true }, // e.g. https://accounts.google.com
+    clientId: { type: String, required: true, trim: true },
+    clientSecret: { type: String, default: null, select: false }, // encrypted
+    scopes: { type: [String], default: ["openid", "email", "profile"] },
+    isEnabled: { type: Boolean, default: false, index: true }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("OidcProvider", OidcProviderSchema);
@@ -0,0 +1,17 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+// One pending login code per email (only its keyed hash is stored)
+const OtpCodeSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Mongo removes the row once expiresAt has passed
+OtpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("OtpCode", OtpCodeSchema);
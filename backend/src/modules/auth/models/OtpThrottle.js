@@ -0,0 +1,19 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+/**
+ * OTP request limits, shared by every app instance:
+ *   key "cooldown:<email>" -> resend blocked until expiresAt
+ *   key "ip:<ip>"          -> count requests in the window starting at windowStart
+ */
+const OtpThrottleSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  windowStart: { type: Date, default: null },
+  expiresAt: { type: Date, required: true }
+});
+
+OtpThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("OtpThrottle", OtpThrottleSchema);
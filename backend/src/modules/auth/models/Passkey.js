@@ -0,0 +1,18 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+// A user's WebAuthn credential (one per device / password manager)
+const PasskeySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  credentialId: { type: String, required: true, unique: true }, // base64url
+  publicKey: { type: String, required: true },                 // SPKI PEM
+  alg: { type: Number, required: true },                       // COSE algorithm
+  signCount: { type: Number, default: 0 },
+  transports: { type: [String], default: [] },
+  name: { type: String, default: null, maxlength: 50 },        // label, e.g. "iPhone"
+  lastUsedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+export default mongoose.model("Passkey", PasskeySchema);
@@ -4,9 +4,11 @@ import mongoose from "mongoose";
 
 const RefreshTokenSchema = new mongoose.Schema({
   sid: { type: String, index: true, unique: true },
+  familyId: { type: String, default: null, index: true }, // same for every rotation of one login
+  startedAt: { type: Date, default: null },                // when that login happened
   subjectId: { type: String, index: true },
   role: { type: String, enum: ["admin", "user"], index: true },
-  tokenHash: { type: String, required: true },
+  tokenHash: { type: String, required: true }, // HMAC-SHA256 (see utils/jwt.js)
   ua: { type: String, default: "" },
   ip: { type: String, default: "" },
   createdAt: { type: Date, default: Date.now },
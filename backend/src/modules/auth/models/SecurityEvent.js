@@ -0,0 +1,19 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+// Something security-relevant happened (e.g. a stolen refresh token was replayed)
+const SecurityEventSchema = new mongoose.Schema({
+  type: { type: String, required: true, index: true }, // e.g. "refresh_token_reuse"
+  subjectId: { type: String, default: null, index: true },
+  role: { type: String, default: null },
+  ip: { type: String, default: "" },
+  ua: { type: String, default: "" },
+  details: { type: mongoose.Schema.Types.Mixed, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Keep 180 days
+SecurityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+export default mongoose.model("SecurityEvent", SecurityEventSchema);
@@ -1,20 +1,42 @@
 "use strict";
 
 /**
- * SMTP Config (single record only)
- * Fields: host, port, username, password
+ * SMTP profile (several allowed)
+ * Fields: name, priority, isActive, host, port, tlsMode, username, password,
+ *         fromAddress, fromName, dailyCap, categories
+ *
+ * Sending tries active profiles in priority order (lowest number first) and
+ * fails over to the next one on error or when a profile's daily cap is used up.
+ *   categories = []        -> general profile, used for every mail category
+ *   categories = ["auth"]  -> handles those categories first; never used for others
+ * tlsMode: "tls" (SMTPS, usually 465) | "starttls" (upgrade required) | "none" (plain)
+ * password is stored encrypted (utils/secrets.js) and never selected by default.
  */
 
 import mongoose from "mongoose";
 
+export const SMTP_TLS_MODES = ["tls", "starttls", "none"];
+export const SMTP_PASSWORD_CONTEXT = "smtp.password"; // encryption context (utils/secrets.js)
+
 const SmtpSchema = new mongoose.Schema(
   {
+    name: { type: String, trim: true, default: "default" },
+    priority: { type: Number, default: 100, min: 0 },
+    isActive: { type: Boolean, default: true },
     host: { type: String, required: true, trim: true },
     port: { type: Number, required: true, min: 1, max: 65535 },
+    tlsMode: { type: String, enum: SMTP_TLS_MODES, default: null }, // null = by port (465 → tls)
     username: { type: String, required: true, trim: true },
-    password: { type: String, required: true, trim: true }
+    password: { type: String, required: true, select: false }, // encrypted
+    fromAddress: { type: String, trim: true, lowercase: true, default: null }, // null = username
+    fromName: { type: String, trim: true, default: null },
+    dailyCap: { type: Number, default: 0, min: 0 }, // 0 = unlimited
+    categories: { type: [String], default: [] }
   },
   { timestamps: true }
 );
 
+SmtpSchema.index({ name: 1 }, { unique: true, collation: { locale: "en", strength: 2 } });
+SmtpSchema.index({ isActive: 1, priority: 1 });
+
 export default mongoose.model("SmtpConfig", SmtpSchema);
@@ -0,0 +1,22 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+/**
+ * Mails sent per SMTP profile per UTC day (daily cap counter).
+ * Rows expire a few days after their day ends.
+ */
+const SmtpUsageSchema = new mongoose.Schema(
+  {
+    profileId: { type: mongoose.Schema.Types.ObjectId, ref: "SmtpConfig", required: true },
+    day: { type: String, required: true }, // "YYYY-MM-DD" (UTC)
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true }
+  },
+  { timestamps: false }
+);
+
+SmtpUsageSchema.index({ profileId: 1, day: 1 }, { unique: true });
+SmtpUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("SmtpUsage", SmtpUsageSchema);
@@ -0,0 +1,15 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+// Single-use WebAuthn challenge (5 minutes); userId is set for registration
+const WebAuthnChallengeSchema = new mongoose.Schema({
+  challenge: { type: String, required: true, unique: true },
+  kind: { type: String, enum: ["register", "login"], required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  expiresAt: { type: Date, required: true }
+});
+
+WebAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("WebAuthnChallenge", WebAuthnChallengeSchema);
@@ -0,0 +1,48 @@
+"use strict";
+
+/**
+ * Admin Account Routes
+ * ---------------------------------------------------------
+ * Manage admin panel accounts (owner only: "admins" permission).
+ *
+ * Routes:
+ *   GET    /admin/accounts               -> list accounts
+ *   POST   /admin/accounts               -> create account
+ *   PATCH  /admin/accounts/:id           -> change role / status / name
+ *   PUT    /admin/accounts/:id/password  -> reset password
+ *   DELETE /admin/accounts/:id           -> delete account
+ *   DELETE /admin/accounts/:id/2fa       -> reset 2FA (lost authenticator)
+ * ---------------------------------------------------------
+ */
+
+import { Router } from "express";
+import { requireAdmin } from "../../../middlewares/authAdmin.js";
+import { PERMISSIONS } from "../../../config/adminRoles.js";
+import { audit } from "../../../middlewares/audit.js";
+import Admin from "../models/Admin.js";
+import {
+  listAdmins,
+  createAdmin,
+  updateAdmin,
+  resetPassword,
+  removeAdmin,
+  resetTwoFactor
+} from "../controllers/AdminAccountController.js";
+
+const router = Router();
+
+// Admin + "admins" permission (see config/adminRoles.js)
+const authAdmin = requireAdmin(PERMISSIONS.ADMINS);
+
+// Record successful writes in the audit log
+const auditAccount = (action) => audit("admin", action, { model: Admin });
+
+/* ----------------------------- ACCOUNTS ----------------------------- */
+router.get("/", authAdmin, listAdmins);
+router.post("/", authAdmin, auditAccount("create"), createAdmin);
+router.patch("/:id", authAdmin, auditAccount("update"), updateAdmin);
+router.put("/:id/password", authAdmin, auditAccount("password_reset"), resetPassword);
+router.delete("/:id", authAdmin, auditAccount("delete"), removeAdmin);
+router.delete("/:id/2fa", authAdmin, auditAccount("2fa_reset"), resetTwoFactor);
+
+export default router;
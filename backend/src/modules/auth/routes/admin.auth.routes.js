@@ -3,25 +3,33 @@
 /**
  * Admin Auth Routes
  * ---------------------------------------------------------
- * Handles admin authentication using .env credentials.
+ * Handles admin authentication against DB admin accounts (bcrypt passwords).
  * Uses secure JWT + HttpOnly cookies for access/refresh flow.
  *
  * Routes:
  *   POST /admin/auth/login   -> Authenticate admin & issue tokens
+ *                               (2FA on: returns { mfaRequired, mfaToken } instead)
+ *   POST /admin/auth/login/2fa -> Second step: { mfaToken, code | recoveryCode }
  *   POST /admin/auth/refresh -> Rotate refresh token (cookie-based)
  *   POST /admin/auth/logout  -> Revoke refresh token & clear cookie
+ *
+ * Both login steps share the "adminLogin" rate limit; repeated bad
+ * credentials lock the IP out ("admin_login" lockout, config/rateLimits.js).
  * ---------------------------------------------------------
  */
 
 import { Router } from "express";
+import { rateLimiter } from "../../../middlewares/rateLimit.js";
 
 // 🧩 Import named controller functions
-import { login, refresh, logout } from "../controllers/AdminAuthController.js";
+import { login, loginSecondFactor, refresh, logout } from "../controllers/AdminAuthController.js";
 
 const router = Router();
+const loginLimit = rateLimiter("adminLogin");
 
 /* ------------------------------ AUTH ------------------------------ */
-router.post("/login", login);       // Admin login
+router.post("/login", loginLimit, login);       // Admin login
+router.post("/login/2fa", loginLimit, loginSecondFactor); // Second factor (TOTP / recovery code)
 router.post("/refresh", refresh);   // Refresh token rotation
 router.post("/logout", logout);     // Logout + revoke session
 
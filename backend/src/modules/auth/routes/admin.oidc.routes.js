@@ -0,0 +1,42 @@
+"use strict";
+
+/**
+ * Admin OIDC Provider Routes
+ * ---------------------------------------------------------
+ * Sign-in providers for users ("security" permission).
+ *
+ * Routes:
+ *   GET    /admin/oidc-providers       -> list providers
+ *   POST   /admin/oidc-providers       -> create provider
+ *   PATCH  /admin/oidc-providers/:id   -> update / enable / disable
+ *   DELETE /admin/oidc-providers/:id   -> delete provider
+ * ---------------------------------------------------------
+ */
+
+import { Router } from "express";
+import { requireAdmin } from "../../../middlewares/authAdmin.js";
+import { PERMISSIONS } from "../../../config/adminRoles.js";
+import { audit } from "../../../middlewares/audit.js";
+import OidcProvider from "../models/OidcProvider.js";
+import {
+  listProviders,
+  createProvider,
+  updateProvider,
+  removeProvider
+} from "../controllers/AdminOidcProviderController.js";
+
+const router = Router();
+
+// Admin + "security" permission (see config/adminRoles.js)
+const authAdmin = requireAdmin(PERMISSIONS.SECURITY);
+
+// Record successful writes in the audit log
+const auditProvider = (action) => audit("oidc_provider", action, { model: OidcProvider });
+
+/* ----------------------------- PROVIDERS ----------------------------- */
+router.get("/", authAdmin, listProviders);
+router.post("/", authAdmin, auditProvider("create"), createProvider);
+router.patch("/:id", authAdmin, auditProvider("update"), updateProvider);
+router.delete("/:id", authAdmin, auditProvider("delete"), removeProvider);
+
+export default router;
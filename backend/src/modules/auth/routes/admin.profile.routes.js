@@ -6,11 +6,16 @@
  *
  * /admin/profile/name      -> GET (read), PATCH (update), DELETE (clear)
  * /admin/profile/picture   -> GET (read), PATCH (upload), DELETE (remove)
+ * /admin/profile/me        -> GET (email, role, permissions)
+ * /admin/profile/password  -> PATCH (change own password)
+ * /admin/profile/2fa       -> GET status, POST setup/enable/disable/recovery-codes
  */
 
 import { Router } from "express";
 import { upload } from "../../../config/multer.js";
 import { authAdmin } from "../../../middlewares/authAdmin.js";
+import { audit } from "../../../middlewares/audit.js";
+import Admin from "../models/Admin.js";
 
 // ⬇️ Import named controller functions
 import {
@@ -19,19 +24,42 @@ import {
   clearName,
   getPicture,
   setPicture,
-  clearPicture
+  clearPicture,
+  getMe,
+  changePassword
 } from "../controllers/AdminProfileController.js";
+import {
+  getStatus as get2faStatus,
+  setup as setup2fa,
+  enable as enable2fa,
+  disable as disable2fa,
+  regenerateRecoveryCodes
+} from "../controllers/AdminTwoFactorController.js";
 
 const router = Router();
 
+// Record successful writes in the audit log
+const auditProfile = (action) => audit("admin", action, { find: (req) => Admin.findById(req.auth.sub) });
+
 /* ------------------------------ NAME ------------------------------ */
 router.get("/name", authAdmin, getName);
-router.patch("/name", authAdmin, setName);
-router.delete("/name", authAdmin, clearName);
+router.patch("/name", authAdmin, auditProfile("profile_update"), setName);
+router.delete("/name", authAdmin, auditProfile("profile_update"), clearName);
 
 /* ----------------------------- PICTURE ----------------------------- */
 router.get("/picture", authAdmin, getPicture);
-router.patch("/picture", authAdmin, upload.single("picture"), setPicture);
-router.delete("/picture", authAdmin, clearPicture);
+router.patch("/picture", authAdmin, auditProfile("profile_update"), upload.single("picture"), setPicture);
+router.delete("/picture", authAdmin, auditProfile("profile_update"), clearPicture);
+
+/* ----------------------------- ACCOUNT ----------------------------- */
+router.get("/me", authAdmin, getMe);
+router.patch("/password", authAdmin, auditProfile("password_change"), changePassword);
+
+/* ------------------------------- 2FA ------------------------------- */
+router.get("/2fa", authAdmin, get2faStatus);
+router.post("/2fa/setup", authAdmin, auditProfile("2fa_setup"), setup2fa);
+router.post("/2fa/enable", authAdmin, auditProfile("2fa_enable"), enable2fa);
+router.post("/2fa/disable", authAdmin, auditProfile("2fa_disable"), disable2fa);
+router.post("/2fa/recovery-codes", authAdmin, auditProfile("recovery_codes"), regenerateRecoveryCodes);
 
 export default router;
@@ -3,29 +3,59 @@
 /**
  * Admin SMTP Routes
  * ---------------------------------------------------------
- * CRUD endpoints for managing SMTP configuration (admin-only).
- * Each route requires valid admin authentication via authAdmin middleware.
+ * CRUD endpoints for managing SMTP profiles (admin-only).
+ * Each route requires an admin whose role grants the "smtp" permission (owner only).
+ * Mail is sent through active profiles in priority order, failing over on
+ * errors or used-up daily caps (utils/mailer.js).
  *
  * Routes:
- *   POST   /admin/smtp   -> create or replace config
- *   GET    /admin/smtp   -> read config
- *   PUT    /admin/smtp   -> partial update (re-verify)
- *   DELETE /admin/smtp   -> delete config
+ *   GET    /admin/smtp       -> list profiles
+ *   POST   /admin/smtp       -> create profile (verify first)
+ *   GET    /admin/smtp/:id   -> read profile
+ *   PUT    /admin/smtp/:id   -> partial update (re-verify)
+ *   DELETE /admin/smtp/:id   -> delete profile
+ *   POST   /admin/smtp/test  -> send a test mail (stored or proposed settings) + diagnostics
+ *   PUT    /admin/smtp       -> (legacy) update the primary profile
+ *   DELETE /admin/smtp       -> (legacy) delete the primary profile
+ *   Compatibility notes: controllers/AdminSmtpController.js
  * ---------------------------------------------------------
  */
 
 import { Router } from "express";
-import { authAdmin } from "../../../middlewares/authAdmin.js";
+import { requireAdmin } from "../../../middlewares/authAdmin.js";
+import { PERMISSIONS } from "../../../config/adminRoles.js";
+import { audit } from "../../../middlewares/audit.js";
+import SmtpConfig from "../models/SmtpConfig.js";
+import { primarySmtpProfile } from "../services/SmtpProfiles.js";
 
 // 🧩 Import named controller functions
-import { create, read, update, remove } from "../controllers/AdminSmtpController.js";
+import { list, create, read, update, remove, test } from "../controllers/AdminSmtpController.js";
 
 const router = Router();
 
-/* ----------------------------- SMTP CONFIG ----------------------------- */
-router.post("/", authAdmin, create);
-router.get("/", authAdmin, read);
-router.put("/", authAdmin, update);
-router.delete("/", authAdmin, remove);
+// Admin + "smtp" permission (see config/adminRoles.js)
+const authAdmin = requireAdmin(PERMISSIONS.SMTP);
+
+// Record successful writes in the audit log
+const auditSmtp = (action) => audit("smtp", action, { model: SmtpConfig });
+// Legacy id-less routes act on the primary profile: snapshot that one
+const auditPrimarySmtp = (action) => audit("smtp", action, { find: () => primarySmtpProfile() });
+
+/* ----------------------------- SMTP PROFILES ----------------------------- */
+router.get("/", authAdmin, list);
+router.post("/", authAdmin, auditSmtp("create"), create);
+router.post(
+  "/test",
+  authAdmin,
+  audit("smtp", "test", {
+    meta: (req, body) => ({ to: req.body?.to ?? null, profileId: req.body?.profileId ?? null, delivered: body?.data?.ok ?? null })
+  }),
+  test
+);
+router.get("/:id", authAdmin, read);
+router.put("/", authAdmin, auditPrimarySmtp("update"), update);
+router.put("/:id", authAdmin, auditSmtp("update"), update);
+router.delete("/", authAdmin, auditPrimarySmtp("delete"), remove);
+router.delete("/:id", authAdmin, auditSmtp("delete"), remove);
 
 export default router;
@@ -4,7 +4,7 @@
  * Admin User Insight Routes
  * ---------------------------------------------------------
  * Provides admin-only analytics endpoints for user data.
- * Requires valid admin authentication via authAdmin middleware.
+ * Requires an admin whose role grants the "users" permission.
  *
  * Routes:
  *   GET /admin/users/count  -> total user count
@@ -13,11 +13,15 @@
  */
 
 import { Router } from "express";
-import { authAdmin } from "../../../middlewares/authAdmin.js";
+import { requireAdmin } from "../../../middlewares/authAdmin.js";
+import { PERMISSIONS } from "../../../config/adminRoles.js";
 import { count, list } from "../controllers/AdminUserInsightController.js";
 
 const router = Router();
 
+// Admin + "users" permission (see config/adminRoles.js)
+const authAdmin = requireAdmin(PERMISSIONS.USERS);
+
 /* ----------------------------- USER INSIGHTS ----------------------------- */
 router.get("/count", authAdmin, count); // Get total user count
 router.get("/", authAdmin, list);       // Get paginated user list
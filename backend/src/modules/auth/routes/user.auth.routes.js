@@ -3,8 +3,15 @@
 /**
  * User Auth Routes
  * ---------------------------------------------------------
- *   POST   /auth/otp/request   -> send OTP email (rate-limited)
+ *   POST   /auth/otp/request   -> send OTP email (rate-limited; magicLink:true adds a login link)
  *   POST   /auth/otp/verify    -> verify OTP, login or register user
+ *   GET    /auth/magic/:token  -> login link from the mail (redirects to the frontend)
+ *   GET    /auth/magic/:token/details -> which device/IP asked for the link (confirmation page)
+ *   POST   /auth/magic/:token/approve -> confirm the link on another device
+ *   POST   /auth/magic/complete -> requesting browser finishes a link confirmed elsewhere (CSRF protected)
+ *   POST   /auth/passkey/options -> WebAuthn sign-in challenge
+ *   POST   /auth/passkey/verify  -> verify passkey assertion, login
+ *   (OTP + link opening share the "otp" rate-limit policy, config/rateLimits.js)
  *   POST   /auth/refresh       -> rotate refresh token (CSRF protected)
  *   POST   /auth/logout        -> revoke current session (CSRF protected)
  *   DELETE /auth/account       -> delete user account (requires access token)
@@ -13,21 +20,38 @@
 
 import { Router } from "express";
 import { authUser } from "../../../middlewares/authUser.js";
+import { rateLimiter } from "../../../middlewares/rateLimit.js";
 
 // ⬇️ Named imports from controller
 import {
   otpRequest,
   otpVerify,
+  magicLinkOpen,
+  magicLinkDetails,
+  magicLinkApprove,
+  magicLinkComplete,
   refresh,
   logout,
   deleteAccount
 } from "../controllers/UserAuthController.js";
+import { loginOptions, loginVerify } from "../controllers/UserPasskeyController.js";
 
 const router = Router();
 
 /* --------------------------- OTP-based login flow --------------------------- */
-router.post("/otp/request", otpRequest);
-router.post("/otp/verify", otpVerify);
+const otpLimit = rateLimiter("otp");
+router.post("/otp/request", otpLimit, otpRequest);
+router.post("/otp/verify", otpLimit, otpVerify);
+
+/* --------------------------- Magic link login --------------------------- */
+router.get("/magic/:token", otpLimit, magicLinkOpen);
+router.get("/magic/:token/details", otpLimit, magicLinkDetails);
+router.post("/magic/:token/approve", otpLimit, magicLinkApprove);
+router.post("/magic/complete", magicLinkComplete); // polled → only the global limit
+
+/* --------------------------- Passkey (WebAuthn) login --------------------------- */
+router.post("/passkey/options", otpLimit, loginOptions);
+router.post("/passkey/verify", otpLimit, loginVerify);
 
 /* --------------------------- Token management --------------------------- */
 // CSRF protection is handled inside the controller.
@@ -0,0 +1,23 @@
+"use strict";
+
+/**
+ * User OIDC Login Routes
+ * ---------------------------------------------------------
+ *   GET /auth/oidc/providers        -> enabled providers (login buttons)
+ *   GET /auth/oidc/:slug/start      -> redirect to the provider (authorization code + PKCE)
+ *   GET /auth/oidc/:slug/callback   -> finish login, redirect to the frontend
+ * ---------------------------------------------------------
+ */
+
+import { Router } from "express";
+import { rateLimiter } from "../../../middlewares/rateLimit.js";
+import { listProviders, start, callback } from "../controllers/UserOidcController.js";
+
+const router = Router();
+const loginLimit = rateLimiter("otp"); // same budget as the email login
+
+router.get("/providers", listProviders);
+router.get("/:slug/start", loginLimit, start);
+router.get("/:slug/callback", loginLimit, callback);
+
+export default router;
@@ -0,0 +1,30 @@
+"use strict";
+
+/**
+ * User Passkey Routes (WebAuthn)
+ * Signed-in users manage the passkeys they can sign in with.
+ *
+ *   GET    /user/passkeys                   -> list my passkeys
+ *   POST   /user/passkeys/register/options  -> start registration
+ *   POST   /user/passkeys/register/verify   -> finish registration
+ *   DELETE /user/passkeys/:id               -> delete a passkey
+ */
+
+import { Router } from "express";
+import { authUser } from "../../../middlewares/authUser.js";
+import {
+  listPasskeys,
+  registerOptions,
+  registerVerify,
+  removePasskey
+} from "../controllers/UserPasskeyController.js";
+
+const router = Router();
+
+/* ------------------------------ PASSKEYS ------------------------------ */
+router.get("/", authUser, listPasskeys);
+router.post("/register/options", authUser, registerOptions);
+router.post("/register/verify", authUser, registerVerify);
+router.delete("/:id", authUser, removePasskey);
+
+export default router;
@@ -0,0 +1,27 @@
+"use strict";
+
+/**
+ * User Session Routes
+ * Signed-in users see and end their own sessions (devices).
+ *
+ *   GET    /user/sessions        -> list active sessions (browser/OS parsed, current marked)
+ *   DELETE /user/sessions/:sid   -> revoke one session
+ *   DELETE /user/sessions        -> revoke all other sessions
+ */
+
+import { Router } from "express";
+import { authUser } from "../../../middlewares/authUser.js";
+import {
+  listSessions,
+  revokeSession,
+  revokeOtherSessions
+} from "../controllers/UserSessionController.js";
+
+const router = Router();
+
+/* ------------------------------ SESSIONS ------------------------------ */
+router.get("/", authUser, listSessions);
+router.delete("/", authUser, revokeOtherSessions);
+router.delete("/:sid", authUser, revokeSession);
+
+export default router;
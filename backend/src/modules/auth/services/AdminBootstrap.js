@@ -0,0 +1,35 @@
+"use strict";
+
+/**
+ * Admin bootstrap
+ * ---------------
+ * Runs once on boot. If there is no active owner account yet, the owner is
+ * created (or the existing row upgraded) from ADMIN_EMAIL / ADMIN_PASSWORD.
+ * ADMIN_PASSWORD may be plain text or an existing bcrypt hash ($2a$/$2b$).
+ * After that the env values are ignored: accounts are managed via /admin/accounts.
+ */
+
+import bcrypt from "bcryptjs";
+import Admin from "../models/Admin.js";
+
+export const BCRYPT_ROUNDS = 12;
+
+export async function ensureOwnerAdmin() {
+  const hasOwner = await Admin.exists({ role: "owner", isActive: true, passwordHash: { $ne: null } });
+  if (hasOwner) return;
+
+  const email = String(process.env.ADMIN_EMAIL || "").trim().toLowerCase();
+  const password = process.env.ADMIN_PASSWORD || "";
+  if (!email || !password) {
+    console.warn("[WARN] No owner admin yet — set ADMIN_EMAIL and ADMIN_PASSWORD to create one");
+    return;
+  }
+
+  const passwordHash = /^\$2[ab]\$\d\d\$/.test(password) ? password : await bcrypt.hash(password, BCRYPT_ROUNDS);
+  await Admin.updateOne(
+    { email },
+    { $set: { passwordHash, role: "owner", isActive: true } },
+    { upsert: true }
+  );
+  console.log(`[Admin] Owner account ready for ${email}`);
+}
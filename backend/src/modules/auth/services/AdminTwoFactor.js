@@ -0,0 +1,58 @@
+"use strict";
+
+/**
+ * Admin two-factor helpers
+ * ------------------------
+ * Second-factor checks shared by the 2FA login step and the 2FA settings
+ * endpoints. Both checks are single-use and race-safe:
+ *   - TOTP code: accepted only if its time step is newer than the last one used
+ *   - Recovery code: removed from the list in the same update that accepts it
+ */
+
+import Admin, { TOTP_SECRET_CONTEXT } from "../models/Admin.js";
+import { verifyTotp, hashRecoveryCode } from "../../../utils/totp.js";
+import { decryptSecret } from "../../../utils/secrets.js";
+
+export const TOTP_ISSUER = process.env.TOTP_ISSUER || "Fdeals Admin";
+
+/**
+ * Check { code } or { recoveryCode } for an admin with 2FA enabled.
+ * Returns "totp" | "recovery" on success, null otherwise.
+ */
+export async function checkSecondFactor(adminId, { code, recoveryCode } = {}) {
+  if (typeof code === "string" && code.trim()) {
+    const admin = await Admin.findById(adminId).select("+totpSecret +totpLastStep").lean();
+    if (!admin?.totpEnabledAt || !admin.totpSecret) return null;
+
+    const step = verifyTotp(decryptSecret(admin.totpSecret, TOTP_SECRET_CONTEXT), code);
+    if (step === null) return null;
+
+    const upd = await Admin.updateOne(
+      { _id: admin._id, totpLastStep: { $lt: step } },
+      { $set: { totpLastStep: step } },
+      { timestamps: false }
+    );
+    return upd.modifiedCount === 1 ? "totp" : null;
+  }
+
+  if (typeof recoveryCode === "string" && recoveryCode.trim()) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const upd = await Admin.updateOne(
+      { _id: adminId, totpEnabledAt: { $ne: null }, recoveryCodeHashes: hash },
+      { $pull: { recoveryCodeHashes: hash } },
+      { timestamps: false }
+    );
+    return upd.modifiedCount === 1 ? "recovery" : null;
+  }
+
+  return null;
+}
+
+// Fields that switch 2FA off (disable / owner reset)
+export const TWO_FACTOR_OFF = {
+  totpSecret: null,
+  totpPendingSecret: null,
+  totpEnabledAt: null,
+  totpLastStep: 0,
+  recoveryCodeHashes: []
+};
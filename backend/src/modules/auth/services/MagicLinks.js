@@ -0,0 +1,141 @@
+"use strict";
+
+/**
+ * Magic links (email login without typing the OTP)
+ * ------------------------------------------------
+ * createMagicLink(email) → { token, bind }
+ *   token goes into the mail link; bind goes into an httpOnly cookie on the
+ *   browser that requested it. Only a hash of bind is stored.
+ *
+ * Opening the link (GET) never approves anything:
+ *   - same browser (bind cookie matches)  → "login" (link consumed)
+ *   - any other device (e.g. phone)        → "confirm": the frontend shows
+ *     which device/IP asked (describeMagicLink) and the user must press
+ *     confirm (approveMagicLink, POST); the requesting browser then finishes
+ *     with completeMagicLink(bind)
+ * So a mail scanner prefetching the link, or a victim clicking a link an
+ * attacker requested, signs nobody in.
+ * Links live 10 minutes, are single-use, and a new request replaces the old one.
+ */
+
+import crypto from "node:crypto";
+import { v4 as uuidv4 } from "uuid";
+import MagicLink from "../models/MagicLink.js";
+import { signMagicLinkToken, verifyMagicLinkToken } from "../../../utils/jwt.js";
+import { parseUserAgent } from "../../../utils/userAgent.js";
+
+export const MAGIC_LINK_TTL_MS = 10 * 60 * 1000;
+
+function hashBind(bind) {
+  return crypto.createHash("sha256").update(String(bind)).digest("hex");
+}
+
+function liveCond(extra) {
+  return { usedAt: null, expiresAt: { $gt: new Date() }, ...extra };
+}
+
+// Link token → its payload, or null when invalid/expired
+function readToken(token) {
+  try {
+    return verifyMagicLinkToken(token);
+  } catch {
+    return null;
+  }
+}
+
+// { ip, ua } = the requesting browser (shown on the confirmation page)
+export async function createMagicLink(email, { ip = "", ua = "" } = {}) {
+  await forgetMagicLinks(email);
+
+  const jti = uuidv4();
+  const bind = crypto.randomBytes(32).toString("base64url");
+  await MagicLink.create({
+    jti,
+    email,
+    bindHash: hashBind(bind),
+    requestIp: String(ip || ""),
+    requestUa: String(ua || "").slice(0, 200),
+    expiresAt: new Date(Date.now() + MAGIC_LINK_TTL_MS)
+  });
+
+  return { token: signMagicLinkToken(email, jti), bind };
+}
+
+/**
+ * Link clicked (GET). Returns { status: "login", email } | { status: "confirm" } | { status: "expired" }
+ * Only the requesting browser signs in here; anywhere else nothing changes.
+ */
+export async function openMagicLink(token, bind) {
+  const payload = readToken(token);
+  if (!payload) return { status: "expired" };
+
+  // Requesting browser → consume and sign in here
+  if (bind) {
+    const used = await MagicLink.findOneAndUpdate(
+      liveCond({ jti: payload.jti, bindHash: hashBind(bind) }),
+      { $set: { usedAt: new Date() } }
+    ).lean();
+    if (used) return { status: "login", email: used.email };
+  }
+
+  // Other device → explicit confirmation needed (read-only here)
+  const open = await MagicLink.exists(liveCond({ jti: payload.jti, approvedAt: null }));
+  return { status: open ? "confirm" : "expired" };
+}
+
+/**
+ * What the confirmation page shows: who asked for this link.
+ * Returns { status: "confirm", requestedAt, expiresAt, ip, device } | { status: "expired" }
+ */
+export async function describeMagicLink(token) {
+  const payload = readToken(token);
+  if (!payload) return { status: "expired" };
+
+  const link = await MagicLink.findOne(liveCond({ jti: payload.jti, approvedAt: null })).lean();
+  if (!link) return { status: "expired" };
+  return {
+    status: "confirm",
+    requestedAt: link.createdAt,
+    expiresAt: link.expiresAt,
+    ip: link.requestIp || null,
+    device: parseUserAgent(link.requestUa)
+  };
+}
+
+/**
+ * User confirmed on another device (POST): the requesting browser may now
+ * finish with completeMagicLink. Returns { status: "approved" } | { status: "expired" }
+ */
+export async function approveMagicLink(token) {
+  const payload = readToken(token);
+  if (!payload) return { status: "expired" };
+
+  const approved = await MagicLink.findOneAndUpdate(
+    liveCond({ jti: payload.jti, approvedAt: null }),
+    { $set: { approvedAt: new Date() } }
+  ).lean();
+  return { status: approved ? "approved" : "expired" };
+}
+
+/**
+ * Requesting browser asks whether its link was confirmed elsewhere.
+ * Returns { status: "login", email } | { status: "pending" } | { status: "expired" }
+ */
+export async function completeMagicLink(bind) {
+  if (!bind) return { status: "expired" };
+  const bindHash = hashBind(bind);
+
+  const used = await MagicLink.findOneAndUpdate(
+    liveCond({ bindHash, approvedAt: { $ne: null } }),
+    { $set: { usedAt: new Date() } }
+  ).lean();
+  if (used) return { status: "login", email: used.email };
+
+  const pending = await MagicLink.exists(liveCond({ bindHash }));
+  return { status: pending ? "pending" : "expired" };
+}
+
+// Drop every open link of an email (new request, or signed in with the code)
+export async function forgetMagicLinks(email) {
+  await MagicLink.deleteMany({ email, usedAt: null });
+}
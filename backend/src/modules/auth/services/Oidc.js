@@ -0,0 +1,187 @@
+"use strict";
+
+/**
+ * OpenID Connect client (authorization code flow + PKCE)
+ * ------------------------------------------------------
+ * Works with any standard issuer (also a local mock issuer over http):
+ *   1) discovery: <issuer>/.well-known/openid-configuration (cached 1 h)
+ *   2) authorization URL with state, nonce and S256 code_challenge
+ *   3) code → tokens at the token endpoint (client_secret_basic or _post)
+ *   4) ID token checked against the issuer's JWKS (signature, iss, aud, exp, nonce)
+ *   5) email must be verified (email + email_verified from the ID token, else both from userinfo)
+ * Only Node built-ins (fetch, crypto) + jsonwebtoken are used.
+ */
+
+import crypto from "node:crypto";
+import jwt from "jsonwebtoken";
+import { OIDC_CLIENT_SECRET_CONTEXT } from "../models/OidcProvider.js";
+import { decryptSecret } from "../../../utils/secrets.js";
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const ID_TOKEN_ALGS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"];
+
+const discoveryCache = new Map(); // issuer → { meta, at }
+const jwksCache = new Map();      // jwks_uri → { keys, at }
+
+function oidcError(message, status = 502) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function fetchJson(url, init = {}) {
+  let res;
+  try {
+    res = await fetch(url, { ...init, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  } catch (e) {
+    throw oidcError(`Provider unreachable (${new URL(url).host})`);
+  }
+  const body = await res.json().catch(() => null);
+  if (!res.ok) {
+    const detail = body?.error_description || body?.error || `HTTP ${res.status}`;
+    throw oidcError(`Provider error: ${detail}`);
+  }
+  if (!body || typeof body !== "object") throw oidcError("Provider returned invalid JSON");
+  return body;
+}
+
+const trimSlash = (s) => String(s).replace(/\/+$/, "");
+
+/* ------------------------------- discovery ------------------------------- */
+
+export async function discover(issuer, { fresh = false } = {}) {
+  const key = trimSlash(issuer);
+  const hit = discoveryCache.get(key);
+  if (!fresh && hit && Date.now() - hit.at < DISCOVERY_TTL_MS) return hit.meta;
+
+  const meta = await fetchJson(`${key}/.well-known/openid-configuration`);
+  if (trimSlash(meta.issuer || "") !== key) throw oidcError("Discovery issuer does not match");
+  for (const field of ["authorization_endpoint", "token_endpoint", "jwks_uri"]) {
+    if (!meta[field]) throw oidcError(`Discovery is missing ${field}`);
+  }
+
+  discoveryCache.set(key, { meta, at: Date.now() });
+  return meta;
+}
+
+async function signingKey(meta, kid) {
+  const cached = jwksCache.get(meta.jwks_uri);
+  let keys = cached && Date.now() - cached.at < DISCOVERY_TTL_MS ? cached.keys : null;
+
+  const pick = () => (keys || []).find(k => (kid ? k.kid === kid : true) && (!k.use || k.use === "sig"));
+  // Unknown kid → the provider may have rotated keys: refetch once
+  if (!keys || !pick()) {
+    const jwks = await fetchJson(meta.jwks_uri);
+    keys = Array.isArray(jwks.keys) ? jwks.keys : [];
+    jwksCache.set(meta.jwks_uri, { keys, at: Date.now() });
+  }
+
+  const jwk = pick();
+  if (!jwk) throw oidcError("ID token signing key not found");
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+}
+
+/* --------------------------------- flow --------------------------------- */
+
+const base64url = (buf) => Buffer.from(buf).toString("base64url");
+
+// Random state/nonce/verifier + the S256 challenge for the verifier
+export function newLoginSecrets() {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  return {
+    state: base64url(crypto.randomBytes(24)),
+    nonce: base64url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash("sha256").update(codeVerifier).digest())
+  };
+}
+
+export async function authorizationUrl(provider, { redirectUri, state, nonce, codeChallenge }) {
+  const meta = await discover(provider.issuer);
+  const url = new URL(meta.authorization_endpoint);
+  url.searchParams.set("response_type", "code");
+  url.searchParams.set("client_id", provider.clientId);
+  url.searchParams.set("redirect_uri", redirectUri);
+  url.searchParams.set("scope", provider.scopes.join(" "));
+  url.searchParams.set("state", state);
+  url.searchParams.set("nonce", nonce);
+  url.searchParams.set("code_challenge", codeChallenge);
+  url.searchParams.set("code_challenge_method", "S256");
+  return url.toString();
+}
+
+/**
+ * Finish the login: exchange the code and return the verified identity.
+ * provider must include clientSecret (select("+clientSecret")).
+ * Returns { email, subject, claims }
+ */
+export async function finishLogin(provider, { code, codeVerifier, nonce, redirectUri }) {
+  const meta = await discover(provider.issuer);
+
+  // 1) code → tokens
+  const form = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" };
+  const methods = meta.token_endpoint_auth_methods_supported || ["client_secret_basic"];
+  const clientSecret = decryptSecret(provider.clientSecret, OIDC_CLIENT_SECRET_CONTEXT);
+  if (clientSecret && methods.includes("client_secret_basic")) {
+    const user = encodeURIComponent(provider.clientId);
+    const pass = encodeURIComponent(clientSecret);
+    headers.Authorization = `Basic ${Buffer.from(`${user}:${pass}`).toString("base64")}`;
+  } else {
+    form.set("client_id", provider.clientId);
+    if (clientSecret) form.set("client_secret", clientSecret);
+  }
+  const tokens = await fetchJson(meta.token_endpoint, { method: "POST", headers, body: form });
+  if (typeof tokens.id_token !== "string") throw oidcError("Provider returned no ID token");
+
+  // 2) verify the ID token
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) throw oidcError("Invalid ID token");
+  const key = await signingKey(meta, decoded.header.kid);
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, key, {
+      algorithms: ID_TOKEN_ALGS,
+      issuer: meta.issuer,
+      audience: provider.clientId,
+      clockTolerance: 60
+    });
+  } catch (e) {
+    throw oidcError(`Invalid ID token: ${e.message}`);
+  }
+  if (claims.nonce !== nonce) throw oidcError("ID token nonce mismatch");
+
+  // 3) verified email — email and email_verified always come as a pair from
+  //    one source: the ID token if it has both, otherwise userinfo
+  let email = claims.email;
+  let verified = claims.email_verified;
+  if (!email || verified === undefined) {
+    email = undefined;
+    verified = undefined;
+    if (meta.userinfo_endpoint && tokens.access_token) {
+      const info = await fetchJson(meta.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: "application/json" }
+      });
+      if (info.sub !== claims.sub) throw oidcError("Userinfo subject mismatch");
+      email = info.email;
+      verified = info.email_verified;
+    }
+  }
+  if (!email) throw oidcError("Provider did not share an email address", 403);
+  if (verified !== true && verified !== "true") throw oidcError("Email address is not verified", 403);
+
+  return { email: String(email).trim().toLowerCase(), subject: claims.sub, claims };
+}
+
+// Forget cached discovery (after an admin changes the issuer)
+export function forgetIssuer(issuer) {
+  const meta = discoveryCache.get(trimSlash(issuer))?.meta;
+  if (meta) jwksCache.delete(meta.jwks_uri);
+  discoveryCache.delete(trimSlash(issuer));
+}
@@ -0,0 +1,126 @@
+"use strict";
+
+/**
+ * OTP store (Mongo)
+ * -----------------
+ * Login codes, resend cooldowns and per-IP counters for /auth/otp/*.
+ * Lives in Mongo (TTL indexes clean up), so it survives restarts and works
+ * with several app instances behind a load balancer.
+ *
+ * - Codes are stored as HMAC-SHA256(email:code); a DB dump does not reveal them
+ * - Every check/claim is one atomic Mongo operation, so two instances can
+ *   never both accept the same code or both pass the same limit
+ * - Mongo's TTL monitor runs about once a minute, so queries also check
+ *   expiresAt themselves instead of relying on rows being gone
+ */
+
+import crypto from "node:crypto";
+import OtpCode from "../models/OtpCode.js";
+import OtpThrottle from "../models/OtpThrottle.js";
+
+export const OTP_TTL_MS = 180 * 1000;          // 3 minutes
+export const OTP_MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_MS = 60 * 1000;          // 60 seconds
+const IP_WINDOW_MS = 60 * 60 * 1000;           // 1 hour
+const IP_MAX_REQUESTS = 10;
+// HMAC key for stored codes; refuse to start without one (unkeyed 6-digit hashes are trivial to reverse)
+const OTP_HASH_KEY = String(process.env.OTP_HASH_SECRET || process.env.JWT_ACCESS_SECRET || "").trim();
+if (!OTP_HASH_KEY) throw new Error("OTP_HASH_SECRET (or JWT_ACCESS_SECRET) missing");
+
+function hashOtp(email, code) {
+  return crypto.createHmac("sha256", OTP_HASH_KEY).update(`${email}:${code}`).digest("hex");
+}
+
+// Insert-or-reset that fails with a duplicate key when the live row blocks us
+async function claimRow(filter, set) {
+  try {
+    await OtpThrottle.updateOne(filter, { $set: set }, { upsert: true });
+    return true;
+  } catch (e) {
+    if (e?.code === 11000) return false;
+    throw e;
+  }
+}
+
+/* ------------------------------ rate limits ------------------------------ */
+
+// Start the resend cooldown for an email; false if one is already running
+export async function claimResendCooldown(email) {
+  const now = new Date();
+  return claimRow(
+    { key: `cooldown:${email}`, expiresAt: { $lte: now } },
+    { expiresAt: new Date(now.getTime() + RESEND_COOLDOWN_MS) }
+  );
+}
+
+// Undo claimResendCooldown (the mail was not sent)
+export async function releaseResendCooldown(email) {
+  await OtpThrottle.deleteOne({ key: `cooldown:${email}` });
+}
+
+// Count one request for this IP; false once the hourly cap is reached
+export async function countIpRequest(ip) {
+  const key = `ip:${ip}`;
+  const now = new Date();
+  const windowOpen = new Date(now.getTime() - IP_WINDOW_MS);
+
+  // Current window still has room
+  const hit = await OtpThrottle.findOneAndUpdate(
+    { key, windowStart: { $gt: windowOpen }, count: { $lt: IP_MAX_REQUESTS } },
+    { $inc: { count: 1 } }
+  );
+  if (hit) return true;
+
+  // No row or window over → start a new window (duplicate key = still full)
+  return claimRow(
+    { key, windowStart: { $lte: windowOpen } },
+    { count: 1, windowStart: now, expiresAt: new Date(now.getTime() + IP_WINDOW_MS) }
+  );
+}
+
+/* --------------------------------- codes --------------------------------- */
+
+// Store a new code for the email (replaces any pending one, resets attempts)
+export async function saveOtp(email, code) {
+  await OtpCode.updateOne(
+    { email },
+    {
+      $set: {
+        codeHash: hashOtp(email, code),
+        attempts: 0,
+        expiresAt: new Date(Date.now() + OTP_TTL_MS),
+        createdAt: new Date()
+      }
+    },
+    { upsert: true }
+  );
+}
+
+export async function deleteOtp(email) {
+  await OtpCode.deleteOne({ email });
+}
+
+/**
+ * Check a code (counts as one attempt).
+ * Returns "ok" (code consumed) | "invalid" (wrong code) | "expired" (missing, expired, used or too many attempts)
+ */
+export async function checkOtp(email, code) {
+  const rec = await OtpCode.findOneAndUpdate(
+    { email, expiresAt: { $gt: new Date() }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  ).lean();
+
+  if (!rec) {
+    await OtpCode.deleteOne({ email, $or: [{ expiresAt: { $lte: new Date() } }, { attempts: { $gte: OTP_MAX_ATTEMPTS } }] });
+    return "expired";
+  }
+
+  const expected = Buffer.from(rec.codeHash, "hex");
+  const given = Buffer.from(hashOtp(email, code), "hex");
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return "invalid";
+
+  // Consume: only one concurrent verify can delete the row
+  const del = await OtpCode.deleteOne({ _id: rec._id, codeHash: rec.codeHash });
+  return del.deletedCount === 1 ? "ok" : "expired";
+}
@@ -0,0 +1,275 @@
+"use strict";
+
+/**
+ * SMTP diagnostics (admin "send test email")
+ * ------------------------------------------
+ * Runs a profile through every stage of a delivery and times each one:
+ *   dns     -> resolve the host
+ *   tcp     -> open a socket to the first address
+ *   tls     -> TLS handshake (tlsMode "tls": before the greeting,
+ *              "starttls": after EHLO, "none": skipped)
+ *   banner  -> server greeting (220) + EHLO extensions
+ *   auth    -> log in with the profile's credentials (nodemailer verify)
+ *   send    -> send the smtp_test template through this profile only
+ *              (recorded in the delivery log like every other mail)
+ * The first failing stage stops the run; later stages are reported as skipped.
+ * The probe connection (dns..banner) is our own small SMTP client so the
+ * result can show what nodemailer hides (banner, extensions, certificate).
+ * Test mails skip the profile failover and do not count towards daily caps.
+ */
+
+import dns from "node:dns/promises";
+import net from "node:net";
+import tls from "node:tls";
+import os from "node:os";
+import { createSmtpTransport, smtpSenderOf, tlsModeOf } from "../../../utils/mailer.js";
+import { sendMailThrough } from "../../mail/services/MailQueue.js";
+
+const STEP_TIMEOUT_MS = 8000;
+
+/* -------------------------------- helpers -------------------------------- */
+
+function timeoutError(what) {
+  const err = new Error(`Timed out: ${what}`);
+  err.code = "ETIMEDOUT";
+  return err;
+}
+
+// Reject after ms unless the promise settles first
+function withTimeout(promise, ms, what) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => { timer = setTimeout(() => reject(timeoutError(what)), ms); })
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Reads SMTP replies ("250-..." lines up to the final "250 ...") from a socket
+function replyReader(socket) {
+  let buffer = "";
+  let pending = null;
+  let failure = null;
+
+  const settle = () => {
+    if (!pending) return;
+    if (failure) {
+      const { reject } = pending;
+      pending = null;
+      return reject(failure);
+    }
+    const lines = buffer.split(/\r?\n/);
+    const end = lines.findIndex((l, i) => i < lines.length - 1 && /^\d{3}(?: |$)/.test(l));
+    if (end === -1) return;
+    buffer = lines.slice(end + 1).join("\r\n");
+    const reply = lines.slice(0, end + 1);
+    const { resolve } = pending;
+    pending = null;
+    resolve({ code: Number(reply[end].slice(0, 3)), lines: reply.map(l => l.slice(4)), text: reply.join("\n") });
+  };
+  const onData = (chunk) => { buffer += chunk.toString("utf8"); settle(); };
+  const onError = (e) => { failure = e; settle(); };
+  const onClose = () => onError(new Error("Connection closed by server"));
+
+  socket.on("data", onData);
+  socket.on("error", onError);
+  socket.on("close", onClose);
+
+  return {
+    read(what) {
+      return withTimeout(new Promise((resolve, reject) => {
+        pending = { resolve, reject };
+        settle();
+      }), STEP_TIMEOUT_MS, what);
+    },
+    stop() {
+      socket.off("data", onData);
+      socket.off("error", onError);
+      socket.off("close", onClose);
+    }
+  };
+}
+
+// Expect a reply code, else throw with the server's answer
+function expectCode(reply, code, what) {
+  if (reply.code === code) return reply;
+  const err = new Error(`${what} rejected: ${reply.text}`);
+  err.responseCode = reply.code;
+  err.response = reply.text;
+  throw err;
+}
+
+function connectTcp(host, port) {
+  return withTimeout(new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    socket.once("connect", () => resolve(socket));
+    socket.on("error", reject); // stays attached: later errors must not crash the process
+  }), STEP_TIMEOUT_MS, "TCP connect");
+}
+
+// TLS on top of an open socket; certificate problems are reported, not thrown
+function upgradeTls(socket, servername) {
+  return withTimeout(new Promise((resolve, reject) => {
+    const secure = tls.connect({
+      socket,
+      servername: net.isIP(servername) ? undefined : servername,
+      rejectUnauthorized: false
+    });
+    secure.once("secureConnect", () => resolve(secure));
+    secure.on("error", reject);
+  }), STEP_TIMEOUT_MS, "TLS handshake");
+}
+
+function tlsDetail(secure) {
+  const cert = secure.getPeerCertificate() || {};
+  return {
+    protocol: secure.getProtocol(),
+    cipher: secure.getCipher()?.name ?? null,
+    certificate: {
+      subject: cert.subject?.CN ?? null,
+      issuer: cert.issuer?.O || cert.issuer?.CN || null,
+      validTo: cert.valid_to ?? null
+    },
+    trusted: secure.authorized,
+    trustError: secure.authorized ? null : String(secure.authorizationError || "untrusted certificate")
+  };
+}
+
+function errorDetail(e) {
+  return {
+    error: String((e && e.message) || "Failed").trim(),
+    code: e?.code ?? null,
+    responseCode: e?.responseCode ?? null,
+    response: e?.response ?? null
+  };
+}
+
+/* ------------------------------- public API ------------------------------- */
+
+/**
+ * Diagnose a profile and send a test mail to `to`.
+ * cfg = SmtpConfig (document or plain object, with its encrypted password).
+ * Returns { ok, host, port, tlsMode, totalMs, stages: [{ stage, ok, skipped, ms, detail | error... }] }
+ */
+export async function diagnoseSmtp(cfg, { to }) {
+  const host = cfg.host;
+  const port = Number(cfg.port);
+  const mode = tlsModeOf(cfg);
+  const stages = [];
+  const started = Date.now();
+  let failed = false;
+
+  async function stage(name, fn) {
+    if (failed) {
+      stages.push({ stage: name, ok: false, skipped: true });
+      return null;
+    }
+    const t = Date.now();
+    try {
+      const detail = await fn();
+      stages.push({ stage: name, ok: true, skipped: false, ms: Date.now() - t, detail: detail ?? null });
+      return detail;
+    } catch (e) {
+      failed = true;
+      stages.push({ stage: name, ok: false, skipped: false, ms: Date.now() - t, ...errorDetail(e) });
+      return null;
+    }
+  }
+
+  let socket = null;
+  let reader = null;
+  try {
+    const resolved = await stage("dns", async () => {
+      const all = await withTimeout(dns.lookup(host, { all: true }), STEP_TIMEOUT_MS, "DNS lookup");
+      return { addresses: all.map(a => a.address) };
+    });
+
+    await stage("tcp", async () => {
+      const address = resolved.addresses[0];
+      socket = await connectTcp(address, port);
+      return { address, port };
+    });
+
+    const tlsStage = async () => {
+      socket = await upgradeTls(socket, host);
+      const detail = tlsDetail(socket);
+      if (!detail.trusted) {
+        const err = new Error(`Certificate not trusted: ${detail.trustError}`);
+        err.code = "ECERT";
+        throw err;
+      }
+      return detail;
+    };
+
+    if (mode === "tls") await stage("tls", tlsStage);
+
+    const banner = await stage("banner", async () => {
+      reader = replyReader(socket);
+      const greeting = expectCode(await reader.read("server greeting"), 220, "Greeting");
+      socket.write(`EHLO ${os.hostname() || "localhost"}\r\n`);
+      const ehlo = expectCode(await reader.read("EHLO reply"), 250, "EHLO");
+      return { greeting: greeting.lines.join(" "), extensions: ehlo.lines.slice(1) };
+    });
+
+    if (mode === "starttls") {
+      await stage("tls", async () => {
+        if (!banner.extensions.some(x => /^STARTTLS\b/i.test(x))) {
+          const err = new Error("Server does not offer STARTTLS");
+          err.code = "ENOSTARTTLS";
+          throw err;
+        }
+        socket.write("STARTTLS\r\n");
+        expectCode(await reader.read("STARTTLS reply"), 220, "STARTTLS");
+        reader.stop();
+        reader = null;
+        return tlsStage();
+      });
+    } else if (mode === "none") {
+      stages.push({ stage: "tls", ok: !failed, skipped: true, detail: { reason: "tlsMode none" } });
+    }
+  } finally {
+    if (socket) {
+      try {
+        if (!socket.destroyed) socket.end("QUIT\r\n");
+      } catch { /* ignore */ }
+      setTimeout(() => socket.destroy(), 1000).unref();
+    }
+  }
+
+  const transport = createSmtpTransport(cfg);
+  try {
+    await stage("auth", async () => {
+      await transport.verify();
+      return { username: cfg.username };
+    });
+
+    await stage("send", async () => {
+      const profileName = cfg.name || "proposed settings";
+      const deliver = async (mail) => ({
+        ...(await transport.sendMail({ ...mail, from: smtpSenderOf(cfg) })),
+        profile: profileName
+      });
+      const info = await sendMailThrough(deliver, "smtp_test", {
+        to,
+        vars: { profileName, host, port, tlsMode: mode, sentAt: new Date().toISOString() }
+      });
+      return {
+        mailId: info.mailId,
+        messageId: info.messageId ?? null,
+        response: info.response ?? null,
+        accepted: info.accepted ?? [],
+        rejected: info.rejected ?? []
+      };
+    });
+  } finally {
+    transport.close();
+  }
+
+  return {
+    ok: !failed,
+    host,
+    port,
+    tlsMode: mode,
+    totalMs: Date.now() - started,
+    stages
+  };
+}
@@ -0,0 +1,50 @@
+"use strict";
+
+/**
+ * SMTP profile helpers
+ * --------------------
+ * - ACTIVE_SMTP_PROFILE: query for active profiles. Rows saved before profiles
+ *   existed have no isActive field (schema defaults do not apply to queries),
+ *   so "missing" counts as active.
+ * - primarySmtpProfile(): the profile tried first; target of the id-less
+ *   /admin/smtp routes kept for older admin clients.
+ * - ensureSmtpProfileDefaults(): boot-time migration that writes the profile
+ *   defaults into legacy rows (name, priority, isActive, ...).
+ */
+
+import SmtpConfig from "../models/SmtpConfig.js";
+
+export const ACTIVE_SMTP_PROFILE = { isActive: { $ne: false } };
+
+const LEGACY_DEFAULTS = {
+  priority: 100,
+  isActive: true,
+  tlsMode: null,
+  fromAddress: null,
+  fromName: null,
+  dailyCap: 0,
+  categories: []
+};
+
+export function primarySmtpProfile() {
+  return SmtpConfig.findOne(ACTIVE_SMTP_PROFILE).sort({ priority: 1, createdAt: 1 });
+}
+
+// Fill missing profile fields; idempotent, cheap once done
+export async function ensureSmtpProfileDefaults() {
+  let updated = 0;
+  for (const [field, value] of Object.entries(LEGACY_DEFAULTS)) {
+    const r = await SmtpConfig.updateMany({ [field]: { $exists: false } }, { $set: { [field]: value } });
+    updated += r.modifiedCount || 0;
+  }
+
+  // Unique names: "default" for the first unnamed row, "default-2", ... after that
+  const unnamed = await SmtpConfig.find({ name: { $exists: false } }).sort({ createdAt: 1 }).select("_id").lean();
+  for (let i = 0; i < unnamed.length; i++) {
+    const name = i === 0 ? "default" : `default-${i + 1}`;
+    const r = await SmtpConfig.updateOne({ _id: unnamed[i]._id, name: { $exists: false } }, { $set: { name } });
+    updated += r.modifiedCount || 0;
+  }
+
+  if (updated) console.log(`[SMTP] Migrated legacy SMTP config (${updated} field updates)`);
+}
@@ -0,0 +1,51 @@
+"use strict";
+
+/**
+ * User login (shared last step)
+ * -----------------------------
+ * Every way a user can prove their email (OTP code, magic link, OIDC
+ * provider) ends here: find or create the User by email, start a session
+ * and set the refresh cookie.
+ *
+ * Browser-redirect flows (magic link, OIDC) land on LOGIN_REDIRECT_URL
+ * (frontend) with a status query param.
+ */
+
+import User from "../models/User.js";
+import { signAccessToken, createSession, setRefreshCookie } from "../../../utils/jwt.js";
+import { notifyByMail } from "../../mail/services/MailQueue.js";
+
+// Public URL of this API (links in mails, OIDC callback URLs)
+export const API_BASE_URL = process.env.BASE_URL || `http://localhost:${process.env.PORT || 4000}`;
+
+const LOGIN_REDIRECT_URL =
+  process.env.LOGIN_REDIRECT_URL ||
+  process.env.CORS_ORIGIN?.split(",")[0]?.trim() ||
+  "http://localhost:5173";
+
+// Find/create the user and start a session (sets the refresh cookie) → { accessToken, sid }
+export async function signInUser(req, res, email) {
+  let user = await User.findOne({ email });
+  if (!user) {
+    user = await User.create({ email });
+    notifyByMail("welcome", { to: email, vars: { email } });
+  }
+
+  // Access token carries sid so /user/sessions can mark "this device"
+  const session = await createSession({
+    subjectId: user._id,
+    role: "user",
+    userAgent: req && req.headers ? req.headers["user-agent"] : undefined,
+    ip: (req && req.ip) || ""
+  });
+  setRefreshCookie(res, session.token);
+
+  return { accessToken: signAccessToken(user._id, "user", { sid: session.sid }), sid: session.sid };
+}
+
+// 303 to the frontend, e.g. loginRedirect(res, { magicLink: "signed-in" })
+export function loginRedirect(res, params) {
+  const target = new URL(LOGIN_REDIRECT_URL);
+  for (const [k, v] of Object.entries(params)) target.searchParams.set(k, v);
+  return res.redirect(303, target.toString());
+}
@@ -0,0 +1,212 @@
+"use strict";
+
+/**
+ * WebAuthn (passkeys) for users
+ * -----------------------------
+ * Registration and authentication ceremonies (WebAuthn Level 2):
+ *   - attestation "none": we trust the browser/OS, not a device vendor list
+ *   - discoverable credentials: sign-in does not ask for the email first
+ *   - user verification required (PIN/biometric, UV flag): a passkey is the
+ *     only factor, so a found or stolen key must not sign in with a touch
+ *   - algorithms: ES256 (-7), EdDSA (-8), RS256 (-257)
+ * Public keys are stored as SPKI PEM so node:crypto can verify directly.
+ *
+ * Config:
+ *   WEBAUTHN_RP_ID      -> domain the passkeys belong to (default: frontend host)
+ *   WEBAUTHN_RP_NAME    -> name shown by the browser (default "F Deals")
+ *   WEBAUTHN_ORIGINS    -> comma-separated allowed origins (default: CORS_ORIGIN)
+ */
+
+import crypto from "node:crypto";
+import { decodeCbor, decodeCborItem } from "../../../utils/cbor.js";
+
+const DEFAULT_ORIGINS =
+  process.env.CORS_ORIGIN?.split(",").map(s => s.trim()).filter(Boolean) || ["http://localhost:5173"];
+
+export const RP_ID = process.env.WEBAUTHN_RP_ID || new URL(DEFAULT_ORIGINS[0]).hostname;
+const RP_NAME = process.env.WEBAUTHN_RP_NAME || "F Deals";
+const ORIGINS = process.env.WEBAUTHN_ORIGINS?.split(",").map(s => s.trim()).filter(Boolean) || DEFAULT_ORIGINS;
+const TIMEOUT_MS = 5 * 60 * 1000;
+const ALGORITHMS = [-7, -8, -257];
+
+const FLAG_UP = 0x01; // user present
+const FLAG_UV = 0x04; // user verified (PIN/biometric)
+const FLAG_AT = 0x40; // attested credential data included
+
+/* -------------------------------- helpers -------------------------------- */
+
+function webauthnError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+function fromB64url(value, field) {
+  if (typeof value !== "string" || !/^[A-Za-z0-9_-]*$/.test(value)) throw webauthnError(`Invalid ${field}`);
+  return Buffer.from(value, "base64url");
+}
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+
+export function newChallenge() {
+  return b64url(crypto.randomBytes(32));
+}
+
+// Parse + check clientDataJSON → { clientData, hash }
+function readClientData(raw, type, challenge) {
+  const bytes = fromB64url(raw, "clientDataJSON");
+  let clientData;
+  try {
+    clientData = JSON.parse(bytes.toString("utf8"));
+  } catch {
+    throw webauthnError("Invalid clientDataJSON");
+  }
+  if (clientData.type !== type) throw webauthnError("Wrong ceremony type");
+  if (clientData.challenge !== challenge) throw webauthnError("Challenge mismatch");
+  if (!ORIGINS.includes(clientData.origin)) throw webauthnError("Origin not allowed");
+  return { clientData, hash: sha256(bytes) };
+}
+
+// Authenticator data → { rpIdHash, flags, signCount, credentialId?, publicKey? (COSE Map) }
+function parseAuthData(buf) {
+  if (buf.length < 37) throw webauthnError("Authenticator data too short");
+  const out = {
+    rpIdHash: buf.subarray(0, 32),
+    flags: buf[32],
+    signCount: buf.readUInt32BE(33)
+  };
+  if (out.flags & FLAG_AT) {
+    if (buf.length < 55) throw webauthnError("Authenticator data too short");
+    const idLen = buf.readUInt16BE(53);
+    out.credentialId = buf.subarray(55, 55 + idLen);
+    const key = decodeCborItem(buf, 55 + idLen);
+    out.publicKey = key.value;
+  }
+  return out;
+}
+
+function checkAuthData(authData) {
+  if (!authData.rpIdHash.equals(sha256(RP_ID))) throw webauthnError("RP ID mismatch");
+  if (!(authData.flags & FLAG_UP)) throw webauthnError("User not present");
+  if (!(authData.flags & FLAG_UV)) throw webauthnError("User not verified (PIN or biometric required)");
+}
+
+// COSE_Key (Map) → { alg, pem }
+function coseToPem(cose) {
+  if (!(cose instanceof Map)) throw webauthnError("Invalid public key");
+  const kty = cose.get(1);
+  const alg = cose.get(3);
+  if (!ALGORITHMS.includes(alg)) throw webauthnError("Unsupported algorithm");
+
+  let jwk;
+  if (kty === 2 && cose.get(-1) === 1) {
+    jwk = { kty: "EC", crv: "P-256", x: b64url(cose.get(-2)), y: b64url(cose.get(-3)) };
+  } else if (kty === 1 && cose.get(-1) === 6) {
+    jwk = { kty: "OKP", crv: "Ed25519", x: b64url(cose.get(-2)) };
+  } else if (kty === 3) {
+    jwk = { kty: "RSA", n: b64url(cose.get(-1)), e: b64url(cose.get(-2)) };
+  } else {
+    throw webauthnError("Unsupported key type");
+  }
+
+  const pem = crypto.createPublicKey({ key: jwk, format: "jwk" }).export({ type: "spki", format: "pem" });
+  return { alg, pem };
+}
+
+/* ------------------------------ registration ------------------------------ */
+
+// Options for navigator.credentials.create() (binary fields base64url)
+export function registrationOptions({ user, challenge, excludeCredentialIds = [] }) {
+  return {
+    challenge,
+    rp: { id: RP_ID, name: RP_NAME },
+    user: { id: b64url(Buffer.from(String(user._id), "hex")), name: user.email, displayName: user.name || user.email },
+    pubKeyCredParams: ALGORITHMS.map(alg => ({ type: "public-key", alg })),
+    timeout: TIMEOUT_MS,
+    attestation: "none",
+    authenticatorSelection: { residentKey: "required", userVerification: "required" },
+    excludeCredentials: excludeCredentialIds.map(id => ({ type: "public-key", id }))
+  };
+}
+
+// Challenge the browser answered (to look up the stored one)
+export function challengeOf(response) {
+  const raw = fromB64url(response?.response?.clientDataJSON, "clientDataJSON");
+  try {
+    return String(JSON.parse(raw.toString("utf8")).challenge || "");
+  } catch {
+    throw webauthnError("Invalid clientDataJSON");
+  }
+}
+
+/**
+ * Check a navigator.credentials.create() result (JSON, base64url fields).
+ * Returns { credentialId, publicKey (PEM), alg, signCount, transports }
+ */
+export function verifyRegistration(response, challenge) {
+  readClientData(response?.response?.clientDataJSON, "webauthn.create", challenge);
+
+  let attestation;
+  try {
+    attestation = decodeCbor(fromB64url(response.response.attestationObject, "attestationObject"));
+  } catch (e) {
+    throw webauthnError(e.status ? e.message : "Invalid attestationObject");
+  }
+  const authDataBuf = attestation instanceof Map ? attestation.get("authData") : null;
+  if (!Buffer.isBuffer(authDataBuf)) throw webauthnError("Invalid attestationObject");
+
+  const authData = parseAuthData(authDataBuf);
+  checkAuthData(authData);
+  if (!authData.credentialId?.length) throw webauthnError("No credential in response");
+
+  const credentialId = b64url(authData.credentialId);
+  if (response.id && response.id !== credentialId) throw webauthnError("Credential id mismatch");
+
+  const { alg, pem } = coseToPem(authData.publicKey);
+  const transports = Array.isArray(response.response.transports)
+    ? response.response.transports.filter(t => typeof t === "string").slice(0, 10)
+    : [];
+
+  return { credentialId, publicKey: pem, alg, signCount: authData.signCount, transports };
+}
+
+/* ----------------------------- authentication ----------------------------- */
+
+// Options for navigator.credentials.get() (discoverable: no allowCredentials)
+export function authenticationOptions({ challenge }) {
+  return { challenge, rpId: RP_ID, timeout: TIMEOUT_MS, userVerification: "required" };
+}
+
+/**
+ * Check a navigator.credentials.get() result against a stored passkey
+ * ({ publicKey, alg, signCount, userId }). Returns { signCount }.
+ */
+export function verifyAuthentication(response, challenge, passkey) {
+  const { hash } = readClientData(response?.response?.clientDataJSON, "webauthn.get", challenge);
+
+  const authDataBuf = fromB64url(response.response.authenticatorData, "authenticatorData");
+  const authData = parseAuthData(authDataBuf);
+  checkAuthData(authData);
+
+  const userHandle = response.response.userHandle;
+  if (userHandle && fromB64url(userHandle, "userHandle").toString("hex") !== String(passkey.userId)) {
+    throw webauthnError("Passkey belongs to another account");
+  }
+
+  const signature = fromB64url(response.response.signature, "signature");
+  const data = Buffer.concat([authDataBuf, hash]);
+  const digest = passkey.alg === -8 ? null : "sha256";
+  let valid = false;
+  try {
+    valid = crypto.verify(digest, data, passkey.publicKey, signature);
+  } catch { /* malformed signature */ }
+  if (!valid) throw webauthnError("Bad signature");
+
+  // Counter going backwards = cloned authenticator (0 = authenticator does not count)
+  if ((authData.signCount || passkey.signCount) && authData.signCount <= passkey.signCount) {
+    throw webauthnError("Passkey counter went backwards");
+  }
+  return { signCount: authData.signCount };
+}
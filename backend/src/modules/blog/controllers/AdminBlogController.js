@@ -26,6 +26,9 @@ import {
   deleteLocal
 } from "../../../utils/image.js";
 import { assertImageBuffer } from "../../../config/multer.js";
+import { forgetSavedItem } from "../../saved/services/SavedTypes.js";
+import { forgetVotes } from "../../vote/services/HotRanker.js";
+import Comment from "../../comment/models/Comment.js";
 
 /* --------------------------------- config --------------------------------- */
 const MAX_IMG = 2 * 1024 * 1024; // 2MB
@@ -270,7 +273,7 @@ export async function update(req, res) {
 
 /**
  * DELETE /admin/blogs/:id
- * Steps: (1) load -> (2) delete doc -> (3) delete files (best-effort) -> (4) respond
+ * Steps: (1) load -> (2) delete doc + bookmarks + votes + comments -> (3) delete files (best-effort) -> (4) respond
  */
 export async function remove(req, res) {
   try {
@@ -282,6 +285,9 @@ export async function remove(req, res) {
     const oldThumb = b.thumbImage;
 
     await Blog.deleteOne({ _id: b._id });
+    await forgetSavedItem("blog", b._id);
+    await forgetVotes("blog", b._id);
+    await Comment.deleteMany({ blogId: b._id });
     await Promise.all([deleteLocal(oldHero), deleteLocal(oldThumb)]).catch(function () {});
 
     return res.json({ ok: true });
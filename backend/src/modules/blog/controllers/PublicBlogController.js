@@ -5,11 +5,13 @@
  * - List / Search / Read / Filter by Category (public endpoints)
  * - Only returns active blogs whose categories are also active
  * - Supports pagination and basic sorting; secondary sort by _id desc
+ * - Each blog carries isSaved for the signed-in caller (false when anonymous)
  */
 
 import path from "node:path";
 import Blog from "../models/Blog.js";
 import BlogCategory from "../models/BlogCategory.js";
+import { markSaved } from "../../saved/services/SavedTypes.js";
 
 /* ------------------------------- utilities ------------------------------- */
 function clamp(n, min, max) {
@@ -33,7 +35,8 @@ function escapeRegex(s) {
 /* ================================ controllers ================================ */
 /**
  * GET /public/blogs
- * Query: ?page=&pageSize=&sort=(createdAt|updatedAt|title)&order=(asc|desc)
+ * Query: ?page=&pageSize=&sort=(createdAt|updatedAt|title|hot)&order=(asc|desc)
+ * Note: sort=hot is always highest hotScore first (order is ignored)
  * Steps: (1) read pagination/sort -> (2) build active filters -> (3) query -> (4) respond
  */
 export async function list(req, res) {
@@ -45,7 +48,8 @@ export async function list(req, res) {
     const order = String(q.order || "desc") === "asc" ? 1 : -1;
 
     const sortObj = {};
-    if (["createdAt", "updatedAt", "title"].includes(sort)) sortObj[sort] = order;
+    if (sort === "hot") sortObj.hotScore = -1;
+    else if (["createdAt", "updatedAt", "title"].includes(sort)) sortObj[sort] = order;
     sortObj._id = -1; // secondary sort (stable)
 
     // Only blogs that are active and belong to active categories
@@ -60,13 +64,15 @@ export async function list(req, res) {
 
     const items = Array.isArray(itemsRaw) ? itemsRaw : [];
 
+    const mapped = items.map((b) => ({
+      ...b,
+      heroImage: toPublic(b.heroImage),
+      thumbImage: toPublic(b.thumbImage),
+    }));
+
     return res.json({
       ok: true,
-      data: items.map((b) => ({
-        ...b,
-        heroImage: toPublic(b.heroImage),
-        thumbImage: toPublic(b.thumbImage),
-      })),
+      data: await markSaved(req, "blog", mapped),
       meta: { page, pageSize, total }
     });
   } catch (e) {
@@ -91,14 +97,13 @@ export async function read(req, res) {
       return res.status(404).json({ ok: false, code: 404, message: "Not found" });
     }
 
-    return res.json({
-      ok: true,
-      data: {
-        ...blog,
-        heroImage: toPublic(blog.heroImage),
-        thumbImage: toPublic(blog.thumbImage),
-      }
-    });
+    const [data] = await markSaved(req, "blog", [{
+      ...blog,
+      heroImage: toPublic(blog.heroImage),
+      thumbImage: toPublic(blog.thumbImage),
+    }]);
+
+    return res.json({ ok: true, data });
   } catch (e) {
     return res
       .status(500)
@@ -139,13 +144,15 @@ export async function search(req, res) {
 
     const items = Array.isArray(itemsRaw) ? itemsRaw : [];
 
+    const mapped = items.map((b) => ({
+      ...b,
+      heroImage: toPublic(b.heroImage),
+      thumbImage: toPublic(b.thumbImage),
+    }));
+
     return res.json({
       ok: true,
-      data: items.map((b) => ({
-        ...b,
-        heroImage: toPublic(b.heroImage),
-        thumbImage: toPublic(b.thumbImage),
-      })),
+      data: await markSaved(req, "blog", mapped),
       meta: { page, pageSize, total }
     });
   } catch (e) {
@@ -178,13 +185,15 @@ export async function byCategory(req, res) {
 
     const items = Array.isArray(itemsRaw) ? itemsRaw : [];
 
+    const mapped = items.map((b) => ({
+      ...b,
+      heroImage: toPublic(b.heroImage),
+      thumbImage: toPublic(b.thumbImage),
+    }));
+
     return res.json({
       ok: true,
-      data: items.map((b) => ({
-        ...b,
-        heroImage: toPublic(b.heroImage),
-        thumbImage: toPublic(b.thumbImage),
-      })),
+      data: await markSaved(req, "blog", mapped),
       meta: {
         page,
         pageSize,
@@ -10,7 +10,12 @@ const BlogSchema = new mongoose.Schema({
   isActive: { type: Boolean, default: true },
 
   heroImage: { type: String, required: true }, // path
-  thumbImage: { type: String, required: true }  // path
+  thumbImage: { type: String, required: true }, // path
+
+  // Community votes (maintained by vote/services/HotRanker.js)
+  upvotes: { type: Number, default: 0 },
+  downvotes: { type: Number, default: 0 },
+  hotScore: { type: Number, default: 0, index: true }
 }, { timestamps: true });
 
 export default mongoose.model("Blog", BlogSchema);
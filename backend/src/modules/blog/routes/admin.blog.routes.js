@@ -4,11 +4,14 @@
  * Admin Blog Routes (named exports version)
  * Summary:
  *   Provides admin-only endpoints for managing blogs.
- *   Requires admin authentication (authAdmin middleware).
+ *   Requires an admin whose role grants the "blog" permission.
  */
 
 import { Router } from "express";
-import { authAdmin } from "../../../middlewares/authAdmin.js"; // verify admin JWT
+import { requireAdmin } from "../../../middlewares/authAdmin.js";
+import { PERMISSIONS } from "../../../config/adminRoles.js";
+import { audit } from "../../../middlewares/audit.js";
+import Blog from "../models/Blog.js";
 import { upload } from "../../../config/multer.js";             // handles file uploads
 
 // Named imports from controller
@@ -26,9 +29,15 @@ import {
 
 const r = Router();
 
+// Admin + "blog" permission (see config/adminRoles.js)
+const authAdmin = requireAdmin(PERMISSIONS.BLOG);
+
+// Record successful writes in the audit log
+const auditBlog = (action, opts) => audit("blog", action, { model: Blog, ...opts });
+
 /* ------------------------------- BLOG ROUTES ------------------------------- */
 // Create new blog (multipart: heroImage)
-r.post("/", authAdmin, upload.single("heroImage"), create);
+r.post("/", authAdmin, auditBlog("create"), upload.single("heroImage"), create);
 
 // Get paginated list of blogs
 r.get("/", authAdmin, list);
@@ -43,15 +52,15 @@ r.get("/search", authAdmin, search);
 r.get("/:id", authAdmin, read);
 
 // Update blog info or replace hero image
-r.put("/:id", authAdmin, upload.single("heroImage"), update);
+r.put("/:id", authAdmin, auditBlog("update"), upload.single("heroImage"), update);
 
 // Delete blog and related images
-r.delete("/:id", authAdmin, remove);
+r.delete("/:id", authAdmin, auditBlog("delete"), remove);
 
 // Toggle active/inactive status
-r.patch("/:id/status", authAdmin, toggleStatus);
+r.patch("/:id/status", authAdmin, auditBlog("status"), toggleStatus);
 
 // Upload inline image for blog editor
-r.post("/:id/images", authAdmin, upload.single("image"), uploadInlineImage);
+r.post("/:id/images", authAdmin, auditBlog("image_upload", { meta: (_req, body) => ({ url: body?.url || null }) }), upload.single("image"), uploadInlineImage);
 
 export default r;
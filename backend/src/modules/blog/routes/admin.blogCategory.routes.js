@@ -4,7 +4,7 @@
  * Admin Blog Category Routes (named exports version)
  * Summary:
  *   Provides admin-only endpoints for managing blog categories.
- *   Requires admin authentication (authAdmin middleware).
+ *   Requires an admin whose role grants the "blog" permission.
  *
  *   Endpoints:
  *     POST   /admin/blog-categories          -> Create a new category
@@ -17,7 +17,10 @@
  */
 
 import { Router } from "express";
-import { authAdmin } from "../../../middlewares/authAdmin.js";
+import { requireAdmin } from "../../../middlewares/authAdmin.js";
+import { PERMISSIONS } from "../../../config/adminRoles.js";
+import { audit } from "../../../middlewares/audit.js";
+import BlogCategory from "../models/BlogCategory.js";
 
 // Named imports from controller (no default export)
 import {
@@ -32,10 +35,16 @@ import {
 
 const r = Router();
 
+// Admin + "blog" permission (see config/adminRoles.js)
+const authAdmin = requireAdmin(PERMISSIONS.BLOG);
+
+// Record successful writes in the audit log
+const auditCategory = (action) => audit("blog_category", action, { model: BlogCategory });
+
 /* -------------------------- BLOG CATEGORY ROUTES -------------------------- */
 
 // Create new category
-r.post("/", authAdmin, create);
+r.post("/", authAdmin, auditCategory("create"), create);
 
 // List categories (with pagination and optional blog counts)
 r.get("/", authAdmin, list);
@@ -47,12 +56,12 @@ r.get("/metrics", authAdmin, metrics);
 r.get("/:id", authAdmin, read);
 
 // Update category name (slug stays same)
-r.put("/:id", authAdmin, update);
+r.put("/:id", authAdmin, auditCategory("update"), update);
 
 // Delete category (blocked if it has linked blogs)
-r.delete("/:id", authAdmin, remove);
+r.delete("/:id", authAdmin, auditCategory("delete"), remove);
 
 // Activate/Deactivate category
-r.patch("/:id/status", authAdmin, toggleStatus);
+r.patch("/:id/status", authAdmin, auditCategory("status"), toggleStatus);
 
 export default r;
@@ -5,6 +5,7 @@
  * Summary:
  *   Exposes public read-only endpoints for blogs and blog categories.
  *   No authentication required — only active blogs & categories are shown.
+ *   A user access token is optional; when valid, blogs carry isSaved.
  *
  *   Endpoints:
  *     GET /public/blogs                -> Paginated list of active blogs
@@ -15,6 +16,7 @@
  */
 
 import { Router } from "express";
+import { optionalUser } from "../../../middlewares/optionalUser.js";
 
 // Named imports from the controller
 import {
@@ -29,16 +31,16 @@ const r = Router();
 
 /* ----------------------------- PUBLIC ROUTES ----------------------------- */
 // Get paginated list of active blogs
-r.get("/blogs", list);
+r.get("/blogs", optionalUser, list);
 
 // Search active blogs by keyword
-r.get("/blogs/search", search);
+r.get("/blogs/search", optionalUser, search);
 
 // Get all blogs under a specific active category (by slug)
-r.get("/blogs/category/:slug", byCategory);
+r.get("/blogs/category/:slug", optionalUser, byCategory);
 
 // Get single active blog by slug
-r.get("/blogs/:slug", read);
+r.get("/blogs/:slug", optionalUser, read);
 
 // Get list of all active blog categories
 r.get("/blog-categories", categories);
@@ -12,34 +12,27 @@
  *   - Slug is immutable (kebab-case, unique with numeric suffix)
  *   - Logo is optional on create; required only for public eligibility
  *   - Logo processing: 300x300 contain → WEBP
+ *   (name/slug/logo rules live in services/BrandRules.js, shared with the CSV import)
  */
 
 import path from "node:path";
-import slugify from "slugify";
 import Brand from "../models/Brand.js";
-import { assertImageBuffer } from "../../../config/multer.js";
-import { saveWebpContain300, deleteLocal } from "../../../utils/image.js";
-
-/* --------------------------------- config --------------------------------- */
-const MAX_IMG = 2 * 1024 * 1024; // 2MB
+import Product from "../../product/models/Product.js";
+import Deal from "../../deal/models/Deal.js";
+import Coupon from "../../coupon/models/Coupon.js";
+import { forgetSavedItem } from "../../saved/services/SavedTypes.js";
+import { forgetVotes } from "../../vote/services/HotRanker.js";
+import Review from "../../review/models/Review.js";
+import { deleteLocal } from "../../../utils/image.js";
+import {
+  escapeRegex,
+  readBrandName,
+  findBrandByName,
+  nextBrandSlug,
+  storeBrandLogo
+} from "../services/BrandRules.js";
 
 /* -------------------------------- utilities -------------------------------- */
-// Short kebab-case string for slug base
-function kebab(input) {
-  return slugify(String(input || ""), { lower: true, strict: true, trim: true }).slice(0, 80);
-}
-
-// Ensure slug uniqueness by adding -2, -3, ...
-async function uniqueSlug(base) {
-  let slug = base || "brand";
-  let i = 1;
-  while (await Brand.exists({ slug })) {
-    i += 1;
-    slug = `${base}-${i}`;
-  }
-  return slug;
-}
-
 // Pagination helpers
 function clamp(n, min, max) {
   return Math.max(min, Math.min(max, n));
@@ -57,16 +50,6 @@ function toPublic(absPath) {
   return absPath;
 }
 
-// Per-brand upload folder
-function brandUploadsFolderFor(id) {
-  return path.resolve(process.cwd(), "uploads", "brands", String(id));
-}
-
-// Safe regex for search
-function escapeRegex(s) {
-  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-}
-
 // Normalize mongoose doc/plain object and map logo path to public
 function toClient(b) {
   const obj = b?.toObject ? b.toObject() : b;
@@ -81,35 +64,26 @@ export default {
    */
   async create(req, res) {
     try {
-      const { name } = req.body || {};
-      if (typeof name !== "string") {
-        return res.status(400).json({ ok: false, code: 400, message: "Invalid name" });
-      }
-
-      const trimmed = name.trim();
-      if (trimmed.length < 2 || trimmed.length > 60) {
-        return res.status(400).json({ ok: false, code: 400, message: "Name must be 2-60 chars" });
+      const name = readBrandName((req.body || {}).name);
+      if (name.error) {
+        return res.status(400).json({ ok: false, code: 400, message: name.error });
       }
 
       // CI-unique name
-      const exists = await Brand.exists({ name: new RegExp(`^${escapeRegex(trimmed)}$`, "i") });
+      const exists = await findBrandByName(name.value);
       if (exists) {
         return res.status(409).json({ ok: false, code: 409, message: "Brand name already exists" });
       }
 
       // Immutable unique slug
-      const base = kebab(trimmed.normalize("NFKD"));
-      const slug = await uniqueSlug(base);
+      const slug = await nextBrandSlug(name.value);
 
       // Create initial brand
-      const brand = await Brand.create({ name: trimmed, slug, isActive: true, logo: null });
+      const brand = await Brand.create({ name: name.value, slug, isActive: true, logo: null });
 
       // Optional logo
       if (req.file?.buffer) {
-        await assertImageBuffer(req.file.buffer, MAX_IMG);
-        const folder = brandUploadsFolderFor(brand._id);
-        const logoPath = await saveWebpContain300(req.file.buffer, folder);
-        brand.logo = logoPath;
+        brand.logo = await storeBrandLogo(brand._id, req.file.buffer);
         await brand.save();
       }
 
@@ -189,10 +163,7 @@ export default {
         if (!name || name.length < 2 || name.length > 60) {
           return res.status(400).json({ ok: false, code: 400, message: "Name must be 2-60 chars" });
         }
-        const dup = await Brand.exists({
-          _id: { $ne: brand._id },
-          name: new RegExp(`^${escapeRegex(name)}$`, "i")
-        });
+        const dup = await findBrandByName(name, brand._id);
         if (dup) return res.status(409).json({ ok: false, code: 409, message: "DUPLICATE_NAME" });
         brand.name = name;
       }
@@ -207,9 +178,7 @@ export default {
 
       // Replace logo via multipart
       if (req.file?.buffer) {
-        await assertImageBuffer(req.file.buffer, MAX_IMG);
-        const folder = brandUploadsFolderFor(brand._id);
-        const newPath = await saveWebpContain300(req.file.buffer, folder);
+        const newPath = await storeBrandLogo(brand._id, req.file.buffer);
         const old = brand.logo;
         brand.logo = newPath;
         if (old && old !== newPath) {
@@ -227,16 +196,31 @@ export default {
 
   /**
    * DELETE /admin/brands/:id
-   * Steps: (1) load -> (2) delete doc -> (3) delete file best-effort -> (4) respond
-   * Note: Dependency checks with products can be added later (return 409)
+   * Steps: (1) load -> (2) 409 if products/deals/coupons reference it -> (3) delete doc + bookmarks + votes + reviews -> (4) delete file best-effort -> (5) respond
    */
   async remove(req, res) {
     try {
       const brand = await Brand.findById(req.params.id);
       if (!brand) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
 
+      const dep = await Product.countDocuments({ brandId: brand._id });
+      if (dep > 0) {
+        return res.status(409).json({ ok: false, code: 409, message: "Dependency: brand has products" });
+      }
+      const dealDep = await Deal.countDocuments({ brandId: brand._id });
+      if (dealDep > 0) {
+        return res.status(409).json({ ok: false, code: 409, message: "Dependency: brand has deals" });
+      }
+      const couponDep = await Coupon.countDocuments({ brandId: brand._id });
+      if (couponDep > 0) {
+        return res.status(409).json({ ok: false, code: 409, message: "Dependency: brand has coupons" });
+      }
+
       const old = brand.logo;
       await Brand.deleteOne({ _id: brand._id });
+      await forgetSavedItem("brand", brand._id);
+      await forgetVotes("brand", brand._id);
+      await Review.deleteMany({ brandId: brand._id });
       if (old) {
         try { await deleteLocal(old); } catch { /* ignore */ }
       }
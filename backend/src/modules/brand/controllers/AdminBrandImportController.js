@@ -0,0 +1,344 @@
+"use strict";
+
+/**
+ * Admin Brand Import Controller (beginner-friendly)
+ * Features:
+ *   - Bulk create/update brands from a CSV (+ optional zip of logos)
+ *   - Dry-run mode: validate everything, write nothing
+ *   - Per-row report, downloadable as CSV afterwards
+ * CSV:
+ *   - Header row required; columns: name (required), slug (optional), isActive (optional)
+ *   - Row with slug     -> update that brand (slug itself never changes)
+ *   - Row without slug  -> update the brand with the same name (case-insensitive), else create
+ *   - isActive: true/false/1/0/yes/no; empty = true on create, unchanged on update
+ * Logos zip:
+ *   - Files named by brand slug: <slug>.png | .jpg | .jpeg | .webp (folders ignored)
+ *   - New brands use the slug shown in the dry-run report
+ * Rules:
+ *   - Same name/slug/logo rules as POST /admin/brands (services/BrandRules.js)
+ *   - Rows are independent: a bad row is reported and skipped, the rest still import
+ */
+
+import mongoose from "mongoose";
+import path from "node:path";
+import zlib from "node:zlib";
+import AdmZip from "adm-zip";
+import { parse } from "csv-parse/sync";
+import Brand from "../models/Brand.js";
+import BrandImport from "../models/BrandImport.js";
+import { assertImageBuffer } from "../../../config/multer.js";
+import { deleteLocal } from "../../../utils/image.js";
+import {
+  MAX_LOGO_BYTES,
+  readBrandName,
+  findBrandByName,
+  nextBrandSlug,
+  storeBrandLogo
+} from "../services/BrandRules.js";
+
+/* --------------------------------- config --------------------------------- */
+const MAX_ROWS = 5000;
+const MAX_ZIP_ENTRIES = 5000;
+const MAX_ZIP_INFLATED_BYTES = 200 * 1024 * 1024; // all logos of one import, unpacked
+const MAX_COMPRESSION_RATIO = 50;                 // images barely compress; more = zip bomb
+const LOGO_EXT = [".png", ".jpg", ".jpeg", ".webp"];
+
+/* -------------------------------- utilities -------------------------------- */
+// "true"/"false"/"1"/"0"/"yes"/"no" → { value } ; empty → { value: undefined }
+function readBool(raw) {
+  const s = String(raw ?? "").trim().toLowerCase();
+  if (!s) return { value: undefined };
+  if (["true", "1", "yes"].includes(s)) return { value: true };
+  if (["false", "0", "no"].includes(s)) return { value: false };
+  return { error: "isActive must be true/false" };
+}
+
+// Parse CSV buffer → array of { name, slug, isactive } (lowercased headers)
+function readCsv(buffer) {
+  try {
+    const rows = parse(buffer, {
+      bom: true,
+      columns: (header) => header.map(h => String(h).trim().toLowerCase()),
+      relax_column_count: true, // short/long rows are reported per row, not as a file error
+      skip_empty_lines: true,
+      trim: true
+    });
+    return { rows };
+  } catch (e) {
+    return { error: `Invalid CSV: ${e?.message || "parse failed"}` };
+  }
+}
+
+// Index zip logos by slug (file name without extension, lowercased)
+function readLogoZip(buffer) {
+  const logos = new Map();
+  if (!buffer) return { logos };
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch {
+    return { error: "Invalid logos zip" };
+  }
+  if (entries.length > MAX_ZIP_ENTRIES) return { error: `Logos zip has more than ${MAX_ZIP_ENTRIES} files` };
+
+  for (const entry of entries) {
+    if (entry.isDirectory) continue;
+    const base = path.posix.basename(entry.entryName.replaceAll("\\", "/"));
+    if (base.startsWith(".")) continue; // e.g. macOS "._x.png" / ".DS_Store"
+    const ext = path.posix.extname(base).toLowerCase();
+    if (!LOGO_EXT.includes(ext)) continue;
+    const slug = base.slice(0, -ext.length).toLowerCase();
+    if (!logos.has(slug)) logos.set(slug, entry);
+  }
+  return { logos };
+}
+
+function logoError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Unzip one logo and check it like an uploaded file.
+ * Header sizes come from the uploader, so they are only a first filter:
+ * inflation itself stops at the logo limit / what is left of budget.left
+ * (bytes the whole zip may still inflate to).
+ */
+async function readLogo(entry, budget) {
+  const { size, compressedSize, method, encrypted } = entry.header;
+  if (encrypted) throw logoError("Encrypted zip entries are not supported");
+  if (size > MAX_LOGO_BYTES || compressedSize > MAX_LOGO_BYTES) throw logoError("Image too large", 413);
+  if (size > compressedSize * MAX_COMPRESSION_RATIO) throw logoError("Suspicious compression ratio");
+
+  const limit = Math.min(MAX_LOGO_BYTES, budget.left);
+  if (limit <= 0) throw logoError("Logos zip too large once unpacked", 413);
+
+  const raw = entry.getCompressedData(); // no inflation yet
+  let buffer;
+  if (method === 0) {
+    buffer = raw; // stored
+  } else if (method === 8) {
+    try {
+      buffer = zlib.inflateRawSync(raw, { maxOutputLength: limit });
+    } catch (e) {
+      if (e?.code === "ERR_BUFFER_TOO_LARGE") throw logoError("Image too large", 413);
+      throw logoError("Corrupted zip entry");
+    }
+  } else {
+    throw logoError("Unsupported zip compression");
+  }
+  if (buffer.length > limit) throw logoError("Image too large", 413);
+  if (buffer.length > raw.length * MAX_COMPRESSION_RATIO) throw logoError("Suspicious compression ratio");
+
+  budget.left -= buffer.length;
+  await assertImageBuffer(buffer, MAX_LOGO_BYTES);
+  return buffer;
+}
+
+// CSV cell: quote when needed + neutralise spreadsheet formulas
+function csvCell(v) {
+  let s = v === null || v === undefined ? "" : String(v);
+  if (/^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replaceAll("\"", "\"\"")}"` : s;
+}
+
+/**
+ * Validate one CSV row and (unless dryRun) write it.
+ * state = { dryRun, logos, inflateBudget:{ left }, reserved:Set<slug>, seenNames:Map, seenSlugs:Map }
+ */
+async function importRow(rec, rowNo, state) {
+  const out = { row: rowNo, name: null, slug: null, action: "error", logo: false, messages: [] };
+
+  const name = readBrandName(rec.name ?? "");
+  if (name.error) out.messages.push(name.error);
+  else out.name = name.value;
+
+  const active = readBool(rec.isactive);
+  if (active.error) out.messages.push(active.error);
+
+  if (out.name) {
+    const key = out.name.toLowerCase();
+    if (state.seenNames.has(key)) out.messages.push(`Duplicate name in file (row ${state.seenNames.get(key)})`);
+    else state.seenNames.set(key, rowNo);
+  }
+
+  // Find the target brand (update) or pick the slug it will get (create)
+  let target = null;
+  const slugCol = String(rec.slug ?? "").trim().toLowerCase();
+  if (slugCol) {
+    target = await Brand.findOne({ slug: slugCol }).lean();
+    if (!target) out.messages.push("Unknown slug");
+  } else if (out.name) {
+    target = await findBrandByName(out.name);
+  }
+
+  if (target) {
+    out.slug = target.slug;
+    if (out.name && out.name.toLowerCase() !== target.name.toLowerCase()) {
+      const dup = await findBrandByName(out.name, target._id);
+      if (dup) out.messages.push("Brand name already exists");
+    }
+    if (state.seenSlugs.has(target.slug)) out.messages.push(`Same brand as row ${state.seenSlugs.get(target.slug)}`);
+    else state.seenSlugs.set(target.slug, rowNo);
+  } else if (out.name && !slugCol) {
+    out.slug = await nextBrandSlug(out.name, state.reserved);
+    state.reserved.add(out.slug);
+  }
+
+  // Logo from zip (validated even in dry-run)
+  let logoBuffer = null;
+  const entry = out.slug ? state.logos.get(out.slug) : null;
+  if (entry) {
+    try {
+      logoBuffer = await readLogo(entry, state.inflateBudget);
+      out.logo = true;
+    } catch (e) {
+      out.messages.push(`Logo: ${e?.message || "invalid image"}`);
+    }
+  }
+
+  if (out.messages.length) return out;
+  out.action = target ? "update" : "create";
+  if (state.dryRun) return out;
+
+  // Write
+  try {
+    if (!target) {
+      const brand = await Brand.create({
+        name: out.name,
+        slug: out.slug,
+        isActive: active.value ?? true,
+        logo: null
+      });
+      if (logoBuffer) {
+        brand.logo = await storeBrandLogo(brand._id, logoBuffer);
+        await brand.save();
+      }
+    } else {
+      const brand = await Brand.findById(target._id);
+      if (!brand) throw new Error("Brand was deleted during import");
+      brand.name = out.name;
+      if (active.value !== undefined) brand.isActive = active.value;
+      let old = null;
+      if (logoBuffer) {
+        old = brand.logo;
+        brand.logo = await storeBrandLogo(brand._id, logoBuffer);
+      }
+      await brand.save();
+      if (old && old !== brand.logo) {
+        try { await deleteLocal(old); } catch { /* ignore */ }
+      }
+    }
+  } catch (e) {
+    out.action = "error";
+    out.messages.push(e?.code === 11000 ? "Slug already taken, retry the import" : (e?.message || "Failed to save"));
+  }
+  return out;
+}
+
+/* ================================ controller ================================ */
+export default {
+  /**
+   * POST /admin/brands/import  (multipart: csv, logos?; dryRun=true|false in body or query)
+   * Steps: (1) read files -> (2) parse CSV + zip -> (3) validate/write row by row -> (4) store report -> (5) respond
+   */
+  async importCsv(req, res) {
+    try {
+      const csvFile = req.files?.csv?.[0];
+      if (!csvFile?.buffer?.length) {
+        return res.status(400).json({ ok: false, code: 400, message: "CSV file required (field: csv)" });
+      }
+
+      const dry = readBool(req.body?.dryRun ?? req.query.dryRun);
+      if (dry.error) {
+        return res.status(400).json({ ok: false, code: 400, message: "dryRun must be true/false" });
+      }
+      const dryRun = dry.value === true;
+
+      const csv = readCsv(csvFile.buffer);
+      if (csv.error) return res.status(400).json({ ok: false, code: 400, message: csv.error });
+      if (!csv.rows.length) return res.status(400).json({ ok: false, code: 400, message: "CSV has no rows" });
+      if (!Object.prototype.hasOwnProperty.call(csv.rows[0], "name")) {
+        return res.status(400).json({ ok: false, code: 400, message: "CSV header must include a name column" });
+      }
+      if (csv.rows.length > MAX_ROWS) {
+        return res.status(400).json({ ok: false, code: 400, message: `CSV has more than ${MAX_ROWS} rows` });
+      }
+
+      const zip = readLogoZip(req.files?.logos?.[0]?.buffer);
+      if (zip.error) return res.status(400).json({ ok: false, code: 400, message: zip.error });
+
+      const state = {
+        dryRun,
+        logos: zip.logos,
+        inflateBudget: { left: MAX_ZIP_INFLATED_BYTES },
+        reserved: new Set(),
+        seenNames: new Map(),
+        seenSlugs: new Map()
+      };
+      const rows = [];
+      for (let i = 0; i < csv.rows.length; i++) {
+        rows.push(await importRow(csv.rows[i], i + 1, state));
+      }
+
+      const totals = {
+        rows: rows.length,
+        created: rows.filter(r => r.action === "create").length,
+        updated: rows.filter(r => r.action === "update").length,
+        failed: rows.filter(r => r.action === "error").length
+      };
+
+      const report = await BrandImport.create({
+        adminId: req.auth?.sub ? String(req.auth.sub) : null,
+        fileName: csvFile.originalname || null,
+        dryRun,
+        totals,
+        rows
+      });
+
+      return res.json({
+        ok: true,
+        data: {
+          _id: report._id,
+          dryRun,
+          totals,
+          rows,
+          reportUrl: `/admin/brands/imports/${report._id}/report`
+        }
+      });
+    } catch (e) {
+      const status = e?.status || 500;
+      return res.status(status).json({ ok: false, code: status, message: e?.publicMessage || e?.message || "Failed to import brands" });
+    }
+  },
+
+  /**
+   * GET /admin/brands/imports/:id/report?only=errors
+   * Steps: (1) find import -> (2) 404 if missing -> (3) build CSV -> (4) send as attachment
+   */
+  async report(req, res) {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+      }
+      const imp = await BrandImport.findById(req.params.id).lean();
+      if (!imp) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+      const onlyErrors = String(req.query.only || "") === "errors";
+      const rows = onlyErrors ? imp.rows.filter(r => r.action === "error") : imp.rows;
+
+      const lines = [["row", "name", "slug", "action", "logo", "errors"].join(",")];
+      for (const r of rows) {
+        lines.push([r.row, r.name, r.slug, r.action, r.logo ? "yes" : "no", r.messages.join("; ")].map(csvCell).join(","));
+      }
+
+      const fileName = `brand-import-${imp._id}${imp.dryRun ? "-dry-run" : ""}.csv`;
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+      return res.send(lines.join("\r\n") + "\r\n");
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to build report" });
+    }
+  }
+};
@@ -3,12 +3,14 @@
 /**
  * Public Brand Controller (beginner-friendly)
  * What it does:
- *   - List active brands that have a logo (public-eligible)
- *   - Products endpoint placeholder (returns 404 if brand not eligible, else empty list)
+ *   - List active brands that have a logo (public-eligible), with isSaved + ratingAvg/ratingCount
+ *   - List active products of an eligible brand (paginated)
  */
 
 import path from "node:path";
 import Brand from "../models/Brand.js";
+import Product from "../../product/models/Product.js";
+import { markSaved } from "../../saved/services/SavedTypes.js";
 
 /* ------------------------------- utilities ------------------------------- */
 function clamp(n, min, max) {
@@ -30,6 +32,9 @@ function toPublic(absPath) {
 export default {
   /**
    * GET /public/brands
+   * Query: ?page=&pageSize=&sort=(name|createdAt|updatedAt|hot|rating)&order=(asc|desc)
+   * Note: sort=hot / sort=rating are always best first (order is ignored);
+   *       rating ties are broken by ratingCount
    * Steps: (1) read pagination/sort -> (2) build condition (active + has logo) -> (3) query + count -> (4) map logo to public path -> (5) respond
    */
   async list(req, res) {
@@ -40,7 +45,9 @@ export default {
       const order = String(req.query.order || "asc") === "desc" ? -1 : 1;
 
       const sortObj = {};
-      if (["name", "createdAt", "updatedAt"].includes(sort)) sortObj[sort] = order;
+      if (sort === "hot") sortObj.hotScore = -1;
+      else if (sort === "rating") Object.assign(sortObj, { ratingAvg: -1, ratingCount: -1 });
+      else if (["name", "createdAt", "updatedAt"].includes(sort)) sortObj[sort] = order;
       sortObj._id = -1; // stable secondary sort
 
       const cond = { isActive: true, logo: { $ne: null } };
@@ -58,7 +65,12 @@ export default {
 
       return res.json({
         ok: true,
-        data: items.map(b => ({ ...b, logo: b.logo ? toPublic(b.logo) : null })),
+        data: await markSaved(req, "brand", items.map(b => ({
+          ...b,
+          logo: b.logo ? toPublic(b.logo) : null,
+          ratingAvg: b.ratingAvg || 0,
+          ratingCount: b.ratingCount || 0
+        }))),
         meta: { page, pageSize, total }
       });
     } catch (e) {
@@ -68,7 +80,8 @@ export default {
 
   /**
    * GET /public/brands/:slug/products
-   * Steps: (1) find eligible brand (active + has logo) -> (2) 404 if missing -> (3) return empty product list (module not implemented)
+   * Query: ?page=&pageSize=&sort=(name|createdAt|updatedAt)&order=(asc|desc)
+   * Steps: (1) find eligible brand (active + has logo) -> (2) 404 if missing -> (3) query active products page -> (4) map images -> (5) respond
    */
   async products(req, res) {
     try {
@@ -84,7 +97,28 @@ export default {
         return res.status(404).json({ ok: false, code: 404, message: "Not found" });
       }
 
-      // Products module is out of scope in this project; keep contract and return empty list.
+      const page = clamp(toInt(req.query.page, 1), 1, 1_000_000_000);
+      const pageSize = clamp(toInt(req.query.pageSize, 10), 1, 50);
+      const sort = String(req.query.sort || "createdAt");
+      const order = String(req.query.order || "desc") === "asc" ? 1 : -1;
+
+      const sortObj = {};
+      if (["name", "createdAt", "updatedAt"].includes(sort)) sortObj[sort] = order;
+      sortObj._id = -1; // stable secondary sort
+
+      const cond = { brandId: brand._id, isActive: true };
+      const skip = (page - 1) * pageSize;
+
+      const [items, total] = await Promise.all([
+        Product.find(cond)
+          .collation({ locale: "en", strength: 2 })
+          .sort(sortObj)
+          .skip(skip)
+          .limit(pageSize)
+          .lean(),
+        Product.countDocuments(cond)
+      ]);
+
       return res.json({
         ok: true,
         brand: {
@@ -93,8 +127,8 @@ export default {
           slug: brand.slug,
           logo: toPublic(brand.logo)
         },
-        data: [],
-        meta: { page: 1, pageSize: 10, total: 0 }
+        data: items.map(p => ({ ...p, image: p.image ? toPublic(p.image) : null })),
+        meta: { page, pageSize, total }
       });
     } catch (e) {
       return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to fetch brand products" });
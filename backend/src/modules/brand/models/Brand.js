@@ -6,7 +6,18 @@ const BrandSchema = new mongoose.Schema({
   name: { type: String, required: true, minlength: 2, maxlength: 60, trim: true },
   slug: { type: String, required: true, unique: true, lowercase: true, trim: true },
   logo: { type: String, default: null }, // webp path
-  isActive: { type: Boolean, default: true }
+  isActive: { type: Boolean, default: true },
+
+  // Community votes (maintained by vote/services/HotRanker.js)
+  upvotes: { type: Number, default: 0 },
+  downvotes: { type: Number, default: 0 },
+  hotScore: { type: Number, default: 0, index: true },
+
+  // User reviews (maintained by review/services/BrandRating.js)
+  ratingAvg: { type: Number, default: 0, min: 0, max: 5 },
+  ratingCount: { type: Number, default: 0, min: 0 }
 }, { timestamps: true });
 
+BrandSchema.index({ ratingAvg: -1, ratingCount: -1 });
+
 export default mongoose.model("Brand", BrandSchema);
@@ -0,0 +1,33 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+// One row outcome of a CSV import (row 1 = first data row after the header)
+const ImportRowSchema = new mongoose.Schema({
+  row: { type: Number, required: true },
+  name: { type: String, default: null },
+  slug: { type: String, default: null },
+  action: { type: String, enum: ["create", "update", "error"], required: true },
+  logo: { type: Boolean, default: false }, // logo taken from the zip
+  messages: { type: [String], default: [] } // why the row failed (empty when ok)
+}, { _id: false });
+
+// Kept so the per-row report can be downloaded after the upload
+const BrandImportSchema = new mongoose.Schema({
+  adminId: { type: String, default: null },
+  fileName: { type: String, default: null },
+  dryRun: { type: Boolean, default: false },
+  totals: {
+    rows: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  rows: { type: [ImportRowSchema], default: [] },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Reports expire after 30 days
+BrandImportSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model("BrandImport", BrandImportSchema);
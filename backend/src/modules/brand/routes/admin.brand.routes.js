@@ -4,13 +4,15 @@
  * Admin Brand Routes (beginner-friendly)
  * Summary:
  *   Handles all admin-only routes for brand management.
- *   Requires admin authentication (authAdmin middleware).
+ *   Requires an admin whose role grants the "catalog" permission.
  *
  *   Endpoints:
  *     POST   /admin/brands              -> Create new brand (optional logo)
  *     GET    /admin/brands              -> Paginated list of brands
  *     GET    /admin/brands/metrics      -> Count total/active/inactive brands
  *     GET    /admin/brands/search       -> Search brands by name/slug
+ *     POST   /admin/brands/import       -> Bulk create/update from CSV (+ logos zip, dry-run)
+ *     GET    /admin/brands/imports/:id/report -> Download an import's per-row report (CSV)
  *     GET    /admin/brands/:id          -> Read single brand details
  *     PATCH  /admin/brands/:id          -> Update brand name or logo
  *     DELETE /admin/brands/:id          -> Delete brand
@@ -18,15 +20,25 @@
  */
 
 import { Router } from "express";
-import { authAdmin } from "../../../middlewares/authAdmin.js"; // checks if admin is logged in
-import { upload } from "../../../config/multer.js";             // handles multipart/form-data uploads
+import { requireAdmin } from "../../../middlewares/authAdmin.js";
+import { PERMISSIONS } from "../../../config/adminRoles.js";
+import { audit } from "../../../middlewares/audit.js";
+import Brand from "../models/Brand.js";
+import { upload, importUpload } from "../../../config/multer.js"; // handles multipart/form-data uploads
 import AdminBrandController from "../controllers/AdminBrandController.js";
+import AdminBrandImportController from "../controllers/AdminBrandImportController.js";
 
 const r = Router();
 
+// Admin + "catalog" permission (see config/adminRoles.js)
+const authAdmin = requireAdmin(PERMISSIONS.CATALOG);
+
+// Record successful writes in the audit log
+const auditBrand = (action, opts) => audit("brand", action, { model: Brand, ...opts });
+
 /* ------------------------------- BRAND ROUTES ------------------------------ */
 // Create a new brand (logo optional on creation)
-r.post("/", authAdmin, upload.single("logo"), AdminBrandController.create);
+r.post("/", authAdmin, auditBrand("create"), upload.single("logo"), AdminBrandController.create);
 
 // Get list of all brands (supports pagination & sorting)
 r.get("/", authAdmin, AdminBrandController.list);
@@ -37,16 +49,30 @@ r.get("/metrics", authAdmin, AdminBrandController.metrics);
 // Search brands by keyword
 r.get("/search", authAdmin, AdminBrandController.search);
 
+// Bulk import from CSV (+ optional zip of logos named by slug)
+r.post(
+  "/import",
+  authAdmin,
+  audit("brand_import", "import", {
+    meta: (_req, body) => (body?.data ? { importId: body.data._id, dryRun: body.data.dryRun, totals: body.data.totals } : null)
+  }),
+  importUpload.fields([{ name: "csv", maxCount: 1 }, { name: "logos", maxCount: 1 }]),
+  AdminBrandImportController.importCsv
+);
+
+// Download the per-row report of an import
+r.get("/imports/:id/report", authAdmin, AdminBrandImportController.report);
+
 // Read single brand details by ID
 r.get("/:id", authAdmin, AdminBrandController.read);
 
 // Update brand (can change name or logo)
-r.patch("/:id", authAdmin, upload.single("logo"), AdminBrandController.update);
+r.patch("/:id", authAdmin, auditBrand("update"), upload.single("logo"), AdminBrandController.update);
 
 // Delete brand by ID
-r.delete("/:id", authAdmin, AdminBrandController.remove);
+r.delete("/:id", authAdmin, auditBrand("delete"), AdminBrandController.remove);
 
 // Toggle brand active/inactive status
-r.patch("/:id/status", authAdmin, AdminBrandController.toggleStatus);
+r.patch("/:id/status", authAdmin, auditBrand("status"), AdminBrandController.toggleStatus);
 
 export default r;
@@ -5,22 +5,24 @@
  * Summary:
  *   Public-facing brand APIs — no authentication required.
  *   Only active brands with a valid logo are shown.
+ *   A user access token is optional; when valid, brands carry isSaved.
  *
  *   Endpoints:
  *     GET /public/brands               -> List all active brands (paginated)
- *     GET /public/brands/:slug/products -> Get products of a brand (currently returns empty list)
+ *     GET /public/brands/:slug/products -> Get active products of a brand (paginated)
  */
 
 import { Router } from "express";
+import { optionalUser } from "../../../middlewares/optionalUser.js";
 import PublicBrandController from "../controllers/PublicBrandController.js";
 
 const r = Router();
 
 /* ------------------------------- PUBLIC ROUTES ------------------------------ */
 // Get all active brands that have a logo (public-visible)
-r.get("/brands", PublicBrandController.list);
+r.get("/brands", optionalUser, PublicBrandController.list);
 
-// Get a brand’s products by slug (returns empty until products module exists)
+// Get a brand’s active products by slug (paginated)
 r.get("/brands/:slug/products", PublicBrandController.products);
 
 export default r;
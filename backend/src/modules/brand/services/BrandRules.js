@@ -0,0 +1,70 @@
+"use strict";
+
+/**
+ * Brand rules
+ * -----------
+ * The create/rename rules shared by AdminBrandController and the CSV importer,
+ * so a brand imported from a spreadsheet is held to exactly the same checks.
+ *   - Name: 2–60 chars, case-insensitive unique
+ *   - Slug: kebab-case from the name, unique with numeric suffix, never changes
+ *   - Logo: JPEG/PNG/WEBP ≤ 2MB, stored as 300x300 contain WEBP
+ */
+
+import path from "node:path";
+import slugify from "slugify";
+import Brand from "../models/Brand.js";
+import { assertImageBuffer } from "../../../config/multer.js";
+import { saveWebpContain300 } from "../../../utils/image.js";
+
+export const MAX_LOGO_BYTES = 2 * 1024 * 1024; // 2MB
+
+// Short kebab-case string for slug base
+export function kebab(input) {
+  return slugify(String(input || ""), { lower: true, strict: true, trim: true }).slice(0, 80);
+}
+
+// Safe regex for exact/partial name matching
+export function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Validate a brand name → { value } or { error }
+export function readBrandName(raw) {
+  if (typeof raw !== "string") return { error: "Invalid name" };
+  const name = raw.trim();
+  if (name.length < 2 || name.length > 60) return { error: "Name must be 2-60 chars" };
+  return { value: name };
+}
+
+// Find another brand with the same name (case-insensitive), optionally excluding one id
+export async function findBrandByName(name, excludeId = null) {
+  const cond = { name: new RegExp(`^${escapeRegex(name)}$`, "i") };
+  if (excludeId) cond._id = { $ne: excludeId };
+  return Brand.findOne(cond).lean();
+}
+
+/**
+ * Next free slug for a name (adds -2, -3, ...).
+ * reserved = slugs already claimed but not yet saved (e.g. earlier rows of a dry-run import).
+ */
+export async function nextBrandSlug(name, reserved = null) {
+  const base = kebab(String(name).normalize("NFKD")) || "brand";
+  let slug = base;
+  let i = 1;
+  while ((reserved && reserved.has(slug)) || await Brand.exists({ slug })) {
+    i += 1;
+    slug = `${base}-${i}`;
+  }
+  return slug;
+}
+
+// Per-brand upload folder
+export function brandUploadsFolderFor(id) {
+  return path.resolve(process.cwd(), "uploads", "brands", String(id));
+}
+
+// Validate + process a logo buffer; returns the stored absolute path
+export async function storeBrandLogo(brandId, buffer) {
+  await assertImageBuffer(buffer, MAX_LOGO_BYTES);
+  return saveWebpContain300(buffer, brandUploadsFolderFor(brandId));
+}
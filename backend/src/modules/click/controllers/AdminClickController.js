@@ -0,0 +1,113 @@
+"use strict";
+
+/**
+ * Admin Click Report Controller
+ * Features:
+ *   - Clicks per brand in a date range
+ *   - Clicks per day in a date range (optionally for one brand)
+ * Range:
+ *   - ?from=&to= (ISO dates, UTC); default = last 30 days; max 366 days
+ */
+
+import mongoose from "mongoose";
+import Click from "../models/Click.js";
+import Brand from "../../brand/models/Brand.js";
+
+/* -------------------------------- utilities -------------------------------- */
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+
+// Parse ?from=&to= into a validated [from, to) range
+function readRange(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * DAY_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+    return { error: "Invalid from/to range" };
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `Range must be ≤ ${MAX_RANGE_DAYS} days` };
+  }
+  return { from, to };
+}
+
+/* ================================ controller ================================ */
+export default {
+  /**
+   * GET /admin/clicks/by-brand?from=&to=
+   * Steps: (1) read range -> (2) group clicks by brand -> (3) attach brand names -> (4) respond (most clicks first)
+   */
+  async byBrand(req, res) {
+    try {
+      const range = readRange(req.query);
+      if (range.error) return res.status(400).json({ ok: false, code: 400, message: range.error });
+
+      const rows = await Click.aggregate([
+        { $match: { createdAt: { $gte: range.from, $lt: range.to } } },
+        {
+          $group: {
+            _id: "$brandId",
+            clicks: { $sum: 1 },
+            signedIn: { $sum: { $cond: [{ $ne: ["$userId", null] }, 1, 0] } },
+            uniqueIps: { $addToSet: "$ipHash" }
+          }
+        },
+        { $project: { clicks: 1, signedIn: 1, uniqueIps: { $size: "$uniqueIps" } } },
+        { $sort: { clicks: -1, _id: 1 } }
+      ]);
+
+      const brands = await Brand.find({ _id: { $in: rows.map(r => r._id) } }, { name: 1, slug: 1 }).lean();
+      const map = new Map(brands.map(b => [String(b._id), b]));
+
+      const data = rows.map(r => ({
+        brandId: r._id,
+        name: map.get(String(r._id))?.name || null,
+        slug: map.get(String(r._id))?.slug || null,
+        clicks: r.clicks,
+        signedIn: r.signedIn,
+        uniqueIps: r.uniqueIps
+      }));
+
+      return res.json({ ok: true, data, meta: { from: range.from, to: range.to } });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to build brand report" });
+    }
+  },
+
+  /**
+   * GET /admin/clicks/by-day?from=&to=&brandId=
+   * Steps: (1) read range + optional brand -> (2) group clicks by UTC day -> (3) respond (oldest day first)
+   */
+  async byDay(req, res) {
+    try {
+      const range = readRange(req.query);
+      if (range.error) return res.status(400).json({ ok: false, code: 400, message: range.error });
+
+      const match = { createdAt: { $gte: range.from, $lt: range.to } };
+      if (req.query.brandId) {
+        if (!mongoose.isValidObjectId(req.query.brandId)) {
+          return res.status(400).json({ ok: false, code: 400, message: "Invalid brandId" });
+        }
+        match.brandId = new mongoose.Types.ObjectId(String(req.query.brandId));
+      }
+
+      const rows = await Click.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: "UTC" } },
+            clicks: { $sum: 1 }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]);
+
+      return res.json({
+        ok: true,
+        data: rows.map(r => ({ day: r._id, clicks: r.clicks })),
+        meta: { from: range.from, to: range.to, brandId: match.brandId || null }
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to build daily report" });
+    }
+  }
+};
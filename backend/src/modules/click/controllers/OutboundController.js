@@ -0,0 +1,98 @@
+"use strict";
+
+/**
+ * Outbound Click Controller
+ * Routes:
+ *   GET /go/:id   -> record the click, then 302 to the deal's merchant URL
+ *
+ * What gets stored per click:
+ *   - deal + brand (for per-brand revenue attribution)
+ *   - signed-in user (only when a valid user access token is sent)
+ *   - HMAC-SHA256 of the IP (raw IPs are never stored)
+ *   - referrer
+ *   - a random sub-ID, which is also appended to the affiliate URL
+ */
+
+import crypto from "node:crypto";
+import mongoose from "mongoose";
+import Click from "../models/Click.js";
+import Deal from "../../deal/models/Deal.js";
+import Brand from "../../brand/models/Brand.js";
+
+/* --------------------------- constants & config --------------------------- */
+const SUBID_PARAM = process.env.AFFILIATE_SUBID_PARAM || "subid";
+const IP_HASH_SECRET = process.env.CLICK_IP_SECRET || process.env.JWT_ACCESS_SECRET || "";
+
+/* --------------------------------- utils --------------------------------- */
+function hashIp(ip) {
+  if (!ip) return "";
+  return crypto.createHmac("sha256", IP_HASH_SECRET).update(String(ip)).digest("hex");
+}
+
+function newSubId() {
+  return crypto.randomBytes(8).toString("hex");
+}
+
+// Append (or overwrite) the sub-ID query param on the merchant URL
+function withSubId(merchantUrl, subId) {
+  const u = new URL(merchantUrl);
+  u.searchParams.set(SUBID_PARAM, subId);
+  return u.toString();
+}
+
+/* ============================ Controller functions ============================ */
+
+// GET /go/:id
+export async function go(req, res) {
+  try {
+    const id = req && req.params ? req.params.id : undefined;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+
+    // Only live deals of public-eligible brands redirect
+    const now = new Date();
+    const deal = await Deal.findOne({
+      _id: id,
+      isActive: true,
+      startsAt: { $lte: now },
+      $or: [{ endsAt: null }, { endsAt: { $gt: now } }]
+    }).lean();
+    if (!deal) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+    const brandOk = await Brand.exists({ _id: deal.brandId, isActive: true, logo: { $ne: null } });
+    if (!brandOk) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+
+    const subId = newSubId();
+    const target = withSubId(deal.url, subId);
+
+    // Record first; a failed insert must not strand the visitor
+    try {
+      await Click.create({
+        dealId: deal._id,
+        brandId: deal.brandId,
+        userId: req.auth && req.auth.sub ? req.auth.sub : null,
+        subId,
+        ipHash: hashIp(req.ip),
+        referrer: String(req.get("referer") || "").slice(0, 500),
+        createdAt: now
+      });
+    } catch (e) {
+      console.error("[Click record error]", e && e.message);
+    }
+
+    res.set("Cache-Control", "no-store");
+    res.set("Referrer-Policy", "no-referrer-when-downgrade");
+    return res.redirect(302, target);
+  } catch (e) {
+    const status = (e && e.status) || 500;
+    return res.status(status).json({
+      ok: false,
+      code: status,
+      message: (e && (e.publicMessage || e.message)) || "Failed to redirect"
+    });
+  }
+}
@@ -0,0 +1,15 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+const ClickSchema = new mongoose.Schema({
+  dealId: { type: mongoose.Schema.Types.ObjectId, ref: "Deal", required: true, index: true },
+  brandId: { type: mongoose.Schema.Types.ObjectId, ref: "Brand", required: true, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // signed-in user, if any
+  subId: { type: String, required: true, unique: true }, // appended to the affiliate URL
+  ipHash: { type: String, default: "" }, // HMAC-SHA256 of IP (never the raw IP)
+  referrer: { type: String, default: "" },
+  createdAt: { type: Date, default: Date.now, index: true }
+}, { timestamps: false });
+
+export default mongoose.model("Click", ClickSchema);
@@ -0,0 +1,31 @@
+"use strict";
+
+/**
+ * Admin Click Report Routes
+ * Summary:
+ *   Admin-only outbound click reports (affiliate attribution).
+ *   Requires an admin whose role grants the "analytics" permission.
+ *
+ *   Endpoints:
+ *     GET /admin/clicks/by-brand   -> Clicks per brand (?from=&to=)
+ *     GET /admin/clicks/by-day     -> Clicks per day (?from=&to=&brandId=)
+ */
+
+import { Router } from "express";
+import { requireAdmin } from "../../../middlewares/authAdmin.js";
+import { PERMISSIONS } from "../../../config/adminRoles.js";
+import AdminClickController from "../controllers/AdminClickController.js";
+
+const r = Router();
+
+// Admin + "analytics" permission (see config/adminRoles.js)
+const authAdmin = requireAdmin(PERMISSIONS.ANALYTICS);
+
+/* ------------------------------- REPORT ROUTES ----------------------------- */
+// Clicks grouped by brand
+r.get("/by-brand", authAdmin, AdminClickController.byBrand);
+
+// Clicks grouped by UTC day
+r.get("/by-day", authAdmin, AdminClickController.byDay);
+
+export default r;
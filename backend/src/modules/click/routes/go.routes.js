@@ -0,0 +1,23 @@
+"use strict";
+
+/**
+ * Outbound Redirect Routes
+ * ---------------------------------------------------------
+ * Affiliate click-out: records the click, then redirects (302).
+ * A user access token is optional; when valid, the click is tied to the user.
+ *
+ * Routes:
+ *   GET /go/:id  -> deal id → merchant URL (+ sub-ID)
+ * ---------------------------------------------------------
+ */
+
+import { Router } from "express";
+import { optionalUser } from "../../../middlewares/optionalUser.js";
+import { go } from "../controllers/OutboundController.js";
+
+const router = Router();
+
+/* ------------------------------ CLICK-OUT ------------------------------ */
+router.get("/:id", optionalUser, go);
+
+export default router;
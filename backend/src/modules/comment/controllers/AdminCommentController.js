@@ -0,0 +1,170 @@
+"use strict";
+
+/**
+ * Admin Comment Controller (named exports version)
+ * Features:
+ *   - Moderation queue (filter by status / blog)
+ *   - Approve / hide
+ *   - Delete (removes the whole reply subtree)
+ *   - Moderation settings (require approval for new accounts)
+ */
+
+import mongoose from "mongoose";
+import Comment from "../models/Comment.js";
+import CommentSettings from "../models/CommentSettings.js";
+
+/* -------------------------------- utilities -------------------------------- */
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+function toInt(v, fallback) {
+  const n = Number.parseInt(v, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const STATUSES = ["pending", "approved", "hidden"];
+
+/* ================================ controllers ================================ */
+/**
+ * GET /admin/comments
+ * Query: ?status=(pending|approved|hidden)&blogId=&page=&pageSize=
+ * Default status is "pending" (the moderation queue), oldest first so nothing starves
+ * Steps: (1) read filters -> (2) query + count -> (3) respond
+ */
+export async function list(req, res) {
+  try {
+    const q = req && req.query ? req.query : {};
+    const status = String(q.status || "pending");
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, code: 400, message: "Invalid status" });
+    }
+
+    const cond = { status };
+    if (q.blogId) {
+      if (!mongoose.isValidObjectId(q.blogId)) {
+        return res.status(400).json({ ok: false, code: 400, message: "Invalid blogId" });
+      }
+      cond.blogId = q.blogId;
+    }
+
+    const page = clamp(toInt(q.page, 1), 1, 1_000_000_000);
+    const pageSize = clamp(toInt(q.pageSize, 20), 1, 50);
+    const skip = (page - 1) * pageSize;
+
+    const [items, total] = await Promise.all([
+      Comment.find(cond)
+        .sort({ createdAt: status === "pending" ? 1 : -1, _id: 1 })
+        .skip(skip)
+        .limit(pageSize)
+        .populate("userId", "email name")
+        .populate("blogId", "title slug")
+        .lean(),
+      Comment.countDocuments(cond)
+    ]);
+
+    return res.json({ ok: true, data: items, meta: { page, pageSize, total } });
+  } catch (e) {
+    return res.status(500).json({ ok: false, code: 500, message: (e && e.message) || "Failed to list comments" });
+  }
+}
+
+/**
+ * PATCH /admin/comments/:id/status  { status: "approved" | "hidden" | "pending" }
+ * Steps: (1) validate -> (2) update -> (3) 404 if missing -> (4) respond
+ */
+export async function setStatus(req, res) {
+  try {
+    const body = req && req.body ? req.body : {};
+    if (!STATUSES.includes(body.status)) {
+      return res.status(400).json({ ok: false, code: 400, message: "status must be pending|approved|hidden" });
+    }
+
+    const id = req && req.params ? req.params.id : undefined;
+    const c = await Comment.findByIdAndUpdate(id, { $set: { status: body.status } }, { new: true }).lean();
+    if (!c) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    return res.json({ ok: true, data: c });
+  } catch (e) {
+    return res.status(500).json({ ok: false, code: 500, message: (e && e.message) || "Failed to update comment" });
+  }
+}
+
+/**
+ * DELETE /admin/comments/:id
+ * Steps: (1) find -> (2) 404 if missing -> (3) delete comment + all replies below it -> (4) respond
+ */
+export async function remove(req, res) {
+  try {
+    const id = req && req.params ? req.params.id : undefined;
+    const c = await Comment.findById(id).lean();
+    if (!c) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+    const del = await Comment.deleteMany({ $or: [{ _id: c._id }, { ancestors: c._id }] });
+    return res.json({ ok: true, deleted: del.deletedCount });
+  } catch (e) {
+    return res.status(500).json({ ok: false, code: 500, message: (e && e.message) || "Failed to delete comment" });
+  }
+}
+
+/**
+ * GET /admin/comments/settings
+ * Steps: (1) read latest settings -> (2) respond (defaults if none saved)
+ */
+export async function getSettings(req, res) {
+  try {
+    const s = await CommentSettings.findOne().sort({ createdAt: -1 }).lean();
+    return res.json({
+      ok: true,
+      settings: {
+        requireApprovalForNewAccounts: s ? s.requireApprovalForNewAccounts : false,
+        newAccountDays: s ? s.newAccountDays : 7
+      }
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, code: 500, message: (e && e.message) || "Failed to read settings" });
+  }
+}
+
+/**
+ * PUT /admin/comments/settings  { requireApprovalForNewAccounts?, newAccountDays? }
+ * Steps: (1) validate -> (2) upsert single record -> (3) respond
+ */
+export async function updateSettings(req, res) {
+  try {
+    const body = req && req.body ? req.body : {};
+    const $set = {};
+
+    if (body.requireApprovalForNewAccounts !== undefined) {
+      if (typeof body.requireApprovalForNewAccounts !== "boolean") {
+        return res.status(400).json({ ok: false, code: 400, message: "requireApprovalForNewAccounts boolean required" });
+      }
+      $set.requireApprovalForNewAccounts = body.requireApprovalForNewAccounts;
+    }
+
+    if (body.newAccountDays !== undefined) {
+      const days = Number(body.newAccountDays);
+      if (!Number.isInteger(days) || days < 0 || days > 365) {
+        return res.status(400).json({ ok: false, code: 400, message: "newAccountDays must be 0-365" });
+      }
+      $set.newAccountDays = days;
+    }
+
+    if (!Object.keys($set).length) {
+      return res.status(400).json({ ok: false, code: 400, message: "Provide at least one setting to update" });
+    }
+
+    const current = await CommentSettings.findOne().sort({ createdAt: -1 });
+    const s = current
+      ? await CommentSettings.findByIdAndUpdate(current._id, { $set }, { new: true }).lean()
+      : (await CommentSettings.create($set)).toObject();
+
+    return res.json({
+      ok: true,
+      settings: {
+        requireApprovalForNewAccounts: s.requireApprovalForNewAccounts,
+        newAccountDays: s.newAccountDays
+      }
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, code: 500, message: (e && e.message) || "Failed to update settings" });
+  }
+}
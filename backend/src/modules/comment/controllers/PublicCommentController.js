@@ -0,0 +1,104 @@
+"use strict";
+
+/**
+ * Public Comment Controller (named exports version)
+ * - Threaded, approved-only comments for a public blog post
+ * - Pagination is over top-level comments (newest first); each carries its
+ *   approved replies as a nested tree (oldest first)
+ * - Replies under a non-approved comment are not shown
+ */
+
+import path from "node:path";
+import Comment from "../models/Comment.js";
+import Blog from "../../blog/models/Blog.js";
+import BlogCategory from "../../blog/models/BlogCategory.js";
+import User from "../../auth/models/User.js";
+
+/* ------------------------------- utilities ------------------------------- */
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+function toInt(v, fallback) {
+  const n = Number.parseInt(v, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+// Convert absolute upload path to a public path like "/uploads/..."
+function toPublic(absPath) {
+  if (!absPath) return absPath;
+  const idx = absPath.lastIndexOf(path.sep + "uploads" + path.sep);
+  if (idx !== -1) return absPath.slice(idx).replaceAll(path.sep, "/");
+  return absPath;
+}
+
+/* ================================ controllers ================================ */
+/**
+ * GET /public/blogs/:slug/comments?page=&pageSize=
+ * Steps: (1) find public blog -> (2) page of approved roots -> (3) approved replies of those roots -> (4) build tree -> (5) respond
+ */
+export async function list(req, res) {
+  try {
+    const slug = String((req && req.params && req.params.slug) || "").toLowerCase();
+    const blog = await Blog.findOne({ slug, isActive: true }).lean();
+    if (!blog) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    const cat = await BlogCategory.findById(blog.categoryId).lean();
+    if (!cat || !cat.isActive) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+
+    const q = req && req.query ? req.query : {};
+    const page = clamp(toInt(q.page, 1), 1, 1_000_000_000);
+    const pageSize = clamp(toInt(q.pageSize, 10), 1, 50);
+    const skip = (page - 1) * pageSize;
+
+    const rootCond = { blogId: blog._id, status: "approved", parentId: null };
+    const [roots, total] = await Promise.all([
+      Comment.find(rootCond).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(pageSize).lean(),
+      Comment.countDocuments(rootCond)
+    ]);
+
+    const replies = roots.length
+      ? await Comment.find({
+        blogId: blog._id,
+        status: "approved",
+        "ancestors.0": { $in: roots.map(r => r._id) }
+      }).sort({ createdAt: 1, _id: 1 }).lean()
+      : [];
+
+    // Authors (name + picture only)
+    const all = roots.concat(replies);
+    const users = await User.find({ _id: { $in: all.map(c => c.userId) } }, { name: 1, picture: 1 }).lean();
+    const userMap = new Map(users.map(u => [String(u._id), u]));
+
+    const toNode = (c) => {
+      const u = userMap.get(String(c.userId));
+      return {
+        _id: c._id,
+        parentId: c.parentId,
+        body: c.body,
+        createdAt: c.createdAt,
+        author: u ? { name: u.name || null, picture: u.picture ? toPublic(u.picture) : null } : null,
+        replies: []
+      };
+    };
+
+    // Build tree: a reply is attached only if its parent is visible
+    const nodes = new Map(roots.map(c => [String(c._id), toNode(c)]));
+    for (const r of replies) {
+      const parent = nodes.get(String(r.parentId));
+      if (!parent) continue;
+      const node = toNode(r);
+      parent.replies.push(node);
+      nodes.set(String(r._id), node);
+    }
+
+    return res.json({
+      ok: true,
+      data: roots.map(r => nodes.get(String(r._id))),
+      meta: { page, pageSize, total }
+    });
+  } catch (e) {
+    return res
+      .status(500)
+      .json({ ok: false, code: 500, message: (e && e.message) || "Failed to list comments" });
+  }
+}
@@ -0,0 +1,127 @@
+"use strict";
+
+/**
+ * User Comment Controller
+ * Routes:
+ *   POST /user/blogs/:slug/comments   { body, parentId? } -> post comment or reply
+ *
+ * Rules:
+ *   - Blog must be public (active + active category)
+ *   - HTML is sanitized with a strict policy (no images, no classes/ids)
+ *   - Replies nest at most MAX_DEPTH levels
+ *   - New accounts may need approval (CommentSettings) → status "pending"
+ */
+
+import mongoose from "mongoose";
+import sanitizeHtml from "sanitize-html";
+import Comment from "../models/Comment.js";
+import CommentSettings from "../models/CommentSettings.js";
+import Blog from "../../blog/models/Blog.js";
+import BlogCategory from "../../blog/models/BlogCategory.js";
+import User from "../../auth/models/User.js";
+
+/* --------------------------- constants & config --------------------------- */
+const MAX_DEPTH = 5;
+const MAX_TEXT = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Far stricter than the blog HTML_POLICY: inline formatting + links only
+const COMMENT_POLICY = {
+  allowedTags: ["b", "strong", "i", "em", "code", "p", "br", "blockquote", "a"],
+  allowedAttributes: { a: ["href", "rel", "target"] },
+  allowedSchemes: ["http", "https"],
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { rel: "nofollow ugc noopener", target: "_blank" })
+  },
+  disallowedTagsMode: "discard",
+  enforceHtmlBoundary: true
+};
+
+/* ------------------------------- helpers ------------------------------- */
+// Blog that is active and sits in an active category (null otherwise)
+async function findPublicBlog(slug) {
+  const blog = await Blog.findOne({ slug: String(slug || "").toLowerCase(), isActive: true }).lean();
+  if (!blog) return null;
+  const cat = await BlogCategory.findById(blog.categoryId).lean();
+  return cat && cat.isActive ? blog : null;
+}
+
+// "approved" unless settings require approval for accounts younger than N days
+async function initialStatus(user) {
+  const settings = await CommentSettings.findOne().sort({ createdAt: -1 }).lean();
+  if (!settings || !settings.requireApprovalForNewAccounts) return "approved";
+  const ageMs = Date.now() - new Date(user.createdAt).getTime();
+  return ageMs < settings.newAccountDays * DAY_MS ? "pending" : "approved";
+}
+
+/* ============================ Controller functions ============================ */
+export async function create(req, res) {
+  try {
+    const body = req && req.body ? req.body : {};
+    if (typeof body.body !== "string") {
+      return res.status(400).json({ ok: false, code: 400, message: "Invalid input" });
+    }
+
+    const safeHtml = sanitizeHtml(body.body, COMMENT_POLICY).trim();
+    const plain = sanitizeHtml(safeHtml, { allowedTags: [], allowedAttributes: {} }).trim();
+    if (!plain || plain.length > MAX_TEXT || safeHtml.length > 4000) {
+      return res.status(400).json({ ok: false, code: 400, message: `Comment must be 1-${MAX_TEXT} chars` });
+    }
+
+    const blog = await findPublicBlog(req.params.slug);
+    if (!blog) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+
+    // Reply: parent must be an approved comment on the same blog
+    let ancestors = [];
+    let parentId = null;
+    if (body.parentId !== undefined && body.parentId !== null) {
+      if (!mongoose.isValidObjectId(body.parentId)) {
+        return res.status(400).json({ ok: false, code: 400, message: "Invalid parentId" });
+      }
+      const parent = await Comment.findOne({ _id: body.parentId, blogId: blog._id, status: "approved" }).lean();
+      if (!parent) {
+        return res.status(404).json({ ok: false, code: 404, message: "Parent comment not found" });
+      }
+      if (parent.ancestors.length + 1 >= MAX_DEPTH) {
+        return res.status(400).json({ ok: false, code: 400, message: "Reply nesting too deep" });
+      }
+      ancestors = [...parent.ancestors, parent._id];
+      parentId = parent._id;
+    }
+
+    const user = await User.findById(req.auth.sub).lean();
+    if (!user || !user.isActive) {
+      return res.status(403).json({ ok: false, code: 403, message: "Forbidden" });
+    }
+
+    const comment = await Comment.create({
+      blogId: blog._id,
+      userId: user._id,
+      parentId,
+      ancestors,
+      body: safeHtml,
+      status: await initialStatus(user)
+    });
+
+    return res.status(201).json({
+      ok: true,
+      data: {
+        _id: comment._id,
+        parentId: comment.parentId,
+        body: comment.body,
+        status: comment.status,
+        createdAt: comment.createdAt
+      }
+    });
+  } catch (e) {
+    const status = (e && e.status) || 500;
+    return res.status(status).json({
+      ok: false,
+      code: status,
+      message: (e && (e.publicMessage || e.message)) || "Failed to post comment"
+    });
+  }
+}
@@ -0,0 +1,17 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+const CommentSchema = new mongoose.Schema({
+  blogId: { type: mongoose.Schema.Types.ObjectId, ref: "Blog", required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  parentId: { type: mongoose.Schema.Types.ObjectId, ref: "Comment", default: null },
+  // Path from the thread root down to the parent (empty for top-level comments)
+  ancestors: { type: [mongoose.Schema.Types.ObjectId], default: [], index: true },
+  body: { type: String, required: true, maxlength: 4000 }, // sanitized HTML (strict policy)
+  status: { type: String, enum: ["pending", "approved", "hidden"], default: "approved", index: true }
+}, { timestamps: true });
+
+CommentSchema.index({ blogId: 1, status: 1, parentId: 1, createdAt: -1 });
+
+export default mongoose.model("Comment", CommentSchema);
@@ -0,0 +1,19 @@
+"use strict";
+
+/**
+ * Comment moderation settings (single record only)
+ * Fields: requireApprovalForNewAccounts, newAccountDays
+ */
+
+import mongoose from "mongoose";
+
+const CommentSettingsSchema = new mongoose.Schema(
+  {
+    // When true, comments from accounts younger than newAccountDays start as "pending"
+    requireApprovalForNewAccounts: { type: Boolean, default: false },
+    newAccountDays: { type: Number, default: 7, min: 0, max: 365 }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("CommentSettings", CommentSettingsSchema);
@@ -0,0 +1,52 @@
+"use strict";
+
+/**
+ * Admin Comment Routes (named exports version)
+ * Summary:
+ *   Admin-only moderation endpoints for blog comments.
+ *   Requires an admin whose role grants the "comments" permission.
+ *
+ *   Endpoints:
+ *     GET    /admin/comments              -> Moderation queue (?status=&blogId=)
+ *     GET    /admin/comments/settings     -> Read moderation settings
+ *     PUT    /admin/comments/settings     -> Update moderation settings
+ *     PATCH  /admin/comments/:id/status   -> Approve / hide a comment
+ *     DELETE /admin/comments/:id          -> Delete comment and its replies
+ */
+
+import { Router } from "express";
+import { requireAdmin } from "../../../middlewares/authAdmin.js";
+import { PERMISSIONS } from "../../../config/adminRoles.js";
+import { audit } from "../../../middlewares/audit.js";
+import Comment from "../models/Comment.js";
+import CommentSettings from "../models/CommentSettings.js";
+
+// Named imports from controller
+import {
+  list,
+  setStatus,
+  remove,
+  getSettings,
+  updateSettings
+} from "../controllers/AdminCommentController.js";
+
+const r = Router();
+
+// Admin + "comments" permission (see config/adminRoles.js)
+const authAdmin = requireAdmin(PERMISSIONS.COMMENTS);
+
+/* ----------------------------- COMMENT ROUTES ----------------------------- */
+// Moderation queue (pending by default)
+r.get("/", authAdmin, list);
+
+// Moderation settings
+r.get("/settings", authAdmin, getSettings);
+r.put("/settings", authAdmin, audit("comment_settings", "update", { find: () => CommentSettings.findOne().sort({ createdAt: -1 }) }), updateSettings);
+
+// Approve / hide
+r.patch("/:id/status", authAdmin, audit("comment", "status", { model: Comment }), setStatus);
+
+// Delete with replies
+r.delete("/:id", authAdmin, audit("comment", "delete", { model: Comment }), remove);
+
+export default r;
@@ -0,0 +1,21 @@
+"use strict";
+
+/**
+ * Public Comment Routes (named exports version)
+ * Summary:
+ *   Read-only, approved comments for public blog posts.
+ *
+ *   Endpoints:
+ *     GET /public/blogs/:slug/comments -> Threaded approved comments (paginated by top-level)
+ */
+
+import { Router } from "express";
+import { list } from "../controllers/PublicCommentController.js";
+
+const r = Router();
+
+/* ----------------------------- PUBLIC ROUTES ----------------------------- */
+// Get approved comments of a blog (by slug)
+r.get("/blogs/:slug/comments", list);
+
+export default r;
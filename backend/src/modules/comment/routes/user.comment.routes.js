@@ -0,0 +1,19 @@
+"use strict";
+
+/**
+ * User Comment Routes
+ * Signed-in users post comments and replies on public blog posts.
+ *
+ *   POST /user/blogs/:slug/comments   -> { body, parentId? }
+ */
+
+import { Router } from "express";
+import { authUser } from "../../../middlewares/authUser.js";
+import { create } from "../controllers/UserCommentController.js";
+
+const router = Router();
+
+/* ----------------------------- COMMENTS ----------------------------- */
+router.post("/:slug/comments", authUser, create);
+
+export default router;
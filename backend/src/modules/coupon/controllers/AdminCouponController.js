@@ -0,0 +1,271 @@
+"use strict";
+
+/**
+ * Admin Coupon Controller (beginner-friendly)
+ * Features:
+ *   - Create / List / Read / Update / Delete
+ *   - Toggle status
+ * Rules:
+ *   - Code is 2–40 chars (A-Z, 0-9, "-", "_"), stored uppercase, unique per brand
+ *   - Every coupon belongs to an existing brand (brandId)
+ *   - Scope: sitewide | category (needs category) | min_spend (needs minSpend > 0)
+ *   - expiresAt is optional (null = never expires)
+ *   - Vote stats (workedCount/failedCount/lastWorkedAt) are read-only here
+ */
+
+import mongoose from "mongoose";
+import Coupon from "../models/Coupon.js";
+import CouponVote from "../models/CouponVote.js";
+import Brand from "../../brand/models/Brand.js";
+
+/* -------------------------------- utilities -------------------------------- */
+// Pagination helpers
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+function toInt(v, fallback) {
+  const n = Number.parseInt(v, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const SCOPES = ["sitewide", "category", "min_spend"];
+
+// Normalize code → uppercase (null if invalid)
+function readCode(raw) {
+  if (typeof raw !== "string") return null;
+  const code = raw.trim().toUpperCase();
+  return /^[A-Z0-9_-]{2,40}$/.test(code) ? code : null;
+}
+
+// Validate optional terms (null/"" clears it)
+function readTerms(raw) {
+  if (raw === null || raw === undefined) return { value: null };
+  if (typeof raw !== "string") return { error: "Invalid terms" };
+  const s = raw.trim();
+  if (s.length > 1000) return { error: "Terms too long" };
+  return { value: s || null };
+}
+
+// Validate optional expiry (null/"" = never)
+function readExpiry(raw) {
+  if (raw === null || raw === undefined || raw === "") return { value: null };
+  const d = new Date(raw);
+  if (Number.isNaN(d.getTime())) return { error: "Invalid expiresAt" };
+  return { value: d };
+}
+
+// Validate scope object { type, category?, minSpend? }
+function readScope(raw) {
+  if (raw === undefined || raw === null) return { value: { type: "sitewide", category: null, minSpend: null } };
+  const type = String(raw.type || "");
+  if (!SCOPES.includes(type)) return { error: "scope.type must be sitewide|category|min_spend" };
+
+  if (type === "category") {
+    const category = typeof raw.category === "string" ? raw.category.trim() : "";
+    if (category.length < 2 || category.length > 60) return { error: "scope.category must be 2-60 chars" };
+    return { value: { type, category, minSpend: null } };
+  }
+
+  if (type === "min_spend") {
+    const minSpend = Number(raw.minSpend);
+    if (!Number.isFinite(minSpend) || minSpend <= 0) return { error: "scope.minSpend must be a positive number" };
+    return { value: { type, category: null, minSpend: Math.round(minSpend * 100) / 100 } };
+  }
+
+  return { value: { type, category: null, minSpend: null } };
+}
+
+// Brand must exist
+async function findBrand(brandId) {
+  if (!mongoose.isValidObjectId(brandId)) return null;
+  return Brand.findById(brandId).lean();
+}
+
+function toClient(c) {
+  return c?.toObject ? c.toObject() : c;
+}
+
+/* ================================ controller ================================ */
+export default {
+  /**
+   * POST /admin/coupons
+   * Body: { brandId, code, terms?, expiresAt?, scope? }
+   * Steps: (1) validate fields -> (2) check brand -> (3) 409 on duplicate code -> (4) create -> (5) respond 201
+   */
+  async create(req, res) {
+    try {
+      const body = req.body || {};
+
+      const code = readCode(body.code);
+      if (!code) {
+        return res.status(400).json({ ok: false, code: 400, message: "Code must be 2-40 chars (A-Z, 0-9, -, _)" });
+      }
+
+      const terms = readTerms(body.terms);
+      if (terms.error) return res.status(400).json({ ok: false, code: 400, message: terms.error });
+
+      const expiry = readExpiry(body.expiresAt);
+      if (expiry.error) return res.status(400).json({ ok: false, code: 400, message: expiry.error });
+
+      const scope = readScope(body.scope);
+      if (scope.error) return res.status(400).json({ ok: false, code: 400, message: scope.error });
+
+      const brand = await findBrand(body.brandId);
+      if (!brand) {
+        return res.status(400).json({ ok: false, code: 400, message: "Invalid brand" });
+      }
+
+      const dup = await Coupon.exists({ brandId: brand._id, code });
+      if (dup) {
+        return res.status(409).json({ ok: false, code: 409, message: "Coupon code already exists for this brand" });
+      }
+
+      const coupon = await Coupon.create({
+        brandId: brand._id,
+        code,
+        terms: terms.value,
+        expiresAt: expiry.value,
+        scope: scope.value,
+        isActive: true
+      });
+
+      return res.status(201).json({ ok: true, data: toClient(coupon) });
+    } catch (e) {
+      const status = e?.status || 500;
+      return res.status(status).json({ ok: false, code: status, message: e?.publicMessage || e?.message || "Failed to create coupon" });
+    }
+  },
+
+  /**
+   * GET /admin/coupons
+   * Query: ?page=&pageSize=&brandId=&sort=(code|createdAt|updatedAt|expiresAt)&order=(asc|desc)
+   * Steps: (1) read pagination/sort/filter -> (2) query + count -> (3) respond
+   */
+  async list(req, res) {
+    try {
+      const page = clamp(toInt(req.query.page, 1), 1, 1_000_000_000);
+      const pageSize = clamp(toInt(req.query.pageSize, 10), 1, 50);
+      const sort = String(req.query.sort || "createdAt");
+      const order = String(req.query.order || "desc") === "asc" ? 1 : -1;
+
+      const sortObj = {};
+      if (["code", "createdAt", "updatedAt", "expiresAt"].includes(sort)) sortObj[sort] = order;
+      sortObj._id = -1;
+
+      const cond = {};
+      if (req.query.brandId) {
+        if (!mongoose.isValidObjectId(req.query.brandId)) {
+          return res.status(400).json({ ok: false, code: 400, message: "Invalid brandId" });
+        }
+        cond.brandId = req.query.brandId;
+      }
+
+      const skip = (page - 1) * pageSize;
+
+      const [items, total] = await Promise.all([
+        Coupon.find(cond).sort(sortObj).skip(skip).limit(pageSize).lean(),
+        Coupon.countDocuments(cond)
+      ]);
+
+      return res.json({ ok: true, data: items, meta: { page, pageSize, total } });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to list coupons" });
+    }
+  },
+
+  /**
+   * GET /admin/coupons/:id
+   * Steps: (1) find -> (2) 404 if missing -> (3) respond
+   */
+  async read(req, res) {
+    try {
+      const c = await Coupon.findById(req.params.id).lean();
+      if (!c) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+      return res.json({ ok: true, data: c });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to read coupon" });
+    }
+  },
+
+  /**
+   * PATCH /admin/coupons/:id
+   * Body: any of { code, terms, expiresAt (null = never), scope }
+   * Steps: (1) load -> (2) validate & apply fields -> (3) 409 on duplicate code -> (4) save -> (5) respond
+   */
+  async update(req, res) {
+    try {
+      const coupon = await Coupon.findById(req.params.id);
+      if (!coupon) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+      const body = req.body || {};
+      const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+
+      if (has("code")) {
+        const code = readCode(body.code);
+        if (!code) {
+          return res.status(400).json({ ok: false, code: 400, message: "Code must be 2-40 chars (A-Z, 0-9, -, _)" });
+        }
+        const dup = await Coupon.exists({ _id: { $ne: coupon._id }, brandId: coupon.brandId, code });
+        if (dup) return res.status(409).json({ ok: false, code: 409, message: "DUPLICATE_CODE" });
+        coupon.code = code;
+      }
+
+      if (has("terms")) {
+        const terms = readTerms(body.terms);
+        if (terms.error) return res.status(400).json({ ok: false, code: 400, message: terms.error });
+        coupon.terms = terms.value;
+      }
+
+      if (has("expiresAt")) {
+        const expiry = readExpiry(body.expiresAt);
+        if (expiry.error) return res.status(400).json({ ok: false, code: 400, message: expiry.error });
+        coupon.expiresAt = expiry.value;
+      }
+
+      if (has("scope")) {
+        const scope = readScope(body.scope);
+        if (scope.error) return res.status(400).json({ ok: false, code: 400, message: scope.error });
+        coupon.scope = scope.value;
+      }
+
+      await coupon.save();
+      return res.json({ ok: true, data: toClient(coupon) });
+    } catch (e) {
+      const status = e?.status || 500;
+      return res.status(status).json({ ok: false, code: status, message: e?.publicMessage || e?.message || "Failed to update coupon" });
+    }
+  },
+
+  /**
+   * DELETE /admin/coupons/:id
+   * Steps: (1) delete coupon -> (2) 404 if missing -> (3) delete its votes -> (4) respond
+   */
+  async remove(req, res) {
+    try {
+      const del = await Coupon.findByIdAndDelete(req.params.id);
+      if (!del) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+      await CouponVote.deleteMany({ couponId: del._id });
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to delete coupon" });
+    }
+  },
+
+  /**
+   * PATCH /admin/coupons/:id/status  { isActive: boolean }
+   * Steps: (1) validate -> (2) update -> (3) 404 if missing -> (4) respond
+   */
+  async toggleStatus(req, res) {
+    try {
+      const { isActive } = req.body || {};
+      if (typeof isActive !== "boolean") {
+        return res.status(400).json({ ok: false, code: 400, message: "isActive boolean required" });
+      }
+      const c = await Coupon.findByIdAndUpdate(req.params.id, { $set: { isActive } }, { new: true }).lean();
+      if (!c) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+      return res.json({ ok: true, data: c });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to toggle status" });
+    }
+  }
+};
@@ -0,0 +1,92 @@
+"use strict";
+
+/**
+ * Public Coupon Controller (beginner-friendly)
+ * What it does:
+ *   - List usable coupons of an eligible brand (active + not expired)
+ *   - Each coupon carries its community success rate and when it last worked
+ */
+
+import path from "node:path";
+import Coupon from "../models/Coupon.js";
+import Brand from "../../brand/models/Brand.js";
+
+/* ------------------------------- utilities ------------------------------- */
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+function toInt(v, fallback) {
+  const n = Number.parseInt(v, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+// Convert absolute upload path to public "/uploads/..." path
+function toPublic(absPath) {
+  if (!absPath) return absPath;
+  const idx = absPath.lastIndexOf(path.sep + "uploads" + path.sep);
+  if (idx !== -1) return absPath.slice(idx).replaceAll(path.sep, "/");
+  return absPath;
+}
+
+// Public shape: hide raw counters behind successRate (0..100, null = no votes yet)
+function toPublicCoupon(c) {
+  const votes = (c.workedCount || 0) + (c.failedCount || 0);
+  return {
+    _id: c._id,
+    brandId: c.brandId,
+    code: c.code,
+    terms: c.terms,
+    expiresAt: c.expiresAt,
+    scope: c.scope,
+    successRate: votes ? Math.round((c.workedCount / votes) * 100) : null,
+    voteCount: votes,
+    lastWorkedAt: c.lastWorkedAt,
+    createdAt: c.createdAt
+  };
+}
+
+/* ================================ controller ================================ */
+export default {
+  /**
+   * GET /public/brands/:slug/coupons
+   * Query: ?page=&pageSize=&sort=(createdAt|expiresAt|lastWorkedAt)&order=(asc|desc)
+   * Steps: (1) find eligible brand -> (2) 404 if missing -> (3) usable coupons page -> (4) map stats -> (5) respond
+   */
+  async byBrand(req, res) {
+    try {
+      const slug = String(req.params.slug || "").toLowerCase();
+      const brand = await Brand.findOne({ slug, isActive: true, logo: { $ne: null } }).lean();
+      if (!brand) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+      const page = clamp(toInt(req.query.page, 1), 1, 1_000_000_000);
+      const pageSize = clamp(toInt(req.query.pageSize, 10), 1, 50);
+      const sort = String(req.query.sort || "createdAt");
+      const order = String(req.query.order || "desc") === "asc" ? 1 : -1;
+
+      const sortObj = {};
+      if (["createdAt", "expiresAt", "lastWorkedAt"].includes(sort)) sortObj[sort] = order;
+      sortObj._id = -1; // stable secondary sort
+
+      const now = new Date();
+      const cond = {
+        brandId: brand._id,
+        isActive: true,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      };
+      const skip = (page - 1) * pageSize;
+
+      const [items, total] = await Promise.all([
+        Coupon.find(cond).sort(sortObj).skip(skip).limit(pageSize).lean(),
+        Coupon.countDocuments(cond)
+      ]);
+
+      return res.json({
+        ok: true,
+        brand: { _id: brand._id, name: brand.name, slug: brand.slug, logo: toPublic(brand.logo) },
+        data: items.map(toPublicCoupon),
+        meta: { page, pageSize, total }
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to list brand coupons" });
+    }
+  }
+};
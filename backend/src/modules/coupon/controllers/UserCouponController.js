@@ -0,0 +1,72 @@
+"use strict";
+
+/**
+ * User Coupon Vote Controller
+ * Routes:
+ *   PUT    /user/coupons/:id/vote   { worked: boolean } -> cast or change my vote
+ *   DELETE /user/coupons/:id/vote                       -> withdraw my vote
+ *
+ * After every change the coupon's workedCount / failedCount / lastWorkedAt
+ * are recomputed from the votes (services/CouponStats.js), so the numbers never drift.
+ */
+
+import mongoose from "mongoose";
+import Coupon from "../models/Coupon.js";
+import CouponVote from "../models/CouponVote.js";
+import { refreshCouponStats } from "../services/CouponStats.js";
+
+/* ------------------------------- helpers ------------------------------- */
+// Usable = active and not expired (users cannot vote on dead codes)
+async function findUsableCoupon(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const now = new Date();
+  return Coupon.findOne({
+    _id: id,
+    isActive: true,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  });
+}
+
+/* ============================ Controller functions ============================ */
+export async function vote(req, res) {
+  try {
+    const body = req && req.body ? req.body : {};
+    if (typeof body.worked !== "boolean") {
+      return res.status(400).json({ ok: false, code: 400, message: "worked boolean required" });
+    }
+
+    const coupon = await findUsableCoupon(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+
+    await CouponVote.findOneAndUpdate(
+      { couponId: coupon._id, userId: req.auth.sub },
+      { $set: { worked: body.worked } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const stats = await refreshCouponStats(coupon._id);
+    return res.json({ ok: true, myVote: body.worked, ...stats });
+  } catch (e) {
+    const msg = (e && e.message) || "Failed to vote";
+    return res.status(500).json({ ok: false, code: 500, message: msg });
+  }
+}
+
+export async function clearVote(req, res) {
+  try {
+    const coupon = await findUsableCoupon(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+
+    await CouponVote.deleteOne({ couponId: coupon._id, userId: req.auth.sub });
+
+    const stats = await refreshCouponStats(coupon._id);
+    return res.json({ ok: true, myVote: null, ...stats });
+  } catch (e) {
+    const msg = (e && e.message) || "Failed to clear vote";
+    return res.status(500).json({ ok: false, code: 500, message: msg });
+  }
+}
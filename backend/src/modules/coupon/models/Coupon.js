@@ -0,0 +1,28 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+const CouponSchema = new mongoose.Schema({
+  brandId: { type: mongoose.Schema.Types.ObjectId, ref: "Brand", required: true, index: true },
+  code: { type: String, required: true, uppercase: true, trim: true, minlength: 2, maxlength: 40 },
+  terms: { type: String, default: null, maxlength: 1000 }, // plain text
+  expiresAt: { type: Date, default: null, index: true },   // null = no expiry
+
+  // Where the code applies: whole store, one category, or above a minimum spend
+  scope: {
+    type: { type: String, enum: ["sitewide", "category", "min_spend"], default: "sitewide" },
+    category: { type: String, default: null, maxlength: 60 },
+    minSpend: { type: Number, default: null, min: 0 }
+  },
+
+  isActive: { type: Boolean, default: true },
+
+  // Denormalised vote stats (recomputed from CouponVote on every vote)
+  workedCount: { type: Number, default: 0 },
+  failedCount: { type: Number, default: 0 },
+  lastWorkedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+CouponSchema.index({ brandId: 1, code: 1 }, { unique: true });
+
+export default mongoose.model("Coupon", CouponSchema);
@@ -0,0 +1,14 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+const CouponVoteSchema = new mongoose.Schema({
+  couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon", required: true, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  worked: { type: Boolean, required: true }
+}, { timestamps: true });
+
+// One vote per user per coupon (changing the vote updates the same row)
+CouponVoteSchema.index({ couponId: 1, userId: 1 }, { unique: true });
+
+export default mongoose.model("CouponVote", CouponVoteSchema);
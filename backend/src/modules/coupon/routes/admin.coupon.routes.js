@@ -0,0 +1,52 @@
+"use strict";
+
+/**
+ * Admin Coupon Routes (beginner-friendly)
+ * Summary:
+ *   Handles all admin-only routes for coupon management.
+ *   Requires an admin whose role grants the "catalog" permission.
+ *
+ *   Endpoints:
+ *     POST   /admin/coupons              -> Create new coupon code
+ *     GET    /admin/coupons              -> Paginated list of coupons (?brandId=)
+ *     GET    /admin/coupons/:id          -> Read single coupon (with vote stats)
+ *     PATCH  /admin/coupons/:id          -> Update code/terms/expiry/scope
+ *     DELETE /admin/coupons/:id          -> Delete coupon and its votes
+ *     PATCH  /admin/coupons/:id/status   -> Activate/Deactivate coupon
+ */
+
+import { Router } from "express";
+import { requireAdmin } from "../../../middlewares/authAdmin.js";
+import { PERMISSIONS } from "../../../config/adminRoles.js";
+import { audit } from "../../../middlewares/audit.js";
+import Coupon from "../models/Coupon.js";
+import AdminCouponController from "../controllers/AdminCouponController.js";
+
+const r = Router();
+
+// Admin + "catalog" permission (see config/adminRoles.js)
+const authAdmin = requireAdmin(PERMISSIONS.CATALOG);
+
+// Record successful writes in the audit log
+const auditCoupon = (action) => audit("coupon", action, { model: Coupon });
+
+/* ------------------------------- COUPON ROUTES ----------------------------- */
+// Create a new coupon
+r.post("/", authAdmin, auditCoupon("create"), AdminCouponController.create);
+
+// Get list of all coupons (supports pagination, sorting & brand filter)
+r.get("/", authAdmin, AdminCouponController.list);
+
+// Read single coupon by ID
+r.get("/:id", authAdmin, AdminCouponController.read);
+
+// Update coupon fields
+r.patch("/:id", authAdmin, auditCoupon("update"), AdminCouponController.update);
+
+// Delete coupon by ID
+r.delete("/:id", authAdmin, auditCoupon("delete"), AdminCouponController.remove);
+
+// Toggle coupon active/inactive status
+r.patch("/:id/status", authAdmin, auditCoupon("status"), AdminCouponController.toggleStatus);
+
+export default r;
@@ -0,0 +1,22 @@
+"use strict";
+
+/**
+ * Public Coupon Routes (beginner-friendly)
+ * Summary:
+ *   Public-facing coupon APIs — no authentication required.
+ *   Only active, unexpired coupons of eligible brands are shown.
+ *
+ *   Endpoints:
+ *     GET /public/brands/:slug/coupons -> List a brand's usable coupons with success rates
+ */
+
+import { Router } from "express";
+import PublicCouponController from "../controllers/PublicCouponController.js";
+
+const r = Router();
+
+/* ------------------------------- PUBLIC ROUTES ------------------------------ */
+// Get a brand’s usable coupons by brand slug
+r.get("/brands/:slug/coupons", PublicCouponController.byBrand);
+
+export default r;
@@ -0,0 +1,21 @@
+"use strict";
+
+/**
+ * User Coupon Routes
+ * Signed-in users report whether a coupon code worked for them.
+ *
+ *   PUT    /user/coupons/:id/vote   -> { worked: boolean }
+ *   DELETE /user/coupons/:id/vote   -> withdraw vote
+ */
+
+import { Router } from "express";
+import { authUser } from "../../../middlewares/authUser.js";
+import { vote, clearVote } from "../controllers/UserCouponController.js";
+
+const router = Router();
+
+/* ------------------------------ VOTES ------------------------------ */
+router.put("/:id/vote", authUser, vote);
+router.delete("/:id/vote", authUser, clearVote);
+
+export default router;
@@ -0,0 +1,45 @@
+"use strict";
+
+/**
+ * Coupon vote stats helper
+ * ------------------------
+ * Keeps Coupon.workedCount / failedCount / lastWorkedAt in sync with the
+ * CouponVote collection. Always recounts from scratch so the numbers never drift.
+ */
+
+import Coupon from "../models/Coupon.js";
+import CouponVote from "../models/CouponVote.js";
+
+// Recount one coupon; returns the public stats { successRate, voteCount, lastWorkedAt }
+export async function refreshCouponStats(couponId) {
+  const [agg] = await CouponVote.aggregate([
+    { $match: { couponId } },
+    {
+      $group: {
+        _id: null,
+        worked: { $sum: { $cond: ["$worked", 1, 0] } },
+        failed: { $sum: { $cond: ["$worked", 0, 1] } },
+        lastWorkedAt: { $max: { $cond: ["$worked", "$updatedAt", null] } }
+      }
+    }
+  ]);
+
+  const workedCount = agg ? agg.worked : 0;
+  const failedCount = agg ? agg.failed : 0;
+  const lastWorkedAt = agg ? agg.lastWorkedAt : null;
+  await Coupon.updateOne({ _id: couponId }, { $set: { workedCount, failedCount, lastWorkedAt } }, { timestamps: false });
+
+  const votes = workedCount + failedCount;
+  return {
+    successRate: votes ? Math.round((workedCount / votes) * 100) : null,
+    voteCount: votes,
+    lastWorkedAt
+  };
+}
+
+// Remove all coupon votes of a user and recount the coupons they touched (account deletion)
+export async function forgetUserCouponVotes(userId) {
+  const couponIds = await CouponVote.find({ userId }).distinct("couponId");
+  await CouponVote.deleteMany({ userId });
+  for (const id of couponIds) await refreshCouponStats(id);
+}
@@ -0,0 +1,408 @@
+"use strict";
+
+/**
+ * Admin Deal Controller (beginner-friendly)
+ * Features:
+ *   - Create / List / Read / Update / Delete
+ *   - Toggle status
+ *   - Search
+ *   - Metrics
+ * Rules:
+ *   - Title is 3–140 chars; description is optional plain text (≤ 2000 chars)
+ *   - Every deal belongs to an existing brand (brandId)
+ *   - salePrice ≤ originalPrice; discountPercent is computed by the model
+ *   - startsAt is required (defaults to now); endsAt is optional and must be after startsAt
+ *   - url must be an absolute http(s) merchant link
+ *   - Slug is immutable (kebab-case, unique with numeric suffix)
+ */
+
+import mongoose from "mongoose";
+import slugify from "slugify";
+import validator from "validator";
+import Deal from "../models/Deal.js";
+import Brand from "../../brand/models/Brand.js";
+
+/* --------------------------------- config --------------------------------- */
+const MAX_PRICE = 1_000_000_000;
+
+/* -------------------------------- utilities -------------------------------- */
+// Short kebab-case string for slug base
+function kebab(input) {
+  return slugify(String(input || ""), { lower: true, strict: true, trim: true }).slice(0, 140);
+}
+
+// Ensure slug uniqueness by adding -2, -3, ...
+async function uniqueSlug(base) {
+  let slug = base || "deal";
+  let i = 1;
+  while (await Deal.exists({ slug })) {
+    i += 1;
+    slug = `${base}-${i}`;
+  }
+  return slug;
+}
+
+// Pagination helpers
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+function toInt(v, fallback) {
+  const n = Number.parseInt(v, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// Safe regex for search
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Price: finite, 0..MAX_PRICE, rounded to 2 decimals (null if invalid)
+function toPrice(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0 || n > MAX_PRICE) return null;
+  return Math.round(n * 100) / 100;
+}
+
+// Date from ISO string / timestamp (null if invalid)
+function toDate(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// Absolute http(s) URL only
+function isMerchantUrl(v) {
+  return typeof v === "string" &&
+    validator.isURL(v.trim(), { protocols: ["http", "https"], require_protocol: true });
+}
+
+// Validate optional description (null/"" clears it)
+function readDescription(raw) {
+  if (raw === null || raw === undefined) return { value: null };
+  if (typeof raw !== "string") return { error: "Invalid description" };
+  const s = raw.trim();
+  if (s.length > 2000) return { error: "Description too long" };
+  return { value: s || null };
+}
+
+// Brand must exist
+async function findBrand(brandId) {
+  if (!mongoose.isValidObjectId(brandId)) return null;
+  return Brand.findById(brandId).lean();
+}
+
+// Cross-field rules shared by create/update
+function checkDealRules({ originalPrice, salePrice, startsAt, endsAt }) {
+  if (salePrice > originalPrice) return "salePrice must be ≤ originalPrice";
+  if (endsAt && endsAt <= startsAt) return "endsAt must be after startsAt";
+  return null;
+}
+
+function toClient(d) {
+  return d?.toObject ? d.toObject() : d;
+}
+
+/* ================================ controller ================================ */
+export default {
+  /**
+   * POST /admin/deals
+   * Body: { title, brandId, url, originalPrice, salePrice, startsAt?, endsAt?, description? }
+   * Steps: (1) validate fields -> (2) check brand -> (3) cross-field rules -> (4) build slug -> (5) create -> (6) respond 201
+   */
+  async create(req, res) {
+    try {
+      const body = req.body || {};
+
+      if (typeof body.title !== "string") {
+        return res.status(400).json({ ok: false, code: 400, message: "Invalid title" });
+      }
+      const title = body.title.trim();
+      if (title.length < 3 || title.length > 140) {
+        return res.status(400).json({ ok: false, code: 400, message: "Title must be 3-140 chars" });
+      }
+
+      if (!isMerchantUrl(body.url)) {
+        return res.status(400).json({ ok: false, code: 400, message: "Invalid url" });
+      }
+
+      const originalPrice = toPrice(body.originalPrice);
+      const salePrice = toPrice(body.salePrice);
+      if (originalPrice === null || salePrice === null) {
+        return res.status(400).json({ ok: false, code: 400, message: "originalPrice and salePrice are required numbers" });
+      }
+
+      const startsAt = body.startsAt !== undefined ? toDate(body.startsAt) : new Date();
+      if (!startsAt) {
+        return res.status(400).json({ ok: false, code: 400, message: "Invalid startsAt" });
+      }
+      const endsAt = toDate(body.endsAt);
+      if (body.endsAt !== undefined && body.endsAt !== null && body.endsAt !== "" && !endsAt) {
+        return res.status(400).json({ ok: false, code: 400, message: "Invalid endsAt" });
+      }
+
+      const desc = readDescription(body.description);
+      if (desc.error) {
+        return res.status(400).json({ ok: false, code: 400, message: desc.error });
+      }
+
+      const brand = await findBrand(body.brandId);
+      if (!brand) {
+        return res.status(400).json({ ok: false, code: 400, message: "Invalid brand" });
+      }
+
+      const ruleError = checkDealRules({ originalPrice, salePrice, startsAt, endsAt });
+      if (ruleError) {
+        return res.status(400).json({ ok: false, code: 400, message: ruleError });
+      }
+
+      // Immutable unique slug
+      const base = kebab(title.normalize("NFKD"));
+      const slug = await uniqueSlug(base);
+
+      const deal = await Deal.create({
+        title,
+        slug,
+        brandId: brand._id,
+        description: desc.value,
+        url: body.url.trim(),
+        originalPrice,
+        salePrice,
+        startsAt,
+        endsAt,
+        isActive: true
+      });
+
+      return res.status(201).json({ ok: true, data: toClient(deal) });
+    } catch (e) {
+      const status = e?.status || 500;
+      return res.status(status).json({ ok: false, code: status, message: e?.publicMessage || e?.message || "Failed to create deal" });
+    }
+  },
+
+  /**
+   * GET /admin/deals
+   * Query: ?page=&pageSize=&brandId=&sort=(title|createdAt|updatedAt|startsAt|endsAt|discountPercent)&order=(asc|desc)
+   * Steps: (1) read pagination/sort/filter -> (2) query + count -> (3) respond
+   */
+  async list(req, res) {
+    try {
+      const page = clamp(toInt(req.query.page, 1), 1, 1_000_000_000);
+      const pageSize = clamp(toInt(req.query.pageSize, 10), 1, 50);
+      const sort = String(req.query.sort || "createdAt");
+      const order = String(req.query.order || "desc") === "asc" ? 1 : -1;
+
+      const sortObj = {};
+      if (["title", "createdAt", "updatedAt", "startsAt", "endsAt", "discountPercent"].includes(sort)) sortObj[sort] = order;
+      sortObj._id = -1;
+
+      const cond = {};
+      if (req.query.brandId) {
+        if (!mongoose.isValidObjectId(req.query.brandId)) {
+          return res.status(400).json({ ok: false, code: 400, message: "Invalid brandId" });
+        }
+        cond.brandId = req.query.brandId;
+      }
+
+      const skip = (page - 1) * pageSize;
+
+      const [items, total] = await Promise.all([
+        Deal.find(cond).sort(sortObj).skip(skip).limit(pageSize).lean(),
+        Deal.countDocuments(cond)
+      ]);
+
+      return res.json({ ok: true, data: items, meta: { page, pageSize, total } });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to list deals" });
+    }
+  },
+
+  /**
+   * GET /admin/deals/:id
+   * Steps: (1) find -> (2) 404 if missing -> (3) respond
+   */
+  async read(req, res) {
+    try {
+      const d = await Deal.findById(req.params.id).lean();
+      if (!d) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+      return res.json({ ok: true, data: d });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to read deal" });
+    }
+  },
+
+  /**
+   * PATCH /admin/deals/:id
+   * Body: any of { title, brandId, url, originalPrice, salePrice, startsAt, endsAt (null = open-ended), description }
+   * Steps: (1) load -> (2) validate & apply fields -> (3) re-check cross-field rules -> (4) save -> (5) respond
+   */
+  async update(req, res) {
+    try {
+      const deal = await Deal.findById(req.params.id);
+      if (!deal) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+      const body = req.body || {};
+      const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+
+      if (has("title")) {
+        const title = String(body.title || "").trim();
+        if (title.length < 3 || title.length > 140) {
+          return res.status(400).json({ ok: false, code: 400, message: "Title must be 3-140 chars" });
+        }
+        deal.title = title;
+      }
+
+      if (has("url")) {
+        if (!isMerchantUrl(body.url)) {
+          return res.status(400).json({ ok: false, code: 400, message: "Invalid url" });
+        }
+        deal.url = body.url.trim();
+      }
+
+      if (has("originalPrice")) {
+        const p = toPrice(body.originalPrice);
+        if (p === null) return res.status(400).json({ ok: false, code: 400, message: "Invalid originalPrice" });
+        deal.originalPrice = p;
+      }
+
+      if (has("salePrice")) {
+        const p = toPrice(body.salePrice);
+        if (p === null) return res.status(400).json({ ok: false, code: 400, message: "Invalid salePrice" });
+        deal.salePrice = p;
+      }
+
+      if (has("startsAt")) {
+        const d = toDate(body.startsAt);
+        if (!d) return res.status(400).json({ ok: false, code: 400, message: "Invalid startsAt" });
+        deal.startsAt = d;
+      }
+
+      if (has("endsAt")) {
+        if (body.endsAt === null || body.endsAt === "") {
+          deal.endsAt = null;
+        } else {
+          const d = toDate(body.endsAt);
+          if (!d) return res.status(400).json({ ok: false, code: 400, message: "Invalid endsAt" });
+          deal.endsAt = d;
+        }
+      }
+
+      if (has("description")) {
+        const desc = readDescription(body.description);
+        if (desc.error) {
+          return res.status(400).json({ ok: false, code: 400, message: desc.error });
+        }
+        deal.description = desc.value;
+      }
+
+      if (has("brandId")) {
+        const brand = await findBrand(body.brandId);
+        if (!brand) {
+          return res.status(400).json({ ok: false, code: 400, message: "Invalid brand" });
+        }
+        deal.brandId = brand._id;
+      }
+
+      const ruleError = checkDealRules(deal);
+      if (ruleError) {
+        return res.status(400).json({ ok: false, code: 400, message: ruleError });
+      }
+
+      await deal.save();
+      return res.json({ ok: true, data: toClient(deal) });
+    } catch (e) {
+      const status = e?.status || 500;
+      return res.status(status).json({ ok: false, code: status, message: e?.publicMessage || e?.message || "Failed to update deal" });
+    }
+  },
+
+  /**
+   * DELETE /admin/deals/:id
+   * Steps: (1) delete -> (2) 404 if missing -> (3) respond
+   */
+  async remove(req, res) {
+    try {
+      const del = await Deal.findByIdAndDelete(req.params.id);
+      if (!del) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to delete deal" });
+    }
+  },
+
+  /**
+   * PATCH /admin/deals/:id/status  { isActive: boolean }
+   * Steps: (1) validate -> (2) update -> (3) 404 if missing -> (4) respond
+   */
+  async toggleStatus(req, res) {
+    try {
+      const { isActive } = req.body || {};
+      if (typeof isActive !== "boolean") {
+        return res.status(400).json({ ok: false, code: 400, message: "isActive boolean required" });
+      }
+      const d = await Deal.findByIdAndUpdate(req.params.id, { $set: { isActive } }, { new: true }).lean();
+      if (!d) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+      return res.json({ ok: true, data: d });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to toggle status" });
+    }
+  },
+
+  /**
+   * GET /admin/deals/search?q=&page=&pageSize=
+   * Steps: (1) validate q -> (2) build cond -> (3) query page -> (4) respond
+   */
+  async search(req, res) {
+    try {
+      const q = String(req.query.q || "").trim();
+      if (q.length < 2) {
+        return res.status(400).json({ ok: false, code: 400, message: "q must be ≥ 2 chars" });
+      }
+
+      const page = clamp(toInt(req.query.page, 1), 1, 1_000_000_000);
+      const pageSize = clamp(toInt(req.query.pageSize, 10), 1, 50);
+      const skip = (page - 1) * pageSize;
+
+      const cond = {
+        $or: [
+          { title: { $regex: escapeRegex(q), $options: "i" } },
+          { slug: { $regex: escapeRegex(q), $options: "i" } }
+        ]
+      };
+
+      const [items, total] = await Promise.all([
+        Deal.find(cond).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(pageSize).lean(),
+        Deal.countDocuments(cond)
+      ]);
+
+      return res.json({ ok: true, data: items, meta: { page, pageSize, total } });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to search deals" });
+    }
+  },
+
+  /**
+   * GET /admin/deals/metrics
+   * Steps: (1) count total/active/inactive/live/expired/scheduled -> (2) respond
+   */
+  async metrics(_req, res) {
+    try {
+      const now = new Date();
+      const [total, active, inactive, live, expired, scheduled] = await Promise.all([
+        Deal.countDocuments({}),
+        Deal.countDocuments({ isActive: true }),
+        Deal.countDocuments({ isActive: false }),
+        Deal.countDocuments({
+          isActive: true,
+          startsAt: { $lte: now },
+          $or: [{ endsAt: null }, { endsAt: { $gt: now } }]
+        }),
+        Deal.countDocuments({ endsAt: { $ne: null, $lte: now } }),
+        Deal.countDocuments({ startsAt: { $gt: now } })
+      ]);
+      return res.json({ ok: true, total, active, inactive, live, expired, scheduled });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to get metrics" });
+    }
+  }
+};
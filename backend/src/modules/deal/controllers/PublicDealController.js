@@ -0,0 +1,139 @@
+"use strict";
+
+/**
+ * Public Deal Controller (beginner-friendly)
+ * What it does:
+ *   - List / Read / By-brand for live deals
+ *   - "Live" = active + inside its validity window (startsAt ≤ now < endsAt, or no endsAt)
+ *   - Only deals of public-eligible brands (active + has logo) are shown
+ */
+
+import path from "node:path";
+import Deal from "../models/Deal.js";
+import Brand from "../../brand/models/Brand.js";
+
+/* ------------------------------- utilities ------------------------------- */
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+function toInt(v, fallback) {
+  const n = Number.parseInt(v, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+// Convert absolute upload path to public "/uploads/..." path
+function toPublic(absPath) {
+  if (!absPath) return absPath;
+  const idx = absPath.lastIndexOf(path.sep + "uploads" + path.sep);
+  if (idx !== -1) return absPath.slice(idx).replaceAll(path.sep, "/");
+  return absPath;
+}
+
+// Condition for deals that are active and inside their validity window right now
+function liveCond(now = new Date()) {
+  return {
+    isActive: true,
+    startsAt: { $lte: now },
+    $or: [{ endsAt: null }, { endsAt: { $gt: now } }]
+  };
+}
+
+// Read pagination + sort from query (shared by list endpoints)
+function readPaging(query) {
+  const page = clamp(toInt(query.page, 1), 1, 1_000_000_000);
+  const pageSize = clamp(toInt(query.pageSize, 10), 1, 50);
+  const sort = String(query.sort || "createdAt");
+  const order = String(query.order || "desc") === "asc" ? 1 : -1;
+
+  const sortObj = {};
+  if (["createdAt", "updatedAt", "title", "salePrice", "discountPercent", "endsAt"].includes(sort)) sortObj[sort] = order;
+  sortObj._id = -1; // stable secondary sort
+
+  return { page, pageSize, sortObj, skip: (page - 1) * pageSize };
+}
+
+// Public brand summary
+function brandSummary(b) {
+  return { _id: b._id, name: b.name, slug: b.slug, logo: b.logo ? toPublic(b.logo) : null };
+}
+
+// Attach brand summaries to a page of deals
+async function withBrands(items) {
+  const ids = [...new Set(items.map(d => String(d.brandId)))];
+  const brands = ids.length ? await Brand.find({ _id: { $in: ids } }).lean() : [];
+  const map = new Map(brands.map(b => [String(b._id), brandSummary(b)]));
+  return items.map(d => ({ ...d, brand: map.get(String(d.brandId)) || null }));
+}
+
+/* ================================ controller ================================ */
+export default {
+  /**
+   * GET /public/deals
+   * Query: ?page=&pageSize=&sort=(createdAt|updatedAt|title|salePrice|discountPercent|endsAt)&order=(asc|desc)
+   * Steps: (1) read pagination/sort -> (2) eligible brands -> (3) live deals query + count -> (4) attach brands -> (5) respond
+   */
+  async list(req, res) {
+    try {
+      const { page, pageSize, sortObj, skip } = readPaging(req.query);
+
+      const brandIds = await Brand.find({ isActive: true, logo: { $ne: null } }).distinct("_id");
+      const cond = { ...liveCond(), brandId: { $in: brandIds } };
+
+      const [items, total] = await Promise.all([
+        Deal.find(cond).sort(sortObj).skip(skip).limit(pageSize).lean(),
+        Deal.countDocuments(cond)
+      ]);
+
+      return res.json({ ok: true, data: await withBrands(items), meta: { page, pageSize, total } });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to list deals" });
+    }
+  },
+
+  /**
+   * GET /public/deals/:slug
+   * Steps: (1) find live deal by slug -> (2) ensure brand eligible -> (3) respond
+   */
+  async read(req, res) {
+    try {
+      const slug = String(req.params.slug || "").toLowerCase();
+      const deal = await Deal.findOne({ ...liveCond(), slug }).lean();
+      if (!deal) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+      const brand = await Brand.findOne({ _id: deal.brandId, isActive: true, logo: { $ne: null } }).lean();
+      if (!brand) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+      return res.json({ ok: true, data: { ...deal, brand: brandSummary(brand) } });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to read deal" });
+    }
+  },
+
+  /**
+   * GET /public/brands/:slug/deals
+   * Steps: (1) find eligible brand -> (2) 404 if missing -> (3) live deals page for brand -> (4) respond with brand meta
+   */
+  async byBrand(req, res) {
+    try {
+      const slug = String(req.params.slug || "").toLowerCase();
+      const brand = await Brand.findOne({ slug, isActive: true, logo: { $ne: null } }).lean();
+      if (!brand) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+      const { page, pageSize, sortObj, skip } = readPaging(req.query);
+      const cond = { ...liveCond(), brandId: brand._id };
+
+      const [items, total] = await Promise.all([
+        Deal.find(cond).sort(sortObj).skip(skip).limit(pageSize).lean(),
+        Deal.countDocuments(cond)
+      ]);
+
+      return res.json({
+        ok: true,
+        brand: brandSummary(brand),
+        data: items,
+        meta: { page, pageSize, total }
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to list brand deals" });
+    }
+  }
+};
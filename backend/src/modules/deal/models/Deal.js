@@ -0,0 +1,29 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+const DealSchema = new mongoose.Schema({
+  title: { type: String, required: true, minlength: 3, maxlength: 140, trim: true },
+  slug: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  brandId: { type: mongoose.Schema.Types.ObjectId, ref: "Brand", required: true, index: true },
+  description: { type: String, default: null, maxlength: 2000 }, // plain text
+  url: { type: String, required: true, trim: true }, // outbound merchant URL
+
+  originalPrice: { type: Number, required: true, min: 0 },
+  salePrice: { type: Number, required: true, min: 0 },
+  discountPercent: { type: Number, default: 0, min: 0, max: 100 }, // computed on validate
+
+  startsAt: { type: Date, required: true, index: true },
+  endsAt: { type: Date, default: null, index: true }, // null = open-ended
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+// Keep discountPercent in sync with prices (whole percent, never negative)
+DealSchema.pre("validate", function (next) {
+  const orig = Number(this.originalPrice);
+  const sale = Number(this.salePrice);
+  this.discountPercent = orig > 0 && sale < orig ? Math.round(((orig - sale) / orig) * 100) : 0;
+  next();
+});
+
+export default mongoose.model("Deal", DealSchema);
@@ -0,0 +1,60 @@
+"use strict";
+
+/**
+ * Admin Deal Routes (beginner-friendly)
+ * Summary:
+ *   Handles all admin-only routes for deal management.
+ *   Requires an admin whose role grants the "catalog" permission.
+ *
+ *   Endpoints:
+ *     POST   /admin/deals              -> Create new deal
+ *     GET    /admin/deals              -> Paginated list of deals (?brandId=)
+ *     GET    /admin/deals/metrics      -> Count total/active/live/expired/scheduled deals
+ *     GET    /admin/deals/search       -> Search deals by title/slug
+ *     GET    /admin/deals/:id          -> Read single deal details
+ *     PATCH  /admin/deals/:id          -> Update deal fields
+ *     DELETE /admin/deals/:id          -> Delete deal
+ *     PATCH  /admin/deals/:id/status   -> Activate/Deactivate deal
+ */
+
+import { Router } from "express";
+import { requireAdmin } from "../../../middlewares/authAdmin.js";
+import { PERMISSIONS } from "../../../config/adminRoles.js";
+import { audit } from "../../../middlewares/audit.js";
+import Deal from "../models/Deal.js";
+import AdminDealController from "../controllers/AdminDealController.js";
+
+const r = Router();
+
+// Admin + "catalog" permission (see config/adminRoles.js)
+const authAdmin = requireAdmin(PERMISSIONS.CATALOG);
+
+// Record successful writes in the audit log
+const auditDeal = (action) => audit("deal", action, { model: Deal });
+
+/* -------------------------------- DEAL ROUTES ------------------------------ */
+// Create a new deal
+r.post("/", authAdmin, auditDeal("create"), AdminDealController.create);
+
+// Get list of all deals (supports pagination, sorting & brand filter)
+r.get("/", authAdmin, AdminDealController.list);
+
+// Get deal metrics
+r.get("/metrics", authAdmin, AdminDealController.metrics);
+
+// Search deals by keyword
+r.get("/search", authAdmin, AdminDealController.search);
+
+// Read single deal details by ID
+r.get("/:id", authAdmin, AdminDealController.read);
+
+// Update deal fields
+r.patch("/:id", authAdmin, auditDeal("update"), AdminDealController.update);
+
+// Delete deal by ID
+r.delete("/:id", authAdmin, auditDeal("delete"), AdminDealController.remove);
+
+// Toggle deal active/inactive status
+r.patch("/:id/status", authAdmin, auditDeal("status"), AdminDealController.toggleStatus);
+
+export default r;
@@ -0,0 +1,30 @@
+"use strict";
+
+/**
+ * Public Deal Routes (beginner-friendly)
+ * Summary:
+ *   Public-facing deal APIs — no authentication required.
+ *   Only active deals inside their validity window are shown.
+ *
+ *   Endpoints:
+ *     GET /public/deals               -> List live deals (paginated)
+ *     GET /public/deals/:slug         -> Read single live deal by slug
+ *     GET /public/brands/:slug/deals  -> List live deals of a brand (paginated)
+ */
+
+import { Router } from "express";
+import PublicDealController from "../controllers/PublicDealController.js";
+
+const r = Router();
+
+/* ------------------------------- PUBLIC ROUTES ------------------------------ */
+// Get all live deals of public-eligible brands
+r.get("/deals", PublicDealController.list);
+
+// Get a single live deal by slug
+r.get("/deals/:slug", PublicDealController.read);
+
+// Get a brand’s live deals by brand slug
+r.get("/brands/:slug/deals", PublicDealController.byBrand);
+
+export default r;
@@ -0,0 +1,131 @@
+"use strict";
+
+/**
+ * Admin Mail Log Controller (beginner-friendly)
+ * Features:
+ *   - Browse outgoing mail (newest first, filterable by status/template/recipient/date)
+ *   - Read one message with its delivery attempts
+ *   - Re-send a message (queued as a new message linked to the original)
+ * Rules:
+ *   - Sensitive mails (OTP) cannot be re-sent; their subject/bodies are never stored
+ */
+
+import mongoose from "mongoose";
+import MailMessage from "../models/MailMessage.js";
+import { resendMessage } from "../services/MailQueue.js";
+import { MAIL_TEMPLATES } from "../services/MailTemplates.js";
+
+/* -------------------------------- utilities -------------------------------- */
+const STATUSES = ["queued", "sending", "sent", "failed", "bounced"];
+
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+function toInt(v, fallback) {
+  const n = Number.parseInt(v, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+// Optional date filter (null if absent, undefined if invalid)
+function readDate(raw) {
+  if (raw === undefined || raw === "") return null;
+  const d = new Date(String(raw));
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+// Sensitive (bodies not stored) or direct (SMTP test through one profile)
+function notResendable(template) {
+  return Boolean(MAIL_TEMPLATES[template]?.sensitive || MAIL_TEMPLATES[template]?.direct);
+}
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/* ================================ controller ================================ */
+export default {
+  /**
+   * GET /admin/mail-log
+   * Query: ?page=&pageSize=&status=&template=&to=&from=&until=
+   * Steps: (1) read filters -> (2) query + count (newest first, no bodies) -> (3) respond
+   */
+  async list(req, res) {
+    try {
+      const page = clamp(toInt(req.query.page, 1), 1, 1_000_000_000);
+      const pageSize = clamp(toInt(req.query.pageSize, 20), 1, 100);
+
+      const cond = {};
+      if (req.query.status) {
+        if (!STATUSES.includes(String(req.query.status))) {
+          return res.status(400).json({ ok: false, code: 400, message: `status must be one of ${STATUSES.join("|")}` });
+        }
+        cond.status = String(req.query.status);
+      }
+      if (req.query.template) cond.template = String(req.query.template);
+      if (req.query.to) cond.to = { $regex: escapeRegex(String(req.query.to).trim()), $options: "i" };
+
+      const from = readDate(req.query.from);
+      const until = readDate(req.query.until);
+      if (from === undefined || until === undefined) {
+        return res.status(400).json({ ok: false, code: 400, message: "Invalid from/until date" });
+      }
+      if (from || until) {
+        cond.createdAt = {};
+        if (from) cond.createdAt.$gte = from;
+        if (until) cond.createdAt.$lte = until;
+      }
+
+      const skip = (page - 1) * pageSize;
+      const [items, total] = await Promise.all([
+        MailMessage.find(cond)
+          .select("-html -text -attemptLog")
+          .sort({ createdAt: -1, _id: -1 })
+          .skip(skip)
+          .limit(pageSize)
+          .lean(),
+        MailMessage.countDocuments(cond)
+      ]);
+
+      return res.json({ ok: true, data: items, meta: { page, pageSize, total } });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to list mail" });
+    }
+  },
+
+  /**
+   * GET /admin/mail-log/:id
+   * Steps: (1) find -> (2) 404 if missing -> (3) respond (incl. bodies + attempts)
+   */
+  async read(req, res) {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+      }
+      const msg = await MailMessage.findById(req.params.id).lean();
+      if (!msg) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+      return res.json({ ok: true, data: msg });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to read mail" });
+    }
+  },
+
+  /**
+   * POST /admin/mail-log/:id/resend
+   * Steps: (1) find (404) -> (2) 409 if sensitive/direct/body gone -> (3) queue a copy -> (4) respond 201
+   */
+  async resend(req, res) {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+      }
+      const original = await MailMessage.findById(req.params.id).lean();
+      if (!original) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+      if (original.sensitive || notResendable(original.template) || (!original.html && !original.text)) {
+        return res.status(409).json({ ok: false, code: 409, message: "This mail cannot be re-sent" });
+      }
+
+      const msg = await resendMessage(original);
+      return res.status(201).json({ ok: true, data: msg.toObject() });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to re-send mail" });
+    }
+  }
+};
@@ -0,0 +1,162 @@
+"use strict";
+
+/**
+ * Admin Mail Template Controller (beginner-friendly)
+ * Features:
+ *   - List the named templates (customized or default)
+ *   - Read / edit a template (subject, HTML, text)
+ *   - Reset a template to its on-disk default
+ *   - Preview: render the stored template or a draft with sample values
+ * Rules:
+ *   - Only known template names (services/MailTemplates.js)
+ *   - subject ≤ 200, html ≤ 50000, text ≤ 20000 characters, none empty
+ *   - Only the template's own variables; sections must be closed
+ *   - HTML and text must print the template's required variables (otp: {{code}})
+ */
+
+import MailTemplate from "../models/MailTemplate.js";
+import {
+  MAIL_TEMPLATES,
+  isMailTemplate,
+  variablesOf,
+  requiredVariablesOf,
+  checkTemplateSource,
+  loadDefaultTemplate,
+  loadTemplate,
+  renderMail
+} from "../services/MailTemplates.js";
+
+/* -------------------------------- utilities -------------------------------- */
+const LIMITS = { subject: 200, html: 50000, text: 20000 };
+
+// Validate { subject, html, text } (all required) → { value } | { error }
+function readSource(name, body) {
+  const value = {};
+  for (const [field, max] of Object.entries(LIMITS)) {
+    const raw = body?.[field];
+    if (typeof raw !== "string" || !raw.trim()) return { error: `${field} required` };
+    if (raw.length > max) return { error: `${field}: at most ${max} characters` };
+    const problem = checkTemplateSource(name, raw, { required: field !== "subject" });
+    if (problem) return { error: `${field}: ${problem}` };
+    value[field] = field === "subject" ? raw.trim() : raw.replace(/\r\n/g, "\n");
+  }
+  return { value };
+}
+
+function notFound(res) {
+  return res.status(404).json({ ok: false, code: 404, message: "Unknown template" });
+}
+
+/* ================================ controller ================================ */
+export default {
+  /**
+   * GET /admin/mail-templates
+   * Steps: (1) known names -> (2) mark customized ones -> (3) respond
+   */
+  async list(req, res) {
+    try {
+      const custom = await MailTemplate.find({}).select("name updatedAt").lean();
+      const byName = new Map(custom.map(t => [t.name, t]));
+
+      const data = Object.entries(MAIL_TEMPLATES).map(([name, t]) => ({
+        name,
+        description: t.description,
+        variables: variablesOf(name),
+        required: requiredVariablesOf(name),
+        customized: byName.has(name),
+        updatedAt: byName.get(name)?.updatedAt ?? null
+      }));
+      return res.json({ ok: true, data });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to list templates" });
+    }
+  },
+
+  /**
+   * GET /admin/mail-templates/:name
+   * Steps: (1) known name? -> (2) current + default -> (3) respond
+   */
+  async read(req, res) {
+    try {
+      const name = req.params.name;
+      if (!isMailTemplate(name)) return notFound(res);
+
+      const [current, defaults] = await Promise.all([loadTemplate(name), loadDefaultTemplate(name)]);
+      return res.json({
+        ok: true,
+        data: { name, ...current, variables: variablesOf(name), required: requiredVariablesOf(name), sample: MAIL_TEMPLATES[name].sample, defaults }
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to read template" });
+    }
+  },
+
+  /**
+   * PUT /admin/mail-templates/:name  { subject, html, text }
+   * Steps: (1) known name? -> (2) validate parts -> (3) upsert override -> (4) respond
+   */
+  async update(req, res) {
+    try {
+      const name = req.params.name;
+      if (!isMailTemplate(name)) return notFound(res);
+
+      const source = readSource(name, req.body);
+      if (source.error) return res.status(400).json({ ok: false, code: 400, message: source.error });
+
+      const saved = await MailTemplate.findOneAndUpdate(
+        { name },
+        { $set: source.value },
+        { upsert: true, new: true, runValidators: true }
+      ).lean();
+      return res.json({ ok: true, data: { ...saved, customized: true } });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to save template" });
+    }
+  },
+
+  /**
+   * DELETE /admin/mail-templates/:name
+   * Steps: (1) known name? -> (2) drop override -> (3) respond with the default now in use
+   */
+  async reset(req, res) {
+    try {
+      const name = req.params.name;
+      if (!isMailTemplate(name)) return notFound(res);
+
+      await MailTemplate.deleteOne({ name });
+      return res.json({ ok: true, data: { name, ...(await loadDefaultTemplate(name)), customized: false } });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to reset template" });
+    }
+  },
+
+  /**
+   * POST /admin/mail-templates/:name/preview  { subject?, html?, text?, vars? }
+   * Steps: (1) known name? -> (2) draft (all three parts) or stored template -> (3) render with sample + vars
+   */
+  async preview(req, res) {
+    try {
+      const name = req.params.name;
+      if (!isMailTemplate(name)) return notFound(res);
+      const body = req.body || {};
+
+      let source = null;
+      if (body.subject !== undefined || body.html !== undefined || body.text !== undefined) {
+        const draft = readSource(name, body);
+        if (draft.error) return res.status(400).json({ ok: false, code: 400, message: draft.error });
+        source = draft.value;
+      }
+
+      const vars = { ...MAIL_TEMPLATES[name].sample };
+      if (body.vars && typeof body.vars === "object") {
+        for (const key of Object.keys(MAIL_TEMPLATES[name].sample)) {
+          if (body.vars[key] !== undefined) vars[key] = body.vars[key];
+        }
+      }
+
+      return res.json({ ok: true, data: await renderMail(name, vars, source) });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to render preview" });
+    }
+  }
+};
@@ -0,0 +1,55 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+/**
+ * One outgoing mail (delivery log + queue entry).
+ * status: queued → sending → sent | failed | bounced
+ *   (sending → queued again while retries are left)
+ */
+const AttemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, required: true },
+    ok: { type: Boolean, required: true },
+    error: { type: String, default: null },
+    responseCode: { type: Number, default: null },
+    profile: { type: String, default: null } // SMTP profile that delivered it
+  },
+  { _id: false }
+);
+
+const MailMessageSchema = new mongoose.Schema(
+  {
+    template: { type: String, required: true, index: true },
+    category: { type: String, default: null }, // routes to SMTP profiles (MAIL_CATEGORIES)
+    to: { type: String, required: true, index: true },
+    subject: { type: String, required: true }, // placeholder for sensitive mails
+    html: { type: String, default: null }, // never stored for sensitive mails (OTP)
+    text: { type: String, default: null },
+    sensitive: { type: Boolean, default: false },
+    status: {
+      type: String,
+      enum: ["queued", "sending", "sent", "failed", "bounced"],
+      default: "queued",
+      index: true
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 6 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date, default: null },
+    attemptLog: { type: [AttemptSchema], default: [] },
+    lastError: { type: String, default: null },
+    messageId: { type: String, default: null },
+    smtpProfile: { type: String, default: null },
+    sentAt: { type: Date, default: null },
+    resendOf: { type: mongoose.Schema.Types.ObjectId, ref: "MailMessage", default: null }
+  },
+  { timestamps: true }
+);
+
+// Worker pick-up order
+MailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+// Delivery log keeps 90 days
+MailMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model("MailMessage", MailMessageSchema);
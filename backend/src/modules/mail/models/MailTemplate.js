@@ -0,0 +1,19 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+/**
+ * Admin override of a mail template (services/MailTemplates.js).
+ * No row = the default from templates/<name>/ on disk is used.
+ */
+const MailTemplateSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    subject: { type: String, required: true, maxlength: 200 },
+    html: { type: String, required: true, maxlength: 50000 },
+    text: { type: String, required: true, maxlength: 20000 }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("MailTemplate", MailTemplateSchema);
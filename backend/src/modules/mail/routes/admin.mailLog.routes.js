@@ -0,0 +1,36 @@
+"use strict";
+
+/**
+ * Admin Mail Log Routes (beginner-friendly)
+ * Summary:
+ *   Delivery log of every outgoing mail, with re-send.
+ *   Requires an admin whose role grants the "smtp" permission.
+ *
+ *   Endpoints:
+ *     GET  /admin/mail-log              -> Paginated log (?status=&template=&to=&from=&until=)
+ *     GET  /admin/mail-log/:id          -> One message + delivery attempts
+ *     POST /admin/mail-log/:id/resend   -> Queue a copy
+ */
+
+import { Router } from "express";
+import { requireAdmin } from "../../../middlewares/authAdmin.js";
+import { PERMISSIONS } from "../../../config/adminRoles.js";
+import { audit } from "../../../middlewares/audit.js";
+import AdminMailLogController from "../controllers/AdminMailLogController.js";
+
+const r = Router();
+
+// Admin + "smtp" permission (see config/adminRoles.js)
+const authAdmin = requireAdmin(PERMISSIONS.SMTP);
+
+/* ------------------------------- MAIL LOG ROUTES ----------------------------- */
+r.get("/", authAdmin, AdminMailLogController.list);
+r.get("/:id", authAdmin, AdminMailLogController.read);
+r.post(
+  "/:id/resend",
+  authAdmin,
+  audit("mail_message", "resend", { meta: (req, body) => ({ originalId: req.params.id, newId: body?.data?._id ?? null }) }),
+  AdminMailLogController.resend
+);
+
+export default r;
@@ -0,0 +1,42 @@
+"use strict";
+
+/**
+ * Admin Mail Template Routes (beginner-friendly)
+ * Summary:
+ *   Edit and preview the transactional mails (OTP, welcome, account deleted, price alert).
+ *   Requires an admin whose role grants the "smtp" permission.
+ *
+ *   Endpoints:
+ *     GET    /admin/mail-templates                -> Templates (customized or default)
+ *     GET    /admin/mail-templates/:name          -> Current parts + on-disk default
+ *     PUT    /admin/mail-templates/:name          -> Save override { subject, html, text }
+ *     DELETE /admin/mail-templates/:name          -> Back to the default
+ *     POST   /admin/mail-templates/:name/preview  -> Render stored template or a draft
+ */
+
+import { Router } from "express";
+import { requireAdmin } from "../../../middlewares/authAdmin.js";
+import { PERMISSIONS } from "../../../config/adminRoles.js";
+import { audit } from "../../../middlewares/audit.js";
+import MailTemplate from "../models/MailTemplate.js";
+import AdminMailTemplateController from "../controllers/AdminMailTemplateController.js";
+
+const r = Router();
+
+// Admin + "smtp" permission (see config/adminRoles.js)
+const authAdmin = requireAdmin(PERMISSIONS.SMTP);
+
+// Record successful writes in the audit log (target = override row of that name)
+const auditTemplate = (action) => audit("mail_template", action, {
+  find: (req) => MailTemplate.findOne({ name: req.params.name }),
+  meta: (req) => ({ name: req.params.name })
+});
+
+/* ------------------------------ TEMPLATE ROUTES ----------------------------- */
+r.get("/", authAdmin, AdminMailTemplateController.list);
+r.get("/:name", authAdmin, AdminMailTemplateController.read);
+r.put("/:name", authAdmin, auditTemplate("update"), AdminMailTemplateController.update);
+r.delete("/:name", authAdmin, auditTemplate("reset"), AdminMailTemplateController.reset);
+r.post("/:name/preview", authAdmin, AdminMailTemplateController.preview);
+
+export default r;
@@ -0,0 +1,249 @@
+"use strict";
+
+/**
+ * Mail queue + delivery log
+ * -------------------------
+ * Every outgoing mail is a MailMessage row, rendered from its template when
+ * it is created. Three ways to send:
+ *
+ *   queueMail(name, { to, vars })     -> durable: the worker delivers it,
+ *                                        retrying with exponential backoff
+ *   sendMailNow(name, { to, vars })   -> fast path (OTP): one attempt inside
+ *                                        the request, recorded; throws on failure
+ *   sendMailThrough(deliver, name, …) -> like sendMailNow, but one given
+ *                                        transport instead of the failover
+ *                                        (admin SMTP test)
+ *
+ * Each attempt already fails over between SMTP profiles (utils/mailer.js).
+ *
+ * Worker (startMailWorker): every few seconds claims due messages one at a
+ * time (atomic, so several app instances can run it) and delivers them.
+ *   - success                         -> sent
+ *   - recipient rejected (5xx RCPT)   -> bounced (no retry)
+ *   - anything else                   -> queued again after 30 s, 1 m, 2 m ... (max 1 h)
+ *                                        until maxAttempts, then failed
+ * A message stuck in "sending" (instance died) is picked up again once its lock expires.
+ *
+ * Sensitive mails (OTP, magic links) only go through sendMailNow: subject and
+ * bodies stay in memory and the log row holds a redacted placeholder, so no
+ * live login secret is ever stored. They are never queued, re-claimed by the
+ * worker (an interrupted one is marked failed) or re-sent. Direct mails (SMTP
+ * test) are recorded normally but also never queued or re-sent.
+ */
+
+import MailMessage from "../models/MailMessage.js";
+import { sendMail, isRecipientRejected } from "../../../utils/mailer.js";
+import { MAIL_TEMPLATES, renderMail } from "./MailTemplates.js";
+
+const POLL_SECONDS = Number(process.env.MAIL_QUEUE_POLL_SECONDS || 5);
+const LOCK_MS = 2 * 60 * 1000;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const BATCH = 20; // messages per worker tick
+
+/* -------------------------------- helpers -------------------------------- */
+
+function backoffMs(attempts) {
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+function errorText(e) {
+  return String((e && e.message) || "Send failed").slice(0, 500);
+}
+
+const REDACTED_SUBJECT = "[not stored: sensitive]";
+
+function isSensitive(name) {
+  return Boolean(MAIL_TEMPLATES[name]?.sensitive);
+}
+
+function isDirect(name) {
+  return Boolean(MAIL_TEMPLATES[name]?.direct);
+}
+
+/**
+ * Render + insert the log row. Returns { msg, content } where content is the
+ * rendered { subject, html, text }; for sensitive templates only the
+ * in-memory content has them (row: placeholder subject, no bodies).
+ */
+async function createMessage(name, { to, vars = {} }, extra = {}) {
+  const content = await renderMail(name, vars);
+  const sensitive = isSensitive(name);
+  const msg = await MailMessage.create({
+    template: name,
+    category: MAIL_TEMPLATES[name]?.category ?? null,
+    to,
+    subject: sensitive ? REDACTED_SUBJECT : content.subject,
+    html: sensitive ? null : content.html,
+    text: sensitive ? null : content.text,
+    sensitive,
+    ...extra
+  });
+  return { msg, content };
+}
+
+/**
+ * One delivery attempt for a claimed message (status "sending").
+ * content = { subject, html, text } (defaults to the stored ones).
+ * retry=false → a failure is final (fast path).
+ * deliver = the send function (default: profile failover, utils/mailer.js).
+ * Returns the nodemailer info; throws the send error.
+ */
+async function attempt(msg, { retry = true, content = msg, deliver = sendMail } = {}) {
+  const at = new Date();
+  try {
+    const info = await deliver({
+      to: msg.to,
+      subject: content.subject,
+      text: content.text,
+      html: content.html,
+      category: msg.category
+    });
+    await MailMessage.updateOne(
+      { _id: msg._id },
+      {
+        $set: {
+          status: "sent",
+          sentAt: at,
+          messageId: info?.messageId || null,
+          smtpProfile: info?.profile || null,
+          lockedUntil: null,
+          lastError: null
+        },
+        $push: { attemptLog: { at, ok: true, profile: info?.profile || null } }
+      }
+    );
+    return info;
+  } catch (e) {
+    const bounced = isRecipientRejected(e);
+    const final = bounced || !retry || msg.attempts >= msg.maxAttempts;
+    await MailMessage.updateOne(
+      { _id: msg._id },
+      {
+        $set: {
+          status: bounced ? "bounced" : final ? "failed" : "queued",
+          nextAttemptAt: new Date(Date.now() + backoffMs(msg.attempts)),
+          lockedUntil: null,
+          lastError: errorText(e)
+        },
+        $push: { attemptLog: { at, ok: false, error: errorText(e), responseCode: e?.responseCode ?? null } }
+      }
+    );
+    throw e;
+  }
+}
+
+/* ------------------------------- public API ------------------------------- */
+
+// Durable send: stored now, delivered by the worker (not for sensitive templates)
+export async function queueMail(name, { to, vars = {} }) {
+  if (isSensitive(name)) throw new Error(`"${name}" is sensitive: use sendMailNow`);
+  if (isDirect(name)) throw new Error(`"${name}" is direct: use sendMailThrough`);
+  const { msg } = await createMessage(name, { to, vars });
+  setImmediate(() => { processDueMail().catch(() => {}); });
+  return msg;
+}
+
+// Fire-and-forget notification (queue errors are logged, never thrown)
+export function notifyByMail(name, { to, vars = {} }) {
+  queueMail(name, { to, vars }).catch((e) => {
+    console.error("[MailQueue] enqueue failed:", { template: name, message: e && e.message });
+  });
+}
+
+const FAST_PATH = () => ({
+  status: "sending",
+  attempts: 1,
+  maxAttempts: 1,
+  lockedUntil: new Date(Date.now() + LOCK_MS)
+});
+
+// Fast path: one attempt now, recorded in the log; throws on failure
+export async function sendMailNow(name, { to, vars = {} }) {
+  const { msg, content } = await createMessage(name, { to, vars }, FAST_PATH());
+  return attempt(msg, { retry: false, content });
+}
+
+/**
+ * Fast path through one given transport: deliver({ to, subject, text, html })
+ * resolves to the nodemailer info (+ profile). Recorded like sendMailNow.
+ * Returns the info + mailId (log row); throws on failure.
+ */
+export async function sendMailThrough(deliver, name, { to, vars = {} }) {
+  const { msg, content } = await createMessage(name, { to, vars }, FAST_PATH());
+  const info = await attempt(msg, { retry: false, content, deliver });
+  return { ...info, mailId: msg._id };
+}
+
+// Copy a logged message into a new queued one (admin re-send; never sensitive or direct mails)
+export async function resendMessage(original) {
+  if (original.sensitive || isSensitive(original.template)) {
+    throw new Error("Sensitive mails cannot be re-sent");
+  }
+  if (isDirect(original.template)) throw new Error("Direct mails cannot be re-sent");
+  const msg = await MailMessage.create({
+    template: original.template,
+    category: original.category ?? MAIL_TEMPLATES[original.template]?.category ?? null,
+    to: original.to,
+    subject: original.subject,
+    html: original.html,
+    text: original.text,
+    resendOf: original._id
+  });
+  setImmediate(() => { processDueMail().catch(() => {}); });
+  return msg;
+}
+
+/* --------------------------------- worker --------------------------------- */
+
+let running = false;
+
+// Claim + deliver due messages (one at a time); returns how many were tried
+export async function processDueMail() {
+  if (running) return 0;
+  running = true;
+  let tried = 0;
+  try {
+    // Interrupted fast-path sends are never retried (their content is gone; a late OTP is useless;
+    // an SMTP test must not fail over to another profile). Fast path = maxAttempts 1.
+    await MailMessage.updateMany(
+      { status: "sending", $or: [{ sensitive: true }, { maxAttempts: 1 }], lockedUntil: { $lt: new Date() } },
+      { $set: { status: "failed", lockedUntil: null, lastError: "Interrupted before delivery" } }
+    );
+
+    while (tried < BATCH) {
+      const now = new Date();
+      const msg = await MailMessage.findOneAndUpdate(
+        {
+          sensitive: { $ne: true },
+          $or: [
+            { status: "queued", nextAttemptAt: { $lte: now } },
+            { status: "sending", lockedUntil: { $lt: now } }
+          ]
+        },
+        { $set: { status: "sending", lockedUntil: new Date(now.getTime() + LOCK_MS) }, $inc: { attempts: 1 } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      ).lean();
+      if (!msg) break;
+
+      tried += 1;
+      try {
+        await attempt(msg);
+      } catch (e) {
+        console.error("[MailQueue] delivery failed:", { id: String(msg._id), template: msg.template, message: e && e.message });
+      }
+    }
+  } finally {
+    running = false;
+  }
+  return tried;
+}
+
+export function startMailWorker() {
+  if (!(POLL_SECONDS > 0)) return null;
+  const timer = setInterval(() => {
+    processDueMail().catch((e) => console.error("[MailQueue] worker failed:", e && e.message));
+  }, POLL_SECONDS * 1000);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,187 @@
+"use strict";
+
+/**
+ * Mail templates
+ * --------------
+ * Every outgoing mail is a named template with subject, HTML and text parts.
+ *   - Defaults live on disk: templates/<name>/{subject.txt, body.html, body.txt}
+ *   - Admins can override a template (MailTemplate row); deleting the row
+ *     falls back to the default again
+ *   - HTML bodies are wrapped in templates/layout.html (brand header/footer)
+ *
+ * Syntax (mustache-like):
+ *   {{name}}                   -> variable (HTML-escaped in the HTML part)
+ *   {{#name}} ... {{/name}}    -> only when name is set
+ *   {{^name}} ... {{/name}}    -> only when name is empty
+ * Every template also gets {{brandName}}, {{appUrl}} and {{year}}.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import url from "node:url";
+import MailTemplate from "../models/MailTemplate.js";
+
+const TEMPLATE_DIR = path.join(path.dirname(url.fileURLToPath(import.meta.url)), "..", "templates");
+
+const BRAND_NAME = process.env.MAIL_BRAND_NAME || "F Deals";
+const APP_URL =
+  process.env.APP_URL ||
+  process.env.CORS_ORIGIN?.split(",")[0]?.trim() ||
+  "http://localhost:5173";
+
+const GLOBAL_VARIABLES = ["brandName", "appUrl", "year"];
+
+/**
+ * Mail categories: SMTP profiles can be routed per category (models/SmtpConfig.js)
+ *   auth     -> sign-in mails
+ *   account  -> account lifecycle notices
+ *   alerts   -> user-requested notifications
+ */
+export const MAIL_CATEGORIES = ["auth", "account", "alerts"];
+
+/**
+ * Known templates: what they are for, their category, their variables, and
+ * sample values for admin previews. required = variables the HTML and text
+ * bodies must always print (outside any section). sensitive = subject/bodies are never stored
+ * in the delivery log, and the mail is sent immediately, never queued or
+ * re-sent (services/MailQueue.js). direct = only sent through one given
+ * transport (sendMailThrough), never queued or re-sent.
+ */
+export const MAIL_TEMPLATES = Object.freeze({
+  otp: {
+    description: "Login code (optionally with a magic link)",
+    category: "auth",
+    sensitive: true,
+    required: ["code"],
+    sample: { code: "123456", minutes: 3, magicLinkUrl: "https://example.com/auth/magic/sample", magicLinkMinutes: 10 }
+  },
+  welcome: {
+    description: "First sign-in of a new user",
+    category: "account",
+    sample: { email: "jane@example.com" }
+  },
+  account_deleted: {
+    description: "User deleted their account",
+    category: "account",
+    sample: { email: "jane@example.com" }
+  },
+  price_alert: {
+    description: "Product price reached a user's alert target",
+    category: "alerts",
+    required: ["productName", "price"],
+    sample: { productName: "Noise-cancelling headphones", price: "USD 199.00", targetPrice: "USD 220.00" }
+  },
+  smtp_test: {
+    // no category: always sent through the profile under test (services/SmtpDiagnostics.js)
+    description: "Admin SMTP test message",
+    direct: true,
+    sample: { profileName: "default", host: "smtp.example.com", port: 587, tlsMode: "starttls", sentAt: "2025-01-01T12:00:00.000Z" }
+  }
+});
+
+export function isMailTemplate(name) {
+  return Object.prototype.hasOwnProperty.call(MAIL_TEMPLATES, name);
+}
+
+export function variablesOf(name) {
+  return [...Object.keys(MAIL_TEMPLATES[name].sample), ...GLOBAL_VARIABLES];
+}
+
+export function requiredVariablesOf(name) {
+  return MAIL_TEMPLATES[name].required || [];
+}
+
+/* ------------------------------- rendering ------------------------------- */
+
+const SECTION_RE = /\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+const VARIABLE_RE = /\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g;
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;"
+  })[c]);
+}
+
+function isSet(v) {
+  return v !== undefined && v !== null && v !== false && v !== "";
+}
+
+function renderString(tpl, vars, { html = false } = {}) {
+  const withSections = tpl.replace(SECTION_RE, (_, kind, key, inner) => {
+    return (kind === "#") === isSet(vars[key]) ? inner : "";
+  });
+  return withSections.replace(VARIABLE_RE, (_, raw, key) => {
+    const v = vars[raw || key];
+    if (!isSet(v)) return "";
+    return html && !raw ? escapeHtml(v) : String(v);
+  });
+}
+
+/**
+ * Check an edited template part; returns an error message or null.
+ * - sections must be closed
+ * - only the template's variables may be used
+ * - no raw {{{...}}} output (values come from users)
+ * - body parts (required: true) must print every required variable outside
+ *   any section, e.g. the otp mail always shows {{code}}
+ */
+export function checkTemplateSource(name, source, { required = false } = {}) {
+  if (/\{\{\{/.test(source)) return "Raw {{{ }}} output is not allowed; use {{name}}";
+  const known = new Set(variablesOf(name));
+  const withoutSections = source.replace(SECTION_RE, (_, kind, key, inner) => `{{${key}}}${inner}`);
+  if (/\{\{\s*[#^/]/.test(withoutSections)) return "Unclosed {{#section}}";
+  for (const m of withoutSections.matchAll(VARIABLE_RE)) {
+    const key = m[1] || m[2];
+    if (!known.has(key)) return `Unknown variable {{${key}}} (allowed: ${[...known].join(", ")})`;
+  }
+  if (required) {
+    const topLevel = source.replace(SECTION_RE, "");
+    const printed = new Set([...topLevel.matchAll(VARIABLE_RE)].map(m => m[1] || m[2]));
+    const missing = requiredVariablesOf(name).find(key => !printed.has(key));
+    if (missing) return `{{${missing}}} is required (outside any section)`;
+  }
+  return null;
+}
+
+/* ------------------------------ template data ----------------------------- */
+
+async function readText(file) {
+  const raw = await fs.readFile(path.join(TEMPLATE_DIR, file), "utf8");
+  return raw.replace(/\r\n/g, "\n");
+}
+
+// Default template from disk → { subject, html, text }
+export async function loadDefaultTemplate(name) {
+  if (!isMailTemplate(name)) throw new Error(`Unknown mail template: ${name}`);
+  const [subject, html, text] = await Promise.all([
+    readText(path.join(name, "subject.txt")),
+    readText(path.join(name, "body.html")),
+    readText(path.join(name, "body.txt"))
+  ]);
+  return { subject: subject.trim(), html, text };
+}
+
+// Admin override if present, else default → { subject, html, text, customized }
+export async function loadTemplate(name) {
+  const custom = await MailTemplate.findOne({ name }).lean();
+  if (custom) return { subject: custom.subject, html: custom.html, text: custom.text, customized: true };
+  return { ...(await loadDefaultTemplate(name)), customized: false };
+}
+
+/**
+ * Render a template → { subject, html, text }.
+ * source = { subject, html, text } to render a draft instead of the stored template.
+ */
+export async function renderMail(name, vars = {}, source = null) {
+  const tpl = source || (await loadTemplate(name));
+  const all = { brandName: BRAND_NAME, appUrl: APP_URL, year: new Date().getFullYear(), ...vars };
+
+  const content = renderString(tpl.html, all, { html: true });
+  const layout = await readText("layout.html");
+
+  return {
+    subject: renderString(tpl.subject, all).replace(/\s+/g, " ").trim(),
+    html: renderString(layout, { ...all, content }, { html: true }),
+    text: renderString(tpl.text, all).replace(/\n{3,}/g, "\n\n").trim() + "\n"
+  };
+}
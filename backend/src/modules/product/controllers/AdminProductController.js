@@ -0,0 +1,418 @@
+"use strict";
+
+/**
+ * Admin Product Controller (beginner-friendly)
+ * Features:
+ *   - Create / List / Read / Update (name/description/brand/price/image) / Delete
+ *   - Toggle status
+ *   - Search
+ *   - Metrics
+ * Rules:
+ *   - Name is 2–120 chars; description is optional plain text (≤ 2000 chars)
+ *   - Every product belongs to an existing brand (brandId)
+ *   - Slug is immutable (kebab-case, unique with numeric suffix)
+ *   - Image is optional; processing: 600x600 contain → WEBP
+ *   - Price is optional (null = unpriced); currency is a 3-letter code
+ *   - Every price change is logged and may fire user price alerts (PriceTracker)
+ */
+
+import path from "node:path";
+import mongoose from "mongoose";
+import slugify from "slugify";
+import Product from "../models/Product.js";
+import ProductPrice from "../models/ProductPrice.js";
+import PriceAlert from "../models/PriceAlert.js";
+import Brand from "../../brand/models/Brand.js";
+import { trackPriceChange } from "../services/PriceTracker.js";
+import { assertImageBuffer } from "../../../config/multer.js";
+import { saveProductImage600, deleteLocal } from "../../../utils/image.js";
+
+/* --------------------------------- config --------------------------------- */
+const MAX_IMG = 2 * 1024 * 1024; // 2MB
+const MAX_PRICE = 1_000_000_000;
+
+/* -------------------------------- utilities -------------------------------- */
+// Short kebab-case string for slug base
+function kebab(input) {
+  return slugify(String(input || ""), { lower: true, strict: true, trim: true }).slice(0, 120);
+}
+
+// Ensure slug uniqueness by adding -2, -3, ...
+async function uniqueSlug(base) {
+  let slug = base || "product";
+  let i = 1;
+  while (await Product.exists({ slug })) {
+    i += 1;
+    slug = `${base}-${i}`;
+  }
+  return slug;
+}
+
+// Pagination helpers
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+function toInt(v, fallback) {
+  const n = Number.parseInt(v, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// Convert absolute path to public "/uploads/..." style path
+function toPublic(absPath) {
+  if (!absPath) return absPath;
+  const idx = absPath.lastIndexOf(path.sep + "uploads" + path.sep);
+  if (idx !== -1) return absPath.slice(idx).replaceAll(path.sep, "/");
+  return absPath;
+}
+
+// Per-product upload folder
+function productUploadsFolderFor(id) {
+  return path.resolve(process.cwd(), "uploads", "products", String(id));
+}
+
+// Safe regex for search
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Validate optional description (null/"" clears it)
+function readDescription(raw) {
+  if (raw === null || raw === undefined) return { value: null };
+  if (typeof raw !== "string") return { error: "Invalid description" };
+  const s = raw.trim();
+  if (s.length > 2000) return { error: "Description too long" };
+  return { value: s || null };
+}
+
+// Validate optional price (null/"" = unpriced); rounded to 2 decimals
+function readPrice(raw) {
+  if (raw === null || raw === undefined || raw === "") return { value: null };
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 0 || n > MAX_PRICE) return { error: "Invalid price" };
+  return { value: Math.round(n * 100) / 100 };
+}
+
+// Validate 3-letter currency code
+function readCurrency(raw) {
+  const s = String(raw || "").trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(s) ? s : null;
+}
+
+// Brand must exist (status is not checked; inactive brands just hide publicly)
+async function findBrand(brandId) {
+  if (!mongoose.isValidObjectId(brandId)) return null;
+  return Brand.findById(brandId).lean();
+}
+
+// Normalize mongoose doc/plain object and map image path to public
+function toClient(p) {
+  const obj = p?.toObject ? p.toObject() : p;
+  return { ...obj, image: obj.image ? toPublic(obj.image) : null };
+}
+
+/* ================================ controller ================================ */
+export default {
+  /**
+   * POST /admin/products  (multipart optional: image)
+   * Steps: (1) validate name/brand/description -> (2) build slug -> (3) create row -> (4) optional image process -> (5) respond 201
+   */
+  async create(req, res) {
+    try {
+      const { name, brandId, description, price, currency } = req.body || {};
+      if (typeof name !== "string") {
+        return res.status(400).json({ ok: false, code: 400, message: "Invalid name" });
+      }
+
+      const trimmed = name.trim();
+      if (trimmed.length < 2 || trimmed.length > 120) {
+        return res.status(400).json({ ok: false, code: 400, message: "Name must be 2-120 chars" });
+      }
+
+      const brand = await findBrand(brandId);
+      if (!brand) {
+        return res.status(400).json({ ok: false, code: 400, message: "Invalid brand" });
+      }
+
+      const desc = readDescription(description);
+      if (desc.error) {
+        return res.status(400).json({ ok: false, code: 400, message: desc.error });
+      }
+
+      const priceIn = readPrice(price);
+      if (priceIn.error) {
+        return res.status(400).json({ ok: false, code: 400, message: priceIn.error });
+      }
+      const cur = currency === undefined ? "USD" : readCurrency(currency);
+      if (!cur) {
+        return res.status(400).json({ ok: false, code: 400, message: "Invalid currency" });
+      }
+
+      // Immutable unique slug
+      const base = kebab(trimmed.normalize("NFKD"));
+      const slug = await uniqueSlug(base);
+
+      // Create initial product
+      const product = await Product.create({
+        name: trimmed,
+        slug,
+        brandId: brand._id,
+        description: desc.value,
+        price: priceIn.value,
+        currency: cur,
+        priceUpdatedAt: priceIn.value !== null ? new Date() : null,
+        isActive: true,
+        image: null
+      });
+      await trackPriceChange(product, null);
+
+      // Optional image
+      if (req.file?.buffer) {
+        await assertImageBuffer(req.file.buffer, MAX_IMG);
+        const folder = productUploadsFolderFor(product._id);
+        product.image = await saveProductImage600(req.file.buffer, folder);
+        await product.save();
+      }
+
+      return res.status(201).json({ ok: true, data: toClient(product) });
+    } catch (e) {
+      const status = e?.status || (String(e?.message || "").includes("too large") ? 413 : 500);
+      return res.status(status).json({ ok: false, code: status, message: e?.publicMessage || e?.message || "Failed to create product" });
+    }
+  },
+
+  /**
+   * GET /admin/products
+   * Query: ?page=&pageSize=&brandId=&sort=(name|createdAt|updatedAt)&order=(asc|desc)
+   * Steps: (1) read pagination/sort/filter -> (2) query + count -> (3) map to client -> (4) respond
+   */
+  async list(req, res) {
+    try {
+      const page = clamp(toInt(req.query.page, 1), 1, 1_000_000_000);
+      const pageSize = clamp(toInt(req.query.pageSize, 10), 1, 50);
+      const sort = String(req.query.sort || "createdAt");
+      const order = String(req.query.order || "desc") === "asc" ? 1 : -1;
+
+      const sortObj = {};
+      if (["name", "createdAt", "updatedAt"].includes(sort)) sortObj[sort] = order;
+      sortObj._id = -1;
+
+      const cond = {};
+      if (req.query.brandId) {
+        if (!mongoose.isValidObjectId(req.query.brandId)) {
+          return res.status(400).json({ ok: false, code: 400, message: "Invalid brandId" });
+        }
+        cond.brandId = req.query.brandId;
+      }
+
+      const skip = (page - 1) * pageSize;
+
+      const [items, total] = await Promise.all([
+        Product.find(cond)
+          .collation({ locale: "en", strength: 2 }) // case-insensitive sort
+          .sort(sortObj)
+          .skip(skip)
+          .limit(pageSize)
+          .lean(),
+        Product.countDocuments(cond)
+      ]);
+
+      return res.json({ ok: true, data: items.map(toClient), meta: { page, pageSize, total } });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to list products" });
+    }
+  },
+
+  /**
+   * GET /admin/products/:id
+   * Steps: (1) find -> (2) 404 if missing -> (3) respond
+   */
+  async read(req, res) {
+    try {
+      const p = await Product.findById(req.params.id).lean();
+      if (!p) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+      return res.json({ ok: true, data: toClient(p) });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to read product" });
+    }
+  },
+
+  /**
+   * PATCH /admin/products/:id
+   * Body options:
+   *   - JSON or multipart fields: { name, description, brandId, price, currency } and/or { image: null } (remove, JSON only)
+   *   - Multipart: file field replaces image
+   * Steps: (1) load -> (2) apply field updates -> (3) optional image replace/remove -> (4) save -> (5) track price change -> (6) respond
+   */
+  async update(req, res) {
+    try {
+      const product = await Product.findById(req.params.id);
+      if (!product) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+      const body = req.body || {};
+      const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+      const previousPrice = product.price;
+
+      if (has("name")) {
+        const name = String(body.name || "").trim();
+        if (!name || name.length < 2 || name.length > 120) {
+          return res.status(400).json({ ok: false, code: 400, message: "Name must be 2-120 chars" });
+        }
+        product.name = name;
+      }
+
+      if (has("description")) {
+        const desc = readDescription(body.description);
+        if (desc.error) {
+          return res.status(400).json({ ok: false, code: 400, message: desc.error });
+        }
+        product.description = desc.value;
+      }
+
+      if (has("brandId")) {
+        const brand = await findBrand(body.brandId);
+        if (!brand) {
+          return res.status(400).json({ ok: false, code: 400, message: "Invalid brand" });
+        }
+        product.brandId = brand._id;
+      }
+
+      if (has("currency")) {
+        const cur = readCurrency(body.currency);
+        if (!cur) {
+          return res.status(400).json({ ok: false, code: 400, message: "Invalid currency" });
+        }
+        product.currency = cur;
+      }
+
+      if (has("price")) {
+        const priceIn = readPrice(body.price);
+        if (priceIn.error) {
+          return res.status(400).json({ ok: false, code: 400, message: priceIn.error });
+        }
+        if (priceIn.value !== previousPrice) product.priceUpdatedAt = new Date();
+        product.price = priceIn.value;
+      }
+
+      // Remove image if explicitly {"image": null}
+      if (!req.file && has("image") && body.image === null) {
+        if (product.image) {
+          try { await deleteLocal(product.image); } catch { /* ignore */ }
+        }
+        product.image = null;
+      }
+
+      // Replace image via multipart
+      if (req.file?.buffer) {
+        await assertImageBuffer(req.file.buffer, MAX_IMG);
+        const folder = productUploadsFolderFor(product._id);
+        const newPath = await saveProductImage600(req.file.buffer, folder);
+        const old = product.image;
+        product.image = newPath;
+        if (old && old !== newPath) {
+          try { await deleteLocal(old); } catch { /* ignore */ }
+        }
+      }
+
+      await product.save();
+      await trackPriceChange(product, previousPrice);
+      return res.json({ ok: true, data: toClient(product) });
+    } catch (e) {
+      const status = e?.status || (String(e?.message || "").includes("too large") ? 413 : 500);
+      return res.status(status).json({ ok: false, code: status, message: e?.publicMessage || e?.message || "Failed to update product" });
+    }
+  },
+
+  /**
+   * DELETE /admin/products/:id
+   * Steps: (1) load -> (2) delete doc + price history + alerts -> (3) delete file best-effort -> (4) respond
+   */
+  async remove(req, res) {
+    try {
+      const product = await Product.findById(req.params.id);
+      if (!product) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+      const old = product.image;
+      await Product.deleteOne({ _id: product._id });
+      await Promise.all([
+        ProductPrice.deleteMany({ productId: product._id }),
+        PriceAlert.deleteMany({ productId: product._id })
+      ]);
+      if (old) {
+        try { await deleteLocal(old); } catch { /* ignore */ }
+      }
+
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to delete product" });
+    }
+  },
+
+  /**
+   * PATCH /admin/products/:id/status  { isActive: boolean }
+   * Steps: (1) validate -> (2) update -> (3) 404 if missing -> (4) respond
+   */
+  async toggleStatus(req, res) {
+    try {
+      const { isActive } = req.body || {};
+      if (typeof isActive !== "boolean") {
+        return res.status(400).json({ ok: false, code: 400, message: "isActive boolean required" });
+      }
+      const p = await Product.findByIdAndUpdate(req.params.id, { $set: { isActive } }, { new: true });
+      if (!p) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+      return res.json({ ok: true, data: toClient(p) });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to toggle status" });
+    }
+  },
+
+  /**
+   * GET /admin/products/search?q=&page=&pageSize=
+   * Steps: (1) validate q -> (2) build cond -> (3) query page -> (4) respond
+   */
+  async search(req, res) {
+    try {
+      const q = String(req.query.q || "").trim();
+      if (q.length < 2) {
+        return res.status(400).json({ ok: false, code: 400, message: "q must be ≥ 2 chars" });
+      }
+
+      const page = clamp(toInt(req.query.page, 1), 1, 1_000_000_000);
+      const pageSize = clamp(toInt(req.query.pageSize, 10), 1, 50);
+      const skip = (page - 1) * pageSize;
+
+      const cond = {
+        $or: [
+          { name: { $regex: escapeRegex(q), $options: "i" } },
+          { slug: { $regex: escapeRegex(q), $options: "i" } }
+        ]
+      };
+
+      const [items, total] = await Promise.all([
+        Product.find(cond).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(pageSize).lean(),
+        Product.countDocuments(cond)
+      ]);
+
+      return res.json({ ok: true, data: items.map(toClient), meta: { page, pageSize, total } });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to search products" });
+    }
+  },
+
+  /**
+   * GET /admin/products/metrics
+   * Steps: (1) count total/active/inactive -> (2) group by brand -> (3) respond
+   */
+  async metrics(_req, res) {
+    try {
+      const [total, active, inactive, byBrand] = await Promise.all([
+        Product.countDocuments({}),
+        Product.countDocuments({ isActive: true }),
+        Product.countDocuments({ isActive: false }),
+        Product.aggregate([{ $group: { _id: "$brandId", n: { $sum: 1 } } }])
+      ]);
+      return res.json({ ok: true, total, active, inactive, byBrand });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to get metrics" });
+    }
+  }
+};
@@ -0,0 +1,101 @@
+"use strict";
+
+/**
+ * Public Product Controller (beginner-friendly)
+ * What it does:
+ *   - Read a single active product by slug (brand must be public-eligible)
+ *   - Price history time series for charts
+ */
+
+import path from "node:path";
+import Product from "../models/Product.js";
+import ProductPrice from "../models/ProductPrice.js";
+import Brand from "../../brand/models/Brand.js";
+
+/* ------------------------------- utilities ------------------------------- */
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_POINTS = 1000;
+
+// Convert absolute upload path to public "/uploads/..." path
+function toPublic(absPath) {
+  if (!absPath) return absPath;
+  const idx = absPath.lastIndexOf(path.sep + "uploads" + path.sep);
+  if (idx !== -1) return absPath.slice(idx).replaceAll(path.sep, "/");
+  return absPath;
+}
+
+// Active product whose brand is active + has a logo (null otherwise)
+async function findPublicProduct(slug) {
+  const product = await Product.findOne({ slug, isActive: true }).lean();
+  if (!product) return { product: null, brand: null };
+  const brand = await Brand.findOne({ _id: product.brandId, isActive: true, logo: { $ne: null } }).lean();
+  if (!brand) return { product: null, brand: null };
+  return { product, brand };
+}
+
+/* ================================ controller ================================ */
+export default {
+  /**
+   * GET /public/products/:slug
+   * Steps: (1) find public product -> (2) 404 if missing -> (3) respond with brand summary
+   */
+  async read(req, res) {
+    try {
+      const slug = String(req.params.slug || "").toLowerCase();
+      const { product, brand } = await findPublicProduct(slug);
+      if (!product) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+      return res.json({
+        ok: true,
+        data: {
+          ...product,
+          image: product.image ? toPublic(product.image) : null,
+          brand: { _id: brand._id, name: brand.name, slug: brand.slug, logo: toPublic(brand.logo) }
+        }
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to read product" });
+    }
+  },
+
+  /**
+   * GET /public/products/:slug/price-history?from=&to=
+   * Range defaults to the last 365 days; at most MAX_POINTS points (newest kept)
+   * Steps: (1) find public product -> (2) read range -> (3) query points -> (4) respond oldest → newest
+   */
+  async priceHistory(req, res) {
+    try {
+      const slug = String(req.params.slug || "").toLowerCase();
+      const { product } = await findPublicProduct(slug);
+      if (!product) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 365 * DAY_MS);
+      if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+        return res.status(400).json({ ok: false, code: 400, message: "Invalid from/to range" });
+      }
+
+      const points = await ProductPrice.find(
+        { productId: product._id, at: { $gte: from, $lte: to } },
+        { _id: 0, at: 1, price: 1, currency: 1 }
+      )
+        .sort({ at: -1 })
+        .limit(MAX_POINTS)
+        .lean();
+
+      return res.json({
+        ok: true,
+        data: points.reverse(),
+        meta: {
+          productId: product._id,
+          currentPrice: product.price,
+          currency: product.currency,
+          from,
+          to
+        }
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to read price history" });
+    }
+  }
+};
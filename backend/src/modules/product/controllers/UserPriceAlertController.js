@@ -0,0 +1,134 @@
+"use strict";
+
+/**
+ * User Price Alert Controller
+ * Routes:
+ *   GET    /user/price-alerts           -> list my alerts (with product summary)
+ *   PUT    /user/price-alerts/:slug     -> { targetPrice } set / re-arm alert for a product
+ *   DELETE /user/price-alerts/:slug     -> remove my alert for a product
+ *
+ * An alert fires once, by email, when the product price drops to or
+ * below targetPrice; setting a target again re-arms it.
+ */
+
+import path from "node:path";
+import Product from "../models/Product.js";
+import PriceAlert from "../models/PriceAlert.js";
+
+const MAX_ALERTS = 100; // per user
+
+/* ------------------------------- helpers ------------------------------- */
+function toPublic(absPath) {
+  const idx = absPath.lastIndexOf(path.sep + "uploads" + path.sep);
+  if (idx !== -1) return absPath.slice(idx).replaceAll(path.sep, "/");
+  return absPath;
+}
+
+function productSummary(p) {
+  if (!p) return null;
+  return {
+    _id: p._id,
+    name: p.name,
+    slug: p.slug,
+    image: p.image ? toPublic(p.image) : null,
+    price: p.price,
+    currency: p.currency
+  };
+}
+
+/* ============================ Controller functions ============================ */
+export async function listAlerts(req, res) {
+  try {
+    const alerts = await PriceAlert.find({ userId: req.auth.sub })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(MAX_ALERTS)
+      .lean();
+
+    const products = await Product.find({ _id: { $in: alerts.map(a => a.productId) } }).lean();
+    const map = new Map(products.map(p => [String(p._id), p]));
+
+    const data = alerts.map(a => ({
+      _id: a._id,
+      targetPrice: a.targetPrice,
+      isActive: a.isActive,
+      triggeredAt: a.triggeredAt,
+      triggeredPrice: a.triggeredPrice,
+      createdAt: a.createdAt,
+      product: productSummary(map.get(String(a.productId)))
+    }));
+
+    return res.json({ ok: true, data });
+  } catch (e) {
+    const msg = (e && e.message) || "Failed to list price alerts";
+    return res.status(500).json({ ok: false, code: 500, message: msg });
+  }
+}
+
+export async function setAlert(req, res) {
+  try {
+    const body = req && req.body ? req.body : {};
+    const target = Number(body.targetPrice);
+    if (!Number.isFinite(target) || target < 0) {
+      return res.status(400).json({ ok: false, code: 400, message: "targetPrice must be a number ≥ 0" });
+    }
+    const targetPrice = Math.round(target * 100) / 100;
+
+    const slug = String(req.params.slug || "").toLowerCase();
+    const product = await Product.findOne({ slug, isActive: true }).lean();
+    if (!product) {
+      return res.status(404).json({ ok: false, code: 404, message: "Product not found" });
+    }
+    if (product.price === null || product.price === undefined) {
+      return res.status(400).json({ ok: false, code: 400, message: "Product has no price yet" });
+    }
+    if (targetPrice >= product.price) {
+      return res.status(400).json({ ok: false, code: 400, message: "targetPrice must be below the current price" });
+    }
+
+    const existing = await PriceAlert.exists({ userId: req.auth.sub, productId: product._id });
+    if (!existing) {
+      const count = await PriceAlert.countDocuments({ userId: req.auth.sub });
+      if (count >= MAX_ALERTS) {
+        return res.status(409).json({ ok: false, code: 409, message: "Too many price alerts" });
+      }
+    }
+
+    const alert = await PriceAlert.findOneAndUpdate(
+      { userId: req.auth.sub, productId: product._id },
+      { $set: { targetPrice, isActive: true, triggeredAt: null, triggeredPrice: null } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    return res.json({
+      ok: true,
+      data: {
+        _id: alert._id,
+        targetPrice: alert.targetPrice,
+        isActive: alert.isActive,
+        product: productSummary(product)
+      }
+    });
+  } catch (e) {
+    const msg = (e && e.message) || "Failed to set price alert";
+    return res.status(500).json({ ok: false, code: 500, message: msg });
+  }
+}
+
+export async function removeAlert(req, res) {
+  try {
+    const slug = String(req.params.slug || "").toLowerCase();
+    const product = await Product.findOne({ slug }, { _id: 1 }).lean();
+    if (!product) {
+      return res.status(404).json({ ok: false, code: 404, message: "Product not found" });
+    }
+
+    const del = await PriceAlert.deleteOne({ userId: req.auth.sub, productId: product._id });
+    if (!del.deletedCount) {
+      return res.status(404).json({ ok: false, code: 404, message: "Alert not found" });
+    }
+    return res.json({ ok: true });
+  } catch (e) {
+    const msg = (e && e.message) || "Failed to remove price alert";
+    return res.status(500).json({ ok: false, code: 500, message: msg });
+  }
+}
@@ -0,0 +1,17 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+const PriceAlertSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true, index: true },
+  targetPrice: { type: Number, required: true, min: 0 },
+  isActive: { type: Boolean, default: true }, // switched off once the alert fires
+  triggeredAt: { type: Date, default: null },
+  triggeredPrice: { type: Number, default: null }
+}, { timestamps: true });
+
+// One alert per user per product (setting a new target re-arms it)
+PriceAlertSchema.index({ userId: 1, productId: 1 }, { unique: true });
+
+export default mongoose.model("PriceAlert", PriceAlertSchema);
@@ -0,0 +1,20 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+const ProductSchema = new mongoose.Schema({
+  name: { type: String, required: true, minlength: 2, maxlength: 120, trim: true },
+  slug: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  brandId: { type: mongoose.Schema.Types.ObjectId, ref: "Brand", required: true, index: true },
+  description: { type: String, default: null, maxlength: 2000 }, // plain text
+  image: { type: String, default: null }, // webp path
+
+  // Current price (null = not priced yet); every change is logged in ProductPrice
+  price: { type: Number, default: null, min: 0 },
+  currency: { type: String, default: "USD", uppercase: true, trim: true, minlength: 3, maxlength: 3 },
+  priceUpdatedAt: { type: Date, default: null },
+
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+export default mongoose.model("Product", ProductSchema);
@@ -0,0 +1,15 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+// One point per price change (time series for charts)
+const ProductPriceSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+  price: { type: Number, required: true, min: 0 },
+  currency: { type: String, required: true },
+  at: { type: Date, default: Date.now }
+}, { timestamps: false });
+
+ProductPriceSchema.index({ productId: 1, at: 1 });
+
+export default mongoose.model("ProductPrice", ProductPriceSchema);
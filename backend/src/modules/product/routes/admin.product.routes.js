@@ -0,0 +1,61 @@
+"use strict";
+
+/**
+ * Admin Product Routes (beginner-friendly)
+ * Summary:
+ *   Handles all admin-only routes for product management.
+ *   Requires an admin whose role grants the "catalog" permission.
+ *
+ *   Endpoints:
+ *     POST   /admin/products              -> Create new product (optional image)
+ *     GET    /admin/products              -> Paginated list of products (?brandId=)
+ *     GET    /admin/products/metrics      -> Count total/active/inactive products
+ *     GET    /admin/products/search       -> Search products by name/slug
+ *     GET    /admin/products/:id          -> Read single product details
+ *     PATCH  /admin/products/:id          -> Update product fields or image
+ *     DELETE /admin/products/:id          -> Delete product
+ *     PATCH  /admin/products/:id/status   -> Activate/Deactivate product
+ */
+
+import { Router } from "express";
+import { requireAdmin } from "../../../middlewares/authAdmin.js";
+import { PERMISSIONS } from "../../../config/adminRoles.js";
+import { audit } from "../../../middlewares/audit.js";
+import Product from "../models/Product.js";
+import { upload } from "../../../config/multer.js";             // handles multipart/form-data uploads
+import AdminProductController from "../controllers/AdminProductController.js";
+
+const r = Router();
+
+// Admin + "catalog" permission (see config/adminRoles.js)
+const authAdmin = requireAdmin(PERMISSIONS.CATALOG);
+
+// Record successful writes in the audit log
+const auditProduct = (action) => audit("product", action, { model: Product });
+
+/* ------------------------------ PRODUCT ROUTES ----------------------------- */
+// Create a new product (image optional on creation)
+r.post("/", authAdmin, auditProduct("create"), upload.single("image"), AdminProductController.create);
+
+// Get list of all products (supports pagination, sorting & brand filter)
+r.get("/", authAdmin, AdminProductController.list);
+
+// Get product metrics (total/active/inactive)
+r.get("/metrics", authAdmin, AdminProductController.metrics);
+
+// Search products by keyword
+r.get("/search", authAdmin, AdminProductController.search);
+
+// Read single product details by ID
+r.get("/:id", authAdmin, AdminProductController.read);
+
+// Update product (fields or image)
+r.patch("/:id", authAdmin, auditProduct("update"), upload.single("image"), AdminProductController.update);
+
+// Delete product by ID
+r.delete("/:id", authAdmin, auditProduct("delete"), AdminProductController.remove);
+
+// Toggle product active/inactive status
+r.patch("/:id/status", authAdmin, auditProduct("status"), AdminProductController.toggleStatus);
+
+export default r;
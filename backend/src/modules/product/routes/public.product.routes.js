@@ -0,0 +1,26 @@
+"use strict";
+
+/**
+ * Public Product Routes (beginner-friendly)
+ * Summary:
+ *   Public-facing product APIs — no authentication required.
+ *   Only active products of eligible brands are shown.
+ *
+ *   Endpoints:
+ *     GET /public/products/:slug                -> Read single product by slug
+ *     GET /public/products/:slug/price-history  -> Price time series (?from=&to=)
+ */
+
+import { Router } from "express";
+import PublicProductController from "../controllers/PublicProductController.js";
+
+const r = Router();
+
+/* ------------------------------- PUBLIC ROUTES ------------------------------ */
+// Get a single active product by slug
+r.get("/products/:slug", PublicProductController.read);
+
+// Get a product’s price history (for charts)
+r.get("/products/:slug/price-history", PublicProductController.priceHistory);
+
+export default r;
@@ -0,0 +1,24 @@
+"use strict";
+
+/**
+ * User Price Alert Routes
+ * Signed-in users set a target price on a product and get an email
+ * when the price drops to or below it.
+ *
+ *   GET    /user/price-alerts
+ *   PUT    /user/price-alerts/:slug   -> { targetPrice }
+ *   DELETE /user/price-alerts/:slug
+ */
+
+import { Router } from "express";
+import { authUser } from "../../../middlewares/authUser.js";
+import { listAlerts, setAlert, removeAlert } from "../controllers/UserPriceAlertController.js";
+
+const router = Router();
+
+/* --------------------------- PRICE ALERTS --------------------------- */
+router.get("/", authUser, listAlerts);
+router.put("/:slug", authUser, setAlert);
+router.delete("/:slug", authUser, removeAlert);
+
+export default router;
@@ -0,0 +1,79 @@
+"use strict";
+
+/**
+ * Price tracker
+ * -------------
+ * Called by the admin product controller after a product is saved.
+ *   1) If the price changed, append a ProductPrice history point
+ *   2) If the price dropped, fire every active alert whose target is now met
+ *
+ * Alerts are switched off atomically before the mail goes out, so two
+ * concurrent price updates can never send the same alert twice.
+ * Mail is queued as the "price_alert" template (mail queue retries failed sends).
+ */
+
+import ProductPrice from "../models/ProductPrice.js";
+import PriceAlert from "../models/PriceAlert.js";
+import User from "../../auth/models/User.js";
+import { queueMail } from "../../mail/services/MailQueue.js";
+
+// Format a price for mail text, e.g. "USD 19.99"
+function formatPrice(price, currency) {
+  return `${currency} ${Number(price).toFixed(2)}`;
+}
+
+/**
+ * Record a price change for a saved product.
+ * previousPrice = price before the update (null for new/unpriced products).
+ */
+export async function trackPriceChange(product, previousPrice) {
+  const price = product.price;
+  if (price === null || price === undefined || price === previousPrice) return;
+
+  await ProductPrice.create({
+    productId: product._id,
+    price,
+    currency: product.currency,
+    at: product.priceUpdatedAt || new Date()
+  });
+
+  if (previousPrice !== null && previousPrice !== undefined && price < previousPrice) {
+    // Fire-and-forget: admin response must not wait for SMTP
+    notifyPriceDrop(product).catch((e) => {
+      console.error("[Price alert error]", e && e.message);
+    });
+  }
+}
+
+// Queue one mail per met alert (target ≥ new price)
+async function notifyPriceDrop(product) {
+  const alerts = await PriceAlert.find({
+    productId: product._id,
+    isActive: true,
+    targetPrice: { $gte: product.price }
+  }).lean();
+
+  for (const a of alerts) {
+    // Claim the alert first (only one sender wins)
+    const claimed = await PriceAlert.findOneAndUpdate(
+      { _id: a._id, isActive: true },
+      { $set: { isActive: false, triggeredAt: new Date(), triggeredPrice: product.price } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    const user = await User.findById(a.userId).lean();
+    if (!user || !user.isActive) continue;
+
+    const now = formatPrice(product.price, product.currency);
+    const target = formatPrice(a.targetPrice, product.currency);
+    try {
+      await queueMail("price_alert", {
+        to: user.email,
+        vars: { productName: product.name, price: now, targetPrice: target }
+      });
+    } catch (e) {
+      console.error("[Price alert error]", e && e.message);
+    }
+  }
+}
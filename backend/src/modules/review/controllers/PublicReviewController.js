@@ -0,0 +1,83 @@
+"use strict";
+
+/**
+ * Public Review Controller (beginner-friendly)
+ * What it does:
+ *   - List reviews of a public-eligible brand (newest first, paginated)
+ *   - Each review shows the author's name + picture only
+ */
+
+import path from "node:path";
+import Review from "../models/Review.js";
+import Brand from "../../brand/models/Brand.js";
+import User from "../../auth/models/User.js";
+
+/* ------------------------------- utilities ------------------------------- */
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+function toInt(v, fallback) {
+  const n = Number.parseInt(v, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+// Convert absolute upload path to public "/uploads/..." path
+function toPublic(absPath) {
+  if (!absPath) return absPath;
+  const idx = absPath.lastIndexOf(path.sep + "uploads" + path.sep);
+  if (idx !== -1) return absPath.slice(idx).replaceAll(path.sep, "/");
+  return absPath;
+}
+
+/* ================================ controller ================================ */
+export default {
+  /**
+   * GET /public/brands/:slug/reviews?page=&pageSize=
+   * Steps: (1) find eligible brand -> (2) 404 if missing -> (3) reviews page -> (4) attach authors -> (5) respond
+   */
+  async byBrand(req, res) {
+    try {
+      const slug = String(req.params.slug || "").toLowerCase();
+      const brand = await Brand.findOne({ slug, isActive: true, logo: { $ne: null } }).lean();
+      if (!brand) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+
+      const page = clamp(toInt(req.query.page, 1), 1, 1_000_000_000);
+      const pageSize = clamp(toInt(req.query.pageSize, 10), 1, 50);
+      const skip = (page - 1) * pageSize;
+
+      const cond = { brandId: brand._id };
+      const [items, total] = await Promise.all([
+        Review.find(cond).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(pageSize).lean(),
+        Review.countDocuments(cond)
+      ]);
+
+      const users = await User.find({ _id: { $in: items.map(r => r.userId) } }, { name: 1, picture: 1 }).lean();
+      const map = new Map(users.map(u => [String(u._id), u]));
+
+      return res.json({
+        ok: true,
+        brand: {
+          _id: brand._id,
+          name: brand.name,
+          slug: brand.slug,
+          logo: toPublic(brand.logo),
+          ratingAvg: brand.ratingAvg || 0,
+          ratingCount: brand.ratingCount || 0
+        },
+        data: items.map(r => {
+          const u = map.get(String(r.userId));
+          return {
+            _id: r._id,
+            rating: r.rating,
+            text: r.text,
+            createdAt: r.createdAt,
+            updatedAt: r.updatedAt,
+            author: u ? { name: u.name || null, picture: u.picture ? toPublic(u.picture) : null } : null
+          };
+        }),
+        meta: { page, pageSize, total }
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to list reviews" });
+    }
+  }
+};
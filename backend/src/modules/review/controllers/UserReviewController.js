@@ -0,0 +1,79 @@
+"use strict";
+
+/**
+ * User Review Controller
+ * Routes:
+ *   PUT    /user/brands/:slug/review   { rating: 1-5, text } -> write or edit my review
+ *   DELETE /user/brands/:slug/review                        -> delete my review
+ *
+ * One review per user per brand; Brand.ratingAvg / ratingCount are refreshed after every change.
+ */
+
+import Review from "../models/Review.js";
+import Brand from "../../brand/models/Brand.js";
+import { refreshBrandRating } from "../services/BrandRating.js";
+
+/* ------------------------------- helpers ------------------------------- */
+// Public-eligible brand (active + has logo)
+async function findPublicBrand(slug) {
+  return Brand.findOne({ slug: String(slug || "").toLowerCase(), isActive: true, logo: { $ne: null } }).lean();
+}
+
+/* ============================ Controller functions ============================ */
+export async function upsertReview(req, res) {
+  try {
+    const body = req && req.body ? req.body : {};
+    const rating = body.rating;
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ ok: false, code: 400, message: "rating must be an integer 1-5" });
+    }
+    if (typeof body.text !== "string") {
+      return res.status(400).json({ ok: false, code: 400, message: "Invalid input" });
+    }
+    const text = body.text.trim();
+    if (text.length < 10 || text.length > 2000) {
+      return res.status(400).json({ ok: false, code: 400, message: "Review must be 10-2000 chars" });
+    }
+
+    const brand = await findPublicBrand(req.params.slug);
+    if (!brand) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+
+    const review = await Review.findOneAndUpdate(
+      { brandId: brand._id, userId: req.auth.sub },
+      { $set: { rating, text } },
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    ).lean();
+
+    const stats = await refreshBrandRating(brand._id);
+    return res.json({
+      ok: true,
+      data: { _id: review._id, rating: review.rating, text: review.text, updatedAt: review.updatedAt },
+      ...stats
+    });
+  } catch (e) {
+    const msg = (e && e.message) || "Failed to save review";
+    return res.status(500).json({ ok: false, code: 500, message: msg });
+  }
+}
+
+export async function deleteReview(req, res) {
+  try {
+    const brand = await Brand.findOne({ slug: String(req.params.slug || "").toLowerCase() }, { _id: 1 }).lean();
+    if (!brand) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+
+    const del = await Review.deleteOne({ brandId: brand._id, userId: req.auth.sub });
+    if (!del.deletedCount) {
+      return res.status(404).json({ ok: false, code: 404, message: "Review not found" });
+    }
+
+    const stats = await refreshBrandRating(brand._id);
+    return res.json({ ok: true, ...stats });
+  } catch (e) {
+    const msg = (e && e.message) || "Failed to delete review";
+    return res.status(500).json({ ok: false, code: 500, message: msg });
+  }
+}
@@ -0,0 +1,16 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+const ReviewSchema = new mongoose.Schema({
+  brandId: { type: mongoose.Schema.Types.ObjectId, ref: "Brand", required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  text: { type: String, required: true, minlength: 10, maxlength: 2000, trim: true } // plain text
+}, { timestamps: true });
+
+// At most one review per user per brand
+ReviewSchema.index({ brandId: 1, userId: 1 }, { unique: true });
+ReviewSchema.index({ brandId: 1, createdAt: -1 });
+
+export default mongoose.model("Review", ReviewSchema);
@@ -0,0 +1,21 @@
+"use strict";
+
+/**
+ * Public Review Routes (beginner-friendly)
+ * Summary:
+ *   Public-facing brand review APIs — no authentication required.
+ *
+ *   Endpoints:
+ *     GET /public/brands/:slug/reviews -> List a brand's reviews (paginated)
+ */
+
+import { Router } from "express";
+import PublicReviewController from "../controllers/PublicReviewController.js";
+
+const r = Router();
+
+/* ------------------------------- PUBLIC ROUTES ------------------------------ */
+// Get a brand’s reviews by brand slug
+r.get("/brands/:slug/reviews", PublicReviewController.byBrand);
+
+export default r;
@@ -0,0 +1,21 @@
+"use strict";
+
+/**
+ * User Review Routes
+ * Signed-in users rate and review brands (one review per brand).
+ *
+ *   PUT    /user/brands/:slug/review   -> { rating: 1-5, text }
+ *   DELETE /user/brands/:slug/review
+ */
+
+import { Router } from "express";
+import { authUser } from "../../../middlewares/authUser.js";
+import { upsertReview, deleteReview } from "../controllers/UserReviewController.js";
+
+const router = Router();
+
+/* ------------------------------ REVIEWS ------------------------------ */
+router.put("/:slug/review", authUser, upsertReview);
+router.delete("/:slug/review", authUser, deleteReview);
+
+export default router;
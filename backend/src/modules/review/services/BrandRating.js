@@ -0,0 +1,30 @@
+"use strict";
+
+/**
+ * Brand rating helper
+ * -------------------
+ * Keeps Brand.ratingAvg / Brand.ratingCount in sync with the Review collection.
+ * Always recounts from scratch so concurrent edits cannot drift the numbers.
+ */
+
+import Review from "../models/Review.js";
+import Brand from "../../brand/models/Brand.js";
+
+// Recount one brand; returns { ratingAvg, ratingCount }
+export async function refreshBrandRating(brandId) {
+  const [agg] = await Review.aggregate([
+    { $match: { brandId } },
+    { $group: { _id: null, avg: { $avg: "$rating" }, n: { $sum: 1 } } }
+  ]);
+  const ratingCount = agg ? agg.n : 0;
+  const ratingAvg = agg ? Math.round(agg.avg * 100) / 100 : 0;
+  await Brand.updateOne({ _id: brandId }, { $set: { ratingAvg, ratingCount } }, { timestamps: false });
+  return { ratingAvg, ratingCount };
+}
+
+// Remove all reviews of a user and recount the brands they touched (account deletion)
+export async function forgetUserReviews(userId) {
+  const brandIds = await Review.find({ userId }).distinct("brandId");
+  await Review.deleteMany({ userId });
+  for (const id of brandIds) await refreshBrandRating(id);
+}
@@ -0,0 +1,125 @@
+"use strict";
+
+/**
+ * User Saved Items Controller
+ * Routes:
+ *   GET    /user/saved?type=&page=&pageSize=  -> my saved items (newest first)
+ *   PUT    /user/saved/:type/:slug            -> save item (idempotent)
+ *   DELETE /user/saved/:type/:slug            -> unsave item
+ *
+ * :type is any key of SAVED_TYPES (currently "brand" and "blog").
+ */
+
+import SavedItem from "../models/SavedItem.js";
+import { SAVED_TYPES, isSavedType } from "../services/SavedTypes.js";
+
+/* ------------------------------- helpers ------------------------------- */
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+function toInt(v, fallback) {
+  const n = Number.parseInt(v, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// Resolve :type/:slug to a publicly visible item (null if missing)
+async function findPublicItem(type, slug) {
+  const def = SAVED_TYPES[type];
+  return def.model.findOne({ ...def.publicCond, slug: String(slug || "").toLowerCase() }).lean();
+}
+
+/* ============================ Controller functions ============================ */
+export async function list(req, res) {
+  try {
+    const q = req && req.query ? req.query : {};
+    const type = q.type ? String(q.type) : null;
+    if (type && !isSavedType(type)) {
+      return res.status(400).json({ ok: false, code: 400, message: "Invalid type" });
+    }
+
+    const page = clamp(toInt(q.page, 1), 1, 1_000_000_000);
+    const pageSize = clamp(toInt(q.pageSize, 10), 1, 50);
+    const skip = (page - 1) * pageSize;
+
+    const cond = { userId: req.auth.sub };
+    if (type) cond.itemType = type;
+
+    const [rows, total] = await Promise.all([
+      SavedItem.find(cond).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(pageSize).lean(),
+      SavedItem.countDocuments(cond)
+    ]);
+
+    // Load items per type in one query each
+    const byType = new Map();
+    for (const r of rows) {
+      if (!isSavedType(r.itemType)) continue;
+      if (!byType.has(r.itemType)) byType.set(r.itemType, []);
+      byType.get(r.itemType).push(r.itemId);
+    }
+    const found = new Map();
+    for (const [t, ids] of byType) {
+      const docs = await SAVED_TYPES[t].model.find({ ...SAVED_TYPES[t].publicCond, _id: { $in: ids } }).lean();
+      docs.forEach(d => found.set(`${t}:${d._id}`, SAVED_TYPES[t].summary(d)));
+    }
+
+    // Hidden/removed items show as item: null so the client can offer "unsave"
+    const data = rows.map(r => ({
+      type: r.itemType,
+      itemId: r.itemId,
+      savedAt: r.createdAt,
+      item: found.get(`${r.itemType}:${r.itemId}`) || null
+    }));
+
+    return res.json({ ok: true, data, meta: { page, pageSize, total } });
+  } catch (e) {
+    const msg = (e && e.message) || "Failed to list saved items";
+    return res.status(500).json({ ok: false, code: 500, message: msg });
+  }
+}
+
+export async function save(req, res) {
+  try {
+    const type = String(req.params.type || "");
+    if (!isSavedType(type)) {
+      return res.status(400).json({ ok: false, code: 400, message: "Invalid type" });
+    }
+
+    const item = await findPublicItem(type, req.params.slug);
+    if (!item) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+
+    await SavedItem.updateOne(
+      { userId: req.auth.sub, itemType: type, itemId: item._id },
+      { $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+
+    return res.json({ ok: true, type, itemId: item._id, isSaved: true });
+  } catch (e) {
+    const msg = (e && e.message) || "Failed to save item";
+    return res.status(500).json({ ok: false, code: 500, message: msg });
+  }
+}
+
+export async function unsave(req, res) {
+  try {
+    const type = String(req.params.type || "");
+    if (!isSavedType(type)) {
+      return res.status(400).json({ ok: false, code: 400, message: "Invalid type" });
+    }
+
+    // Unsave must work even for items that are no longer public
+    const def = SAVED_TYPES[type];
+    const item = await def.model.findOne({ slug: String(req.params.slug || "").toLowerCase() }, { _id: 1 }).lean();
+    if (!item) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+
+    await SavedItem.deleteOne({ userId: req.auth.sub, itemType: type, itemId: item._id });
+    return res.json({ ok: true, type, itemId: item._id, isSaved: false });
+  } catch (e) {
+    const msg = (e && e.message) || "Failed to unsave item";
+    return res.status(500).json({ ok: false, code: 500, message: msg });
+  }
+}
@@ -0,0 +1,17 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+// Generic bookmark: itemType names an entry in services/SavedTypes.js
+const SavedItemSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  itemType: { type: String, required: true, trim: true },
+  itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  createdAt: { type: Date, default: Date.now }
+}, { timestamps: false });
+
+SavedItemSchema.index({ userId: 1, itemType: 1, itemId: 1 }, { unique: true });
+SavedItemSchema.index({ userId: 1, createdAt: -1 });
+SavedItemSchema.index({ itemType: 1, itemId: 1 });
+
+export default mongoose.model("SavedItem", SavedItemSchema);
@@ -0,0 +1,23 @@
+"use strict";
+
+/**
+ * User Saved Items Routes
+ * Signed-in users bookmark public items (brands, blog posts, ...).
+ *
+ *   GET    /user/saved               -> ?type=&page=&pageSize=
+ *   PUT    /user/saved/:type/:slug   -> save
+ *   DELETE /user/saved/:type/:slug   -> unsave
+ */
+
+import { Router } from "express";
+import { authUser } from "../../../middlewares/authUser.js";
+import { list, save, unsave } from "../controllers/UserSavedController.js";
+
+const router = Router();
+
+/* ------------------------------ SAVED ------------------------------ */
+router.get("/", authUser, list);
+router.put("/:type/:slug", authUser, save);
+router.delete("/:type/:slug", authUser, unsave);
+
+export default router;
@@ -0,0 +1,65 @@
+"use strict";
+
+/**
+ * Saved item types
+ * ----------------
+ * Each entry tells the saved-items API how to find a public item by slug
+ * and how to summarise it in lists. To make a new entity saveable, add
+ * one entry here — routes and controllers need no changes.
+ *
+ *   model       mongoose model holding the item
+ *   publicCond  extra filter for "publicly visible" items
+ *   summary(d)  small public shape used in /user/saved lists
+ */
+
+import path from "node:path";
+import SavedItem from "../models/SavedItem.js";
+import Brand from "../../brand/models/Brand.js";
+import Blog from "../../blog/models/Blog.js";
+
+// Convert absolute upload path to public "/uploads/..." path
+function toPublic(absPath) {
+  if (!absPath) return absPath;
+  const idx = absPath.lastIndexOf(path.sep + "uploads" + path.sep);
+  if (idx !== -1) return absPath.slice(idx).replaceAll(path.sep, "/");
+  return absPath;
+}
+
+export const SAVED_TYPES = {
+  brand: {
+    model: Brand,
+    publicCond: { isActive: true, logo: { $ne: null } },
+    summary: (b) => ({ _id: b._id, name: b.name, slug: b.slug, logo: toPublic(b.logo) })
+  },
+  blog: {
+    model: Blog,
+    publicCond: { isActive: true },
+    summary: (b) => ({ _id: b._id, title: b.title, slug: b.slug, thumbImage: toPublic(b.thumbImage) })
+  }
+};
+
+export function isSavedType(type) {
+  return Object.prototype.hasOwnProperty.call(SAVED_TYPES, type);
+}
+
+/**
+ * Add isSaved (boolean) to each public item for the current caller.
+ * Anonymous callers (no req.auth) always get false.
+ */
+export async function markSaved(req, type, items) {
+  const userId = req && req.auth && req.auth.role === "user" ? req.auth.sub : null;
+  if (!userId || !items.length) return items.map(i => ({ ...i, isSaved: false }));
+
+  const ids = await SavedItem.find({
+    userId,
+    itemType: type,
+    itemId: { $in: items.map(i => i._id) }
+  }).distinct("itemId");
+  const set = new Set(ids.map(String));
+  return items.map(i => ({ ...i, isSaved: set.has(String(i._id)) }));
+}
+
+// Drop every bookmark pointing at an item (call when the item is deleted)
+export async function forgetSavedItem(type, itemId) {
+  await SavedItem.deleteMany({ itemType: type, itemId });
+}
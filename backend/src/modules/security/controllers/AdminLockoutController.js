@@ -0,0 +1,59 @@
+"use strict";
+
+/**
+ * Admin Lockout Controller (beginner-friendly)
+ * Features:
+ *   - List active lockouts (e.g. IPs locked out of admin login)
+ *   - Lift a lockout early
+ */
+
+import mongoose from "mongoose";
+import { LOCKOUTS } from "../../../config/rateLimits.js";
+import { listActiveLockouts, liftLockout } from "../services/Lockouts.js";
+
+function toClient(l) {
+  return {
+    _id: l._id,
+    scope: l.scope,
+    subject: l.subject,
+    lockedAt: l.lockedAt,
+    lockedUntil: l.lockedUntil
+  };
+}
+
+/* ================================ controller ================================ */
+export default {
+  /**
+   * GET /admin/security/lockouts?scope=
+   * Steps: (1) validate scope -> (2) active locks (latest ending first) -> (3) respond
+   */
+  async list(req, res) {
+    try {
+      const scope = req.query.scope ? String(req.query.scope) : null;
+      if (scope && !LOCKOUTS[scope]) {
+        return res.status(400).json({ ok: false, code: 400, message: `scope must be one of ${Object.keys(LOCKOUTS).join("|")}` });
+      }
+      const items = await listActiveLockouts({ scope });
+      return res.json({ ok: true, data: items.map(toClient), scopes: Object.keys(LOCKOUTS) });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to list lockouts" });
+    }
+  },
+
+  /**
+   * DELETE /admin/security/lockouts/:id
+   * Steps: (1) validate id -> (2) delete lock + failure count -> (3) 404 if missing
+   */
+  async clear(req, res) {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+      }
+      const removed = await liftLockout(req.params.id);
+      if (!removed) return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+      return res.json({ ok: true, data: toClient(removed) });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 500, message: e?.message || "Failed to clear lockout" });
+    }
+  }
+};
@@ -0,0 +1,23 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+/**
+ * Failure counter + lock for one subject (e.g. an IP) in one scope (e.g. "admin_login").
+ * lockedUntil in the future = locked.
+ */
+const LockoutSchema = new mongoose.Schema({
+  scope: { type: String, required: true },
+  subject: { type: String, required: true },
+  fails: { type: Number, default: 0 },
+  windowStart: { type: Date, default: null },
+  lockedAt: { type: Date, default: null },
+  lockedUntil: { type: Date, default: null, index: true },
+  expiresAt: { type: Date, required: true }
+});
+
+LockoutSchema.index({ scope: 1, subject: 1 }, { unique: true });
+// Nothing left to remember (window and lock both over) → Mongo removes the row
+LockoutSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("Lockout", LockoutSchema);
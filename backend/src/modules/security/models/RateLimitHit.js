@@ -0,0 +1,15 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+// Request counter for one "<policy>:<ip>" key in the current window
+const RateLimitHitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  hits: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true }
+});
+
+// Window over → Mongo removes the row
+RateLimitHitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RateLimitHit", RateLimitHitSchema);
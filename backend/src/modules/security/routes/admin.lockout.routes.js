@@ -0,0 +1,30 @@
+"use strict";
+
+/**
+ * Admin Lockout Routes (beginner-friendly)
+ * Summary:
+ *   See who is locked out (repeated failed logins) and lift a lock early.
+ *   Requires an admin whose role grants the "security" permission.
+ *
+ *   Endpoints:
+ *     GET    /admin/security/lockouts       -> Active lockouts (?scope=admin_login)
+ *     DELETE /admin/security/lockouts/:id   -> Lift one lockout
+ */
+
+import { Router } from "express";
+import { requireAdmin } from "../../../middlewares/authAdmin.js";
+import { PERMISSIONS } from "../../../config/adminRoles.js";
+import { audit } from "../../../middlewares/audit.js";
+import Lockout from "../models/Lockout.js";
+import AdminLockoutController from "../controllers/AdminLockoutController.js";
+
+const r = Router();
+
+// Admin + "security" permission (see config/adminRoles.js)
+const authAdmin = requireAdmin(PERMISSIONS.SECURITY);
+
+/* ------------------------------ LOCKOUT ROUTES ----------------------------- */
+r.get("/", authAdmin, AdminLockoutController.list);
+r.delete("/:id", authAdmin, audit("lockout", "delete", { model: Lockout }), AdminLockoutController.clear);
+
+export default r;
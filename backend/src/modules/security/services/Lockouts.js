@@ -0,0 +1,84 @@
+"use strict";
+
+/**
+ * Lockouts
+ * --------
+ * Count failures per (scope, subject) and lock the subject once a policy
+ * (config/rateLimits.js → LOCKOUTS) is exceeded. Stored in Mongo, so a lock
+ * holds on every app instance and survives restarts.
+ *
+ *   if (await isLocked("admin_login", req.ip)) → 429
+ *   await registerFailure("admin_login", req.ip)   // bad password
+ *   await clearFailures("admin_login", req.ip)     // success
+ */
+
+import Lockout from "../models/Lockout.js";
+import { LOCKOUTS } from "../../../config/rateLimits.js";
+import { emitSecurityEvent } from "../../../utils/securityEvents.js";
+
+function policyFor(scope) {
+  const policy = LOCKOUTS[scope];
+  if (!policy) throw new Error(`Unknown lockout scope: ${scope}`);
+  return policy;
+}
+
+export async function isLocked(scope, subject) {
+  policyFor(scope);
+  return Boolean(await Lockout.exists({ scope, subject: String(subject), lockedUntil: { $gt: new Date() } }));
+}
+
+/**
+ * Count one failure. Returns true when this failure locked the subject.
+ * Steps: (1) atomic count (new window if the old one is over) -> (2) threshold reached → lock + reset count
+ */
+export async function registerFailure(scope, subject, details = {}) {
+  const { maxFails, windowMs, lockMs } = policyFor(scope);
+  const now = new Date();
+  const open = { $gt: ["$windowStart", new Date(now.getTime() - windowMs)] };
+
+  const row = await Lockout.findOneAndUpdate(
+    { scope, subject: String(subject) },
+    [{
+      $set: {
+        fails: { $cond: [open, { $add: ["$fails", 1] }, 1] },
+        windowStart: { $cond: [open, "$windowStart", now] },
+        expiresAt: { $max: ["$expiresAt", new Date(now.getTime() + windowMs)] }
+      }
+    }],
+    { upsert: true, new: true }
+  ).lean();
+  if (row.fails < maxFails) return false;
+
+  // Only one concurrent request applies the lock
+  const lockedUntil = new Date(now.getTime() + lockMs);
+  const locked = await Lockout.updateOne(
+    { _id: row._id, fails: { $gte: maxFails } },
+    { $set: { fails: 0, windowStart: null, lockedAt: now, lockedUntil, expiresAt: lockedUntil } }
+  );
+  if (!locked.modifiedCount) return false;
+
+  emitSecurityEvent("lockout", { scope, subject: String(subject), lockedUntil, ...details });
+  return true;
+}
+
+// Success → forget failures (an active lock is left alone)
+export async function clearFailures(scope, subject) {
+  await Lockout.deleteOne({
+    scope,
+    subject: String(subject),
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }]
+  });
+}
+
+/* ------------------------------- admin views ------------------------------ */
+
+export async function listActiveLockouts({ scope } = {}) {
+  const cond = { lockedUntil: { $gt: new Date() } };
+  if (scope) cond.scope = scope;
+  return Lockout.find(cond).sort({ lockedUntil: -1 }).lean();
+}
+
+// Lift one lock (and its failure count); returns the removed row or null
+export async function liftLockout(id) {
+  return Lockout.findByIdAndDelete(id).lean();
+}
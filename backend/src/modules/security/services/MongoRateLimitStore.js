@@ -0,0 +1,53 @@
+"use strict";
+
+/**
+ * express-rate-limit store backed by Mongo (RateLimitHit)
+ * -------------------------------------------------------
+ * Fixed windows: the first hit of a key opens a window of windowMs; hits
+ * count up until resetAt, then the next hit opens a new window.
+ * increment() is a single atomic upsert, so every app instance sees the
+ * same count.
+ */
+
+import RateLimitHit from "../models/RateLimitHit.js";
+
+export class MongoRateLimitStore {
+  constructor(prefix) {
+    this.prefix = `${prefix}:`;
+    this.localKeys = false;
+    this.windowMs = 60 * 1000;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const row = await RateLimitHit.findOne({ key: this.prefix + key, resetAt: { $gt: new Date() } }).lean();
+    return row ? { totalHits: row.hits, resetTime: row.resetAt } : undefined;
+  }
+
+  async increment(key) {
+    const now = new Date();
+    const open = { $gt: ["$resetAt", now] }; // current window still running?
+    const row = await RateLimitHit.findOneAndUpdate(
+      { key: this.prefix + key },
+      [{
+        $set: {
+          hits: { $cond: [open, { $add: ["$hits", 1] }, 1] },
+          resetAt: { $cond: [open, "$resetAt", new Date(now.getTime() + this.windowMs)] }
+        }
+      }],
+      { upsert: true, new: true }
+    ).lean();
+    return { totalHits: row.hits, resetTime: row.resetAt };
+  }
+
+  async decrement(key) {
+    await RateLimitHit.updateOne({ key: this.prefix + key, hits: { $gt: 0 } }, { $inc: { hits: -1 } });
+  }
+
+  async resetKey(key) {
+    await RateLimitHit.deleteOne({ key: this.prefix + key });
+  }
+}
@@ -0,0 +1,75 @@
+"use strict";
+
+/**
+ * Secret rotation
+ * ---------------
+ * Re-encrypts every stored secret with the current SECRETS_KEY
+ * (and encrypts legacy plaintext values). Run by scripts/rotate-secrets.js.
+ *
+ * Rotating the key:
+ *   1) generate a key:  node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+ *   2) SECRETS_KEY=<new>, SECRETS_OLD_KEYS=<previous key(s)>; restart the app
+ *   3) npm run secrets:rotate   (--dry-run to only count)
+ *   4) remove the old key from SECRETS_OLD_KEYS
+ *
+ * A row is only written if its value did not change meanwhile (compare-and-set),
+ * so the command is safe to run while the app is up.
+ *
+ * On boot the server encrypts leftover legacy plaintext (encryptLegacySecrets);
+ * moving values off an old key stays a manual step.
+ */
+
+import SmtpConfig, { SMTP_PASSWORD_CONTEXT } from "../../auth/models/SmtpConfig.js";
+import OidcProvider, { OIDC_CLIENT_SECRET_CONTEXT } from "../../auth/models/OidcProvider.js";
+import Admin, { TOTP_SECRET_CONTEXT } from "../../auth/models/Admin.js";
+import { isEncryptedSecret, needsReencryption, reencryptSecret } from "../../../utils/secrets.js";
+
+// Every encrypted field: add new stored credentials here
+export const ENCRYPTED_FIELDS = [
+  { model: SmtpConfig, field: "password", context: SMTP_PASSWORD_CONTEXT },
+  { model: OidcProvider, field: "clientSecret", context: OIDC_CLIENT_SECRET_CONTEXT },
+  { model: Admin, field: "totpSecret", context: TOTP_SECRET_CONTEXT },
+  { model: Admin, field: "totpPendingSecret", context: TOTP_SECRET_CONTEXT }
+];
+
+/**
+ * Re-encrypt everything that is not on the current key
+ * (plaintextOnly: only encrypt legacy plaintext values).
+ * Returns [{ model, field, checked, rotated, failed }]
+ */
+export async function rotateStoredSecrets({ dryRun = false, plaintextOnly = false } = {}) {
+  const report = [];
+  for (const { model, field, context } of ENCRYPTED_FIELDS) {
+    const row = { model: model.modelName, field, checked: 0, rotated: 0, failed: 0 };
+    const cursor = model.find({ [field]: { $ne: null } }).select(`+${field}`).lean().cursor();
+
+    for await (const doc of cursor) {
+      row.checked += 1;
+      const stored = doc[field];
+      if (plaintextOnly ? isEncryptedSecret(stored) : !needsReencryption(stored)) continue;
+      try {
+        const next = reencryptSecret(stored, context);
+        if (!dryRun) {
+          const r = await model.updateOne({ _id: doc._id, [field]: stored }, { $set: { [field]: next } });
+          if (r.modifiedCount !== 1) continue; // changed meanwhile (already on a fresh value)
+        }
+        row.rotated += 1;
+      } catch (e) {
+        row.failed += 1;
+        console.error(`[Secrets] ${model.modelName} ${doc._id}: ${e?.message}`);
+      }
+    }
+    report.push(row);
+  }
+  return report;
+}
+
+// Boot step: encrypt legacy plaintext secrets (e.g. SMTP passwords saved before encryption)
+export async function encryptLegacySecrets() {
+  const report = await rotateStoredSecrets({ plaintextOnly: true });
+  for (const r of report) {
+    if (r.rotated || r.failed) {
+      console.log(`[Secrets] ${r.model}.${r.field}: encrypted ${r.rotated} plaintext value(s), failed ${r.failed}`);
+    }
+  }
+}
@@ -0,0 +1,76 @@
+"use strict";
+
+/**
+ * User Vote Controller
+ * Routes:
+ *   PUT    /user/votes/:type/:slug   { value: 1 | -1 } -> cast or change my vote
+ *   DELETE /user/votes/:type/:slug                     -> withdraw my vote
+ *
+ * :type is any key of VOTE_TYPES (currently "brand" and "blog").
+ * Every change re-counts the item's votes and refreshes its hotScore.
+ */
+
+import Vote from "../models/Vote.js";
+import { VOTE_TYPES, isVoteType, refreshItem } from "../services/HotRanker.js";
+
+/* ------------------------------- helpers ------------------------------- */
+// Resolve :type/:slug to a publicly visible item (null if missing)
+async function findPublicItem(type, slug) {
+  const def = VOTE_TYPES[type];
+  return def.model.findOne({ ...def.publicCond, slug: String(slug || "").toLowerCase() }, { _id: 1 }).lean();
+}
+
+/* ============================ Controller functions ============================ */
+export async function vote(req, res) {
+  try {
+    const type = String(req.params.type || "");
+    if (!isVoteType(type)) {
+      return res.status(400).json({ ok: false, code: 400, message: "Invalid type" });
+    }
+
+    const body = req && req.body ? req.body : {};
+    const value = body.value;
+    if (value !== 1 && value !== -1) {
+      return res.status(400).json({ ok: false, code: 400, message: "value must be 1 or -1" });
+    }
+
+    const item = await findPublicItem(type, req.params.slug);
+    if (!item) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+
+    await Vote.findOneAndUpdate(
+      { userId: req.auth.sub, itemType: type, itemId: item._id },
+      { $set: { value } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const stats = await refreshItem(type, item._id);
+    return res.json({ ok: true, myVote: value, ...stats });
+  } catch (e) {
+    const msg = (e && e.message) || "Failed to vote";
+    return res.status(500).json({ ok: false, code: 500, message: msg });
+  }
+}
+
+export async function clearVote(req, res) {
+  try {
+    const type = String(req.params.type || "");
+    if (!isVoteType(type)) {
+      return res.status(400).json({ ok: false, code: 400, message: "Invalid type" });
+    }
+
+    const item = await findPublicItem(type, req.params.slug);
+    if (!item) {
+      return res.status(404).json({ ok: false, code: 404, message: "Not found" });
+    }
+
+    await Vote.deleteOne({ userId: req.auth.sub, itemType: type, itemId: item._id });
+
+    const stats = await refreshItem(type, item._id);
+    return res.json({ ok: true, myVote: null, ...stats });
+  } catch (e) {
+    const msg = (e && e.message) || "Failed to clear vote";
+    return res.status(500).json({ ok: false, code: 500, message: msg });
+  }
+}
@@ -0,0 +1,16 @@
+"use strict";
+
+import mongoose from "mongoose";
+
+// One up (+1) or down (-1) vote per user per item; itemType names an entry in services/HotRanker.js
+const VoteSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  itemType: { type: String, required: true, trim: true },
+  itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  value: { type: Number, required: true, enum: [1, -1] }
+}, { timestamps: true });
+
+VoteSchema.index({ userId: 1, itemType: 1, itemId: 1 }, { unique: true });
+VoteSchema.index({ itemType: 1, itemId: 1 });
+
+export default mongoose.model("Vote", VoteSchema);
@@ -0,0 +1,22 @@
+"use strict";
+
+/**
+ * User Vote Routes
+ * Signed-in users upvote or downvote public items (brands, blog posts).
+ * One vote per user per item; voting again changes it.
+ *
+ *   PUT    /user/votes/:type/:slug   -> { value: 1 | -1 }
+ *   DELETE /user/votes/:type/:slug   -> withdraw vote
+ */
+
+import { Router } from "express";
+import { authUser } from "../../../middlewares/authUser.js";
+import { vote, clearVote } from "../controllers/UserVoteController.js";
+
+const router = Router();
+
+/* ------------------------------ VOTES ------------------------------ */
+router.put("/:type/:slug", authUser, vote);
+router.delete("/:type/:slug", authUser, clearVote);
+
+export default router;
@@ -0,0 +1,121 @@
+"use strict";
+
+/**
+ * Hot ranker
+ * ----------
+ * Keeps upvotes / downvotes / hotScore denormalised on votable documents.
+ *
+ * Formula (time-decayed, Hacker News style):
+ *   hotScore = (upvotes - downvotes) / (ageHours + 2) ^ GRAVITY
+ *
+ * Because the score decays with age, it is refreshed:
+ *   - right away for an item whenever a vote changes
+ *   - for every voted item on a timer (HOT_REFRESH_MINUTES, default 10)
+ *
+ * To make a new entity votable, add one entry to VOTE_TYPES and give its
+ * schema the upvotes / downvotes / hotScore fields.
+ */
+
+import Vote from "../models/Vote.js";
+import Brand from "../../brand/models/Brand.js";
+import Blog from "../../blog/models/Blog.js";
+
+/* --------------------------- constants & config --------------------------- */
+const GRAVITY = 1.5;
+const HOUR_MS = 60 * 60 * 1000;
+const REFRESH_MINUTES = Number(process.env.HOT_REFRESH_MINUTES || 10);
+
+export const VOTE_TYPES = {
+  brand: { model: Brand, publicCond: { isActive: true, logo: { $ne: null } } },
+  blog: { model: Blog, publicCond: { isActive: true } }
+};
+
+export function isVoteType(type) {
+  return Object.prototype.hasOwnProperty.call(VOTE_TYPES, type);
+}
+
+// Pure score function (exported for reuse in lists/tests)
+export function computeHot(upvotes, downvotes, createdAt, now = Date.now()) {
+  const score = (upvotes || 0) - (downvotes || 0);
+  if (!score) return 0;
+  const ageHours = Math.max(0, (now - new Date(createdAt).getTime()) / HOUR_MS);
+  return score / Math.pow(ageHours + 2, GRAVITY);
+}
+
+/**
+ * Recount one item's votes and store counters + hotScore.
+ * Returns { upvotes, downvotes, score, hotScore } (null if the item is gone).
+ */
+export async function refreshItem(type, itemId) {
+  const { model } = VOTE_TYPES[type];
+  const [agg] = await Vote.aggregate([
+    { $match: { itemType: type, itemId } },
+    {
+      $group: {
+        _id: null,
+        up: { $sum: { $cond: [{ $eq: ["$value", 1] }, 1, 0] } },
+        down: { $sum: { $cond: [{ $eq: ["$value", -1] }, 1, 0] } }
+      }
+    }
+  ]);
+  const upvotes = agg ? agg.up : 0;
+  const downvotes = agg ? agg.down : 0;
+
+  const doc = await model.findById(itemId, { createdAt: 1 }).lean();
+  if (!doc) return null;
+
+  const hotScore = computeHot(upvotes, downvotes, doc.createdAt);
+  await model.updateOne({ _id: itemId }, { $set: { upvotes, downvotes, hotScore } }, { timestamps: false });
+  return { upvotes, downvotes, score: upvotes - downvotes, hotScore };
+}
+
+// Re-decay hotScore for every item that has votes (counters are left as-is)
+export async function refreshAll() {
+  const now = Date.now();
+  for (const { model } of Object.values(VOTE_TYPES)) {
+    const cursor = model.find(
+      { $or: [{ upvotes: { $gt: 0 } }, { downvotes: { $gt: 0 } }] },
+      { upvotes: 1, downvotes: 1, createdAt: 1 }
+    ).lean().cursor();
+
+    let ops = [];
+    for await (const d of cursor) {
+      ops.push({
+        updateOne: {
+          filter: { _id: d._id },
+          update: { $set: { hotScore: computeHot(d.upvotes, d.downvotes, d.createdAt, now) } },
+          timestamps: false
+        }
+      });
+      if (ops.length >= 500) {
+        await model.bulkWrite(ops, { ordered: false });
+        ops = [];
+      }
+    }
+    if (ops.length) await model.bulkWrite(ops, { ordered: false });
+  }
+}
+
+// Remove all votes for an item (call when the item is deleted)
+export async function forgetVotes(type, itemId) {
+  await Vote.deleteMany({ itemType: type, itemId });
+}
+
+// Remove all votes of a user and re-score what they voted on (account deletion)
+export async function forgetUserVotes(userId) {
+  const votes = await Vote.find({ userId }, { itemType: 1, itemId: 1 }).lean();
+  await Vote.deleteMany({ userId });
+  for (const v of votes) {
+    if (isVoteType(v.itemType)) await refreshItem(v.itemType, v.itemId);
+  }
+}
+
+// Start the periodic refresh (call once after Mongo connects)
+export function startHotRanker() {
+  if (!(REFRESH_MINUTES > 0)) return null;
+  const timer = setInterval(() => {
+    refreshAll().catch((e) => console.error("[HotRanker] refresh failed:", e && e.message));
+  }, REFRESH_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,79 @@
+"use strict";
+
+/**
+ * Minimal CBOR decoder (RFC 8949) – enough for WebAuthn
+ * (attestation objects, authenticator data, COSE keys).
+ * Maps decode to Map (COSE keys are integers), byte strings to Buffer.
+ * No tags, indefinite lengths or floats: WebAuthn's CTAP2 canonical CBOR
+ * does not use them for the fields we read.
+ */
+
+function cborError(message) {
+  const err = new Error(`CBOR: ${message}`);
+  err.status = 400;
+  return err;
+}
+
+// Decode one item at offset → { value, offset } (offset = first byte after it)
+export function decodeCborItem(buf, offset = 0) {
+  if (offset >= buf.length) throw cborError("unexpected end");
+  const initial = buf[offset++];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  let arg;
+  if (info < 24) arg = info;
+  else if (info === 24) { arg = buf.readUInt8(offset); offset += 1; }
+  else if (info === 25) { arg = buf.readUInt16BE(offset); offset += 2; }
+  else if (info === 26) { arg = buf.readUInt32BE(offset); offset += 4; }
+  else if (info === 27) {
+    const big = buf.readBigUInt64BE(offset);
+    if (big > BigInt(Number.MAX_SAFE_INTEGER)) throw cborError("integer too large");
+    arg = Number(big);
+    offset += 8;
+  } else throw cborError("unsupported length encoding");
+
+  switch (major) {
+    case 0: return { value: arg, offset };
+    case 1: return { value: -1 - arg, offset };
+    case 2:
+    case 3: {
+      if (offset + arg > buf.length) throw cborError("unexpected end");
+      const bytes = buf.subarray(offset, offset + arg);
+      return { value: major === 2 ? Buffer.from(bytes) : bytes.toString("utf8"), offset: offset + arg };
+    }
+    case 4: {
+      const list = [];
+      for (let i = 0; i < arg; i++) {
+        const item = decodeCborItem(buf, offset);
+        list.push(item.value);
+        offset = item.offset;
+      }
+      return { value: list, offset };
+    }
+    case 5: {
+      const map = new Map();
+      for (let i = 0; i < arg; i++) {
+        const k = decodeCborItem(buf, offset);
+        const v = decodeCborItem(buf, k.offset);
+        map.set(k.value, v.value);
+        offset = v.offset;
+      }
+      return { value: map, offset };
+    }
+    case 7:
+      if (info === 20) return { value: false, offset };
+      if (info === 21) return { value: true, offset };
+      if (info === 22) return { value: null, offset };
+      throw cborError("unsupported simple value");
+    default:
+      throw cborError("unsupported type");
+  }
+}
+
+// Decode a buffer holding exactly one item
+export function decodeCbor(buf) {
+  const { value, offset } = decodeCborItem(buf, 0);
+  if (offset !== buf.length) throw cborError("trailing bytes");
+  return value;
+}
@@ -53,6 +53,25 @@ export async function saveWebpContain300(buffer, folder) {
   return outputPath;
 }
 
+// 600×600 product image (keeps full image, adds white padding if needed)
+export async function saveProductImage600(buffer, folder) {
+  await fs.mkdir(folder, { recursive: true });
+
+  const fileName = `product-${randomUUID()}.webp`;
+  const outputPath = path.join(folder, fileName);
+
+  await sharp(buffer, { failOn: "warning" })
+    .rotate()
+    .resize(600, 600, {
+      fit: "contain",
+      background: { r: 255, g: 255, b: 255, alpha: 1 } // white background
+    })
+    .webp({ quality: 84 })
+    .toFile(outputPath);
+
+  return outputPath;
+}
+
 // 1200×630 blog hero image (cropped to fill)
 export async function saveBlogHero1200x630(buffer, folder) {
   await fs.mkdir(folder, { recursive: true });
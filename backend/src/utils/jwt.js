@@ -6,23 +6,50 @@
  * What this file does:
  * - Creates short-lived access tokens (JWT)
  * - Creates / verifies / rotates refresh tokens stored in httpOnly cookies
- * - Tracks refresh tokens in DB by session id (sid) and simple hash
+ * - Tracks refresh tokens in DB by session id (sid) and keyed hash
  *
  * Key ideas:
  * - Access token = quick expiry, used on each request
  * - Refresh token = long expiry, stored in cookie; we rotate it per refresh
+ * - Every rotation of one login shares a familyId; replaying an already
+ *   rotated token revokes the whole family (the thief's copy dies too)
  */
 
+import crypto from "node:crypto";
 import jwt from "jsonwebtoken";
 import { v4 as uuidv4 } from "uuid";
 import RefreshToken from "../modules/auth/models/RefreshToken.js";
+import { emitSecurityEvent } from "./securityEvents.js";
 
 // Env-driven config (provide sane defaults for TTLs)
 const ACCESS_SECRET = process.env.JWT_ACCESS_SECRET;
 const REFRESH_SECRET = process.env.JWT_REFRESH_SECRET;
 const ACCESS_TTL = process.env.ACCESS_TOKEN_TTL || "10m";
-const REFRESH_TTL = process.env.REFRESH_TOKEN_TTL || "30d";
 const ACCESS_DENY_BEFORE = Number(process.env.ACCESS_DENY_BEFORE || 0);
+const MFA_TICKET_TTL = "5m";
+const MAGIC_LINK_TTL = "10m";
+const TOKEN_HASH_KEY = process.env.REFRESH_TOKEN_HASH_SECRET || REFRESH_SECRET;
+// Reuse grace window (REFRESH_REUSE_GRACE_SECONDS, default 10, 0 = none): see detectReuse
+const REUSE_GRACE_MS = Math.max(0, Number(process.env.REFRESH_REUSE_GRACE_SECONDS || 10)) * 1000 || 0;
+
+/**
+ * "30d" / "12h" / "90m" / "3600s" / 3600 (seconds, like jsonwebtoken) → ms.
+ * Throws on anything else so a typo cannot silently change session lifetimes.
+ */
+function durationMs(raw, name) {
+  const m = /^(\d+)\s*(s|m|h|d|w)?$/i.exec(String(raw).trim());
+  if (!m) throw new Error(`${name} must look like 30d, 12h, 90m or a number of seconds`);
+  const unit = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 }[(m[2] || "s").toLowerCase()];
+  return Number(m[1]) * unit * 1000;
+}
+
+/**
+ * Refresh token lifetime = refresh cookie lifetime = session lifetime
+ * (REFRESH_TOKEN_TTL, default 30d). Sessions older than this are dead even if
+ * never revoked; /user/sessions uses the same value.
+ */
+export const SESSION_MAX_AGE_MS = durationMs(process.env.REFRESH_TOKEN_TTL || "30d", "REFRESH_TOKEN_TTL");
+const REFRESH_TTL_SECONDS = Math.floor(SESSION_MAX_AGE_MS / 1000);
 
 /* -------------------------------------------------------------------------- */
 /*                              Access token (JWT)                             */
@@ -39,6 +66,13 @@ export function signAccessToken(subjectId, role, extra = {}) {
 export function verifyAccessToken(token) {
   const payload = jwt.verify(token, ACCESS_SECRET); // throws if invalid/expired
 
+  // MFA tickets / magic links share the secret but are never access tokens
+  if (payload.typ) {
+    const err = new Error("Invalid token");
+    err.status = 401;
+    throw err;
+  }
+
   // Optional global revoke: if token was issued (iat) before ACCESS_DENY_BEFORE
   if (ACCESS_DENY_BEFORE && payload.iat * 1000 < ACCESS_DENY_BEFORE) {
     const err = new Error("Token revoked");
@@ -48,6 +82,44 @@ export function verifyAccessToken(token) {
   return payload; // { sub, role, iat, exp, ... }
 }
 
+/* -------------------------------------------------------------------------- */
+/*                         MFA ticket (admin 2FA login)                        */
+/* -------------------------------------------------------------------------- */
+
+// Short-lived proof that the password step passed; only /admin/auth/login/2fa accepts it.
+export function signMfaTicket(subjectId) {
+  return jwt.sign({ sub: String(subjectId), typ: "mfa" }, ACCESS_SECRET, {
+    expiresIn: MFA_TICKET_TTL,
+    audience: "admin-mfa"
+  });
+}
+
+// Verify an MFA ticket (throws if invalid/expired/not a ticket)
+export function verifyMfaTicket(token) {
+  const payload = jwt.verify(token, ACCESS_SECRET, { audience: "admin-mfa" });
+  if (payload.typ !== "mfa") throw new Error("Invalid ticket");
+  return payload;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                         Magic link (user email login)                       */
+/* -------------------------------------------------------------------------- */
+
+// Signed login link token; jti points at the single-use MagicLink row.
+export function signMagicLinkToken(email, jti) {
+  return jwt.sign({ email, jti, typ: "magic" }, ACCESS_SECRET, {
+    expiresIn: MAGIC_LINK_TTL,
+    audience: "user-magic-link"
+  });
+}
+
+// Verify a magic link token (throws if invalid/expired/not a magic link)
+export function verifyMagicLinkToken(token) {
+  const payload = jwt.verify(token, ACCESS_SECRET, { audience: "user-magic-link" });
+  if (payload.typ !== "magic") throw new Error("Invalid link");
+  return payload;
+}
+
 /* -------------------------------------------------------------------------- */
 /*                             Refresh token (JWT)                             */
 /* -------------------------------------------------------------------------- */
@@ -55,7 +127,7 @@ export function verifyAccessToken(token) {
 // Create a signed refresh token that carries session id (sid).
 export function signRefreshToken(subjectId, role, sid) {
   const payload = { sub: String(subjectId), role, sid };
-  return jwt.sign(payload, REFRESH_SECRET, { expiresIn: REFRESH_TTL });
+  return jwt.sign(payload, REFRESH_SECRET, { expiresIn: REFRESH_TTL_SECONDS });
 }
 
 // Verify refresh token signature/expiry and return its payload.
@@ -71,18 +143,21 @@ export function verifyRefreshToken(token) {
  * Create a new session:
  * 1) make a fresh sid
  * 2) sign a refresh token with that sid
- * 3) store a hash of the token in DB (so we never store raw tokens)
+ * 3) store a keyed hash of the token in DB (so we never store raw tokens)
  * 4) return { sid, token }
+ * familyId/startedAt are passed on rotation; a fresh login starts a new family.
  */
-export async function createSession({ subjectId, role, userAgent, ip }) {
+export async function createSession({ subjectId, role, userAgent, ip, familyId = null, startedAt = null }) {
   const sid = uuidv4();
   const token = signRefreshToken(subjectId, role, sid);
 
   await RefreshToken.create({
     sid,
+    familyId: familyId || sid,
+    startedAt: startedAt || new Date(),
     subjectId,
     role,
-    tokenHash: hashToken(token),              // lightweight hash for lookup
+    tokenHash: hashToken(token),
     ua: userAgent?.slice(0, 200) || "",
     ip: ip || "",
     createdAt: new Date(),
@@ -96,56 +171,104 @@ export async function createSession({ subjectId, role, userAgent, ip }) {
 /**
  * Rotate a session:
  * 1) verify old refresh token
- * 2) find active session by sid
- * 3) compare stored hash with provided token
- * 4) revoke old record
- * 5) create a brand new session + refresh token
+ * 2) atomically claim the active row by sid + token hash (revoke + mark rotated)
+ * 3) not claimable → if it was already rotated, this is a replay: revoke the family
+ *    (within the grace window: only recorded, see detectReuse)
+ * 4) create the next session of the same family + refresh token
  */
 export async function rotateSession(oldToken, { userAgent, ip }) {
   const payload = verifyRefreshToken(oldToken);
+  const now = new Date();
+
+  const session = await RefreshToken.findOneAndUpdate(
+    { sid: payload.sid, revokedAt: null, tokenHash: { $in: tokenHashCandidates(oldToken) } },
+    { $set: { revokedAt: now, rotatedAt: now } },
+    { new: false }
+  ).lean();
 
-  const session = await RefreshToken.findOne({ sid: payload.sid, revokedAt: null });
   if (!session) {
+    await detectReuse(payload, { userAgent, ip });
     const err = new Error("Invalid session");
     err.status = 401;
     throw err;
   }
 
-  // Provided token must match DB hash (prevents reuse from other devices)
-  if (session.tokenHash !== hashToken(oldToken)) {
-    const err = new Error("Refresh token mismatch");
-    err.status = 401;
-    throw err;
-  }
-
-  // Revoke old
-  session.revokedAt = new Date();
-  await session.save();
-
-  // Create a fresh session+token (rotation)
+  // Create the next session of the same login (rotation)
   const { sid, token } = await createSession({
     subjectId: payload.sub,
     role: payload.role,
     userAgent,
-    ip
+    ip,
+    familyId: session.familyId || session.sid,
+    startedAt: session.startedAt || session.createdAt
   });
 
   return { payload, newSid: sid, newToken: token };
 }
 
+/**
+ * A validly signed refresh token whose row was already rotated = someone kept
+ * an old copy. Revoke every live session of that family and report it.
+ * Rows revoked by logout/admin action (never rotated) are a plain 401.
+ *
+ * Grace window: two tabs refreshing at the same moment send the same token
+ * twice, which is not theft. Reuse within REUSE_GRACE_MS of the rotation only
+ * gets the 401 and is still recorded (withinGrace: true), so a thief racing
+ * the legitimate client is visible in the security events.
+ */
+async function detectReuse(payload, { userAgent, ip }) {
+  const row = await RefreshToken.findOne({ sid: payload.sid }).lean();
+  if (!row || !row.rotatedAt) return;
+
+  const familyId = row.familyId || row.sid;
+  const sinceRotationMs = Date.now() - row.rotatedAt.getTime();
+  const withinGrace = sinceRotationMs < REUSE_GRACE_MS;
+  const revoked = withinGrace ? 0 : await revokeSessionFamily(familyId);
+
+  emitSecurityEvent("refresh_token_reuse", {
+    subjectId: row.subjectId,
+    role: row.role,
+    ip,
+    ua: userAgent,
+    familyId,
+    sid: row.sid,
+    sinceRotationMs,
+    withinGrace,
+    revokedSessions: revoked
+  });
+}
+
+// Revoke every live session of one login (all rotations)
+export async function revokeSessionFamily(familyId) {
+  const res = await RefreshToken.updateMany(
+    { $or: [{ familyId }, { sid: familyId }], revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return res.modifiedCount || 0;
+}
+
 // Revoke a single session by its sid
 export async function revokeSessionBySid(sid) {
   await RefreshToken.updateOne({ sid }, { $set: { revokedAt: new Date() } });
 }
 
-// Revoke all sessions for a user+role (e.g., account deletion / force logout)
-export async function revokeAllSessionsForSubject(subjectId, role) {
-  await RefreshToken.updateMany(
-    { subjectId, role, revokedAt: null },
+// Revoke the session a refresh token belongs to (logout); no-op if unknown
+export async function revokeSessionByToken(token) {
+  await RefreshToken.updateOne(
+    { tokenHash: { $in: tokenHashCandidates(token) }, revokedAt: null },
     { $set: { revokedAt: new Date() } }
   );
 }
 
+// Revoke all sessions for a user+role (e.g., account deletion / force logout)
+// exceptSid keeps one session alive ("sign out everywhere else")
+export async function revokeAllSessionsForSubject(subjectId, role, { exceptSid = null } = {}) {
+  const cond = { subjectId, role, revokedAt: null };
+  if (exceptSid) cond.sid = { $ne: exceptSid };
+  const res = await RefreshToken.updateMany(cond, { $set: { revokedAt: new Date() } });
+  return res.modifiedCount || 0;
+}
+
 /* -------------------------------------------------------------------------- */
 /*                                Cookies (rt)                                */
 /* -------------------------------------------------------------------------- */
@@ -165,7 +288,7 @@ export function setRefreshCookie(res, token) {
     sameSite: secure ? "strict" : "lax",
     domain,                           // optional cookie domain
     path: "/",
-    maxAge: 30 * 24 * 3600 * 1000     // 30 days in ms (cookie lifetime)
+    maxAge: SESSION_MAX_AGE_MS        // = refresh token lifetime (REFRESH_TOKEN_TTL)
   });
 }
 
@@ -184,18 +307,31 @@ export function clearRefreshCookie(res) {
 }
 
 /* -------------------------------------------------------------------------- */
-/*                              Small hash helper                              */
+/*                              Token hash helpers                             */
 /* -------------------------------------------------------------------------- */
 
 /**
- * hashToken(t): tiny deterministic hash for DB lookups
- * - Not a security hash; tokens are already signed & long/unguessable
- * - Purpose: avoid storing raw refresh tokens while still comparing quickly
+ * hashToken(t): HMAC-SHA256 of the refresh token (hex)
+ * - Keyed (REFRESH_TOKEN_HASH_SECRET, falls back to JWT_REFRESH_SECRET), so a
+ *   leaked DB alone cannot be used to match or forge tokens
  */
 function hashToken(t) {
+  return crypto.createHmac("sha256", TOKEN_HASH_KEY).update(String(t)).digest("hex");
+}
+
+/**
+ * Sessions created before the keyed hash stored a 32-bit rolling hash.
+ * Accept that form too so nobody is logged out by the upgrade; the next
+ * rotation writes the new hash. Remove once REFRESH_TOKEN_TTL has passed.
+ */
+function legacyHashToken(t) {
   let h = 0;
   for (let i = 0; i < t.length; i++) {
-    h = (h * 31 + t.charCodeAt(i)) | 0; // simple 32-bit rolling hash
+    h = (h * 31 + t.charCodeAt(i)) | 0;
   }
   return String(h);
 }
+
+function tokenHashCandidates(t) {
+  return [hashToken(t), legacyHashToken(t)];
+}
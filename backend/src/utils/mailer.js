@@ -0,0 +1,147 @@
+"use strict";
+
+/**
+ * Mail transport helper
+ * ---------------------
+ * Sends through the SmtpConfig profiles, with failover:
+ *   1) profiles routed to the mail's category (by priority), then general
+ *      profiles (no categories, by priority)
+ *   2) a profile whose daily cap is used up is skipped
+ *   3) a profile that errors is skipped; the next one is tried
+ *   4) a recipient refused by the server is not retried elsewhere
+ * Application code does not call sendMail() directly: it goes through the
+ * mail queue (modules/mail/services/MailQueue.js), so every mail uses a
+ * named template and is recorded in the delivery log. The admin SMTP test
+ * uses its own transport, but also through the queue (sendMailThrough).
+ */
+
+import nodemailer from "nodemailer";
+import SmtpConfig, { SMTP_PASSWORD_CONTEXT } from "../modules/auth/models/SmtpConfig.js";
+import SmtpUsage from "../modules/auth/models/SmtpUsage.js";
+import { ACTIVE_SMTP_PROFILE } from "../modules/auth/services/SmtpProfiles.js";
+import { decryptSecret } from "./secrets.js";
+
+const USAGE_KEEP_MS = 3 * 24 * 60 * 60 * 1000;
+
+/* -------------------------------- helpers -------------------------------- */
+
+function notConfigured() {
+  const err = new Error("SMTP not configured");
+  err.status = 422;
+  err.publicMessage = "SMTP not configured";
+  return err;
+}
+
+// Effective tlsMode (legacy profiles without one: by port)
+export function tlsModeOf(cfg) {
+  return cfg.tlsMode || (Number(cfg.port) === 465 ? "tls" : "starttls");
+}
+
+// tlsMode → nodemailer options
+function tlsOptions(cfg) {
+  const mode = tlsModeOf(cfg);
+  if (mode === "tls") return { secure: true };
+  if (mode === "starttls") return { secure: false, requireTLS: true };
+  return { secure: false, ignoreTLS: true };
+}
+
+// "Shop" <shop@example.com>, or the bare address
+export function smtpSenderOf(cfg) {
+  const address = cfg.fromAddress || cfg.username;
+  return cfg.fromName ? { name: cfg.fromName, address } : address;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Recipient refused by the server: another profile will not help either
+export function isRecipientRejected(e) {
+  return Boolean(e && (e.code === "EENVELOPE" || (e.responseCode >= 500 && /RCPT/i.test(e.command || ""))));
+}
+
+/* ------------------------------ daily caps ------------------------------ */
+
+// Take one slot of today's cap; false when the cap is used up
+async function reserveSlot(cfg) {
+  if (!(cfg.dailyCap > 0)) return true;
+  const day = today();
+  try {
+    await SmtpUsage.updateOne(
+      { profileId: cfg._id, day, count: { $lt: cfg.dailyCap } },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(Date.now() + USAGE_KEEP_MS) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (e) {
+    if (e?.code === 11000) return false; // row exists and is full
+    throw e;
+  }
+}
+
+// Give the slot back when the send failed
+async function releaseSlot(cfg) {
+  if (!(cfg.dailyCap > 0)) return;
+  await SmtpUsage.updateOne({ profileId: cfg._id, day: today(), count: { $gt: 0 } }, { $inc: { count: -1 } });
+}
+
+// Mails sent today per profile id (for the admin list)
+export async function sentTodayByProfile() {
+  const rows = await SmtpUsage.find({ day: today() }).lean();
+  return new Map(rows.map(r => [String(r.profileId), r.count]));
+}
+
+/* ------------------------------- public API ------------------------------- */
+
+// nodemailer transporter for one profile (cfg must include its encrypted password)
+export function createSmtpTransport(cfg) {
+  return nodemailer.createTransport({
+    host: cfg.host,
+    port: Number(cfg.port),
+    ...tlsOptions(cfg),
+    auth: { user: cfg.username, pass: decryptSecret(cfg.password, SMTP_PASSWORD_CONTEXT) },
+    connectionTimeout: 8000
+  });
+}
+
+/**
+ * Active profiles that may send a mail of this category, in the order they are tried.
+ * Throws 422 if none is configured.
+ */
+export async function smtpProfilesFor(category = null) {
+  const all = await SmtpConfig.find(ACTIVE_SMTP_PROFILE)
+    .select("+password")
+    .sort({ priority: 1, createdAt: 1 })
+    .lean();
+  const routed = category ? all.filter(p => (p.categories || []).includes(category)) : [];
+  const general = all.filter(p => !(p.categories || []).length);
+  const profiles = [...routed, ...general];
+  if (!profiles.length) throw notConfigured();
+  return profiles;
+}
+
+/**
+ * Send one mail, failing over between profiles.
+ * Returns the nodemailer info plus { profile: name }; throws the last error.
+ */
+export async function sendMail({ to, subject, text, html, category = null }) {
+  const profiles = await smtpProfilesFor(category);
+
+  let lastError = null;
+  for (const cfg of profiles) {
+    if (!(await reserveSlot(cfg))) {
+      lastError = lastError || new Error(`SMTP profile "${cfg.name}" reached its daily cap`);
+      continue;
+    }
+    try {
+      const info = await createSmtpTransport(cfg).sendMail({ from: smtpSenderOf(cfg), to, subject, text, html });
+      return { ...info, profile: cfg.name };
+    } catch (e) {
+      await releaseSlot(cfg).catch(() => {});
+      if (isRecipientRejected(e)) throw e;
+      console.error("[SMTP] profile failed, trying next:", { profile: cfg.name, code: e?.code, message: e?.message });
+      lastError = e;
+    }
+  }
+  throw lastError;
+}
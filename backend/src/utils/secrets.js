@@ -0,0 +1,114 @@
+"use strict";
+
+/**
+ * Stored secrets (SMTP passwords, OIDC client secrets, admin TOTP secrets, ...)
+ * ---------------------------------------------------------
+ * What this file does:
+ * - Encrypts secrets before they are saved (AES-256-GCM, authenticated)
+ * - Decrypts them when they are used
+ * - Re-encrypts them with the current key (key rotation: scripts/rotate-secrets.js)
+ *
+ * Keys (environment, 32 bytes as base64 or 64 hex chars):
+ *   SECRETS_KEY        -> current key, used for every new encryption
+ *   SECRETS_OLD_KEYS   -> comma-separated previous keys, still accepted for decryption
+ *
+ * Stored format: enc:v1:<keyId>:<iv>:<tag>:<ciphertext>   (base64url parts)
+ *   keyId   = first 8 hex chars of sha256(key), so the right key is found on decrypt
+ *   context = what the secret is (e.g. "smtp.password"), bound as associated data:
+ *             a value copied into another field does not decrypt.
+ * Values without the prefix are legacy plaintext; they are returned as-is
+ * and encrypted by the next rotation.
+ */
+
+import crypto from "node:crypto";
+
+const PREFIX = "enc:v1:";
+const ALGORITHM = "aes-256-gcm";
+const AUTH_TAG_LENGTH = 16; // pinned: shorter (truncated) GCM tags are rejected
+
+/* -------------------------------- keys -------------------------------- */
+
+function parseKey(raw) {
+  const s = String(raw || "").trim();
+  const key = /^[0-9a-f]{64}$/i.test(s) ? Buffer.from(s, "hex") : Buffer.from(s, "base64");
+  if (key.length !== 32) throw new Error("Secret keys must be 32 bytes (base64 or hex)");
+  return { id: crypto.createHash("sha256").update(key).digest("hex").slice(0, 8), key };
+}
+
+let cached = null;
+
+// { current, byId } from the environment (parsed once)
+function keyring() {
+  if (cached) return cached;
+  if (!process.env.SECRETS_KEY) {
+    const err = new Error("SECRETS_KEY missing");
+    err.status = 500;
+    err.publicMessage = "Secret encryption key not configured";
+    throw err;
+  }
+  const current = parseKey(process.env.SECRETS_KEY);
+  const byId = new Map([[current.id, current.key]]);
+  for (const raw of String(process.env.SECRETS_OLD_KEYS || "").split(",")) {
+    if (!raw.trim()) continue;
+    const old = parseKey(raw);
+    if (!byId.has(old.id)) byId.set(old.id, old.key);
+  }
+  cached = { current, byId };
+  return cached;
+}
+
+/* ------------------------------- public API ------------------------------ */
+
+// Boot check: SECRETS_KEY (and SECRETS_OLD_KEYS) present and well-formed; throws otherwise
+export function assertSecretsKey() {
+  keyring();
+}
+
+export function isEncryptedSecret(stored) {
+  return typeof stored === "string" && stored.startsWith(PREFIX);
+}
+
+// Plain secret → stored string (null/undefined stay null)
+export function encryptSecret(plain, context) {
+  if (plain === null || plain === undefined) return null;
+  const { current } = keyring();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv, { authTagLength: AUTH_TAG_LENGTH });
+  cipher.setAAD(Buffer.from(String(context)));
+  const ct = Buffer.concat([cipher.update(String(plain), "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return PREFIX + [current.id, iv, tag, ct].map(p => (Buffer.isBuffer(p) ? p.toString("base64url") : p)).join(":");
+}
+
+// Stored string → plain secret (throws if the key is unknown or the value was tampered with)
+export function decryptSecret(stored, context) {
+  if (stored === null || stored === undefined) return null;
+  if (!isEncryptedSecret(stored)) return stored; // legacy plaintext
+
+  const [keyId, iv, tag, ct] = stored.slice(PREFIX.length).split(":");
+  const key = keyring().byId.get(keyId);
+  if (!key) throw new Error(`Unknown secret key ${keyId} (add it to SECRETS_OLD_KEYS)`);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv || "", "base64url"), {
+    authTagLength: AUTH_TAG_LENGTH
+  });
+  decipher.setAAD(Buffer.from(String(context)));
+  try {
+    decipher.setAuthTag(Buffer.from(tag || "", "base64url"));
+    return Buffer.concat([decipher.update(Buffer.from(ct || "", "base64url")), decipher.final()]).toString("utf8");
+  } catch {
+    throw new Error(`Cannot decrypt ${context} (wrong key or corrupted value)`);
+  }
+}
+
+// Plaintext, or encrypted with a key other than the current one?
+export function needsReencryption(stored) {
+  if (stored === null || stored === undefined) return false;
+  if (!isEncryptedSecret(stored)) return true;
+  return stored.slice(PREFIX.length).split(":")[0] !== keyring().current.id;
+}
+
+// Stored string → same secret encrypted with the current key
+export function reencryptSecret(stored, context) {
+  return encryptSecret(decryptSecret(stored, context), context);
+}
@@ -0,0 +1,42 @@
+"use strict";
+
+/**
+ * Security events
+ * ---------------
+ * One place to report suspicious activity:
+ *   - logged as a warning
+ *   - stored in the SecurityEvent collection (180 days)
+ *   - emitted on `securityEvents` so other code can react
+ *     (securityEvents.on("refresh_token_reuse", (event) => ...))
+ * Never throws: reporting must not break the request that detected the problem.
+ */
+
+import { EventEmitter } from "node:events";
+import SecurityEvent from "../modules/auth/models/SecurityEvent.js";
+
+export const securityEvents = new EventEmitter();
+
+// emitSecurityEvent("refresh_token_reuse", { subjectId, role, ip, ua, ...details })
+export function emitSecurityEvent(type, { subjectId = null, role = null, ip = "", ua = "", ...details } = {}) {
+  const event = {
+    type,
+    subjectId: subjectId ? String(subjectId) : null,
+    role,
+    ip: ip || "",
+    ua: String(ua || "").slice(0, 200),
+    details,
+    createdAt: new Date()
+  };
+
+  console.warn("[Security]", type, JSON.stringify({ subjectId: event.subjectId, role, ip: event.ip, ...details }));
+
+  try {
+    securityEvents.emit(type, event);
+    securityEvents.emit("event", event);
+  } catch (e) {
+    console.error("[Security] listener failed:", e && e.message);
+  }
+
+  SecurityEvent.create(event).catch((e) => console.error("[Security] store failed:", e && e.message));
+  return event;
+}
@@ -0,0 +1,122 @@
+"use strict";
+
+/**
+ * TOTP helpers (RFC 6238 on top of RFC 4226 HOTP)
+ * ------------------------------------------------
+ * What this file does:
+ * - Creates base32 secrets for authenticator apps
+ * - Builds the otpauth:// provisioning URI (what the QR code encodes)
+ * - Verifies 6-digit codes (SHA-1, 30 s steps, ±1 step clock drift)
+ * - Creates / hashes one-time recovery codes
+ *
+ * verifyTotp returns the matched time step so callers can refuse reusing
+ * the same code twice (store it and require a strictly larger step next time).
+ */
+
+import crypto from "node:crypto";
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const B32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/* -------------------------------- base32 -------------------------------- */
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += B32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str || "").toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = B32.indexOf(ch);
+    if (idx === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/* --------------------------------- HOTP --------------------------------- */
+function hotp(key, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", key).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const bin = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  return String(bin % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/* ------------------------------- public API ------------------------------ */
+
+// New 160-bit secret (base32, as authenticator apps expect)
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// otpauth://totp/Issuer:label?secret=...&issuer=...
+export function totpProvisioningUri({ secret, label, issuer }) {
+  const name = encodeURIComponent(`${issuer}:${label}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${name}?${params.toString()}`;
+}
+
+/**
+ * Check a code against a secret.
+ * Returns the matched time step (number) or null.
+ */
+export function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+  const digits = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(digits)) return null;
+
+  const key = base32Decode(secret);
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let d = -window; d <= window; d++) {
+    const step = current + d;
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) return step;
+  }
+  return null;
+}
+
+// N one-time recovery codes like "k3f9-2m7q-x8pd"
+export function generateRecoveryCodes(count = 10) {
+  const alphabet = "abcdefghjkmnpqrstuvwxyz23456789"; // no 0/o/1/l/i
+  return Array.from({ length: count }, () => {
+    const bytes = crypto.randomBytes(12);
+    const chars = Array.from(bytes, b => alphabet[b % alphabet.length]).join("");
+    return `${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+  });
+}
+
+// Store only hashes; codes are random enough that SHA-256 is sufficient
+export function hashRecoveryCode(code) {
+  const norm = String(code || "").trim().toLowerCase().replace(/[\s-]/g, "");
+  return crypto.createHash("sha256").update(norm).digest("hex");
+}
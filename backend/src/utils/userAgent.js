@@ -0,0 +1,57 @@
+"use strict";
+
+/**
+ * Tiny User-Agent parser
+ * ----------------------
+ * Good enough to label a session ("Chrome 126 on Windows"), not for feature detection.
+ * Order matters: many browsers also claim to be Chrome/Safari, so the specific
+ * ones are checked first.
+ */
+
+const BROWSERS = [
+  ["Edge", /Edg(?:e|A|iOS)?\/(\d+)/],
+  ["Opera", /(?:OPR|Opera)\/(\d+)/],
+  ["Samsung Internet", /SamsungBrowser\/(\d+)/],
+  ["Firefox", /(?:Firefox|FxiOS)\/(\d+)/],
+  ["Chrome", /(?:Chrome|CriOS)\/(\d+)/],
+  ["Safari", /Version\/(\d+)[^ ]* (?:Mobile\/\S+ )?Safari\//]
+];
+
+const OSES = [
+  ["iOS", /(?:iPhone|iPad|iPod).*? OS (\d+)/],
+  ["Android", /Android (\d+)/],
+  ["ChromeOS", /CrOS/],
+  ["Windows", /Windows NT/],
+  ["macOS", /Mac OS X/],
+  ["Linux", /Linux/]
+];
+
+// "Mozilla/5.0 (...) Chrome/126..." → { browser, browserVersion, os, osVersion, device }
+export function parseUserAgent(ua) {
+  const s = String(ua || "");
+  const out = { browser: "Unknown", browserVersion: null, os: "Unknown", osVersion: null, device: "desktop" };
+  if (!s) return out;
+
+  for (const [name, re] of BROWSERS) {
+    const m = s.match(re);
+    if (m) {
+      out.browser = name;
+      out.browserVersion = m[1] || null;
+      break;
+    }
+  }
+
+  for (const [name, re] of OSES) {
+    const m = s.match(re);
+    if (m) {
+      out.os = name;
+      out.osVersion = m[1] || null;
+      break;
+    }
+  }
+
+  if (/iPad|Tablet/.test(s) || (/Android/.test(s) && !/Mobile/.test(s))) out.device = "tablet";
+  else if (/Mobi|iPhone|iPod/.test(s)) out.device = "mobile";
+
+  return out;
+}
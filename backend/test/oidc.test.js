@@ -0,0 +1,207 @@
+"use strict";
+
+/**
+ * OIDC login against a local mock issuer (services/Oidc.js)
+ * ---------------------------------------------------------
+ * The mock issuer serves discovery, JWKS, token and userinfo endpoints over
+ * http on 127.0.0.1. Each test sets what the next ID token / userinfo
+ * response contains. Run: npm test
+ */
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import crypto from "node:crypto";
+import jwt from "jsonwebtoken";
+
+process.env.SECRETS_KEY = crypto.randomBytes(32).toString("base64");
+
+const { encryptSecret } = await import("../src/utils/secrets.js");
+const { OIDC_CLIENT_SECRET_CONTEXT } = await import("../src/modules/auth/models/OidcProvider.js");
+const { newLoginSecrets, authorizationUrl, finishLogin } = await import("../src/modules/auth/services/Oidc.js");
+
+const CLIENT_ID = "fdeals-test";
+const CLIENT_SECRET = "mock-secret";
+const REDIRECT_URI = "http://localhost:4000/auth/oidc/mock/callback";
+
+/* ------------------------------- mock issuer ------------------------------- */
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: "jwk" }), kid: "mock-1", use: "sig", alg: "RS256" };
+
+let issuer;
+let server;
+let issued; // what the next token / userinfo response contains
+let seen;   // what the client sent to the token endpoint
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = "";
+    req.on("data", (c) => { body += c; });
+    req.on("end", () => resolve(body));
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+async function handle(req, res) {
+  const { pathname } = new URL(req.url, issuer);
+
+  if (pathname === "/.well-known/openid-configuration") {
+    return sendJson(res, 200, {
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      token_endpoint_auth_methods_supported: ["client_secret_basic"]
+    });
+  }
+  if (pathname === "/jwks") return sendJson(res, 200, { keys: [jwk] });
+
+  if (pathname === "/token") {
+    const form = new URLSearchParams(await readBody(req));
+    seen = { authorization: req.headers.authorization, form };
+    const challenge = crypto.createHash("sha256").update(form.get("code_verifier") || "").digest("base64url");
+    if (form.get("code") !== issued.code || challenge !== issued.codeChallenge) {
+      return sendJson(res, 400, { error: "invalid_grant" });
+    }
+    const idToken = jwt.sign({ nonce: issued.nonce, ...issued.claims }, privateKey, {
+      algorithm: "RS256",
+      keyid: jwk.kid,
+      issuer,
+      audience: issued.audience || CLIENT_ID,
+      subject: issued.subject,
+      expiresIn: 60
+    });
+    return sendJson(res, 200, { id_token: idToken, access_token: "mock-access", token_type: "Bearer" });
+  }
+
+  if (pathname === "/userinfo") {
+    if (req.headers.authorization !== "Bearer mock-access") return sendJson(res, 401, { error: "invalid_token" });
+    return sendJson(res, 200, { sub: issued.subject, ...issued.userinfo });
+  }
+
+  return sendJson(res, 404, { error: "not_found" });
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    handle(req, res).catch(() => sendJson(res, 500, { error: "server_error" }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+/* --------------------------------- helpers --------------------------------- */
+
+let secrets;
+
+beforeEach(() => {
+  secrets = newLoginSecrets();
+  seen = null;
+  issued = {
+    code: "mock-code",
+    codeChallenge: secrets.codeChallenge,
+    nonce: secrets.nonce,
+    subject: "mock-user-1",
+    claims: { email: "Jane@Example.com", email_verified: true },
+    userinfo: {}
+  };
+});
+
+const provider = () => ({
+  issuer,
+  clientId: CLIENT_ID,
+  clientSecret: encryptSecret(CLIENT_SECRET, OIDC_CLIENT_SECRET_CONTEXT),
+  scopes: ["openid", "email"]
+});
+
+const finish = (overrides = {}) => finishLogin(provider(), {
+  code: "mock-code",
+  codeVerifier: secrets.codeVerifier,
+  nonce: secrets.nonce,
+  redirectUri: REDIRECT_URI,
+  ...overrides
+});
+
+async function rejects(promise, status, pattern) {
+  await assert.rejects(promise, (e) => {
+    assert.equal(e.status, status);
+    assert.match(e.message, pattern);
+    return true;
+  });
+}
+
+/* ---------------------------------- tests ---------------------------------- */
+
+test("authorization URL uses discovery, state, nonce and S256 PKCE", async () => {
+  const url = new URL(await authorizationUrl(provider(), { redirectUri: REDIRECT_URI, ...secrets }));
+  assert.equal(`${url.origin}${url.pathname}`, `${issuer}/authorize`);
+  assert.equal(url.searchParams.get("client_id"), CLIENT_ID);
+  assert.equal(url.searchParams.get("redirect_uri"), REDIRECT_URI);
+  assert.equal(url.searchParams.get("scope"), "openid email");
+  assert.equal(url.searchParams.get("state"), secrets.state);
+  assert.equal(url.searchParams.get("nonce"), secrets.nonce);
+  assert.equal(url.searchParams.get("code_challenge"), secrets.codeChallenge);
+  assert.equal(url.searchParams.get("code_challenge_method"), "S256");
+});
+
+test("verified ID token email signs in (client_secret_basic, decrypted secret)", async () => {
+  const result = await finish();
+  assert.equal(result.email, "jane@example.com");
+  assert.equal(result.subject, "mock-user-1");
+  const basic = Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString("base64");
+  assert.equal(seen.authorization, `Basic ${basic}`);
+  assert.equal(seen.form.get("code_verifier"), secrets.codeVerifier);
+});
+
+test("wrong PKCE verifier is refused by the issuer", async () => {
+  await rejects(finish({ codeVerifier: newLoginSecrets().codeVerifier }), 502, /invalid_grant/);
+});
+
+test("nonce mismatch is rejected", async () => {
+  await rejects(finish({ nonce: newLoginSecrets().nonce }), 502, /nonce mismatch/);
+});
+
+test("ID token for another client is rejected", async () => {
+  issued.audience = "someone-else";
+  await rejects(finish(), 502, /Invalid ID token/);
+});
+
+test("unverified ID token email is rejected", async () => {
+  issued.claims = { email: "jane@example.com", email_verified: false };
+  await rejects(finish(), 403, /not verified/);
+});
+
+test("without email claims, email + email_verified come from userinfo", async () => {
+  issued.claims = {};
+  issued.userinfo = { email: "Info@Example.com", email_verified: true };
+  assert.equal((await finish()).email, "info@example.com");
+});
+
+test("ID token email is never paired with userinfo's verified flag", async () => {
+  issued.claims = { email: "victim@example.com" }; // no email_verified
+  issued.userinfo = { email: "attacker@example.com", email_verified: true };
+  assert.equal((await finish()).email, "attacker@example.com");
+
+  issued.userinfo = { email_verified: true };
+  await rejects(finish(), 403, /did not share an email/);
+});
+
+test("unverified userinfo email is rejected", async () => {
+  issued.claims = {};
+  issued.userinfo = { email: "jane@example.com", email_verified: false };
+  await rejects(finish(), 403, /not verified/);
+});
+
+test("userinfo for another subject is rejected", async () => {
+  issued.claims = {};
+  issued.userinfo = { sub: "mock-user-2", email: "jane@example.com", email_verified: true };
+  await rejects(finish(), 502, /subject mismatch/);
+});